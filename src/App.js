@@ -1,37 +1,95 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useCallback, useRef, useContext, createContext } from "react";
 
 /* global __firebase_config, __app_id, __initial_auth_token */
 
-// --- FIREBASE AND FIRESTORE IMPORTS (Integrated into single file) ---
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { 
-    getFirestore, collection, query, onSnapshot, 
-    addDoc, updateDoc, doc, Timestamp, where 
-} from 'firebase/firestore';
-import { getStorage, ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-
-const PRIORITY_OPTIONS = ["Low", "Medium", "High", "Critical"];
-const STATUS_OPTIONS = ["Submitted", "In Progress", "Completed", "Canceled"];
-const DEPARTMENT_OPTIONS = ["Unassigned", "Plumbing", "Electrical", "Housekeeping", "HVAC", "IT"];
-
-// Global Firebase variables will be initialized inside the component
-let app, auth, db, storage;
+// --- BACKEND IMPORTS ---
+import { Timestamp } from 'firebase/firestore';
+import { BACKENDS, resolveBackendOptions } from './backend';
+import { createFirebaseBackend } from './firebase-backend';
+import { createLocalBackend, DEMO_PASSWORD } from './local-backend';
+import {
+    ROLE_LABELS, ROLES, canAccessTab, canSubmitIssues, canUpdateField,
+    canAssignIssues, canAcceptAssignment, getTechnicianRoster
+} from './roles';
+import { DEFAULT_SLA_TARGETS, mergeSlaTargets, computeSla, isOverdue, formatDuration } from './sla';
+import { enqueueSubmission, subscribeToQueue, flushQueue, discardQueuedSubmission, isConnectivityError } from './offline-queue';
+import { buildExportRows, exportCsv, exportXlsx, exportPdf } from './issue-export';
+import {
+    getDefaultDateRange, getResolutionTimesByDepartment, getWeeklyOpenedVsClosed,
+    getWeeklyPriorityMix, getLocationHotspots, getReopenStatsByDepartment
+} from './analytics';
+import {
+    WORKFLOW_STATUSES, CANCEL_REASONS, getStatusOptions,
+    getTransitionError, requiresStatusDetails, isReopen
+} from './status-workflow';
+import {
+    RECURRENCE_FREQUENCIES, getDueOccurrences, getNextOccurrence, getOccurrencesBetween,
+    getPreventiveIssueId, describeRecurrence, toDateKey
+} from './maintenance-schedule';
+import {
+    LOCATION_TYPES, LOCATION_TYPE_LABELS, formatLocationLabel, formatLocationDetail,
+    sortLocations, searchLocations, findLocationForText, buildLocationMigrationPlan
+} from './locations';
+import {
+    mergeAlertRules, matchesAlertRules, toAlert, addAlerts, notificationsSupported,
+    requestNotificationPermission, showBrowserNotification, playAlertChime
+} from './alerts';
+import { ISSUE_PRIORITIES, ISSUE_DEPARTMENTS } from './issue-schema';
+import {
+    ISSUES_PAGE_SIZE, configureIssueRepository, subscribeToIssues, subscribeToNewIssues, fetchIssueCounts, fetchSlaBreachedCount,
+    fetchIssuesCreatedBetween, fetchIssuesOpenedOrClosedBetween, fetchAllIssues, subscribeToLocationIssues, subscribeToPreventiveIssues,
+    subscribeToAssignedIssues, subscribeToIssueHistory, subscribeToComments, addComment, createNewIssue,
+    updateIssueField, updateIssueFields, addIssueImages, removeIssueImage, changeIssueStatus, assignIssue, acceptAssignment, bulkUpdateIssues,
+    MAX_BULK_UPDATE_ISSUES, migrateLegacyIssues,
+    backfillSortKeys, createIssueId, seedDisplayIdCounter, subscribeToIssueByDisplayId, fetchOpenIssuesAt, subscribeToPossibleDuplicates, ISSUE_CONFLICT,
+    GUEST_RATE_LIMITED
+} from './issue-repository';
+import { ISSUE_TAB, GUEST_TAB, parseLocation, buildPath, isNewPage } from './routing';
+import { findPossibleDuplicates } from './similarity';
+import {
+    GUEST_SOURCE, GUEST_CATEGORIES, GUEST_RATE_LIMIT, MAX_GUEST_DETAILS_LENGTH, getRecentReports, getGuestReportWait,
+    getNextGuestQuota, buildGuestReport, exportGuestQrSheet
+} from './guest-reporting';
+import { LANGUAGES, createTranslator, resolveLanguage } from './i18n';
+import { addToast, createToast, dismissToast, getErrorMessage } from './toasts';
+
+const PRIORITY_OPTIONS = ISSUE_PRIORITIES;
+const QUEUE_RETRY_INTERVAL_MS = 30 * 1000;
+const SLA_RECOUNT_INTERVAL_MS = 60 * 1000; // Issues become overdue with time alone
+const COMMENTS_SEEN_STORAGE_KEY = 'fir-comments-seen';
+const ALERTS_STORAGE_KEY = 'fir-alerts';
+const GUEST_REPORTS_STORAGE_KEY = 'fir-guest-reports';
+const LANGUAGE_STORAGE_KEY = 'fir-language';
+const ALERT_CLOCK_SKEW_MS = 10 * 60 * 1000; // Issues carry the submitting terminal's clock
+const MAX_PHOTOS_PER_ISSUE = 6;
+const DUPLICATE_LOOKUP_DELAY_MS = 400; // Wait for the room to be typed before looking for duplicates
+const STATUS_OPTIONS = WORKFLOW_STATUSES;
+const DEPARTMENT_OPTIONS = ISSUE_DEPARTMENTS;
+// Notes and reasons that travel with the status change they belong to
+const STATUS_DETAIL_FIELDS = ["resolutionNotes", "cancelReason", "cancelNote"];
+const EMPTY_BULK_CHANGES = { status: "", priority: "", department: "", assignedTo: "", resolutionNotes: "", cancelReason: "", cancelNote: "" };
+
+// The backend adapter is created inside the component (see initializeBackend)
+let backend;
 let currentUserId = null;
 let appId;
 
 // --- DYNAMIC CDN LOADER HOOK ---
 
+const BOOTSTRAP_CSS_ID = 'bootstrap-css-link';
+const BOOTSTRAP_CSS_URLS = {
+    ltr: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css',
+    rtl: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.rtl.min.css',
+};
+
 const useExternalAssets = () => {
     useEffect(() => {
-        // 1. Load Bootstrap CSS
-        const bsCssId = 'bootstrap-css-link';
-        const bsCssUrl = 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css';
-        if (!document.getElementById(bsCssId)) {
+        // 1. Load Bootstrap CSS (swapped for the RTL build by useDocumentLanguage)
+        if (!document.getElementById(BOOTSTRAP_CSS_ID)) {
             const link = document.createElement('link');
-            link.id = bsCssId;
+            link.id = BOOTSTRAP_CSS_ID;
             link.rel = 'stylesheet';
-            link.href = bsCssUrl;
+            link.href = BOOTSTRAP_CSS_URLS.ltr;
             document.head.appendChild(link);
         }
         
@@ -59,155 +117,447 @@ const useExternalAssets = () => {
 };
 
 
+// --- LANGUAGE ---
+// Components read the current translator (see ./i18n) from context; the staff
+// app and the guest page each provide one for the language being shown.
+
+const I18nContext = createContext(createTranslator());
+
+const useI18n = () => useContext(I18nContext);
+
+// The language chosen on this device, used until (or without) a staff profile
+const loadStoredLanguage = () => {
+    try {
+        return localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (e) {
+        return null;
+    }
+};
+
+const saveStoredLanguage = (language) => {
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        console.warn("Could not persist the language:", e);
+    }
+};
+
+// `preferred` (e.g. a ?lang= link) wins over this device's choice, which wins over the browser's
+const getInitialLanguage = (...preferred) => resolveLanguage(...preferred, loadStoredLanguage(), typeof navigator !== 'undefined' ? navigator.language : null);
+
+/**
+ * Keeps the page's `lang` and `dir` (and the matching Bootstrap build, which
+ * mirrors margins, floats and alignment for right-to-left text) in step with
+ * the language shown.
+ */
+const useDocumentLanguage = ({ language, dir }) => {
+    useEffect(() => {
+        document.documentElement.lang = language;
+        document.documentElement.dir = dir;
+        const bootstrapLink = document.getElementById(BOOTSTRAP_CSS_ID);
+        if (bootstrapLink && bootstrapLink.href !== BOOTSTRAP_CSS_URLS[dir]) bootstrapLink.href = BOOTSTRAP_CSS_URLS[dir];
+    }, [language, dir]);
+};
+
+/**
+ * A translated sentence whose placeholders are elements, e.g.
+ * <TranslatedText text="changed {field}" params={{ field: <strong>Status</strong> }} />.
+ */
+const TranslatedText = ({ text, params }) => {
+    const { tParts } = useI18n();
+    return tParts(text, params).map((part, index) => <React.Fragment key={index}>{part}</React.Fragment>);
+};
+
+const LanguageSelect = ({ value, onChange, className = "form-select form-select-sm" }) => {
+    const { t } = useI18n();
+
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={className} aria-label={t("Language")}>
+            {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <option key={code} value={code} lang={code}>{label}</option>
+            ))}
+        </select>
+    );
+};
+
+
 // --- INITIALIZATION AND AUTHENTICATION LOGIC ---
-const initializeFirebase = (setUserId) => {
+const createBackend = () => {
+    const options = resolveBackendOptions(
+        typeof __firebase_config !== 'undefined' ? __firebase_config : '{}',
+        process.env
+    );
+    if (options.backend === BACKENDS.LOCAL) {
+        console.warn("Using the local backend: data stays in this browser.");
+        return createLocalBackend({ appId });
+    }
+    return createFirebaseBackend(options);
+};
+
+const initializeBackend = (setUserId, setAuthReady, setAnonymous = () => {}) => {
     try {
         // 1. Get Configs
-        const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
         appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
-        // 2. Initialize App and Services
-        app = initializeApp(firebaseConfig);
-        auth = getAuth(app);
-        db = getFirestore(app);
-        storage = getStorage(app);
+        // 2. Initialize the backend (Firebase, the Firebase emulators, or local) once per page
+        backend = backend || createBackend();
+        configureIssueRepository({ backend, appId });
 
         // 3. Authentication
+        // A custom token (Canvas environment) signs in automatically; everyone else
+        // signs in with their staff email and password/PIN from the sign-in screen.
         const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
         const handleSignIn = async () => {
             try {
                 if (initialAuthToken) {
-                    await signInWithCustomToken(auth, initialAuthToken);
-                } else {
-                    await signInAnonymously(auth);
+                    await backend.signInWithToken(initialAuthToken);
                 }
             } catch (error) {
-                console.error("Firebase sign-in error:", error);
+                console.error("Token sign-in error:", error);
             }
         };
 
         // 4. Auth State Listener
-        const unsubscribeAuth = onAuthStateChanged(auth, (user) => {
+        const unsubscribeAuth = backend.onAuthStateChanged((user) => {
             if (user) {
                 currentUserId = user.uid;
                 setUserId(user.uid);
+                setAnonymous(Boolean(user.isAnonymous));
                 console.log("Authenticated with User ID:", user.uid);
             } else {
                 currentUserId = null;
                 setUserId(null);
                 console.log("Signed out or not authenticated.");
             }
+            setAuthReady(true);
         });
 
         handleSignIn();
         return unsubscribeAuth; // Return the cleanup function
         
     } catch (e) {
-        console.error("Firebase Initialization Failed:", e);
+        console.error("Backend Initialization Failed:", e);
         // Handle initialization failure gracefully
+        setAuthReady(true);
         return () => {};
     }
 };
 
-// --- FIRESTORE API LOGIC (Integrated into single file) ---
+/**
+ * Signs a staff member in with email and password. PINs are stored as the
+ * account password, so the same call covers both.
+ */
+const signInStaff = async (email, password) => {
+    if (!backend) throw new Error("Authentication not initialized.");
+    await backend.signIn(email.trim(), password);
+};
+
+const signOutStaff = async () => {
+    if (!backend) return;
+    await backend.signOut();
+};
+
+const getSignInErrorMessage = (error) => {
+    switch (error?.code) {
+        case 'auth/invalid-credential':
+        case 'auth/invalid-email':
+        case 'auth/user-not-found':
+        case 'auth/wrong-password':
+            return "Incorrect email or password/PIN.";
+        case 'auth/too-many-requests':
+            return "Too many attempts. Please wait a moment and try again.";
+        case 'auth/network-request-failed':
+            return "No connection. Check the network and try again.";
+        default:
+            return "Sign-in failed. Please contact a manager.";
+    }
+};
+
+// --- DATA ACCESS (staff, settings, registry and plans; issues live in ./issue-repository) ---
+
+const getStaffPath = () => {
+    // Staff profiles keyed by auth UID: /artifacts/{appId}/public/data/staff/{uid}
+    // Shape: { displayName, role: 'frontdesk' | 'technician' | 'manager', department }
+    return `artifacts/${appId}/public/data/staff`;
+};
+
+/**
+ * Subscribes to the signed-in user's staff profile. Calls back with null when
+ * the account has no profile (and therefore no role).
+ */
+const subscribeToStaffProfile = (userId, callback) => {
+    if (!backend || !userId) return () => {};
 
-const getCollectionPath = (userId) => {
-    // Public data path: /artifacts/{appId}/public/data/firs
-    // This allows all users to see and update all issues in a collaborative manner.
-    return `artifacts/${appId}/public/data/firs`; 
+    return backend.subscribeToDoc(`${getStaffPath()}/${userId}`, (staffDoc) => {
+        callback(staffDoc ? { id: staffDoc.id, ...staffDoc.data } : null);
+    }, (error) => {
+        console.error("Staff profile subscription error:", error);
+        callback(null);
+    });
 };
 
 /**
- * Subscribes to real-time updates for maintenance issues.
- * Applies filtering for priority and department.
+ * Subscribes to every staff profile, keyed by UID. Used to show names instead of raw user IDs.
  */
-const subscribeToIssues = (userId, callback, priorityFilter, departmentFilter) => {
-    if (!db || !userId) return () => {};
+const subscribeToStaffDirectory = (userId, callback) => {
+    if (!backend || !userId) return () => {};
 
-    const path = getCollectionPath(userId);
-    let issuesQuery = collection(db, path);
+    return backend.subscribeToDocs(getStaffPath(), {}, (docs) => {
+        const directory = {};
+        docs.forEach(staffDoc => {
+            directory[staffDoc.id] = { id: staffDoc.id, ...staffDoc.data };
+        });
+        callback(directory);
+    }, (error) => {
+        console.error("Staff directory subscription error:", error);
+    });
+};
 
-    // Apply priority filter if not "All"
-    if (priorityFilter !== "All") {
-        issuesQuery = query(issuesQuery, where("priority", "==", priorityFilter));
-    }
-    
-    // Apply department filter if not "All"
-    if (departmentFilter !== "All") {
-        issuesQuery = query(issuesQuery, where("department", "==", departmentFilter));
-    }
-    
-    // NOTE: We sort in memory to avoid Firestore index requirements for queries.
+/**
+ * Saves the signed-in user's display language on their staff profile, so it
+ * follows them to other terminals.
+ */
+const saveStaffLanguage = async (userId, language) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
 
-    const unsubscribe = onSnapshot(issuesQuery, (snapshot) => {
-        const issues = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
-        
-        // Sort in memory by creation time (newest first)
-        issues.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+    await backend.setDoc(`${getStaffPath()}/${userId}`, { language }, { merge: true });
+};
+
+/**
+ * Saves the signed-in user's own alert rules on their staff profile.
+ */
+const saveAlertRules = async (userId, rules) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    await backend.setDoc(`${getStaffPath()}/${userId}`, { alertRules: rules }, { merge: true });
+};
+
+const getStaffName = (staffById, uid) => staffById?.[uid]?.displayName || (uid ? `${uid.substring(0, 8)}...` : "Unknown");
+
+const getSettingsPath = () => {
+    // App-wide settings documents: /artifacts/{appId}/public/data/settings/{name}
+    return `artifacts/${appId}/public/data/settings`;
+};
+
+/**
+ * Subscribes to the configured SLA targets, merged over the defaults.
+ */
+const subscribeToSlaTargets = (userId, callback) => {
+    if (!backend || !userId) return () => {};
 
-        callback(issues);
+    return backend.subscribeToDoc(`${getSettingsPath()}/sla`, (settingsDoc) => {
+        callback(mergeSlaTargets(settingsDoc ? settingsDoc.data.targets : null));
     }, (error) => {
-        console.error("Firestore onSnapshot error:", error);
+        console.error("SLA settings subscription error:", error);
+        callback(mergeSlaTargets(null));
+    });
+};
+
+const saveSlaTargets = async (userId, targets) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    await backend.setDoc(`${getSettingsPath()}/sla`, {
+        targets,
+        updatedBy: userId,
+        updatedAt: Timestamp.now(),
     });
+};
 
-    return unsubscribe;
+const getLocationsPath = () => {
+    // Room/location registry: /artifacts/{appId}/public/data/locations/{locationId}
+    return `artifacts/${appId}/public/data/locations`;
 };
 
 /**
- * Creates a new maintenance issue document, including image upload if provided.
+ * Subscribes to the whole room/location registry (archived entries included), sorted.
  */
-const createNewIssue = async (userId, formData, displayId) => {
-    if (!db || !storage || !userId) throw new Error("Database or storage not initialized.");
+const subscribeToLocations = (userId, callback) => {
+    if (!backend || !userId) return () => {};
 
-    let imageUrl = null;
+    return backend.subscribeToDocs(getLocationsPath(), {}, (docs) => {
+        callback(sortLocations(docs.map(locationDoc => ({ id: locationDoc.id, ...locationDoc.data }))));
+    }, (error) => {
+        console.error("Locations subscription error:", error);
+    });
+};
 
-    if (formData.imageFile) {
-        // Upload image to Firebase Storage
-        const storageRef = ref(storage, `firs/${userId}/${Date.now()}_${formData.imageFile.name}`);
-        const snapshot = await uploadBytes(storageRef, formData.imageFile);
-        imageUrl = await getDownloadURL(snapshot.ref);
-    }
+/**
+ * Creates a registry entry, or updates it when `locationId` is given. Resolves with the ID.
+ */
+const saveLocation = async (userId, location, locationId = null) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
 
-    const path = getCollectionPath(userId);
-    const newIssue = {
-        displayId: displayId,
-        roomNumber: formData.roomNumber,
-        issueTitle: formData.issueTitle,
-        description: formData.description,
-        priority: formData.priority,
-        status: "Submitted", // Default status
-        department: "Unassigned", // Default department
-        imageUrl: imageUrl,
-        submittedBy: userId,
-        createdAt: Timestamp.now(),
+    const id = locationId || backend.createId(getLocationsPath());
+    await backend.setDoc(`${getLocationsPath()}/${id}`, {
+        type: location.type,
+        name: location.name.trim(),
+        building: location.building.trim(),
+        floor: location.floor.trim(),
+        aliases: location.aliases.map(alias => alias.trim()).filter(Boolean),
+        active: location.active !== false,
+        updatedBy: userId,
         updatedAt: Timestamp.now(),
-    };
+        ...(locationId ? {} : { createdAt: Timestamp.now() }),
+    }, { merge: true });
+    return id;
+};
+
+
+// Per-device record of how many comments of each issue the user has seen
+const loadSeenCommentCounts = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(`${COMMENTS_SEEN_STORAGE_KEY}:${userId}`)) || {};
+    } catch (e) {
+        return {};
+    }
+};
 
-    const docRef = await addDoc(collection(db, path), newIssue);
-    console.log("Document written with ID: ", docRef.id);
+const saveSeenCommentCounts = (userId, counts) => {
+    try {
+        localStorage.setItem(`${COMMENTS_SEEN_STORAGE_KEY}:${userId}`, JSON.stringify(counts));
+    } catch (e) {
+        console.warn("Could not persist read comment counts:", e);
+    }
+};
+
+// Notification-center entries are per user and per device, like comment read state
+const loadStoredAlerts = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(`${ALERTS_STORAGE_KEY}:${userId}`)) || [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const saveStoredAlerts = (userId, alerts) => {
+    try {
+        localStorage.setItem(`${ALERTS_STORAGE_KEY}:${userId}`, JSON.stringify(alerts));
+    } catch (e) {
+        console.warn("Could not persist alerts:", e);
+    }
 };
 
 /**
- * Updates a single field in an existing maintenance issue document.
+ * Photos attached to an issue. Older documents only have a single `imageUrl`.
  */
-const updateIssueField = async (userId, issueId, field, value) => {
-    if (!db || !userId) throw new Error("Database not initialized.");
-    
-    const path = getCollectionPath(userId);
-    const issueRef = doc(db, path, issueId);
+const getIssueImages = (fir) => {
+    if (Array.isArray(fir.images) && fir.images.length > 0) return fir.images;
+    return fir.imageUrl ? [{ url: fir.imageUrl, thumbnailUrl: fir.imageUrl, name: "Photo" }] : [];
+};
+
 
-    await updateDoc(issueRef, {
-        [field]: value,
-        updatedAt: Timestamp.now()
+const getMaintenancePlansPath = () => {
+    // Preventive maintenance plans: /artifacts/{appId}/public/data/maintenancePlans/{planId}
+    return `artifacts/${appId}/public/data/maintenancePlans`;
+};
+
+/**
+ * Subscribes to all preventive maintenance plans, sorted by name.
+ */
+const subscribeToMaintenancePlans = (userId, callback) => {
+    if (!backend || !userId) return () => {};
+
+    return backend.subscribeToDocs(getMaintenancePlansPath(), {}, (docs) => {
+        const plans = docs.map(planDoc => ({ id: planDoc.id, ...planDoc.data }));
+        plans.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+        callback(plans);
+    }, (error) => {
+        console.error("Maintenance plans subscription error:", error);
     });
-    console.log(`Updated issue ${issueId}: set ${field} to ${value}`);
 };
 
 
+/**
+ * Creates a plan, or updates it when `planId` is given. Resolves with the ID.
+ * The generation cursor (`lastGeneratedFor`) is left alone on edits.
+ */
+const saveMaintenancePlan = async (userId, plan, planId = null) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    const id = planId || backend.createId(getMaintenancePlansPath());
+    await backend.setDoc(`${getMaintenancePlansPath()}/${id}`, {
+        name: plan.name.trim(),
+        description: plan.description.trim(),
+        frequency: plan.frequency,
+        interval: Math.max(1, parseInt(plan.interval, 10) || 1),
+        startDate: plan.startDate,
+        roomNumber: plan.roomNumber,
+        locationId: plan.locationId || null,
+        department: plan.department,
+        priority: plan.priority,
+        checklist: plan.checklist.map(item => item.trim()).filter(Boolean),
+        active: plan.active !== false,
+        updatedBy: userId,
+        updatedAt: Timestamp.now(),
+        ...(planId ? {} : { createdAt: Timestamp.now() }),
+    }, { merge: true });
+    return id;
+};
+
+/**
+ * Creates the issues for every due occurrence of the active plans. Each occurrence
+ * has a deterministic issue ID, so running this on several terminals at once (or
+ * twice after a failed cursor update) never creates duplicates. Resolves with the
+ * display IDs that this call created.
+ */
+const generatePreventiveIssues = async (userId, plans, now = new Date()) => {
+    const created = [];
+    for (const plan of plans) {
+        try {
+            for (const occurrence of getDueOccurrences(plan, now)) {
+                const displayId = await createNewIssue(userId, {
+                    roomNumber: plan.roomNumber,
+                    locationId: plan.locationId,
+                    issueTitle: plan.name,
+                    description: plan.description,
+                    priority: plan.priority,
+                }, {
+                    issueId: getPreventiveIssueId(plan.id, occurrence),
+                    extraFields: {
+                        type: "Preventive",
+                        department: plan.department || "Unassigned",
+                        maintenancePlanId: plan.id,
+                        scheduledFor: Timestamp.fromDate(occurrence),
+                        checklist: plan.checklist || [],
+                    },
+                });
+                if (displayId) created.push(displayId);
+
+                // Move the cursor so later runs don't re-check this occurrence
+                await backend.setDoc(`${getMaintenancePlansPath()}/${plan.id}`, { lastGeneratedFor: toDateKey(occurrence) }, { merge: true });
+            }
+        } catch (error) {
+            // Another terminal may have moved the cursor past us; the next run picks up from there
+            console.error(`Preventive generation error (${plan.name}):`, error);
+        }
+    }
+    if (created.length > 0) console.log(`Generated preventive issues: ${created.join(", ")}`);
+    return created;
+};
+
+
+/**
+ * Open jobs first by priority (Critical first), then by age (oldest first).
+ */
+const sortJobsByPriorityAndAge = (issues) => [...issues].sort((a, b) => {
+    const priorityDiff = PRIORITY_OPTIONS.indexOf(b.priority) - PRIORITY_OPTIONS.indexOf(a.priority);
+    if (priorityDiff !== 0) return priorityDiff;
+    return (a.createdAt?.seconds || 0) - (b.createdAt?.seconds || 0);
+});
+
+
+/**
+ * The four headline counts of the dashboard, from the loaded issues until the server's counts arrive.
+ */
+const getDashboardMetrics = (issues) => ({
+    totalIssues: issues.length,
+    pendingIssues: issues.filter(f => f.status === "Submitted" || f.status === "In Progress").length,
+    highPriorityIssues: issues.filter(f => f.priority === "High" || f.priority === "Critical").length,
+    completedIssues: issues.filter(f => f.status === "Completed").length,
+});
+
+
 // --- ICON SETUP (Font Awesome integration) ---
 
 // Custom Bootstrap classes mapping for status colors
@@ -239,6 +589,9 @@ const getIconComponent = (iconName, className = "text-white fs-5") => {
         case 'Spinner': return <i className={`fa-solid fa-spinner fa-spin ${className}`}></i>;
         case 'Toolbox': return <i className={`fa-solid fa-toolbox ${className}`}></i>;
         case 'Chart': return <i className={`fa-solid fa-chart-line ${className}`}></i>;
+        case 'ChartColumn': return <i className={`fa-solid fa-chart-column ${className}`}></i>;
+        case 'Building': return <i className={`fa-solid fa-building ${className}`}></i>;
+        case 'Bell': return <i className={`fa-solid fa-bell ${className}`}></i>;
         case 'PaperPlane': return <i className={`fa-solid fa-paper-plane ${className}`}></i>;
         default: return null;
     }
@@ -260,160 +613,3599 @@ const DashboardTile = ({ iconName, title, value, bgColor }) => (
     </div>
 );
 
-const App = () => {
-    useExternalAssets(); // CRITICAL FIX: Inject Bootstrap and Font Awesome CDNs
-    
-    const [firs, setFirs] = useState([]);
-    const [userId, setUserId] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [tab, setTab] = useState("dashboard"); // 'dashboard', 'interface1', 'interface2'
-    const [nextDisplayId, setNextDisplayId] = useState("FIR-0001");
-    
-    // Form state for Interface 1
-    const [formData, setFormData] = useState({
-        roomNumber: "",
-        issueTitle: "",
-        description: "",
-        priority: "Medium",
-        imageFile: null,
-    });
+const SLA_WARNING_RATIO = 0.25; // Turn the countdown amber in the last quarter of the target
 
-    // Filter states for Interface 2 (Dashboard)
-    const [searchTerm, setSearchTerm] = useState("");
-    const [priorityFilter, setPriorityFilter] = useState("All");
-    const [departmentFilter, setDepartmentFilter] = useState("All");
-    
-    const [currentDateTime, setCurrentDateTime] = useState(new Date());
+/**
+ * Countdown/overdue badge for the SLA target that currently matters for a FIR:
+ * the response target until someone picks it up, then the resolution target.
+ */
+const SlaBadge = ({ fir, targets, now }) => {
+    const { t, formatDateTime } = useI18n();
+    const { response, resolution, responseDueAt, resolutionDueAt } = computeSla(fir, targets, now);
+    const title = responseDueAt
+        ? t("Response due {response} · Resolution due {resolution}", { response: formatDateTime(responseDueAt), resolution: formatDateTime(resolutionDueAt) })
+        : undefined;
+    const target = targets[fir.priority];
 
-    // --- INITIALIZATION AND AUTHENTICATION ---
-    useEffect(() => {
-        // Initialize Firebase and set up Auth listener
-        const unsubscribeAuth = initializeFirebase(setUserId);
+    const renderBadge = (className, text) => (
+        <span className={`badge ${className}`} title={title}>{text}</span>
+    );
+    const countdownClass = (result, minutes) => (
+        result.remainingMs < minutes * 60 * 1000 * SLA_WARNING_RATIO ? "bg-warning text-dark" : "bg-light text-dark border"
+    );
 
-        // Clock Timer
-        const timer = setInterval(() => setCurrentDateTime(new Date()), 1000);
+    if (response.state === 'overdue') return renderBadge("bg-danger", t("Response overdue {time}", { time: formatDuration(response.remainingMs) }));
+    if (response.state === 'pending') return renderBadge(countdownClass(response, target.responseMinutes), t("Respond in {time}", { time: formatDuration(response.remainingMs) }));
+    if (resolution.state === 'overdue') return renderBadge("bg-danger", t("Overdue {time}", { time: formatDuration(resolution.remainingMs) }));
+    if (resolution.state === 'pending') return renderBadge(countdownClass(resolution, target.resolutionMinutes), t("Resolve in {time}", { time: formatDuration(resolution.remainingMs) }));
+    if (response.state === 'breached' || resolution.state === 'breached') return renderBadge("bg-danger bg-opacity-75", t("SLA breached"));
+    if (resolution.state === 'met') return renderBadge("bg-success", t("SLA met"));
+    return <span className="text-muted small">{t("N/A")}</span>;
+};
 
-        return () => {
-            clearInterval(timer);
-            unsubscribeAuth(); // Clean up the auth listener
-        };
-    }, []); // Empty dependency array ensures this runs only once
+/**
+ * Manager-only editor for the per-priority SLA targets (in minutes).
+ */
+const SlaSettingsCard = ({ userId, targets }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(targets);
+    const [saving, setSaving] = useState(false);
 
-    // --- REAL-TIME DATA SYNC ---
-    useEffect(() => {
-        // Wait until authenticated and Firebase is ready
-        if (!userId || !db) {
-             setLoading(true);
-             return;
-        }
+    useEffect(() => setDraft(targets), [targets]);
 
-        // Subscribe to issues using the integrated API function
-        setLoading(true);
-        const unsubscribe = subscribeToIssues(userId, (data) => {
-            setFirs(data);
-            setLoading(false);
-            
-            // Calculate next display ID
-            const highestId = data.reduce((max, fir) => {
-                const num = parseInt(fir.displayId?.slice(4) || '0', 10);
-                return num > max ? num : max;
-            }, 0);
-            setNextDisplayId(`FIR-${String(highestId + 1).padStart(4, "0")}`);
-        }, priorityFilter, departmentFilter); // Pass filters to the subscription
+    const handleTargetChange = (priority, key, value) => {
+        setDraft(prev => ({ ...prev, [priority]: { ...prev[priority], [key]: Math.max(1, parseInt(value, 10) || 0) } }));
+    };
 
-        return () => unsubscribe(); // Clean up the listener
-    }, [userId, priorityFilter, departmentFilter]); // Re-subscribe when filters change
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await saveSlaTargets(userId, draft);
+        } catch (error) {
+            console.error("SLA settings save error:", error);
+        } finally {
+            setSaving(false);
+        }
+    };
 
-    // --- FORM HANDLERS (Interface 1) ---
+    return (
+        <form onSubmit={handleSave} className="card shadow-sm border-0">
+            <div className="card-body">
+                <table className="table table-sm align-middle mb-3">
+                    <thead className="table-light">
+                        <tr>
+                            <th scope="col" className="small text-uppercase">{t("Priority")}</th>
+                            <th scope="col" className="small text-uppercase">{t("Response (min)")}</th>
+                            <th scope="col" className="small text-uppercase">{t("Resolution (min)")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {PRIORITY_OPTIONS.map(priority => (
+                            <tr key={priority}>
+                                <td className="fw-semibold">{t(priority)}</td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        aria-label={t("{priority} response minutes", { priority: t(priority) })}
+                                        value={draft[priority]?.responseMinutes ?? DEFAULT_SLA_TARGETS[priority].responseMinutes}
+                                        onChange={(e) => handleTargetChange(priority, "responseMinutes", e.target.value)}
+                                        className="form-control form-control-sm"
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        aria-label={t("{priority} resolution minutes", { priority: t(priority) })}
+                                        value={draft[priority]?.resolutionMinutes ?? DEFAULT_SLA_TARGETS[priority].resolutionMinutes}
+                                        onChange={(e) => handleTargetChange(priority, "resolutionMinutes", e.target.value)}
+                                        className="form-control form-control-sm"
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <button type="submit" disabled={saving} className="btn btn-sm btn-primary">
+                    {saving ? t("Saving...") : t("Save SLA Targets")}
+                </button>
+            </div>
+        </form>
+    );
+};
 
-    const handleFormChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
-    };
+/**
+ * Copies issues from the retired `maintenance_issues` collection. A dry run
+ * always comes first so the manager can see what will be copied and changed.
+ */
+const LegacyMigrationCard = ({ userId }) => {
+    const { t } = useI18n();
+    const [report, setReport] = useState(null);
+    const [phase, setPhase] = useState("idle"); // 'idle', 'checking', 'migrating'
+    const [error, setError] = useState("");
 
-    const handleFileChange = (e) => {
-        setFormData(prev => ({ ...prev, imageFile: e.target.files[0] }));
+    const run = async (dryRun) => {
+        setPhase(dryRun ? "checking" : "migrating");
+        setError("");
+        try {
+            setReport(await migrateLegacyIssues(userId, { dryRun }));
+        } catch (e) {
+            console.error("Legacy migration error:", e);
+            setError("Could not read the legacy issues. Check your connection and permissions.");
+        }
+        setPhase("idle");
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        if (!userId) {
-            console.error("Authentication not ready. Cannot submit.");
-             // Show Error Message Modal
-             const errorModal = document.getElementById('error-message-modal');
-             if(errorModal) {
-                 errorModal.classList.remove('d-none');
-                 setTimeout(() => errorModal.classList.add('d-none'), 5000);
-             }
-            return;
-        }
-        if (!formData.roomNumber || !formData.issueTitle || !formData.description) {
-            console.error("Missing required fields.");
-            return;
-        }
+    const pending = report?.dryRun ? report.toCopy : [];
 
-        setLoading(true);
-        try {
-            await createNewIssue(userId, formData, nextDisplayId);
-            
-            // Show Success Message 
-            const successMessage = document.getElementById('success-message');
-            if(successMessage) {
-                 successMessage.classList.remove('d-none');
-                 setTimeout(() => successMessage.classList.add('d-none'), 3000);
-            }
+    return (
+        <div className="card shadow-sm border-0">
+            <div className="card-body">
+                <p className="small text-secondary">
+                    {t("Copies issues logged by the old app (maintenance_issues) into the current list with today's status and department names. Copies get new FIR numbers; the old number is kept. The old documents are not changed.")}
+                </p>
+                {error && <div className="alert alert-danger small py-2" role="alert">{t(error)}</div>}
+                {report && (
+                    <div className={`alert small py-2 ${report.failed.length || report.invalid.length ? "alert-warning" : "alert-info"}`} role="status">
+                        {report.dryRun
+                            ? t("Dry run: {toCopy} to copy, {already} already copied, {invalid} cannot be copied.", {
+                                toCopy: report.toCopy.length, already: report.alreadyMigrated.length, invalid: report.invalid.length,
+                            })
+                            : t("{copied} copied, {already} already copied, {invalid} cannot be copied, {failed} failed (run again to retry).", {
+                                copied: report.copied.length, already: report.alreadyMigrated.length, invalid: report.invalid.length, failed: report.failed.length,
+                            })}
+                    </div>
+                )}
+                {(pending.length > 0 || report?.invalid.length > 0 || report?.failed.length > 0) && (
+                    <div className="table-responsive mb-3" style={{ maxHeight: '320px' }}>
+                        <table className="table table-sm align-middle mb-0">
+                            <thead className="table-light">
+                                <tr>
+                                    <th scope="col" className="small text-uppercase">{t("Legacy document")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Issue")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Result")}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {pending.map(entry => (
+                                    <tr key={entry.legacyId}>
+                                        <td className="small font-monospace">{entry.issue.legacyDisplayId || entry.legacyId}</td>
+                                        <td className="small">{entry.issue.issueTitle} · {entry.issue.roomNumber}</td>
+                                        <td className="small text-muted">{entry.changes.length > 0 ? entry.changes.join("; ") : t("Copied as is")}</td>
+                                    </tr>
+                                ))}
+                                {[...report.invalid, ...report.failed].map(entry => (
+                                    <tr key={entry.legacyId} className="table-warning">
+                                        <td className="small font-monospace">{entry.legacyId}</td>
+                                        <td className="small">{entry.issue ? `${entry.issue.issueTitle} · ${entry.issue.roomNumber}` : "—"}</td>
+                                        <td className="small">{entry.reason || entry.errors.join("; ")}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+                <div className="d-flex gap-2">
+                    <button type="button" onClick={() => run(true)} disabled={phase !== "idle"} className="btn btn-sm btn-outline-primary">
+                        {phase === "checking" ? t("Checking...") : t("Dry run")}
+                    </button>
+                    <button type="button" onClick={() => run(false)} disabled={phase !== "idle" || pending.length === 0} className="btn btn-sm btn-primary">
+                        {phase === "migrating" ? t("Copying...") : t(pending.length === 1 ? "Copy 1 issue" : "Copy {count} issues", { count: pending.length })}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
 
-            // Reset Form
-            setFormData({
-                roomNumber: "",
-                issueTitle: "",
-                description: "",
-                priority: "Medium",
-                imageFile: null,
-            });
+/**
+ * Adds the numeric sort keys to issues saved before they existed, so that
+ * ordering the issue list by priority or status includes them.
+ */
+const SortKeyBackfillCard = ({ userId }) => {
+    const { t } = useI18n();
+    const [phase, setPhase] = useState("idle"); // 'idle', 'running'
+    const [message, setMessage] = useState(null); // { type, text }
 
-        } catch (error) {
-            console.error("Submission error: ", error);
-             // Show Submission Error Message
-             const errorSubmissionModal = document.getElementById('error-submission-modal');
-             if(errorSubmissionModal) {
-                 errorSubmissionModal.classList.remove('d-none');
-                 setTimeout(() => errorSubmissionModal.classList.add('d-none'), 5000);
-             }
-        } finally {
-            setLoading(false);
+    const run = async () => {
+        setPhase("running");
+        setMessage(null);
+        try {
+            const updated = await backfillSortKeys(userId);
+            setMessage({
+                type: "info",
+                text: updated === 0
+                    ? t("Every issue already has its sort keys.")
+                    : t(updated === 1 ? "Sort keys added to 1 issue." : "Sort keys added to {count} issues.", { count: updated }),
+            });
+        } catch (e) {
+            console.error("Sort key backfill error:", e);
+            setMessage({ type: "danger", text: t("Could not update the issues. Check your connection and permissions.") });
+        }
+        setPhase("idle");
+    };
+
+    return (
+        <div className="card shadow-sm border-0 mt-3">
+            <div className="card-body">
+                <p className="small text-secondary">
+                    {t("Issues saved before the list could be sorted by priority or status are left out of those orders until their sort keys are added. Safe to run more than once.")}
+                </p>
+                {message && <div className={`alert alert-${message.type} small py-2`} role="status">{message.text}</div>}
+                <button type="button" onClick={run} disabled={phase !== "idle"} className="btn btn-sm btn-outline-primary">
+                    {phase === "running" ? t("Updating...") : t("Add missing sort keys")}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- ANALYTICS ---
+
+const ANALYTICS_DEFAULT_DAYS = 90;
+
+const PRIORITY_CHART_SERIES = [
+    { key: "Low", label: "Low", color: "#6c757d" },
+    { key: "Medium", label: "Medium", color: "#0dcaf0" },
+    { key: "High", label: "High", color: "#ffc107" },
+    { key: "Critical", label: "Critical", color: "#dc3545" },
+];
+
+const TREND_CHART_SERIES = [
+    { key: "opened", label: "Opened", color: "#0d6efd" },
+    { key: "closed", label: "Closed", color: "#198754" },
+];
+
+const padDatePart = (number) => String(number).padStart(2, "0");
+const toDateInputValue = (date) => `${date.getFullYear()}-${padDatePart(date.getMonth() + 1)}-${padDatePart(date.getDate())}`;
+
+// <input type="date"> values are local calendar days; the range covers both days in full
+const fromDateInputValue = (value, endOfDay) => {
+    const [year, month, day] = value.split("-").map(Number);
+    return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+};
+
+/**
+ * Inline SVG bar chart with one slot per week. Series are drawn side by side,
+ * or on top of each other when `stacked` is set.
+ */
+const WeeklyBarChart = ({ rows, series, stacked = false, title }) => {
+    const { t, formatCustomDate } = useI18n();
+    const formatWeekLabel = (date) => formatCustomDate(date, { month: 'short', day: 'numeric' });
+    const width = 720;
+    const height = 240;
+    const padding = { top: 12, right: 8, bottom: 28, left: 32 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const slotTotals = rows.map(row => (stacked
+        ? series.reduce((sum, s) => sum + row[s.key], 0)
+        : Math.max(...series.map(s => row[s.key]))));
+    const maxValue = Math.max(1, ...slotTotals);
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(ratio => Math.round(maxValue * ratio))
+        .filter((tick, index, all) => all.indexOf(tick) === index);
+
+    const slotWidth = plotWidth / Math.max(1, rows.length);
+    const groupWidth = slotWidth * 0.7;
+    const barWidth = stacked ? groupWidth : groupWidth / series.length;
+    const labelEvery = Math.ceil(rows.length / 12);
+    const y = (value) => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-100" role="img" aria-label={title}>
+                {ticks.map(tick => (
+                    <g key={tick}>
+                        <line x1={padding.left} x2={width - padding.right} y1={y(tick)} y2={y(tick)} stroke="#dee2e6" />
+                        <text x={padding.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6c757d">{tick}</text>
+                    </g>
+                ))}
+                {rows.map((row, index) => {
+                    const groupX = padding.left + index * slotWidth + (slotWidth - groupWidth) / 2;
+                    let stackedValue = 0;
+                    return (
+                        <g key={row.weekStart.getTime()}>
+                            {series.map((s, seriesIndex) => {
+                                const value = row[s.key];
+                                if (!value) return null;
+                                const base = stacked ? stackedValue : 0;
+                                stackedValue += value;
+                                return (
+                                    <rect
+                                        key={s.key}
+                                        x={stacked ? groupX : groupX + seriesIndex * barWidth}
+                                        y={y(base + value)}
+                                        width={Math.max(1, barWidth - 1)}
+                                        height={y(base) - y(base + value)}
+                                        fill={s.color}
+                                    >
+                                        <title>{t("Week of {week} · {series}: {value}", { week: formatWeekLabel(row.weekStart), series: t(s.label), value })}</title>
+                                    </rect>
+                                );
+                            })}
+                            {index % labelEvery === 0 && (
+                                <text x={groupX + groupWidth / 2} y={height - 10} textAnchor="middle" fontSize="10" fill="#6c757d">
+                                    {formatWeekLabel(row.weekStart)}
+                                </text>
+                            )}
+                        </g>
+                    );
+                })}
+            </svg>
+            <div className="d-flex flex-wrap gap-3 small text-secondary">
+                {series.map(s => (
+                    <span key={s.key} className="d-flex align-items-center">
+                        <span className="d-inline-block rounded me-1" style={{width: '12px', height: '12px', backgroundColor: s.color}}></span>
+                        {t(s.label)}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Card wrapper for one analytics report. Each report keeps its own date range and
+ * loads the issues created within it (or whatever `fetchIssues` returns for the
+ * range); `children` renders the report from those.
+ */
+const AnalyticsReport = ({ userId, title, description, fetchIssues = fetchIssuesCreatedBetween, children }) => {
+    const { t } = useI18n();
+    const [range, setRange] = useState(() => getDefaultDateRange(ANALYTICS_DEFAULT_DAYS));
+    const [issues, setIssues] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIssues(null);
+        setError(null);
+        fetchIssues(userId, range.from, range.to)
+            .then(result => { if (!cancelled) setIssues(result); })
+            .catch(fetchError => {
+                console.error(`Analytics fetch error (${title}):`, fetchError);
+                if (!cancelled) setError("Could not load issues for this report.");
+            });
+        return () => { cancelled = true; };
+    }, [userId, title, fetchIssues, range.from, range.to]);
+
+    const handleRangeChange = (key, value) => {
+        if (!value) return;
+        const date = fromDateInputValue(value, key === "to");
+        setRange(prev => {
+            const next = { ...prev, [key]: date };
+            return next.from <= next.to ? next : prev;
+        });
+    };
+
+    return (
+        <div className="card shadow-sm border-0 mb-4">
+            <div className="card-body">
+                <div className="d-flex flex-wrap align-items-start justify-content-between gap-3 mb-3">
+                    <div>
+                        <h3 className="h5 fw-semibold mb-1">{title}</h3>
+                        <p className="small text-secondary mb-0">{description}</p>
+                    </div>
+                    <div className="d-flex align-items-center gap-2">
+                        <input
+                            type="date"
+                            aria-label={t("{report} from", { report: title })}
+                            value={toDateInputValue(range.from)}
+                            max={toDateInputValue(range.to)}
+                            onChange={(e) => handleRangeChange("from", e.target.value)}
+                            className="form-control form-control-sm"
+                        />
+                        <span className="small text-muted">{t("to")}</span>
+                        <input
+                            type="date"
+                            aria-label={t("{report} to", { report: title })}
+                            value={toDateInputValue(range.to)}
+                            min={toDateInputValue(range.from)}
+                            onChange={(e) => handleRangeChange("to", e.target.value)}
+                            className="form-control form-control-sm"
+                        />
+                    </div>
+                </div>
+                {error && <div className="alert alert-danger small py-2 mb-0">{t(error)}</div>}
+                {!error && issues === null && (
+                    <p className="text-muted small mb-0">{getIconComponent('Spinner', "me-2 text-primary fs-6")} {t("Loading...")}</p>
+                )}
+                {!error && issues !== null && (issues.length === 0
+                    ? <p className="text-muted small mb-0">{t("No issues were opened in this period.")}</p>
+                    : children(issues, range))}
+            </div>
+        </div>
+    );
+};
+
+const ResolutionTimeReport = ({ issues }) => {
+    const { t } = useI18n();
+    const rows = getResolutionTimesByDepartment(issues);
+    if (rows.length === 0) return <p className="text-muted small mb-0">{t("No issues opened in this period have been completed yet.")}</p>;
+
+    const slowest = rows[0].meanMs;
+    return (
+        <table className="table table-sm align-middle mb-0">
+            <thead className="table-light">
+                <tr>
+                    <th scope="col" className="small text-uppercase">{t("Department")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Completed")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Mean")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Median")}</th>
+                    <th scope="col" className="w-50"></th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(row => (
+                    <tr key={row.department}>
+                        <td className="fw-semibold">{t(row.department)}</td>
+                        <td className="text-end">{row.count}</td>
+                        <td className="text-end">{formatDuration(row.meanMs)}</td>
+                        <td className="text-end">{formatDuration(row.medianMs)}</td>
+                        <td>
+                            <div className="progress" style={{height: '8px'}}>
+                                <div className="progress-bar" style={{width: `${(row.meanMs / slowest) * 100}%`}}></div>
+                            </div>
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+const ReopenReport = ({ issues }) => {
+    const { t } = useI18n();
+    const rows = getReopenStatsByDepartment(issues);
+
+    return (
+        <table className="table table-sm align-middle mb-0">
+            <thead className="table-light">
+                <tr>
+                    <th scope="col" className="small text-uppercase">{t("Department")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Issues")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Reopened")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Total Reopens")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Reopen Rate")}</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(row => (
+                    <tr key={row.department}>
+                        <td className="fw-semibold">{t(row.department)}</td>
+                        <td className="text-end">{row.issues}</td>
+                        <td className="text-end">{row.reopenedIssues}</td>
+                        <td className="text-end">{row.reopens}</td>
+                        <td className={`text-end fw-semibold ${row.rate > 0 ? "text-danger" : "text-success"}`}>{Math.round(row.rate * 100)}%</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+const HotspotReport = ({ issues }) => {
+    const { t } = useI18n();
+    const hotspots = getLocationHotspots(issues);
+    if (hotspots.length === 0) return <p className="text-muted small mb-0">{t("No locations recorded in this period.")}</p>;
+
+    const busiest = hotspots[0].total;
+    return (
+        <table className="table table-sm align-middle mb-0">
+            <thead className="table-light">
+                <tr>
+                    <th scope="col" className="small text-uppercase">#</th>
+                    <th scope="col" className="small text-uppercase">{t("Room/Location")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Issues")}</th>
+                    <th scope="col" className="small text-uppercase text-end">{t("Open")}</th>
+                    <th scope="col" className="small text-uppercase">{t("Most Affected")}</th>
+                    <th scope="col" className="w-25"></th>
+                </tr>
+            </thead>
+            <tbody>
+                {hotspots.map((hotspot, index) => (
+                    <tr key={hotspot.key}>
+                        <td className="text-muted">{index + 1}</td>
+                        <td className="fw-semibold">{hotspot.label}</td>
+                        <td className="text-end">{hotspot.total}</td>
+                        <td className="text-end">{hotspot.open}</td>
+                        <td>{t(hotspot.topDepartment)}</td>
+                        <td>
+                            <div className="progress" style={{height: '8px'}}>
+                                <div className="progress-bar bg-danger" style={{width: `${(hotspot.total / busiest) * 100}%`}}></div>
+                            </div>
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+// --- ROOM / LOCATION REGISTRY ---
+
+/**
+ * Room/Location input with typeahead against the registry. Typing clears the
+ * link; picking a suggestion (or typing a name that matches exactly one entry)
+ * sets it. Calls `onChange({ roomNumber, locationId })`. With an empty registry
+ * it behaves like a plain text input.
+ */
+const LocationTypeahead = ({ id, locations, value, locationId, onChange }) => {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+    const matches = useMemo(() => searchLocations(locations, value), [locations, value]);
+    const requireMatch = locations.length > 0;
+
+    const select = (location) => {
+        onChange({ roomNumber: formatLocationLabel(location), locationId: location.id });
+        setOpen(false);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!open || matches.length === 0) return;
+        if (e.key === "ArrowDown") {
+            e.preventDefault();
+            setHighlighted(index => (index + 1) % matches.length);
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            setHighlighted(index => (index - 1 + matches.length) % matches.length);
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            select(matches[highlighted]);
+        } else if (e.key === "Escape") {
+            setOpen(false);
+        }
+    };
+
+    const handleBlur = () => {
+        setOpen(false);
+        const exact = findLocationForText(locations.filter(location => location.active !== false), value);
+        if (!locationId && exact) select(exact);
+    };
+
+    return (
+        <div className="position-relative">
+            <input
+                type="text"
+                id={id}
+                role="combobox"
+                aria-expanded={open && matches.length > 0}
+                aria-controls={`${id}-options`}
+                aria-autocomplete="list"
+                autoComplete="off"
+                value={value}
+                onChange={(e) => {
+                    onChange({ roomNumber: e.target.value, locationId: null });
+                    setOpen(true);
+                    setHighlighted(0);
+                }}
+                onFocus={() => setOpen(true)}
+                onBlur={handleBlur}
+                onKeyDown={handleKeyDown}
+                placeholder={t("e.g., Room 301 or Lobby A")}
+                required
+                className={`form-control ${requireMatch && value && !locationId ? "is-invalid" : ""}`}
+            />
+            {requireMatch && value && !locationId && !open && (
+                <div className="invalid-feedback">{t("Pick a room or area from the registry.")}</div>
+            )}
+            {open && !locationId && matches.length > 0 && (
+                <ul id={`${id}-options`} role="listbox" className="list-group position-absolute w-100 shadow-sm" style={{zIndex: 1000}}>
+                    {matches.map((location, index) => (
+                        <li
+                            key={location.id}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            className={`list-group-item list-group-item-action py-1 ${index === highlighted ? "active" : ""}`}
+                            onMouseDown={(e) => {
+                                e.preventDefault(); // Keep focus so blur doesn't close the list first
+                                select(location);
+                            }}
+                        >
+                            <div className="small fw-semibold">{formatLocationLabel(location)}</div>
+                            <div className="small opacity-75">{formatLocationDetail(location)}</div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- PREVENTIVE MAINTENANCE ---
+
+const PREVENTIVE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Re-check due plans hourly (e.g. across midnight)
+
+const PRIORITY_CHIP_CLASSES = {
+    Low: "bg-secondary",
+    Medium: "bg-info text-dark",
+    High: "bg-warning text-dark",
+    Critical: "bg-danger",
+};
+
+/**
+ * "Preventive" marker, scheduled day and checklist for issues generated from a plan.
+ */
+const PreventiveDetails = ({ fir }) => {
+    const { t, formatDate } = useI18n();
+    if (fir.type !== "Preventive") return null;
+
+    return (
+        <div className="small mt-1">
+            <span className="badge bg-success bg-opacity-75 me-2">{t("Preventive")}</span>
+            {fir.scheduledFor?.toDate && <span className="text-muted">{t("Scheduled {date}", { date: formatDate(fir.scheduledFor) })}</span>}
+            {fir.checklist?.length > 0 && (
+                <details className="mt-1">
+                    <summary className="text-primary">{t(fir.checklist.length === 1 ? "Checklist (1 step)" : "Checklist ({count} steps)", { count: fir.checklist.length })}</summary>
+                    <ol className="mb-0 ps-3">
+                        {fir.checklist.map((item, index) => <li key={index}>{item}</li>)}
+                    </ol>
+                </details>
+            )}
+        </div>
+    );
+};
+
+const EMPTY_PLAN_DRAFT = {
+    name: "",
+    description: "",
+    frequency: "monthly",
+    interval: 1,
+    startDate: "",
+    roomNumber: "",
+    locationId: null,
+    department: "Unassigned",
+    priority: "Medium",
+    checklist: "",
+    active: true,
+};
+
+/**
+ * Manager form to add a maintenance plan, or edit `plan` when given.
+ */
+const MaintenancePlanForm = ({ userId, plan, locations, onSaved, onCancel }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(() => (plan
+        ? { ...EMPTY_PLAN_DRAFT, ...plan, checklist: (plan.checklist || []).join("\n") }
+        : { ...EMPTY_PLAN_DRAFT, startDate: toDateKey(new Date()) }));
+    const [saving, setSaving] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setDraft(prev => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (locations.length > 0 && !draft.locationId) {
+            setErrorMessage("Pick a room or area from the registry.");
+            return;
+        }
+        setSaving(true);
+        setErrorMessage(null);
+        try {
+            const savedId = await saveMaintenancePlan(userId, { ...draft, checklist: draft.checklist.split("\n") }, plan?.id);
+            onSaved(savedId);
+        } catch (error) {
+            console.error("Maintenance plan save error:", error);
+            setErrorMessage("Could not save this plan.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSave} className="row g-2">
+            <div className="col-md-6">
+                <label htmlFor="plan-name" className="form-label small text-secondary">{t("Plan name (used as the issue title)")}</label>
+                <input id="plan-name" name="name" value={draft.name} onChange={handleChange} required placeholder={t("e.g., Replace HVAC filters")} className="form-control form-control-sm" />
+            </div>
+            <div className="col-md-6">
+                <label htmlFor="plan-location" className="form-label small text-secondary">{t("Room/Location")}</label>
+                <LocationTypeahead
+                    id="plan-location"
+                    locations={locations}
+                    value={draft.roomNumber}
+                    locationId={draft.locationId}
+                    onChange={(location) => setDraft(prev => ({ ...prev, ...location }))}
+                />
+            </div>
+            <div className="col-12">
+                <label htmlFor="plan-description" className="form-label small text-secondary">{t("Description")}</label>
+                <textarea id="plan-description" name="description" rows="2" value={draft.description} onChange={handleChange} required className="form-control form-control-sm"></textarea>
+            </div>
+            <div className="col-md-3">
+                <label htmlFor="plan-frequency" className="form-label small text-secondary">{t("Repeats")}</label>
+                <select id="plan-frequency" name="frequency" value={draft.frequency} onChange={handleChange} className="form-select form-select-sm">
+                    {Object.entries(RECURRENCE_FREQUENCIES).map(([key, frequency]) => <option key={key} value={key}>{t(frequency.label)}</option>)}
+                </select>
+            </div>
+            <div className="col-md-2">
+                <label htmlFor="plan-interval" className="form-label small text-secondary">{t("Every")}</label>
+                <input id="plan-interval" name="interval" type="number" min="1" value={draft.interval} onChange={handleChange} className="form-control form-control-sm" />
+            </div>
+            <div className="col-md-3">
+                <label htmlFor="plan-start" className="form-label small text-secondary">{t("First due")}</label>
+                <input id="plan-start" name="startDate" type="date" value={draft.startDate} onChange={handleChange} required className="form-control form-control-sm" />
+            </div>
+            <div className="col-md-2">
+                <label htmlFor="plan-department" className="form-label small text-secondary">{t("Department")}</label>
+                <select id="plan-department" name="department" value={draft.department} onChange={handleChange} className="form-select form-select-sm">
+                    {DEPARTMENT_OPTIONS.map(department => <option key={department} value={department}>{t(department)}</option>)}
+                </select>
+            </div>
+            <div className="col-md-2">
+                <label htmlFor="plan-priority" className="form-label small text-secondary">{t("Priority")}</label>
+                <select id="plan-priority" name="priority" value={draft.priority} onChange={handleChange} className="form-select form-select-sm">
+                    {PRIORITY_OPTIONS.map(priority => <option key={priority} value={priority}>{t(priority)}</option>)}
+                </select>
+            </div>
+            <div className="col-12">
+                <label htmlFor="plan-checklist" className="form-label small text-secondary">{t("Checklist (one step per line)")}</label>
+                <textarea id="plan-checklist" name="checklist" rows="4" value={draft.checklist} onChange={handleChange} className="form-control form-control-sm"></textarea>
+            </div>
+            {plan && (
+                <div className="col-12 form-check ms-2">
+                    <input id="plan-active" name="active" type="checkbox" checked={draft.active !== false} onChange={handleChange} className="form-check-input" />
+                    <label htmlFor="plan-active" className="form-check-label small">{t("Active (paused plans generate no issues)")}</label>
+                </div>
+            )}
+            {errorMessage && <div className="col-12 alert alert-danger small py-2 mb-0">{t(errorMessage)}</div>}
+            <div className="col-12 d-flex gap-2">
+                <button type="submit" disabled={saving} className="btn btn-sm btn-primary">{saving ? t("Saving...") : t("Save Plan")}</button>
+                <button type="button" onClick={onCancel} className="btn btn-sm btn-outline-secondary">{t("Cancel")}</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Month grid of plan occurrences. Occurrences that already produced an issue
+ * show that issue's status; the rest are still to be generated.
+ */
+const MaintenanceCalendar = ({ plans, preventiveIssuesById, month, onMonthChange, today }) => {
+    const { t, formatCustomDate } = useI18n();
+    const gridStart = new Date(month.getFullYear(), month.getMonth(), 1 - ((new Date(month.getFullYear(), month.getMonth(), 1).getDay() + 6) % 7));
+    const days = Array.from({ length: 42 }, (_, index) => new Date(gridStart.getFullYear(), gridStart.getMonth(), gridStart.getDate() + index));
+    const gridEnd = new Date(days[41].getFullYear(), days[41].getMonth(), days[41].getDate(), 23, 59, 59, 999);
+    const todayKey = toDateKey(today);
+
+    const occurrencesByDay = {};
+    plans.filter(plan => plan.active !== false && plan.startDate).forEach(plan => {
+        getOccurrencesBetween(plan, gridStart, gridEnd).forEach(occurrence => {
+            const key = toDateKey(occurrence);
+            occurrencesByDay[key] = occurrencesByDay[key] || [];
+            occurrencesByDay[key].push({ plan, issue: preventiveIssuesById[getPreventiveIssueId(plan.id, occurrence)] });
+        });
+    });
+
+    return (
+        <div>
+            <div className="d-flex align-items-center justify-content-between mb-2">
+                <button type="button" onClick={() => onMonthChange(-1)} className="btn btn-sm btn-outline-secondary" aria-label={t("Previous month")}>‹</button>
+                <strong>{formatCustomDate(month, { month: 'long', year: 'numeric' })}</strong>
+                <button type="button" onClick={() => onMonthChange(1)} className="btn btn-sm btn-outline-secondary" aria-label={t("Next month")}>›</button>
+            </div>
+            <div className="table-responsive">
+                <table className="table table-bordered table-sm mb-0" style={{tableLayout: 'fixed'}}>
+                    <thead className="table-light">
+                        <tr>{days.slice(0, 7).map(day => <th key={day.getDay()} scope="col" className="small text-center">{formatCustomDate(day, { weekday: 'short' })}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                        {[0, 1, 2, 3, 4, 5].map(week => (
+                            <tr key={week}>
+                                {days.slice(week * 7, week * 7 + 7).map(day => {
+                                    const key = toDateKey(day);
+                                    const inMonth = day.getMonth() === month.getMonth();
+                                    return (
+                                        <td key={key} className={`small align-top ${inMonth ? "" : "bg-light text-muted"} ${key === todayKey ? "border-primary border-2" : ""}`} style={{height: '90px'}}>
+                                            <div className="text-end">{day.getDate()}</div>
+                                            {(occurrencesByDay[key] || []).map(({ plan, issue }) => (
+                                                <div
+                                                    key={plan.id}
+                                                    className={`badge w-100 text-truncate text-start mb-1 ${issue ? "bg-light text-dark border" : PRIORITY_CHIP_CLASSES[plan.priority] || "bg-secondary"}`}
+                                                    title={`${plan.name} · ${plan.roomNumber}${issue ? ` · ${issue.displayId} (${t(issue.status)})` : key < todayKey ? ` · ${t("not generated")}` : ""}`}
+                                                >
+                                                    {issue && (issue.status === "Completed" ? "✓ " : "• ")}{plan.name}
+                                                </div>
+                                            ))}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const EMPTY_LOCATION_DRAFT ={ type: LOCATION_TYPES.ROOM, name: "", building: "", floor: "", aliases: "", active: true };
+
+/**
+ * Manager form to add a registry entry, or edit `location` when given.
+ */
+const LocationForm = ({ userId, location, onSaved, onCancel }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(() => (location
+        ? { ...EMPTY_LOCATION_DRAFT, ...location, floor: String(location.floor ?? ""), aliases: (location.aliases || []).join(", ") }
+        : EMPTY_LOCATION_DRAFT));
+    const [saving, setSaving] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setDraft(prev => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setErrorMessage(null);
+        try {
+            const savedId = await saveLocation(userId, { ...draft, aliases: draft.aliases.split(",") }, location?.id);
+            onSaved(savedId);
+        } catch (error) {
+            console.error("Location save error:", error);
+            setErrorMessage("Could not save this location.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSave} className="row g-2">
+            <div className="col-sm-4">
+                <label htmlFor="location-type" className="form-label small text-secondary">{t("Type")}</label>
+                <select id="location-type" name="type" value={draft.type} onChange={handleChange} className="form-select form-select-sm">
+                    {Object.values(LOCATION_TYPES).map(type => <option key={type} value={type}>{t(LOCATION_TYPE_LABELS[type])}</option>)}
+                </select>
+            </div>
+            <div className="col-sm-8">
+                <label htmlFor="location-name" className="form-label small text-secondary">
+                    {draft.type === LOCATION_TYPES.ROOM ? t("Room number") : t("Area name")}
+                </label>
+                <input id="location-name" name="name" value={draft.name} onChange={handleChange} required className="form-control form-control-sm" />
+            </div>
+            <div className="col-sm-8">
+                <label htmlFor="location-building" className="form-label small text-secondary">{t("Building")}</label>
+                <input id="location-building" name="building" value={draft.building} onChange={handleChange} className="form-control form-control-sm" />
+            </div>
+            <div className="col-sm-4">
+                <label htmlFor="location-floor" className="form-label small text-secondary">{t("Floor")}</label>
+                <input id="location-floor" name="floor" value={draft.floor} onChange={handleChange} className="form-control form-control-sm" />
+            </div>
+            <div className="col-12">
+                <label htmlFor="location-aliases" className="form-label small text-secondary">{t("Other names (comma-separated)")}</label>
+                <input id="location-aliases" name="aliases" value={draft.aliases} onChange={handleChange} placeholder={t("e.g., Front Lobby, Reception")} className="form-control form-control-sm" />
+            </div>
+            {location && (
+                <div className="col-12 form-check ms-2">
+                    <input id="location-active" name="active" type="checkbox" checked={draft.active !== false} onChange={handleChange} className="form-check-input" />
+                    <label htmlFor="location-active" className="form-check-label small">{t("Active (archived locations are hidden from the submission form)")}</label>
+                </div>
+            )}
+            {errorMessage && <div className="col-12 alert alert-danger small py-2 mb-0">{t(errorMessage)}</div>}
+            <div className="col-12 d-flex gap-2">
+                <button type="submit" disabled={saving} className="btn btn-sm btn-primary">{saving ? t("Saving...") : t("Save Location")}</button>
+                <button type="button" onClick={onCancel} className="btn btn-sm btn-outline-secondary">{t("Cancel")}</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Every FIR ever logged for one registry entry, with open/total counts.
+ */
+const LocationDetail = ({ userId, location, staffById }) => {
+    const { t, formatDate } = useI18n();
+    const [issues, setIssues] = useState(null);
+
+    useEffect(() => {
+        setIssues(null);
+        const unsubscribe = subscribeToLocationIssues(userId, location.id, setIssues);
+        return () => unsubscribe();
+    }, [userId, location.id]);
+
+    const openCount = (issues || []).filter(issue => issue.status === "Submitted" || issue.status === "In Progress").length;
+
+    return (
+        <div>
+            <h3 className="h5 fw-bold mb-1">
+                {formatLocationLabel(location)}
+                {location.active === false && <span className="badge bg-secondary ms-2 small">{t("Archived")}</span>}
+            </h3>
+            <p className="small text-secondary mb-3">
+                {[t(LOCATION_TYPE_LABELS[location.type]), formatLocationDetail(location)].filter(Boolean).join(" · ")}
+                {location.aliases?.length > 0 && ` · ${t("Also known as {names}", { names: location.aliases.join(", ") })}`}
+            </p>
+            {issues === null ? (
+                <p className="small text-primary">{getIconComponent('Spinner', "me-2 fs-6")} {t("Loading issues...")}</p>
+            ) : (
+                <>
+                    <p className="small mb-2">
+                        {t(issues.length === 1 ? "1 issue logged" : "{count} issues logged", { count: issues.length })} · {t("{count} open", { count: openCount })}
+                    </p>
+                    <div className="table-responsive">
+                        <table className="table table-sm table-hover align-middle mb-0">
+                            <thead className="table-light">
+                                <tr>
+                                    <th scope="col" className="small text-uppercase">{t("ID")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Issue")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Priority")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Status")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Assignee")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Submitted")}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {issues.map(issue => (
+                                    <tr key={issue.id}>
+                                        <td className="small fw-bold text-primary">{issue.displayId}</td>
+                                        <td className="small">
+                                            <div className="fw-semibold">{issue.issueTitle}</div>
+                                            <div className="text-secondary">{t(issue.department)}</div>
+                                        </td>
+                                        <td className="small">{t(issue.priority)}</td>
+                                        <td><span className={getStatusBadge(issue.status)}>{t(issue.status)}</span></td>
+                                        <td className="small">{issue.assignedTo ? getStaffName(staffById, issue.assignedTo) : "—"}</td>
+                                        <td className="small text-muted">{formatDate(issue.createdAt) || t("N/A")}</td>
+                                    </tr>
+                                ))}
+                                {issues.length === 0 && (
+                                    <tr><td colSpan="6" className="text-center text-muted small py-3">{t("No issues logged for this location.")}</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+/**
+ * One-time tool to link issues with free-text `roomNumber` values to registry
+ * entries. Values are grouped loosely ("Room 301", "rm 301"), pre-matched where
+ * the registry has an unambiguous entry, and applied with the bulk update path
+ * so every change lands in the issue's history.
+ */
+const LocationMigrationTool = ({ userId, locations }) => {
+    const { t } = useI18n();
+    const [plan, setPlan] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [phase, setPhase] = useState("idle"); // 'idle', 'scanning', 'ready', 'applying'
+    const [result, setResult] = useState(null);
+    const activeLocations = locations.filter(location => location.active !== false);
+
+    const scan = async () => {
+        setPhase("scanning");
+        try {
+            const nextPlan = buildLocationMigrationPlan(await fetchAllIssues(userId), locations);
+            setPlan(nextPlan);
+            setMapping(Object.fromEntries(nextPlan.map(group => [group.key, group.suggestedLocationId || ""])));
+        } catch (error) {
+            console.error("Location migration scan error:", error);
+            setResult({ updated: 0, failed: 0, error: "Could not read the existing issues." });
+        }
+        setPhase("ready");
+    };
+
+    const apply = async () => {
+        setPhase("applying");
+        let updated = 0;
+        let failed = 0;
+        for (const group of plan) {
+            const location = locations.find(candidate => candidate.id === mapping[group.key]);
+            if (!location) continue;
+            // One transaction per slice; a failed slice is picked up again by the rescan
+            for (let start = 0; start < group.issues.length; start += MAX_BULK_UPDATE_ISSUES) {
+                const slice = group.issues.slice(start, start + MAX_BULK_UPDATE_ISSUES);
+                try {
+                    const outcome = await bulkUpdateIssues(userId, slice, { locationId: location.id, roomNumber: formatLocationLabel(location) });
+                    updated += outcome.updated.length;
+                    failed += outcome.failed.length;
+                } catch (error) {
+                    console.error("Location migration error:", error);
+                    failed += slice.length;
+                }
+            }
+        }
+        setResult({ updated, failed });
+        await scan();
+    };
+
+    const mappedCount = (plan || [])
+        .filter(group => mapping[group.key])
+        .reduce((sum, group) => sum + group.issues.length, 0);
+
+    return (
+        <div>
+            <p className="small text-secondary">
+                {t("Links issues logged before the registry existed to a registry entry. Unmapped values are left as they are.")}
+            </p>
+            {result && (
+                <div className={`alert small py-2 ${result.failed || result.error ? "alert-warning" : "alert-success"}`} role="status">
+                    {result.error ? t(result.error) : (
+                        <>
+                            {t(result.updated === 1 ? "1 issue linked." : "{count} issues linked.", { count: result.updated })}
+                            {result.failed > 0 && ` ${t("{count} failed (try again).", { count: result.failed })}`}
+                        </>
+                    )}
+                </div>
+            )}
+            {plan === null ? (
+                <button type="button" onClick={scan} disabled={phase === "scanning"} className="btn btn-sm btn-outline-primary">
+                    {phase === "scanning" ? t("Scanning...") : t("Scan existing issues")}
+                </button>
+            ) : plan.length === 0 ? (
+                <p className="small text-success mb-0">{t("Every issue is linked to the registry.")}</p>
+            ) : (
+                <>
+                    <div className="table-responsive">
+                        <table className="table table-sm align-middle">
+                            <thead className="table-light">
+                                <tr>
+                                    <th scope="col" className="small text-uppercase">{t("Entered as")}</th>
+                                    <th scope="col" className="small text-uppercase text-end">{t("Issues")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Registry location")}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plan.map(group => (
+                                    <tr key={group.key}>
+                                        <td className="small">{group.values.map(value => value || t("(blank)")).join(" · ")}</td>
+                                        <td className="small text-end">{group.issues.length}</td>
+                                        <td>
+                                            <select
+                                                aria-label={t("Registry location for {value}", { value: group.values[0] || t("(blank)") })}
+                                                value={mapping[group.key] || ""}
+                                                onChange={(e) => setMapping(prev => ({ ...prev, [group.key]: e.target.value }))}
+                                                className="form-select form-select-sm"
+                                            >
+                                                <option value="">{t("— Leave unmapped —")}</option>
+                                                {activeLocations.map(location => (
+                                                    <option key={location.id} value={location.id}>
+                                                        {formatLocationLabel(location)}{location.building ? ` (${location.building})` : ""}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <button type="button" onClick={apply} disabled={phase === "applying" || mappedCount === 0} className="btn btn-sm btn-primary">
+                        {phase === "applying" ? t("Linking...") : t(mappedCount === 1 ? "Link 1 issue" : "Link {count} issues", { count: mappedCount })}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Full-screen gallery for an issue's photos. Arrow keys step through, Escape closes.
+ */
+const ImageLightbox = ({ images, startIndex = 0, title, onClose }) => {
+    const { t, dir } = useI18n();
+    const [index, setIndex] = useState(startIndex);
+    const image = images[index];
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowLeft') setIndex(i => (i - 1 + images.length) % images.length);
+            if (e.key === 'ArrowRight') setIndex(i => (i + 1) % images.length);
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [images.length, onClose]);
+
+    return (
+        <div
+            className="modal d-block"
+            role="dialog"
+            aria-modal="true"
+            aria-label={title || t("Gallery")}
+            style={{backgroundColor: 'rgba(0, 0, 0, 0.85)'}}
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="modal-dialog modal-xl modal-dialog-centered">
+                <div className="modal-content bg-dark text-white border-0">
+                    <div className="modal-header border-0 py-2">
+                        <span className="small">
+                            {title && <strong className="me-2">{title}</strong>}
+                            {index + 1} / {images.length} · {image.name}
+                        </span>
+                        <a href={image.url} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-light ms-auto me-3">{t("Open original")}</a>
+                        <button type="button" onClick={onClose} className="btn-close btn-close-white m-0" aria-label={t("Close")}></button>
+                    </div>
+                    <div className="modal-body text-center position-relative p-2">
+                        <img src={image.url} alt={image.name} className="img-fluid rounded" style={{maxHeight: '75vh'}} />
+                        {images.length > 1 && (
+                            <>
+                                <button
+                                    type="button"
+                                    onClick={() => setIndex((index - 1 + images.length) % images.length)}
+                                    className="btn btn-dark bg-opacity-50 position-absolute top-50 start-0 translate-middle-y ms-2"
+                                    aria-label={t("Previous")}
+                                >
+                                    <i className={`fa-solid ${dir === "rtl" ? "fa-chevron-right" : "fa-chevron-left"}`}></i>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setIndex((index + 1) % images.length)}
+                                    className="btn btn-dark bg-opacity-50 position-absolute top-50 end-0 translate-middle-y me-2"
+                                    aria-label={t("Next")}
+                                >
+                                    <i className={`fa-solid ${dir === "rtl" ? "fa-chevron-left" : "fa-chevron-right"}`}></i>
+                                </button>
+                            </>
+                        )}
+                    </div>
+                    {images.length > 1 && (
+                        <div className="modal-footer border-0 justify-content-center py-2">
+                            {images.map((thumb, i) => (
+                                <button
+                                    key={thumb.url}
+                                    type="button"
+                                    onClick={() => setIndex(i)}
+                                    className={`btn p-0 border ${i === index ? "border-info border-2" : "border-secondary"}`}
+                                    aria-label={t("Show {name}", { name: thumb.name })}
+                                >
+                                    <img src={thumb.thumbnailUrl || thumb.url} alt={thumb.name} style={{width: '64px', height: '48px', objectFit: 'cover'}} />
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Thumbnail preview for the issue table; opens the lightbox on click.
+ */
+const ImageGallery = ({ images, title }) => {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+
+    if (images.length === 0) {
+        return <span className="text-muted small">{t("N/A")}</span>;
+    }
+
+    return (
+        <>
+            <button type="button" onClick={() => setOpen(true)} className="btn p-0 border-0 position-relative" aria-label={t("View {count} attachment(s)", { count: images.length })}>
+                <img src={images[0].thumbnailUrl || images[0].url} alt={images[0].name} className="rounded border" style={{width: '64px', height: '48px', objectFit: 'cover'}} />
+                {images.length > 1 && (
+                    <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-primary">+{images.length - 1}</span>
+                )}
+            </button>
+            {open && <ImageLightbox images={images} title={title} onClose={() => setOpen(false)} />}
+        </>
+    );
+};
+
+/**
+ * A display ID that links to the issue's own page. Plain clicks navigate in
+ * place; modified clicks (new tab, copy link) use the real URL.
+ */
+const IssueLink = ({ displayId, onOpen, className = "", children }) => (
+    <a
+        href={buildPath({ tab: ISSUE_TAB, displayId })}
+        onClick={(e) => {
+            if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            onOpen(displayId);
+        }}
+        className={className}
+    >
+        {children || displayId}
+    </a>
+);
+
+/**
+ * Links between a report submitted despite the duplicate warning and the open
+ * issue it resembles, in both directions: `duplicates` are the issues flagged
+ * against `fir`.
+ */
+const DuplicateLinks = ({ fir, duplicates = [], onOpen }) => {
+    const { t } = useI18n();
+    if (!fir.possibleDuplicateOf && duplicates.length === 0) return null;
+
+    return (
+        <div className="small mt-1 d-flex flex-wrap gap-2">
+            {fir.possibleDuplicateOf && (
+                <span className="badge bg-warning text-dark fw-normal">
+                    <TranslatedText
+                        text="Possible duplicate of {id}"
+                        params={{ id: <IssueLink displayId={fir.possibleDuplicateOfDisplayId} onOpen={onOpen} className="link-dark fw-semibold" /> }}
+                    />
+                </span>
+            )}
+            {duplicates.length > 0 && (
+                <span className="badge bg-light text-dark border fw-normal">
+                    {t("Reported again as")}{" "}
+                    {duplicates.map((duplicate, index) => (
+                        <React.Fragment key={duplicate.id}>
+                            {index > 0 && ", "}
+                            <IssueLink displayId={duplicate.displayId} onOpen={onOpen} className="link-dark fw-semibold" />
+                        </React.Fragment>
+                    ))}
+                </span>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Assignee cell: managers pick from the department roster, the assigned
+ * technician sees an Accept button until they take the job.
+ */
+const AssigneeControl = ({ fir, profile, staffById, onAssign, onAccept }) => {
+    const { t } = useI18n();
+    const roster = getTechnicianRoster(staffById, fir.department);
+    const assigneeMissing = fir.assignedTo && !roster.some(staff => staff.id === fir.assignedTo);
+
+    return (
+        <div className="d-flex flex-column gap-1" style={{minWidth: '160px'}}>
+            {canAssignIssues(profile) ? (
+                <select
+                    value={fir.assignedTo || ""}
+                    onChange={(e) => onAssign(fir.id, e.target.value || null)}
+                    className="form-select form-select-sm"
+                    aria-label={t("Assignee for {id}", { id: fir.displayId })}
+                >
+                    <option value="">{t("Unassigned")}</option>
+                    {assigneeMissing && (
+                        <option value={fir.assignedTo}>{getStaffName(staffById, fir.assignedTo)}</option>
+                    )}
+                    {roster.map(staff => (
+                        <option key={staff.id} value={staff.id}>{staff.displayName}</option>
+                    ))}
+                </select>
+            ) : (
+                <span className="small">{fir.assignedTo ? getStaffName(staffById, fir.assignedTo) : <span className="text-muted">{t("Unassigned")}</span>}</span>
+            )}
+            {fir.assignmentStatus === "pending" && (
+                canAcceptAssignment(profile, fir) ? (
+                    <button type="button" onClick={() => onAccept(fir.id)} className="btn btn-sm btn-success py-0">
+                        {getIconComponent('Check', "me-1 text-white small")} {t("Accept job")}
+                    </button>
+                ) : (
+                    <span className="badge bg-light text-secondary border">{t("Awaiting acceptance")}</span>
+                )
+            )}
+            {fir.assignmentStatus === "accepted" && (
+                <span className="badge bg-success bg-opacity-75">{t("Accepted")}</span>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Live work-notes thread for one issue. Reports how many comments are on screen
+ * through `onSeen` so the row's unread badge clears while the thread is open.
+ */
+const CommentThread = ({ userId, issueId, staffById, onSeen }) => {
+    const { t, formatDateTime } = useI18n();
+    const [comments, setComments] = useState(null);
+    const [text, setText] = useState("");
+    const [visibility, setVisibility] = useState("internal");
+    const [imageFile, setImageFile] = useState(null);
+    const [posting, setPosting] = useState(false);
+    const [lightboxImage, setLightboxImage] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToComments(userId, issueId, setComments);
+        return () => unsubscribe();
+    }, [userId, issueId]);
+
+    useEffect(() => {
+        if (comments) onSeen(issueId, comments.length);
+    }, [comments, issueId, onSeen]);
+
+    const handlePost = async (e) => {
+        e.preventDefault();
+        if (!text.trim() && !imageFile) return;
+
+        setPosting(true);
+        try {
+            await addComment(userId, issueId, { text, visibility, imageFile });
+            setText("");
+            setImageFile(null);
+            setVisibility("internal");
+        } catch (error) {
+            console.error("Comment error: ", error);
+        } finally {
+            setPosting(false);
+        }
+    };
+
+    return (
+        <div>
+            {comments === null && (
+                <div className="small text-primary d-flex align-items-center mb-2">
+                    {getIconComponent('Spinner', "me-2 fs-6")} {t("Loading comments...")}
+                </div>
+            )}
+            {comments?.length === 0 && <div className="small text-muted mb-2">{t("No comments yet.")}</div>}
+            <ul className="list-unstyled mb-3">
+                {(comments || []).map(comment => (
+                    <li key={comment.id} className={`mb-2 p-2 rounded border ${comment.visibility === "guest" ? "bg-white border-info" : "bg-white"}`}>
+                        <div className="small d-flex align-items-center mb-1">
+                            <strong className="me-2">{getStaffName(staffById, comment.authorId)}</strong>
+                            <span className="text-muted me-2">
+                                {formatDateTime(comment.createdAt) || t("N/A")}
+                            </span>
+                            <span className={`badge ms-auto ${comment.visibility === "guest" ? "bg-info text-dark" : "bg-secondary"}`}>
+                                {comment.visibility === "guest" ? t("Guest-visible") : t("Internal")}
+                            </span>
+                        </div>
+                        {comment.text && <div className="small" style={{whiteSpace: 'pre-wrap'}}>{comment.text}</div>}
+                        {comment.image && (
+                            <button type="button" onClick={() => setLightboxImage(comment.image)} className="btn p-0 border-0 mt-1" aria-label={t("View {name}", { name: comment.image.name })}>
+                                <img src={comment.image.thumbnailUrl || comment.image.url} alt={comment.image.name} className="rounded border" style={{width: '96px', height: '72px', objectFit: 'cover'}} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            <form onSubmit={handlePost} className="row g-2 align-items-end">
+                <div className="col-12">
+                    <label htmlFor={`comment-${issueId}`} className="visually-hidden">{t("Add a comment")}</label>
+                    <textarea
+                        id={`comment-${issueId}`}
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        placeholder={t("e.g., Waiting on replacement part")}
+                        rows="2"
+                        className="form-control form-control-sm"
+                    />
+                </div>
+                <div className="col-md-4">
+                    <input
+                        type="file"
+                        accept="image/*"
+                        aria-label={t("Attach a photo")}
+                        onChange={(e) => setImageFile(e.target.files[0] || null)}
+                        className="form-control form-control-sm"
+                    />
+                </div>
+                <div className="col-md-4">
+                    <select
+                        value={visibility}
+                        onChange={(e) => setVisibility(e.target.value)}
+                        aria-label={t("Comment visibility")}
+                        className="form-select form-select-sm"
+                    >
+                        <option value="internal">{t("Internal (staff only)")}</option>
+                        <option value="guest">{t("Guest-visible")}</option>
+                    </select>
+                </div>
+                <div className="col-md-4">
+                    <button type="submit" disabled={posting || (!text.trim() && !imageFile)} className="btn btn-sm btn-primary w-100">
+                        {posting ? t("Posting...") : t("Post Comment")}
+                    </button>
+                </div>
+            </form>
+
+            {lightboxImage && <ImageLightbox images={[lightboxImage]} onClose={() => setLightboxImage(null)} />}
+        </div>
+    );
+};
+
+/**
+ * Collects what a status move requires before it is applied: resolution notes
+ * (and optional "after" photos) to complete, a reason code to cancel, or a
+ * confirmation to reopen.
+ */
+const StatusChangeDialog = ({ change, onConfirm, onClose }) => {
+    const { t } = useI18n();
+    const { fir, status, phase, error } = change;
+    const [details, setDetails] = useState({ resolutionNotes: "", afterPhotos: [], cancelReason: "", cancelNote: "" });
+    const validationError = getTransitionError(fir, status, details);
+    const reopening = isReopen(fir.status, status);
+    const saving = phase === 'saving';
+
+    const setDetail = (key, value) => setDetails(prev => ({ ...prev, [key]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!validationError) onConfirm(details);
+    };
+
+    return (
+        <div className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="status-dialog-title" style={{backgroundColor: 'rgba(0, 0, 0, 0.5)'}}>
+            <div className="modal-dialog modal-dialog-centered">
+                <form onSubmit={handleSubmit} className="modal-content">
+                    <div className="modal-header">
+                        <h2 id="status-dialog-title" className="modal-title h5">
+                            {t(reopening ? "Reopen {id}" : status === "Completed" ? "Complete {id}" : "Cancel {id}", { id: fir.displayId })}
+                        </h2>
+                        <button type="button" className="btn-close" aria-label={t("Close")} onClick={onClose} disabled={saving}></button>
+                    </div>
+                    <div className="modal-body">
+                        <p className="small text-secondary">
+                            {fir.issueTitle} · <span className="fw-semibold">{t(fir.status)}</span> → <span className="fw-semibold">{t(status)}</span>
+                        </p>
+
+                        {status === "Completed" && (
+                            <>
+                                <label htmlFor="resolution-notes" className="form-label small fw-medium">{t("Resolution notes")}</label>
+                                <textarea
+                                    id="resolution-notes"
+                                    rows="4"
+                                    value={details.resolutionNotes}
+                                    onChange={(e) => setDetail("resolutionNotes", e.target.value)}
+                                    placeholder={t("What was wrong and what was done")}
+                                    required
+                                    className="form-control mb-3"
+                                ></textarea>
+                                <label htmlFor="after-photos" className="form-label small fw-medium">{t("\"After\" photos (optional)")}</label>
+                                <input
+                                    id="after-photos"
+                                    type="file"
+                                    accept="image/*"
+                                    multiple
+                                    onChange={(e) => setDetail("afterPhotos", Array.from(e.target.files || []).slice(0, MAX_PHOTOS_PER_ISSUE))}
+                                    className="form-control"
+                                />
+                            </>
+                        )}
+
+                        {status === "Canceled" && (
+                            <>
+                                <label htmlFor="cancel-reason" className="form-label small fw-medium">{t("Reason")}</label>
+                                <select
+                                    id="cancel-reason"
+                                    value={details.cancelReason}
+                                    onChange={(e) => setDetail("cancelReason", e.target.value)}
+                                    required
+                                    className="form-select mb-3"
+                                >
+                                    <option value="">{t("Choose a reason...")}</option>
+                                    {Object.entries(CANCEL_REASONS).map(([code, label]) => <option key={code} value={code}>{t(label)}</option>)}
+                                </select>
+                                <label htmlFor="cancel-note" className="form-label small fw-medium">
+                                    {details.cancelReason === "other" ? t("Note") : t("Note (optional)")}
+                                </label>
+                                <textarea
+                                    id="cancel-note"
+                                    rows="2"
+                                    value={details.cancelNote}
+                                    onChange={(e) => setDetail("cancelNote", e.target.value)}
+                                    required={details.cancelReason === "other"}
+                                    className="form-control"
+                                ></textarea>
+                            </>
+                        )}
+
+                        {reopening && (
+                            <p className="small mb-0">
+                                {fir.status === "Completed" ? t("The previous resolution stays in the history.") : t("The previous cancellation stays in the history.")}{" "}
+                                {t("This will be reopen #{count} for this issue.", { count: (fir.reopenCount || 0) + 1 })}
+                            </p>
+                        )}
+
+                        {error && <div className="alert alert-danger small py-2 mt-3 mb-0">{t(error)}</div>}
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" onClick={onClose} disabled={saving} className="btn btn-outline-secondary">{t("Back")}</button>
+                        <button type="submit" disabled={Boolean(validationError) || saving} className="btn btn-primary">
+                            {saving ? t("Saving...") : reopening ? t("Reopen") : t("Mark {status}", { status: t(status) })}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Resolution notes / cancellation reason and the reopen count of an issue.
+ */
+const ResolutionSummary = ({ fir }) => {
+    const { t } = useI18n();
+
+    return (
+        <>
+            {fir.reopenCount > 0 && <span className="badge bg-warning text-dark mt-1">{t("Reopened ×{count}", { count: fir.reopenCount })}</span>}
+            {fir.status === "Completed" && fir.resolutionNotes && (
+                <div className="small text-success mt-1">
+                    <span className="fw-semibold">{t("Resolution:")}</span> {fir.resolutionNotes}
+                    {fir.resolutionImages?.length > 0 && (
+                        <div className="mt-1"><ImageGallery images={fir.resolutionImages} title={t("{id} after", { id: fir.displayId })} /></div>
+                    )}
+                </div>
+            )}
+            {fir.status === "Canceled" && fir.cancelReason && (
+                <div className="small text-danger mt-1">
+                    <span className="fw-semibold">{t("Canceled:")}</span> {t(CANCEL_REASONS[fir.cancelReason] || fir.cancelReason)}
+                    {fir.cancelNote ? ` — ${fir.cancelNote}` : ""}
+                </div>
+            )}
+        </>
+    );
+};
+
+/**
+ * Confirmation summary before a bulk update, then the per-issue result report.
+ * `dialog.phase` is 'confirm', 'applying' or 'report'.
+ */
+const BulkUpdateDialog = ({ dialog, staffById, onConfirm, onClose }) => {
+    const { t } = useI18n();
+    const { phase, issues, skipped, changes, result } = dialog;
+    const describeChange = (field) => {
+        const value = formatHistoryFieldValue(field, changes[field], staffById, t);
+        return `${t(HISTORY_FIELD_LABELS[field] || field)} → ${field === "assignedTo" && value === "—" ? t("Unassigned") : value}`;
+    };
+    const failures = [...skipped, ...(result?.failed || [])];
+    const tooMany = issues.length > MAX_BULK_UPDATE_ISSUES;
+
+    return (
+        <div className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="bulk-dialog-title" style={{backgroundColor: 'rgba(0, 0, 0, 0.5)'}}>
+            <div className="modal-dialog modal-dialog-centered modal-dialog-scrollable">
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 id="bulk-dialog-title" className="modal-title">
+                            {phase === 'report' ? t("Bulk update finished") : t("Confirm bulk update")}
+                        </h5>
+                    </div>
+                    <div className="modal-body small">
+                        <p className="mb-2">{t("Changes:")}</p>
+                        <ul className="mb-3">
+                            {Object.keys(changes).filter(field => field !== "assignmentStatus").map(field => (
+                                <li key={field}><strong>{describeChange(field)}</strong></li>
+                            ))}
+                        </ul>
+
+                        {phase !== 'report' && (
+                            <p className="mb-2">
+                                {t(issues.length === 1 ? "Will be applied to 1 issue:" : "Will be applied to {count} issues:", { count: issues.length })}{" "}
+                                <span className="text-muted">{issues.map(issue => issue.displayId).join(", ")}</span>
+                            </p>
+                        )}
+                        {phase !== 'report' && (
+                            <p className={`mb-2 ${tooMany ? "text-danger fw-semibold" : "text-muted"}`} role={tooMany ? "alert" : undefined}>
+                                {tooMany
+                                    ? t("A bulk update can change at most {max} issues at once. Select fewer issues.", { max: MAX_BULK_UPDATE_ISSUES })
+                                    : t("All issues are saved together: if one cannot be saved, none are.")}
+                            </p>
+                        )}
+
+                        {phase === 'report' && (
+                            <div className={`alert ${failures.length > 0 ? "alert-warning" : "alert-success"} py-2`} role="status">
+                                {[
+                                    t("{count} updated", { count: result.updated.length }),
+                                    result.unchanged.length > 0 && t("{count} already had these values", { count: result.unchanged.length }),
+                                    failures.length > 0 && t("{count} failed", { count: failures.length }),
+                                ].filter(Boolean).join(", ")}.
+                            </div>
+                        )}
+
+                        {failures.length > 0 && (
+                            <>
+                                <p className="mb-1 text-danger fw-semibold">
+                                    {phase === 'report' ? t("Not updated:") : t("Will be skipped:")}
+                                </p>
+                                <ul className="mb-0 text-danger">
+                                    {failures.map(({ issue, reason }) => (
+                                        <li key={issue.id}><strong>{issue.displayId}</strong>: {t(reason)}</li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        {phase === 'report' ? (
+                            <button type="button" onClick={onClose} className="btn btn-primary btn-sm">{t("Close")}</button>
+                        ) : (
+                            <>
+                                <button type="button" onClick={onClose} disabled={phase === 'applying'} className="btn btn-outline-secondary btn-sm">{t("Cancel")}</button>
+                                <button type="button" onClick={onConfirm} disabled={phase === 'applying' || issues.length === 0 || tooMany} className="btn btn-primary btn-sm">
+                                    {phase === 'applying' ? t("Applying...") : t(issues.length === 1 ? "Apply to 1 issue" : "Apply to {count} issues", { count: issues.length })}
+                                </button>
+                            </>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const HISTORY_FIELD_LABELS = {
+    status: "Status",
+    priority: "Priority",
+    department: "Department",
+    assignedTo: "Assignee",
+    assignmentStatus: "Assignment",
+    roomNumber: "Room/Location",
+    issueTitle: "Title",
+    description: "Description",
+    images: "Photos",
+    resolutionNotes: "Resolution notes",
+    cancelReason: "Cancel reason",
+    cancelNote: "Cancel note",
+    reopenCount: "Reopen count",
+};
+
+// Recorded for completeness but not worth a timeline line: the registry link
+// always changes together with the readable roomNumber next to it, imageUrl
+// with images, and "after" photo lists don't read as text.
+const HIDDEN_HISTORY_FIELDS = ["locationId", "imageUrl", "resolutionImages"];
+
+const formatHistoryValue = (value) => (value === null || value === undefined || value === "") ? "—" : String(value);
+
+// Status, priority and department values are stored as English codes
+const TRANSLATED_HISTORY_FIELDS = ["status", "priority", "department"];
+
+const formatHistoryFieldValue = (field, value, staffById, t = (text) => text) => {
+    if (field === "assignedTo" && value) return getStaffName(staffById, value);
+    if (field === "cancelReason" && value) return t(CANCEL_REASONS[value] || value);
+    if (field === "images") return t((value || []).length === 1 ? "1 photo" : "{count} photos", { count: (value || []).length });
+    if (TRANSLATED_HISTORY_FIELDS.includes(field) && value) return t(value);
+    return formatHistoryValue(value);
+};
+
+// A field's value shown on its own, as in a toast or the edit conflict dialog
+const formatEditedValue = (field, value, staffById, t) => {
+    if (field === "assignedTo" && !value) return t("Unassigned");
+    if (field === "assignmentStatus" && value) return t(value === "accepted" ? "Accepted" : "Awaiting acceptance");
+    return formatHistoryFieldValue(field, value, staffById, t);
+};
+
+/**
+ * Timeline of every change recorded for one issue. Subscribes only while mounted,
+ * i.e. while the row's history is expanded.
+ */
+const IssueHistory = ({ userId, issueId, staffById }) => {
+    const { t, formatDateTime } = useI18n();
+    const [entries, setEntries] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToIssueHistory(userId, issueId, setEntries);
+        return () => unsubscribe();
+    }, [userId, issueId]);
+
+    if (entries === null) {
+        return (
+            <div className="small text-primary d-flex align-items-center">
+                {getIconComponent('Spinner', "me-2 fs-6")} {t("Loading history...")}
+            </div>
+        );
+    }
+
+    if (entries.length === 0) {
+        return <div className="small text-muted">{t("No history recorded for this issue yet.")}</div>;
+    }
+
+    return (
+        <ul className="list-unstyled small mb-0 border-start border-2 border-primary ps-3">
+            {entries.filter(entry => !HIDDEN_HISTORY_FIELDS.includes(entry.field)).map(entry => (
+                <li key={entry.id} className="mb-2">
+                    <span className="text-muted me-2">
+                        {formatDateTime(entry.timestamp) || t("N/A")}
+                    </span>
+                    <strong className="me-1">{getStaffName(staffById, entry.userId)}</strong>
+                    {entry.action === "created" ? (
+                        <span>
+                            <TranslatedText
+                                text="created the issue ({field}: {value})"
+                                params={{
+                                    field: t(HISTORY_FIELD_LABELS[entry.field] || entry.field),
+                                    value: <strong>{formatHistoryFieldValue(entry.field, entry.newValue, staffById, t)}</strong>,
+                                }}
+                            />
+                        </span>
+                    ) : (
+                        <span>
+                            <TranslatedText
+                                text="changed {field} from {from} to {to}"
+                                params={{
+                                    field: t(HISTORY_FIELD_LABELS[entry.field] || entry.field),
+                                    from: <strong>{formatHistoryFieldValue(entry.field, entry.oldValue, staffById, t)}</strong>,
+                                    to: <strong>{formatHistoryFieldValue(entry.field, entry.newValue, staffById, t)}</strong>,
+                                }}
+                            />
+                        </span>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+/**
+ * A text value with an Edit button for those allowed to change it.
+ * `onSave(value)` may reject; its message is shown under the input.
+ */
+const EditableText = ({ id, label, value, multiline = false, required = false, canEdit, onSave, renderValue }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(null); // null while not editing
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            await onSave(draft.trim());
+            setDraft(null);
+        } catch (saveError) {
+            console.error(`Could not save ${label}:`, saveError);
+            setError(saveError.message);
+        }
+        setSaving(false);
+    };
+
+    if (draft === null) {
+        return (
+            <div className="d-flex align-items-start gap-2">
+                <div className="flex-grow-1">{renderValue ? renderValue(value) : (value || <span className="text-muted">—</span>)}</div>
+                {canEdit && (
+                    <button type="button" onClick={() => setDraft(value || "")} className="btn btn-sm btn-link p-0" aria-label={t("Edit {field}", { field: label })}>
+                        <i className="fa-solid fa-pen small"></i>
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    const Input = multiline ? "textarea" : "input";
+    return (
+        <form onSubmit={handleSubmit}>
+            <label htmlFor={id} className="visually-hidden">{label}</label>
+            <Input
+                id={id}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={multiline ? 5 : undefined}
+                required={required}
+                autoFocus
+                className="form-control form-control-sm"
+            />
+            {error && <div className="small text-danger mt-1">{t(error)}</div>}
+            <div className="d-flex gap-2 mt-2">
+                <button type="submit" disabled={saving || (required && !draft.trim())} className="btn btn-sm btn-primary">{saving ? t("Saving...") : t("Save")}</button>
+                <button type="button" onClick={() => { setDraft(null); setError(null); }} disabled={saving} className="btn btn-sm btn-outline-secondary">{t("Cancel")}</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * The room/location of an issue, re-linked through the registry typeahead when edited.
+ */
+const EditableRoom = ({ fir, locations, canEdit, onSave, onOpenLocation }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(null); // { roomNumber, locationId } while editing
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            await onSave({ roomNumber: draft.roomNumber.trim(), locationId: draft.locationId || null });
+            setDraft(null);
+        } catch (saveError) {
+            console.error("Could not save the room:", saveError);
+            setError(saveError.message);
+        }
+        setSaving(false);
+    };
+
+    if (draft === null) {
+        return (
+            <div className="d-flex align-items-start gap-2">
+                <div className="flex-grow-1">
+                    {fir.locationId ? (
+                        <button type="button" onClick={() => onOpenLocation(fir.locationId)} className="btn btn-link p-0 text-secondary" title={t("Show every issue for this location")}>
+                            {fir.roomNumber}
+                        </button>
+                    ) : fir.roomNumber}
+                </div>
+                {canEdit && (
+                    <button type="button" onClick={() => setDraft({ roomNumber: fir.roomNumber || "", locationId: fir.locationId || null })} className="btn btn-sm btn-link p-0" aria-label={t("Edit room")}>
+                        <i className="fa-solid fa-pen small"></i>
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <LocationTypeahead
+                id={`room-${fir.id}`}
+                locations={locations}
+                value={draft.roomNumber}
+                locationId={draft.locationId}
+                onChange={setDraft}
+            />
+            {error && <div className="small text-danger mt-1">{t(error)}</div>}
+            <div className="d-flex gap-2 mt-2">
+                <button type="submit" disabled={saving || !draft.roomNumber.trim()} className="btn btn-sm btn-primary">{saving ? t("Saving...") : t("Save")}</button>
+                <button type="button" onClick={() => { setDraft(null); setError(null); }} disabled={saving} className="btn btn-sm btn-outline-secondary">{t("Cancel")}</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Every photo of an issue at a readable size, opening full size in the
+ * lightbox. Editors can add photos (up to MAX_PHOTOS_PER_ISSUE) and remove them.
+ */
+const IssuePhotos = ({ fir, canEdit, onAdd, onRemove }) => {
+    const { t } = useI18n();
+    const images = getIssueImages(fir);
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    const [progress, setProgress] = useState(null); // Per-photo fractions while uploading
+    const [error, setError] = useState(null);
+    const room = MAX_PHOTOS_PER_ISSUE - images.length;
+
+    const run = async (work) => {
+        setError(null);
+        try {
+            await work();
+        } catch (photoError) {
+            console.error("Photo update error:", photoError);
+            setError(photoError.message);
+        }
+    };
+
+    const handleFiles = (e) => {
+        const files = Array.from(e.target.files || []).slice(0, room);
+        e.target.value = "";
+        if (files.length === 0) return;
+        setProgress(files.map(() => 0));
+        run(() => onAdd(files, (index, fraction) => setProgress(prev => prev.map((value, i) => (i === index ? fraction : value)))))
+            .then(() => setProgress(null));
+    };
+
+    return (
+        <div>
+            {images.length === 0 && <div className="small text-muted">{t("No photos.")}</div>}
+            <div className="d-flex flex-wrap gap-2">
+                {images.map((image, index) => (
+                    <div key={image.url} className="position-relative">
+                        <button type="button" onClick={() => setLightboxIndex(index)} className="btn p-0 border-0" aria-label={t("View {name}", { name: image.name })}>
+                            <img src={image.thumbnailUrl || image.url} alt={image.name} className="rounded border" style={{width: '160px', height: '120px', objectFit: 'cover'}} />
+                        </button>
+                        {canEdit && (
+                            <button
+                                type="button"
+                                onClick={() => window.confirm(t("Remove {name} from {id}?", { name: image.name, id: fir.displayId })) && run(() => onRemove(image.url))}
+                                className="btn btn-sm btn-danger position-absolute top-0 end-0 m-1 py-0 px-1"
+                                aria-label={t("Remove {name}", { name: image.name })}
+                            >
+                                <i className="fa-solid fa-xmark"></i>
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+            {canEdit && room > 0 && (
+                <div className="mt-2">
+                    <label htmlFor={`add-photos-${fir.id}`} className="form-label small mb-1">{t("Add photos ({count} more allowed)", { count: room })}</label>
+                    <input id={`add-photos-${fir.id}`} type="file" accept="image/*" multiple onChange={handleFiles} disabled={Boolean(progress)} className="form-control form-control-sm" />
+                </div>
+            )}
+            {progress && (
+                <div className="progress mt-2" style={{height: '6px'}} role="progressbar" aria-label={t("Uploading photos")}>
+                    <div className="progress-bar" style={{width: `${(progress.reduce((sum, value) => sum + value, 0) / progress.length) * 100}%`}}></div>
+                </div>
+            )}
+            {error && <div className="small text-danger mt-1">{t(error)}</div>}
+            {lightboxIndex !== null && (
+                <ImageLightbox images={images} startIndex={lightboxIndex} title={fir.displayId} onClose={() => setLightboxIndex(null)} />
+            )}
+        </div>
+    );
+};
+
+/**
+ * The whole record of one issue: content (editable by those allowed), the
+ * triage controls also found in the issue table, every stored field, comments
+ * and history. Used on the issue's own page and in the detail dialog.
+ */
+const IssueDetailView = ({
+    fir, userId, profile, staffById, slaTargets, now, locations,
+    onUpdateField, onUpdateDetails, onAddPhotos, onRemovePhoto, onStatusSelect, onAssign, onAccept, onOpenLocation, onOpenIssue, onCommentsSeen
+}) => {
+    const { t, formatDateTime } = useI18n();
+    const [duplicates, setDuplicates] = useState([]);
+    const canEdit = (field) => canUpdateField(profile, fir, field);
+
+    useEffect(() => subscribeToPossibleDuplicates(userId, fir.id, setDuplicates), [userId, fir.id]);
+
+    const byStaff = (staffId) => staffId && t("by {name}", { name: getStaffName(staffById, staffId) });
+    const record = [
+        ["Display ID", fir.displayId],
+        ["Type", t(fir.type || "Reactive")],
+        ["Reported by", fir.source === GUEST_SOURCE ? t("Guest (room QR code)") : null],
+        ["Submitted", [formatDateTime(fir.createdAt), byStaff(fir.submittedBy)].filter(Boolean).join(" ")],
+        ["Last updated", [formatDateTime(fir.updatedAt), byStaff(fir.updatedBy)].filter(Boolean).join(" ")],
+        ["Responded", formatDateTime(fir.respondedAt)],
+        ["Resolved", formatDateTime(fir.resolvedAt)],
+        ["Assignment", fir.assignmentStatus],
+        ["Reopened", fir.reopenCount ? t(fir.reopenCount === 1 ? "1 time" : "{count} times", { count: fir.reopenCount }) : null],
+        ["Comments", String(fir.commentCount || 0)],
+        ["Last comment", formatDateTime(fir.lastCommentAt)],
+        ["Legacy ID", fir.legacyDisplayId],
+        ["Copied from old app", fir.migratedFrom && [fir.migratedFrom, formatDateTime(fir.migratedAt)].filter(Boolean).join(" · ")],
+    ].filter(([, value]) => value);
+
+    return (
+        <div className="row g-4">
+            <div className="col-lg-7">
+                <div className="card shadow-sm border-0">
+                    <div className="card-body">
+                        <div className="small text-muted">{t("Title")}</div>
+                        <div className="fs-5 fw-semibold mb-3">
+                            <EditableText
+                                id={`title-${fir.id}`}
+                                label={t("title")}
+                                value={fir.issueTitle}
+                                required
+                                canEdit={canEdit("issueTitle")}
+                                onSave={(value) => onUpdateDetails(fir, { issueTitle: value })}
+                            />
+                            <DuplicateLinks fir={fir} duplicates={duplicates} onOpen={onOpenIssue} />
+                        </div>
+                        <div className="small text-muted">{t("Room/Location")}</div>
+                        <div className="mb-3">
+                            <EditableRoom
+                                fir={fir}
+                                locations={locations}
+                                canEdit={canEdit("roomNumber")}
+                                onSave={(changes) => onUpdateDetails(fir, changes)}
+                                onOpenLocation={onOpenLocation}
+                            />
+                        </div>
+                        <div className="small text-muted">{t("Description")}</div>
+                        <div className="mb-3">
+                            <EditableText
+                                id={`description-${fir.id}`}
+                                label={t("description")}
+                                value={fir.description}
+                                multiline
+                                canEdit={canEdit("description")}
+                                onSave={(value) => onUpdateDetails(fir, { description: value })}
+                                renderValue={(value) => (value ? <p className="mb-0" style={{ whiteSpace: 'pre-wrap' }}>{value}</p> : <span className="text-muted">{t("No description.")}</span>)}
+                            />
+                        </div>
+                        <PreventiveDetails fir={fir} />
+                        <ResolutionSummary fir={fir} />
+                        <div className="small text-muted mt-3 mb-1">{t("Photos")}</div>
+                        <IssuePhotos
+                            fir={fir}
+                            canEdit={canEdit("images")}
+                            onAdd={(files, onProgress) => onAddPhotos(fir, files, onProgress)}
+                            onRemove={(url) => onRemovePhoto(fir, url)}
+                        />
+                    </div>
+                </div>
+                <div className="card shadow-sm border-0 mt-4">
+                    <div className="card-body">
+                        <h3 className="h6 fw-semibold text-secondary">{t("Comments")}</h3>
+                        <CommentThread userId={userId} issueId={fir.id} staffById={staffById} onSeen={onCommentsSeen} />
+                    </div>
+                </div>
+            </div>
+            <div className="col-lg-5">
+                <div className="card shadow-sm border-0">
+                    <div className="card-body">
+                        <div className="row g-3">
+                            <div className="col-6">
+                                <label className="form-label small text-muted mb-1" htmlFor={`priority-${fir.id}`}>{t("Priority")}</label>
+                                <select
+                                    id={`priority-${fir.id}`}
+                                    value={fir.priority}
+                                    onChange={(e) => onUpdateField(fir.id, "priority", e.target.value)}
+                                    disabled={!canEdit("priority")}
+                                    className="form-select form-select-sm"
+                                >
+                                    {PRIORITY_OPTIONS.map(p => <option key={p} value={p}>{t(p)}</option>)}
+                                </select>
+                            </div>
+                            <div className="col-6">
+                                <label className="form-label small text-muted mb-1" htmlFor={`status-${fir.id}`}>{t("Status")}</label>
+                                <select
+                                    id={`status-${fir.id}`}
+                                    value={fir.status}
+                                    onChange={(e) => onStatusSelect(fir, e.target.value)}
+                                    disabled={!canEdit("status")}
+                                    className="form-select form-select-sm"
+                                >
+                                    {getStatusOptions(fir.status).map(s => <option key={s} value={s}>{t(s)}</option>)}
+                                </select>
+                            </div>
+                            <div className="col-6">
+                                <label className="form-label small text-muted mb-1" htmlFor={`department-${fir.id}`}>{t("Department")}</label>
+                                <select
+                                    id={`department-${fir.id}`}
+                                    value={fir.department}
+                                    onChange={(e) => onUpdateField(fir.id, "department", e.target.value)}
+                                    disabled={!canEdit("department")}
+                                    className="form-select form-select-sm"
+                                >
+                                    {DEPARTMENT_OPTIONS.map(d => <option key={d} value={d}>{t(d)}</option>)}
+                                </select>
+                            </div>
+                            <div className="col-6">
+                                <div className="small text-muted mb-1">{t("Assignee")}</div>
+                                <AssigneeControl fir={fir} profile={profile} staffById={staffById} onAssign={onAssign} onAccept={onAccept} />
+                            </div>
+                            <div className="col-12">
+                                <div className="small text-muted mb-1">{t("SLA")}</div>
+                                <SlaBadge fir={fir} targets={slaTargets} now={now} />
+                            </div>
+                        </div>
+                        <dl className="row small mt-3 mb-0">
+                            {record.map(([label, value]) => (
+                                <React.Fragment key={label}>
+                                    <dt className="col-5 text-muted fw-normal">{t(label)}</dt>
+                                    <dd className="col-7">{value}</dd>
+                                </React.Fragment>
+                            ))}
+                        </dl>
+                    </div>
+                </div>
+                <div className="card shadow-sm border-0 mt-4">
+                    <div className="card-body">
+                        <h3 className="h6 fw-semibold text-secondary">{t("History")}</h3>
+                        <IssueHistory userId={userId} issueId={fir.id} staffById={staffById} />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * IssueDetailView over the current tab, opened from a row of the issue table or
+ * the dashboard. `fir` is undefined while loading and null if it no longer exists.
+ */
+const IssueDetailDialog = ({ displayId, fir, onOpenPage, onClose, children }) => {
+    const { t } = useI18n();
+
+    return (
+        <div
+            className="modal d-block"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="issue-detail-title"
+            style={{backgroundColor: 'rgba(0, 0, 0, 0.5)'}}
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="modal-dialog modal-xl modal-dialog-scrollable">
+                <div className="modal-content bg-light">
+                    <div className="modal-header">
+                        <h2 id="issue-detail-title" className="modal-title h5 d-flex align-items-center">
+                            {displayId}
+                            {fir && <span className={`${getStatusBadge(fir.status)} ms-3 fs-6`}>{t(fir.status)}</span>}
+                        </h2>
+                        <IssueLink displayId={displayId} onOpen={onOpenPage} className="btn btn-sm btn-outline-secondary ms-auto me-3">
+                            <i className="fa-solid fa-up-right-from-square me-1"></i> {t("Open page")}
+                        </IssueLink>
+                        <button type="button" className="btn-close m-0" aria-label={t("Close")} onClick={onClose}></button>
+                    </div>
+                    <div className="modal-body">
+                        {fir === undefined && (
+                            <div className="p-5 text-center text-primary d-flex align-items-center justify-content-center">
+                                {getIconComponent('Spinner', "me-2 fs-5")} {t("Loading {id}...", { id: displayId })}
+                            </div>
+                        )}
+                        {fir === null && <div className="alert alert-warning mb-0" role="alert">{t("{id} no longer exists.", { id: displayId })}</div>}
+                        {fir && children}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Asks what to do with an edit that would overwrite someone else's newer change
+ * to the same fields: shows who changed the issue and when, their values next
+ * to this user's, and keeps one or the other.
+ */
+const EditConflictDialog = ({ conflict, staffById, onKeepMine, onAcceptTheirs }) => {
+    const { t, formatDateTime } = useI18n();
+    const { issue, conflicts, phase, error } = conflict;
+    const saving = phase === 'saving';
+    // Fields that only travel along with another one (e.g. locationId with the room) are not listed
+    const rows = conflicts.filter(({ field }) => field in HISTORY_FIELD_LABELS);
+
+    return (
+        <div className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="conflict-dialog-title" style={{backgroundColor: 'rgba(0, 0, 0, 0.5)'}}>
+            <div className="modal-dialog modal-dialog-centered">
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h2 id="conflict-dialog-title" className="modal-title h5">{t("{id} was changed in the meantime", { id: issue.displayId })}</h2>
+                    </div>
+                    <div className="modal-body small">
+                        <p>
+                            {t("{name} changed this issue at {time}, after you had opened it.", {
+                                name: getStaffName(staffById, issue.updatedBy),
+                                time: formatDateTime(issue.updatedAt),
+                            })}
+                        </p>
+                        <table className="table table-sm mb-0">
+                            <thead>
+                                <tr>
+                                    <th scope="col">{t("Field")}</th>
+                                    <th scope="col">{t("Current value")}</th>
+                                    <th scope="col">{t("Your change")}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(({ field, mine, theirs }) => (
+                                    <tr key={field}>
+                                        <th scope="row" className="fw-normal">{t(HISTORY_FIELD_LABELS[field])}</th>
+                                        <td>{formatEditedValue(field, theirs, staffById, t)}</td>
+                                        <td className="fw-semibold">{formatEditedValue(field, mine, staffById, t)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {error && <div className="alert alert-danger small py-2 mt-3 mb-0">{t(error)}</div>}
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" onClick={onAcceptTheirs} disabled={saving} className="btn btn-outline-secondary btn-sm">{t("Use their version")}</button>
+                        <button type="button" onClick={onKeepMine} disabled={saving} className="btn btn-primary btn-sm">
+                            {saving ? t("Saving...") : t("Keep my change")}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ALERT_PRIORITY_CLASSES = {
+    Critical: "bg-danger",
+    High: "bg-warning text-dark",
+    Medium: "bg-info text-dark",
+    Low: "bg-secondary",
+};
+
+/**
+ * The signed-in user's own alert rules. Turning browser popups on asks for
+ * notification permission first.
+ */
+const AlertRulesForm = ({ userId, profile, rules, onClose }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(rules);
+    const [saving, setSaving] = useState(false);
+    const [permission, setPermission] = useState(notificationsSupported() ? Notification.permission : "unsupported");
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setDraft(prev => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            if (draft.browserNotifications) setPermission(await requestNotificationPermission());
+            await saveAlertRules(userId, draft);
+            onClose();
+        } catch (error) {
+            console.error("Alert rules save error:", error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSave} className="small border-top pt-2 mt-2">
+            <div className="form-check mb-2">
+                <input id="alert-enabled" name="enabled" type="checkbox" checked={draft.enabled} onChange={handleChange} className="form-check-input" />
+                <label htmlFor="alert-enabled" className="form-check-label">{t("Alert me about new issues")}</label>
+            </div>
+            <label htmlFor="alert-min-priority" className="form-label mb-1">{t("Minimum priority")}</label>
+            <select id="alert-min-priority" name="minPriority" value={draft.minPriority} onChange={handleChange} disabled={!draft.enabled} className="form-select form-select-sm mb-2">
+                <option value="Any">{t("Any priority")}</option>
+                {PRIORITY_OPTIONS.map(priority => <option key={priority} value={priority}>{t("{priority} and above", { priority: t(priority) })}</option>)}
+            </select>
+            <div className="form-check mb-1">
+                <input
+                    id="alert-department"
+                    name="myDepartmentOnly"
+                    type="checkbox"
+                    checked={draft.myDepartmentOnly}
+                    onChange={handleChange}
+                    disabled={!draft.enabled || !profile?.department}
+                    className="form-check-input"
+                />
+                <label htmlFor="alert-department" className="form-check-label">
+                    {profile?.department
+                        ? t("Only {department} (and unrouted issues)", { department: t(profile.department) })
+                        : t("Only my department (and unrouted issues)")}
+                </label>
+            </div>
+            <div className="form-check mb-1">
+                <input id="alert-browser" name="browserNotifications" type="checkbox" checked={draft.browserNotifications} onChange={handleChange} disabled={!draft.enabled || permission === "unsupported"} className="form-check-input" />
+                <label htmlFor="alert-browser" className="form-check-label">{t("Desktop popups")}</label>
+            </div>
+            {permission === "denied" && draft.browserNotifications && (
+                <p className="text-danger mb-1">{t("Popups are blocked in this browser's site settings.")}</p>
+            )}
+            <div className="form-check mb-2">
+                <input id="alert-sound" name="sound" type="checkbox" checked={draft.sound} onChange={handleChange} disabled={!draft.enabled} className="form-check-input" />
+                <label htmlFor="alert-sound" className="form-check-label">{t("Play a chime")}</label>
+            </div>
+            <div className="d-flex gap-2">
+                <button type="submit" disabled={saving} className="btn btn-sm btn-primary">{saving ? t("Saving...") : t("Save")}</button>
+                <button type="button" onClick={onClose} className="btn btn-sm btn-outline-secondary">{t("Cancel")}</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Sidebar notification center: the latest alerts, unread ones highlighted.
+ */
+const NotificationCenter = ({ alerts, onOpenAlert, onMarkAllRead, rulesEditor, onEditRules }) => {
+    const { t, formatTime } = useI18n();
+
+    return (
+        <div className="card text-dark shadow-sm mb-3">
+            <div className="card-body p-2">
+                <div className="d-flex align-items-center mb-2">
+                    <strong className="small">{t("Alerts")}</strong>
+                    <button type="button" onClick={onMarkAllRead} disabled={!alerts.some(alert => !alert.read)} className="btn btn-link btn-sm ms-auto p-0 small">{t("Mark all read")}</button>
+                    <button type="button" onClick={onEditRules} className="btn btn-link btn-sm ms-2 p-0 small">{t("Rules")}</button>
+                </div>
+                {rulesEditor}
+                <div className="list-group list-group-flush overflow-auto" style={{maxHeight: '40vh'}}>
+                    {alerts.map(alert => (
+                        <button
+                            key={alert.issueId}
+                            type="button"
+                            onClick={() => onOpenAlert(alert)}
+                            className={`list-group-item list-group-item-action px-2 py-1 small ${alert.read ? "" : "fw-semibold bg-light"}`}
+                        >
+                            <div className="d-flex align-items-center gap-1">
+                                {!alert.read && <span className="badge rounded-pill bg-primary p-1" aria-label={t("Unread")}> </span>}
+                                <span className={`badge ${ALERT_PRIORITY_CLASSES[alert.priority] || "bg-secondary"}`}>{t(alert.priority)}</span>
+                                <span className="text-truncate">{alert.displayId} · {alert.roomNumber}</span>
+                            </div>
+                            <div className="text-truncate text-secondary">{alert.issueTitle}</div>
+                            <div className="text-muted" style={{fontSize: '0.75em'}}>{formatTime(alert.receivedAt)}</div>
+                        </button>
+                    ))}
+                    {alerts.length === 0 && <p className="text-muted small text-center py-2 mb-0">{t("No alerts yet.")}</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * `demoAccounts` is set when running on the local (training) backend, whose
+ * accounts all share the demo PIN.
+ */
+const ISSUE_SORT_LABELS = {
+    newest: "Newest first",
+    oldest: "Oldest first",
+    priority: "Highest priority first",
+    status: "By status",
+};
+
+const TOAST_CLASSES = {
+    success: "text-bg-success",
+    info: "text-bg-primary",
+    warning: "text-bg-warning",
+    danger: "text-bg-danger",
+};
+
+/**
+ * One toast. It closes itself when its time is up, but not while the pointer or
+ * keyboard focus is on it, so its Undo stays within reach.
+ */
+const Toast = ({ toast, onDismiss }) => {
+    const { t } = useI18n();
+    const [paused, setPaused] = useState(false);
+
+    useEffect(() => {
+        if (paused) return undefined;
+        const timer = setTimeout(() => onDismiss(toast.id), toast.duration);
+        return () => clearTimeout(timer);
+    }, [paused, toast.id, toast.duration, onDismiss]);
+
+    const runAction = () => {
+        onDismiss(toast.id);
+        toast.action.onClick();
+    };
+    const light = toast.type === "warning";
+
+    return (
+        <div
+            className={`toast show border-0 shadow ${TOAST_CLASSES[toast.type]}`}
+            aria-atomic="true"
+            onMouseEnter={() => setPaused(true)}
+            onMouseLeave={() => setPaused(false)}
+            onFocus={() => setPaused(true)}
+            onBlur={() => setPaused(false)}
+        >
+            <div className="d-flex align-items-start">
+                <div className="toast-body small">
+                    {toast.title && <strong className="d-block">{toast.title}</strong>}
+                    {toast.message}
+                </div>
+                <div className="d-flex align-items-center gap-1 p-2 ms-auto">
+                    {toast.action && (
+                        <button type="button" onClick={runAction} className={`btn btn-sm py-0 ${light ? "btn-outline-dark" : "btn-outline-light"}`}>
+                            {toast.action.label}
+                        </button>
+                    )}
+                    <button type="button" onClick={() => onDismiss(toast.id)} className={`btn-close ${light ? "" : "btn-close-white"}`} aria-label={t("Close")}></button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * The toast queue in two live regions that are always in the page (screen
+ * readers only announce changes to regions they already know): failures
+ * interrupt, everything else waits its turn.
+ */
+const ToastStack = ({ toasts, onDismiss }) => (
+    <div className="toast-container position-fixed top-0 end-0 p-3" style={{zIndex: 1090}}>
+        <div role="alert" aria-live="assertive" className="d-flex flex-column gap-2">
+            {toasts.filter(toast => toast.type === "danger").map(toast => <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />)}
+        </div>
+        <div role="status" aria-live="polite" className="d-flex flex-column gap-2">
+            {toasts.filter(toast => toast.type !== "danger").map(toast => <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />)}
+        </div>
+    </div>
+);
+
+/**
+ * Footer of a paged list: loads the next page when it scrolls into view, with a
+ * button as the fallback (and for browsers without IntersectionObserver).
+ */
+const LoadMoreFooter = ({ shown, hasMore, loadingMore, onLoadMore }) => {
+    const { t } = useI18n();
+    const sentinelRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+    onLoadMoreRef.current = onLoadMore;
+
+    useEffect(() => {
+        if (!hasMore || loadingMore || !sentinelRef.current || typeof IntersectionObserver === "undefined") return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) onLoadMoreRef.current();
+        }, { rootMargin: "200px" });
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [hasMore, loadingMore]);
+
+    return (
+        <div ref={sentinelRef} className="p-3 border-top small text-muted d-flex align-items-center justify-content-between">
+            <span>
+                {t(shown === 1 ? "Showing 1 issue" : "Showing {count} issues", { count: shown })}
+                {hasMore ? "" : ` ${t("(all loaded)")}`}
+            </span>
+            {hasMore && (
+                <button type="button" onClick={onLoadMore} disabled={loadingMore} className="btn btn-sm btn-outline-secondary">
+                    {loadingMore ? <>{getIconComponent('Spinner', "me-1 small")} {t("Loading...")}</> : t("Load {count} more", { count: ISSUES_PAGE_SIZE })}
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Per-device record of when guest reports were sent, for the rate limit
+const loadGuestReportTimes = () => {
+    try {
+        return JSON.parse(localStorage.getItem(GUEST_REPORTS_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const saveGuestReportTimes = (times) => {
+    try {
+        localStorage.setItem(GUEST_REPORTS_STORAGE_KEY, JSON.stringify(times));
+    } catch (e) {
+        console.warn("Could not persist guest report times:", e);
+    }
+};
+
+const SignInScreen = ({ demoAccounts, language, onLanguageChange }) => {
+    const { t } = useI18n();
+    const [email, setEmail] = useState("");
+    const [password, setPassword] = useState("");
+    const [submitting, setSubmitting] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    const handleSignInSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setErrorMessage(null);
+        try {
+            await signInStaff(email, password);
+        } catch (error) {
+            console.error("Staff sign-in error:", error);
+            setErrorMessage(getSignInErrorMessage(error));
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="d-flex align-items-center justify-content-center bg-light min-vh-100">
+            <div className="card shadow-lg border-0 rounded-3" style={{width: '380px'}}>
+                <div className="card-body p-4 p-md-5">
+                    <div className="d-flex align-items-start">
+                        <h1 className="h4 fw-bold text-info mb-1">{t("Hotel FIR System")}</h1>
+                        <LanguageSelect value={language} onChange={onLanguageChange} className="form-select form-select-sm w-auto ms-auto" />
+                    </div>
+                    <p className="small text-secondary mb-4">{t("Sign in with your staff account.")}</p>
+                    {demoAccounts && (
+                        <div className="alert alert-warning small py-2" role="note">
+                            <strong>{t("Training mode.")}</strong> {t("Data stays in this browser. Sign in with PIN {pin} as:", { pin: DEMO_PASSWORD })}
+                            <ul className="mb-0 mt-1 ps-3">
+                                {demoAccounts.map(account => (
+                                    <li key={account.uid}>
+                                        <button type="button" onClick={() => setEmail(account.email)} className="btn btn-link btn-sm p-0 align-baseline">
+                                            {account.email}
+                                        </button>{" "}
+                                        ({t(ROLE_LABELS[account.role])})
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    <form onSubmit={handleSignInSubmit} className="d-grid gap-3">
+                        <div>
+                            <label htmlFor="staffEmail" className="form-label small fw-medium text-secondary">{t("Email")}</label>
+                            <input
+                                type="email"
+                                id="staffEmail"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                autoComplete="username"
+                                required
+                                className="form-control"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="staffPassword" className="form-label small fw-medium text-secondary">{t("Password or PIN")}</label>
+                            <input
+                                type="password"
+                                id="staffPassword"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                autoComplete="current-password"
+                                required
+                                className="form-control"
+                            />
+                        </div>
+                        {errorMessage && (
+                            <div className="alert alert-danger small py-2 mb-0" role="alert">{t(errorMessage)}</div>
+                        )}
+                        <button type="submit" disabled={submitting} className="btn btn-primary d-flex align-items-center justify-content-center">
+                            {submitting ? getIconComponent('Spinner', "me-2") : getIconComponent('User', "me-2")} {t("Sign In")}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * The page a room's QR code opens (/guest?room=…). Guests pick a category, may
+ * add details and a photo, and get a reference number; the report lands as a
+ * "Submitted" issue for the front desk to triage. Needs no staff account: it
+ * signs in anonymously unless a staff session is already open in this browser,
+ * in which case the report is filed by that staff member (without the guest quota).
+ * The language follows `?lang=` (for codes printed per language), then the
+ * guest's own choice on this phone, then the phone's language.
+ */
+const GuestReportPage = () => {
+    useExternalAssets();
+
+    const [{ guestRoom }] = useState(() => parseLocation(window.location));
+    const [language, setLanguage] = useState(() => getInitialLanguage(new URLSearchParams(window.location.search).get("lang")));
+    const i18n = useMemo(() => createTranslator(language), [language]);
+    const { t } = i18n;
+    useDocumentLanguage(i18n);
+    const [userId, setUserId] = useState(null);
+    const [anonymous, setAnonymous] = useState(false);
+    const [authReady, setAuthReady] = useState(false);
+    const [categoryId, setCategoryId] = useState("");
+    const [details, setDetails] = useState("");
+    const [photo, setPhoto] = useState(null);
+    const [sending, setSending] = useState(false);
+    const [reference, setReference] = useState(null); // Display ID once sent
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    useEffect(() => initializeBackend(setUserId, setAuthReady, setAnonymous), []);
+
+    const changeLanguage = (nextLanguage) => {
+        setLanguage(nextLanguage);
+        saveStoredLanguage(nextLanguage);
+    };
+
+    useEffect(() => {
+        if (!authReady || userId) return;
+        if (!backend) {
+            setErrorMessage("Reporting is not available right now. Please call the front desk.");
+            return;
+        }
+        backend.signInAsGuest().catch((error) => {
+            console.error("Guest sign-in error:", error);
+            setErrorMessage("Reporting is not available right now. Please call the front desk.");
+        });
+    }, [authReady, userId]);
+
+    const resetReport = () => {
+        setCategoryId("");
+        setDetails("");
+        setPhoto(null);
+        setReference(null);
+        setErrorMessage(null);
+    };
+
+    const handleGuestSubmit = async (e) => {
+        e.preventDefault();
+        setErrorMessage(null);
+        if (!categoryId) {
+            setErrorMessage("Choose what the problem is about.");
+            return;
+        }
+        const showWait = (wait) => setErrorMessage(t(
+            "You have sent several reports already. Please try again in {minutes} minutes or call the front desk.",
+            { minutes: Math.ceil(wait / 60000) }
+        ));
+        const wait = getGuestReportWait(loadGuestReportTimes());
+        if (wait > 0) {
+            showWait(wait);
+            return;
+        }
+
+        setSending(true);
+        try {
+            const report = buildGuestReport({ ...guestRoom, categoryId, details, photo });
+            // Only anonymous sessions have a quota document; the rules let staff file guest reports as themselves
+            const displayId = await createNewIssue(userId, report, {
+                extraFields: { source: GUEST_SOURCE },
+                nextGuestQuota: anonymous ? getNextGuestQuota : null,
+            });
+            saveGuestReportTimes([...getRecentReports(loadGuestReportTimes()), Date.now()]);
+            setReference(displayId);
+        } catch (error) {
+            console.error("Guest report error:", error);
+            if (error.code === GUEST_RATE_LIMITED) showWait(error.windowStart + GUEST_RATE_LIMIT.windowMs - Date.now());
+            else setErrorMessage("Your report could not be sent. Please try again or call the front desk.");
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const renderContent = () => {
+        if (!guestRoom.roomNumber) {
+            return <div className="alert alert-warning mb-0" role="alert">{t("This code is missing its room. Please call the front desk.")}</div>;
+        }
+        if (reference) {
+            return (
+                <div className="text-center">
+                    <div className="display-6 text-success mb-2">{getIconComponent('Check')}</div>
+                    <h2 className="h5 fw-bold">{t("Thank you!")}</h2>
+                    <p className="text-secondary">
+                        <TranslatedText
+                            text="Your report has been passed to the front desk. Your reference is {reference}."
+                            params={{ reference: <strong>{reference}</strong> }}
+                        />
+                    </p>
+                    <button type="button" onClick={resetReport} className="btn btn-outline-primary">{t("Report another problem")}</button>
+                </div>
+            );
+        }
+        return (
+            <form onSubmit={handleGuestSubmit} className="d-grid gap-3">
+                <fieldset>
+                    <legend className="form-label small fw-medium text-secondary">{t("What is the problem?")}</legend>
+                    <div className="list-group">
+                        {GUEST_CATEGORIES.map(category => (
+                            <label key={category.id} className={`list-group-item list-group-item-action d-flex align-items-center ${categoryId === category.id ? "active" : ""}`}>
+                                <input
+                                    type="radio"
+                                    name="guestCategory"
+                                    value={category.id}
+                                    checked={categoryId === category.id}
+                                    onChange={() => setCategoryId(category.id)}
+                                    className="form-check-input me-3 mt-0"
+                                />
+                                {t(category.label)}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <div>
+                    <label htmlFor="guestDetails" className="form-label small fw-medium text-secondary">{t("Anything we should know? (optional)")}</label>
+                    <textarea
+                        id="guestDetails"
+                        value={details}
+                        onChange={(e) => setDetails(e.target.value)}
+                        maxLength={MAX_GUEST_DETAILS_LENGTH}
+                        rows="3"
+                        className="form-control"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="guestPhoto" className="form-label small fw-medium text-secondary">{t("Photo (optional)")}</label>
+                    <input
+                        type="file"
+                        id="guestPhoto"
+                        accept="image/*"
+                        onChange={(e) => setPhoto(e.target.files?.[0] || null)}
+                        className="form-control"
+                    />
+                </div>
+                {errorMessage && <div className="alert alert-danger small py-2 mb-0" role="alert">{t(errorMessage)}</div>}
+                <button type="submit" disabled={sending || !userId} className="btn btn-primary btn-lg d-flex align-items-center justify-content-center">
+                    {sending ? getIconComponent('Spinner', "me-2") : getIconComponent('PaperPlane', "me-2")} {t("Send report")}
+                </button>
+            </form>
+        );
+    };
+
+    return (
+        <I18nContext.Provider value={i18n}>
+            <div className="bg-light min-vh-100 py-4 px-3">
+                <div className="card shadow-sm border-0 rounded-3 mx-auto" style={{maxWidth: '480px'}}>
+                    <div className="card-body p-4">
+                        <div className="d-flex align-items-start">
+                            <h1 className="h4 fw-bold mb-1">{t("Report a problem")}</h1>
+                            <LanguageSelect value={language} onChange={changeLanguage} className="form-select form-select-sm w-auto ms-auto" />
+                        </div>
+                        {guestRoom.roomNumber && <p className="text-secondary mb-4">{guestRoom.roomNumber}</p>}
+                        {!authReady ? (
+                            <div className="text-center text-primary py-4">{getIconComponent('Spinner', "me-2")} {t("Connecting...")}</div>
+                        ) : (
+                            renderContent()
+                        )}
+                    </div>
+                </div>
+            </div>
+        </I18nContext.Provider>
+    );
+};
+
+const StaffApp = () => {
+    useExternalAssets(); // CRITICAL FIX: Inject Bootstrap and Font Awesome CDNs
+    
+    const [firs, setFirs] = useState([]);
+    const [userId, setUserId] = useState(null);
+    const [authReady, setAuthReady] = useState(false);
+    const [staffProfile, setStaffProfile] = useState(undefined); // undefined while loading, null if the account has no profile
+    const [staffById, setStaffById] = useState({});
+    const [slaTargets, setSlaTargets] = useState(DEFAULT_SLA_TARGETS);
+    const [myJobs, setMyJobs] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [maintenancePlans, setMaintenancePlans] = useState([]);
+    const [loading, setLoading] = useState(true);
+    // The first view comes from the URL, so links and reloads open where they point
+    const [initialRoute] = useState(() => parseLocation(window.location));
+    const [tab, setTab] = useState(initialRoute.tab); // 'dashboard', 'myjobs', 'interface1', 'interface2', 'issue', 'analytics', 'locations', 'maintenance'
+    const [issueDisplayId, setIssueDisplayId] = useState(initialRoute.displayId); // Shown on the 'issue' tab
+    const [detailDisplayId, setDetailDisplayId] = useState(null); // Shown in the detail dialog over other tabs
+    const [focusedIssue, setFocusedIssue] = useState(undefined); // Either of the above; undefined while loading, null if there is no such issue
+    const [lastReservedId, setLastReservedId] = useState(null);
+    const [queuedSubmissions, setQueuedSubmissions] = useState([]);
+    const [uploadProgress, setUploadProgress] = useState([]); // Per-photo fraction while submitting
+    
+    // Form state for Interface 1
+    const [formData, setFormData] = useState({
+        roomNumber: "",
+        locationId: null,
+        issueTitle: "",
+        description: "",
+        priority: "Medium",
+        imageFiles: [],
+    });
+    const [openIssuesHere, setOpenIssuesHere] = useState([]); // Open issues at the form's room, checked for duplicates
+    const [addingToIssueId, setAddingToIssueId] = useState(null);
+
+    // Filter states for Interface 2 (Dashboard)
+    const [searchTerm, setSearchTerm] = useState(initialRoute.filters.search);
+    const [priorityFilter, setPriorityFilter] = useState(initialRoute.filters.priority);
+    const [departmentFilter, setDepartmentFilter] = useState(initialRoute.filters.department);
+    const [openOnly, setOpenOnly] = useState(initialRoute.filters.openOnly);
+    const [createdRange, setCreatedRange] = useState({ from: initialRoute.filters.from, to: initialRoute.filters.to }); // <input type="date"> values
+    const [sortOrder, setSortOrder] = useState(initialRoute.filters.sort);
+    const [page, setPage] = useState({ key: "", limit: ISSUES_PAGE_SIZE });
+    const [hasMoreIssues, setHasMoreIssues] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [issueCounts, setIssueCounts] = useState(null);
+    const [slaBreachedCount, setSlaBreachedCount] = useState(null);
+    const [expandedHistoryId, setExpandedHistoryId] = useState(null);
+    const [expandedCommentsId, setExpandedCommentsId] = useState(null);
+    const [exporting, setExporting] = useState(null); // Format currently being generated
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [bulkChanges, setBulkChanges] = useState(EMPTY_BULK_CHANGES);
+    const [bulkDialog, setBulkDialog] = useState(null);
+    const [statusChange, setStatusChange] = useState(null); // { fir, status, phase, error } while the status dialog is open
+    const [editConflict, setEditConflict] = useState(null); // { issue, conflicts, save, onSaved, phase, error } while an edit clashes with a newer one
+    const [pendingEdits, setPendingEdits] = useState({}); // Issue id -> fields being written, shown in the list ahead of the server
+    const [seenCommentCounts, setSeenCommentCounts] = useState({});
+    const [alerts, setAlerts] = useState([]);
+    const [alertCenterOpen, setAlertCenterOpen] = useState(false);
+    const [editingAlertRules, setEditingAlertRules] = useState(false);
+    const [toasts, setToasts] = useState([]);
+
+    // Locations tab
+    const [selectedLocationId, setSelectedLocationId] = useState(null);
+    const [locationFilter, setLocationFilter] = useState("");
+    const [editingLocationId, setEditingLocationId] = useState(null); // 'new' while adding
+
+    // Preventive maintenance tab
+    const [preventiveIssues, setPreventiveIssues] = useState([]);
+    const [editingPlanId, setEditingPlanId] = useState(null); // 'new' while adding
+    const [calendarMonth, setCalendarMonth] = useState(() => new Date(new Date().getFullYear(), new Date().getMonth(), 1));
+    const generatingRef = useRef(false);
+    
+    const [currentDateTime, setCurrentDateTime] = useState(new Date());
+
+    // This device's language until the staff profile says otherwise
+    const [language, setLanguage] = useState(() => getInitialLanguage());
+    const i18n = useMemo(() => createTranslator(language), [language]);
+    const { t, dir, formatDateTime, formatDate } = i18n;
+    useDocumentLanguage(i18n);
+
+    const showToast = useCallback((toast) => setToasts(prev => addToast(prev, createToast(toast))), []);
+    const closeToast = useCallback((id) => setToasts(prev => dismissToast(prev, id)), []);
+    const showError = (title, error) => showToast({ type: "danger", title, message: t(getErrorMessage(error)) });
+
+    // --- INITIALIZATION AND AUTHENTICATION ---
+    useEffect(() => {
+        // Initialize the backend and set up Auth listener
+        const unsubscribeAuth = initializeBackend(setUserId, setAuthReady);
+
+        // Clock Timer
+        const timer = setInterval(() => setCurrentDateTime(new Date()), 1000);
+
+        return () => {
+            clearInterval(timer);
+            unsubscribeAuth(); // Clean up the auth listener
+        };
+    }, []); // Empty dependency array ensures this runs only once
+
+    // --- STAFF PROFILE AND DIRECTORY ---
+    useEffect(() => {
+        if (!userId || !backend) {
+            setStaffProfile(undefined);
+            setStaffById({});
+            return;
+        }
+
+        const unsubscribeProfile = subscribeToStaffProfile(userId, setStaffProfile);
+        const unsubscribeDirectory = subscribeToStaffDirectory(userId, setStaffById);
+        const unsubscribeSla = subscribeToSlaTargets(userId, setSlaTargets);
+        const unsubscribeLocations = subscribeToLocations(userId, setLocations);
+        const unsubscribePlans = subscribeToMaintenancePlans(userId, setMaintenancePlans);
+
+        return () => {
+            unsubscribeProfile();
+            unsubscribeDirectory();
+            unsubscribeSla();
+            unsubscribeLocations();
+            unsubscribePlans();
+        };
+    }, [userId]);
+
+    // The profile's language follows the user to every device they sign in on
+    useEffect(() => {
+        if (!staffProfile?.language) return;
+        const profileLanguage = resolveLanguage(staffProfile.language);
+        setLanguage(profileLanguage);
+        saveStoredLanguage(profileLanguage);
+    }, [staffProfile?.language]);
+
+    const changeLanguage = (nextLanguage) => {
+        setLanguage(nextLanguage);
+        saveStoredLanguage(nextLanguage);
+        if (userId && staffProfile) {
+            saveStaffLanguage(userId, nextLanguage).catch(error => console.error("Language save error:", error));
+        }
+    };
+
+    // --- PREVENTIVE MAINTENANCE ---
+    // Every terminal that can submit issues generates the due ones; deterministic
+    // issue IDs make concurrent runs harmless.
+    const canGeneratePreventive = canSubmitIssues(staffProfile);
+    useEffect(() => {
+        if (!userId || !backend || !canGeneratePreventive) return;
+
+        const generate = async () => {
+            if (generatingRef.current || !navigator.onLine) return;
+            generatingRef.current = true;
+            try {
+                await generatePreventiveIssues(userId, maintenancePlans);
+            } finally {
+                generatingRef.current = false;
+            }
+        };
+        generate();
+        const interval = setInterval(generate, PREVENTIVE_CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [userId, canGeneratePreventive, maintenancePlans]);
+
+    // --- DISPLAY ID COUNTER ---
+    // Guest reports take their display ID from the counter alone, so a terminal
+    // that can submit issues makes sure it exists before the first one arrives.
+    const canSeedCounter = canSubmitIssues(staffProfile);
+    useEffect(() => {
+        if (!userId || !backend || !canSeedCounter) return;
+        seedDisplayIdCounter(userId).catch(error => console.error("Display ID counter error:", error));
+    }, [userId, canSeedCounter]);
+
+    useEffect(() => {
+        if (!userId || !backend || tab !== "maintenance") return;
+        return subscribeToPreventiveIssues(userId, setPreventiveIssues);
+    }, [userId, tab]);
+
+    // Fall back to the dashboard if the current tab is not available to this role
+    useEffect(() => {
+        if (staffProfile && !canAccessTab(staffProfile, tab)) {
+            setTab("dashboard");
+        }
+    }, [staffProfile, tab]);
+
+    // --- MY JOBS (technicians) ---
+    useEffect(() => {
+        if (!userId || !backend || staffProfile?.role !== ROLES.TECHNICIAN) {
+            setMyJobs([]);
+            return;
+        }
+        return subscribeToAssignedIssues(userId, userId, setMyJobs);
+    }, [userId, staffProfile?.role]);
+
+    const openJobs = useMemo(() => sortJobsByPriorityAndAge(
+        myJobs.filter(f => f.status === "Submitted" || f.status === "In Progress")
+    ), [myJobs]);
+
+    // --- COMMENT READ STATE ---
+    useEffect(() => {
+        setSeenCommentCounts(userId ? loadSeenCommentCounts(userId) : {});
+    }, [userId]);
+
+    const handleCommentsSeen = useCallback((issueId, count) => {
+        setSeenCommentCounts(prev => {
+            if (prev[issueId] === count) return prev;
+            const next = { ...prev, [issueId]: count };
+            saveSeenCommentCounts(userId, next);
+            return next;
+        });
+    }, [userId]);
+
+    const getUnreadCommentCount = (fir) => Math.max(0, (fir.commentCount || 0) - (seenCommentCounts[fir.id] || 0));
+
+    // --- LIVE ALERTS ---
+    const alertRules = useMemo(() => mergeAlertRules(staffProfile?.alertRules), [staffProfile?.alertRules]);
+    const unreadAlertCount = alerts.filter(alert => !alert.read).length;
+
+    useEffect(() => {
+        setAlerts(userId ? loadStoredAlerts(userId) : []);
+    }, [userId]);
+
+    const updateAlerts = useCallback((update) => {
+        setAlerts(prev => {
+            const next = update(prev);
+            saveStoredAlerts(userId, next);
+            return next;
+        });
+    }, [userId]);
+
+    const openIssue = (displayId) => {
+        setDetailDisplayId(null);
+        setIssueDisplayId(displayId);
+        setTab(ISSUE_TAB);
+    };
+
+    const openIssueDetail = (displayId) => setDetailDisplayId(displayId);
+
+    const openAlert = (alert) => {
+        updateAlerts(prev => prev.map(entry => (entry.issueId === alert.issueId ? { ...entry, read: true } : entry)));
+        setAlertCenterOpen(false);
+        openIssue(alert.displayId);
+    };
+
+    // The listener below outlives renders; it reads the current rules and handlers from here
+    const alertContextRef = useRef({});
+    alertContextRef.current = { rules: alertRules, profile: staffProfile, openAlert, t };
+
+    // A separate, unfiltered listener so the dashboard filters never hide a new Critical issue.
+    // It only covers issues created from now on (less a margin for terminal clocks running behind).
+    const hasStaffProfile = Boolean(staffProfile);
+    useEffect(() => {
+        if (!userId || !backend || !hasStaffProfile) return;
+
+        return subscribeToNewIssues(userId, new Date(Date.now() - ALERT_CLOCK_SKEW_MS), (added) => {
+            const { rules, profile } = alertContextRef.current;
+            const newAlerts = added.filter(issue => matchesAlertRules(issue, rules, profile)).map(issue => toAlert(issue));
+            if (newAlerts.length === 0) return;
+
+            updateAlerts(prev => addAlerts(prev, newAlerts));
+            if (rules.sound) playAlertChime();
+            if (rules.browserNotifications) {
+                const { t: translate } = alertContextRef.current;
+                newAlerts.forEach(alert => showBrowserNotification(
+                    alert,
+                    () => alertContextRef.current.openAlert(alert),
+                    translate("{priority} issue {id}", { priority: translate(alert.priority), id: alert.displayId || "" })
+                ));
+            }
+        });
+    }, [userId, hasStaffProfile, updateAlerts]);
+
+    // --- URL ROUTING ---
+    // The URL follows the view: a new tab or issue is a new history entry, while
+    // changing the list filters updates the current one.
+    const currentPath = buildPath({
+        tab,
+        displayId: issueDisplayId,
+        filters: {
+            search: searchTerm,
+            priority: priorityFilter,
+            department: departmentFilter,
+            openOnly,
+            from: createdRange.from,
+            to: createdRange.to,
+            sort: sortOrder,
+        },
+    });
+    const routeSyncedRef = useRef(false);
+
+    useEffect(() => {
+        const shownPath = `${window.location.pathname}${window.location.search}`;
+        if (currentPath !== shownPath) {
+            // Correcting the URL the app was opened with (e.g. an unknown path) is not a navigation
+            if (routeSyncedRef.current && isNewPage(shownPath, currentPath)) window.history.pushState(null, "", currentPath);
+            else window.history.replaceState(null, "", currentPath);
+        }
+        routeSyncedRef.current = true;
+    }, [currentPath]);
+
+    // Back and forward restore the view the URL describes
+    useEffect(() => {
+        const handlePopState = () => {
+            const route = parseLocation(window.location);
+            setTab(route.tab);
+            setIssueDisplayId(route.displayId);
+            setSearchTerm(route.filters.search);
+            setPriorityFilter(route.filters.priority);
+            setDepartmentFilter(route.filters.department);
+            setOpenOnly(route.filters.openOnly);
+            setCreatedRange({ from: route.filters.from, to: route.filters.to });
+            setSortOrder(route.filters.sort);
+        };
+        window.addEventListener("popstate", handlePopState);
+        return () => window.removeEventListener("popstate", handlePopState);
+    }, []);
+
+    // The issue shown on its own page or in the detail dialog, looked up by display ID
+    // and kept live, so it stays open even when it drops out of the filtered list
+    const focusedDisplayId = tab === ISSUE_TAB ? issueDisplayId : detailDisplayId;
+    useEffect(() => {
+        if (!userId || !backend || !focusedDisplayId) return;
+        setFocusedIssue(undefined);
+        return subscribeToIssueByDisplayId(userId, focusedDisplayId, setFocusedIssue);
+    }, [userId, focusedDisplayId]);
+
+    // --- OFFLINE QUEUE ---
+    useEffect(() => {
+        if (!userId) {
+            setQueuedSubmissions([]);
+            return;
+        }
+        return subscribeToQueue(userId, setQueuedSubmissions);
+    }, [userId]);
+
+    // Replay queued submissions when the connection returns, and periodically while any are waiting
+    useEffect(() => {
+        if (!userId || !backend) return;
+
+        const flush = () => {
+            if (!navigator.onLine) return;
+            // Items queued before they carried an issue ID get a new one
+            flushQueue(userId, (item) => createNewIssue(userId, item.formData, { issueId: item.issueId }))
+                .then(results => results.forEach(({ provisionalId, result, error }) => {
+                    if (error) console.error(`Queued submission ${provisionalId} was refused:`, error);
+                    else if (result) console.log(`Queued submission ${provisionalId} uploaded as ${result}`);
+                    else console.log(`Queued submission ${provisionalId} had already been uploaded`);
+                }))
+                .catch(error => console.error("Offline queue flush error:", error));
+        };
+
+        flush();
+        window.addEventListener('online', flush);
+        const retryTimer = setInterval(flush, QUEUE_RETRY_INTERVAL_MS);
+
+        return () => {
+            window.removeEventListener('online', flush);
+            clearInterval(retryTimer);
+        };
+    }, [userId]);
+
+    // --- REAL-TIME DATA SYNC ---
+    // Filtering, ordering and paging happen in the query; changing any list option starts again at the first page
+    const listKey = [priorityFilter, departmentFilter, openOnly, createdRange.from, createdRange.to, sortOrder].join("|");
+    const listLimit = page.key === listKey ? page.limit : ISSUES_PAGE_SIZE;
+    const loadMoreIssues = () => setPage({ key: listKey, limit: listLimit + ISSUES_PAGE_SIZE });
+
+    useEffect(() => {
+        // Wait until authenticated and the backend is ready
+        if (!userId || !backend) {
+             setLoading(true);
+             return;
+        }
+
+        // A larger page keeps the rows already shown while the rest arrive
+        if (listLimit === ISSUES_PAGE_SIZE) setLoading(true);
+        else setLoadingMore(true);
+
+        const unsubscribe = subscribeToIssues(userId, {
+            priority: priorityFilter,
+            department: departmentFilter,
+            openOnly,
+            from: createdRange.from ? fromDateInputValue(createdRange.from, false) : null,
+            to: createdRange.to ? fromDateInputValue(createdRange.to, true) : null,
+            sort: sortOrder,
+            limit: listLimit,
+        }, (data, { hasMore }) => {
+            setFirs(data);
+            setHasMoreIssues(hasMore);
+            setLoading(false);
+            setLoadingMore(false);
+        });
+
+        return () => unsubscribe(); // Clean up the listener
+    }, [userId, priorityFilter, departmentFilter, openOnly, createdRange.from, createdRange.to, sortOrder, listLimit]);
+
+    // Dashboard totals are counted on the server, not from the loaded page; recounted whenever the page changes
+    useEffect(() => {
+        if (!userId || !backend) return;
+
+        let cancelled = false;
+        fetchIssueCounts(userId, { priority: priorityFilter, department: departmentFilter })
+            .then(counts => { if (!cancelled) setIssueCounts(counts); })
+            .catch(error => console.error("Issue count error:", error));
+        return () => { cancelled = true; };
+    }, [userId, priorityFilter, departmentFilter, firs]);
+
+    // Overdue issues across every open issue, not only the loaded page; recounted every
+    // minute and when the filters or targets change, not on every change to the list
+    useEffect(() => {
+        if (!userId || !backend) return;
+
+        let cancelled = false;
+        const recount = () => fetchSlaBreachedCount(userId, slaTargets, new Date(), { priority: priorityFilter, department: departmentFilter })
+            .then(count => { if (!cancelled) setSlaBreachedCount(count); })
+            .catch(error => console.error("SLA breach count error:", error));
+        recount();
+        const timer = setInterval(recount, SLA_RECOUNT_INTERVAL_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [userId, priorityFilter, departmentFilter, slaTargets]);
+
+    // Issues flagged as possible duplicates, by the issue they resemble (within the loaded page)
+    const duplicatesByIssueId = useMemo(() => firs.reduce((byId, fir) => {
+        if (fir.possibleDuplicateOf) byId[fir.possibleDuplicateOf] = [...(byId[fir.possibleDuplicateOf] || []), fir];
+        return byId;
+    }, {}), [firs]);
+
+    // Open issues at the room being reported, so a second report of the same fault is caught before it is filed
+    useEffect(() => {
+        if (tab !== "interface1" || !userId || !backend || (!formData.locationId && !formData.roomNumber.trim())) {
+            setOpenIssuesHere([]);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            fetchOpenIssuesAt(userId, { locationId: formData.locationId, roomNumber: formData.roomNumber.trim() })
+                .then(issues => { if (!cancelled) setOpenIssuesHere(issues); })
+                .catch(error => console.error("Duplicate lookup error:", error));
+        }, DUPLICATE_LOOKUP_DELAY_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [tab, userId, formData.locationId, formData.roomNumber]);
+
+    const possibleDuplicates = useMemo(() => findPossibleDuplicates(formData, openIssuesHere), [formData, openIssuesHere]);
+
+    // --- FORM HANDLERS (Interface 1) ---
+
+    const handleFormChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleFileChange = (e) => {
+        const selected = Array.from(e.target.files || []);
+        setFormData(prev => ({ ...prev, imageFiles: [...prev.imageFiles, ...selected].slice(0, MAX_PHOTOS_PER_ISSUE) }));
+        e.target.value = ""; // Allow picking the same file again after removing it
+    };
+
+    const resetForm = () => setFormData({
+        roomNumber: "",
+        locationId: null,
+        issueTitle: "",
+        description: "",
+        priority: "Medium",
+        imageFiles: [],
+    });
+
+    // Adds the report to an open issue instead of filing a second one: the text (and first photo) become a comment
+    const handleAddToExisting = async (issue) => {
+        if (!userId || !canSubmitIssues(staffProfile)) return;
+
+        setAddingToIssueId(issue.id);
+        try {
+            const note = [formData.issueTitle.trim(), formData.description.trim()].filter(Boolean).join("\n\n");
+            await addComment(userId, issue.id, {
+                text: `Reported again: ${note}`,
+                visibility: "internal",
+                imageFile: formData.imageFiles[0],
+            });
+            showToast({
+                type: "success",
+                title: t("Added to Existing Issue"),
+                message: <TranslatedText text="Your report was added as a note on {id}." params={{ id: <strong>{issue.displayId}</strong> }} />,
+            });
+            resetForm();
+        } catch (error) {
+            console.error("Could not add the report to the existing issue: ", error);
+            showError(t("Submission Failed"), error);
+        } finally {
+            setAddingToIssueId(null);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!userId || !canSubmitIssues(staffProfile)) {
+            console.error("Authentication not ready. Cannot submit.");
+            showToast({ type: "danger", title: t("Connection Error"), message: t("Cannot submit form. Please ensure you are authenticated.") });
+            return;
+        }
+        if (!formData.roomNumber || !formData.issueTitle || !formData.description) {
+            console.error("Missing required fields.");
+            return;
+        }
+        if (locations.length > 0 && !formData.locationId) {
+            console.error("Room/Location is not in the registry.");
+            return;
+        }
+
+        // Submitted despite the duplicate warning: flagged and linked to the closest match
+        const [closestMatch] = possibleDuplicates;
+        const submission = closestMatch
+            ? { ...formData, duplicateOf: { id: closestMatch.issue.id, displayId: closestMatch.issue.displayId } }
+            : formData;
+
+        // Keep the report (and photo) on the device; it is uploaded once the connection is back,
+        // under the same document ID in case this attempt reached the server after all
+        const issueId = createIssueId(userId);
+        const queueSubmission = async () => {
+            const provisionalId = await enqueueSubmission(userId, submission, issueId);
+            showToast({
+                type: "warning",
+                title: t("Saved Offline"),
+                message: (
+                    <TranslatedText
+                        text="No connection right now. Your request is saved as {id} and will upload automatically."
+                        params={{ id: <strong>{provisionalId}</strong> }}
+                    />
+                ),
+            });
+            resetForm();
+        };
+
+        setLoading(true);
+        try {
+            if (!navigator.onLine) {
+                await queueSubmission();
+                return;
+            }
+
+            setUploadProgress(formData.imageFiles.map(() => 0));
+            const reservedId = await createNewIssue(userId, submission, {
+                issueId,
+                onUploadProgress: (index, fraction) => setUploadProgress(prev => prev.map((value, i) => (i === index ? fraction : value))),
+            });
+            setLastReservedId(reservedId);
+            showToast({
+                type: "success",
+                title: t("Request Submitted!"),
+                message: <TranslatedText text="Your maintenance issue has been logged successfully as {id}." params={{ id: <strong>{reservedId}</strong> }} />,
+            });
+            resetForm();
+
+        } catch (error) {
+            // Only a lost connection is worth queueing; anything else would fail again on replay
+            if (!isConnectivityError(error)) {
+                console.error("Submission error: ", error);
+                showError(t("Submission Failed"), error);
+                return;
+            }
+            console.error("Submission error, saving to offline queue: ", error);
+            try {
+                await queueSubmission();
+            } catch (queueError) {
+                console.error("Offline queue error: ", queueError);
+                showError(t("Submission Failed"), queueError);
+            }
+        } finally {
+            setLoading(false);
+            setUploadProgress([]);
+        }
+    };
+
+    const handleRemoveFile = (index) => {
+        setFormData(prev => ({ ...prev, imageFiles: prev.imageFiles.filter((_, i) => i !== index) }));
+    };
+    
+    // --- TABLE HANDLERS (Interface 2) ---
+
+    const openLocation = (locationId) => {
+        setSelectedLocationId(locationId);
+        setEditingLocationId(null);
+        setTab("locations");
+    };
+
+    const findIssue = (id) => firs.find(f => f.id === id) || myJobs.find(f => f.id === id) || (focusedIssue?.id === id ? focusedIssue : undefined);
+
+    // An issue as this user sees it: with their edits that are still being written
+    const withPendingEdits = (fir) => (fir && pendingEdits[fir.id] ? { ...fir, ...pendingEdits[fir.id] } : fir);
+
+    // Shows `changes` in the issue list while `write` is in flight, so its controls don't jump back meanwhile
+    const applyOptimistically = async (issueId, changes, write) => {
+        setPendingEdits(prev => ({ ...prev, [issueId]: { ...prev[issueId], ...changes } }));
+        try {
+            return await write();
+        } finally {
+            setPendingEdits(prev => {
+                const { [issueId]: edits = {}, ...others } = prev;
+                // A later edit of the same field is still on its way
+                const remaining = Object.entries(edits).filter(([field, value]) => !(field in changes && value === changes[field]));
+                return remaining.length > 0 ? { ...others, [issueId]: Object.fromEntries(remaining) } : others;
+            });
+        }
+    };
+
+    /**
+     * Writes an edit made on `seen` with `save(basis)`, then calls `onSaved`. When
+     * someone else changed the same fields in the meantime, the conflict dialog
+     * asks whether to keep this edit (saved again on top of theirs) or theirs.
+     */
+    const saveEdit = async (seen, save, onSaved = () => {}) => {
+        try {
+            await save(seen);
+        } catch (error) {
+            if (error.code !== ISSUE_CONFLICT) throw error;
+            console.warn("Edit conflict: ", error.conflicts);
+            setEditConflict({ issue: error.issue, conflicts: error.conflicts, save, onSaved, phase: 'choose', error: null });
+            return;
+        }
+        onSaved();
+    };
+
+    const handleKeepMyEdit = async () => {
+        const { issue, save, onSaved } = editConflict;
+        setEditConflict(prev => ({ ...prev, phase: 'saving', error: null }));
+        try {
+            await save(issue);
+        } catch (error) {
+            console.error("Edit conflict error: ", error);
+            setEditConflict(prev => (error.code === ISSUE_CONFLICT
+                ? { ...prev, issue: error.issue, conflicts: error.conflicts, phase: 'choose' }
+                : { ...prev, phase: 'choose', error: getErrorMessage(error) }));
+            return;
+        }
+        setEditConflict(null);
+        onSaved();
+    };
+
+    // Confirms an inline change; with `undo`, the toast offers to put the previous value back for a while
+    const showChangeToast = (fir, field, value, previous, undo) => {
+        const describe = (fieldValue) => formatEditedValue(field, fieldValue, staffById, t);
+        const params = { id: fir.displayId || fir.id, field: t(HISTORY_FIELD_LABELS[field] || field) };
+        const undoChange = async () => {
+            try {
+                await undo();
+                showToast({ type: "info", message: t("{id}: {field} changed back to {value}.", { ...params, value: describe(previous) }) });
+            } catch (error) {
+                console.error("Undo error: ", error);
+                showError(t("Could not undo the change"), error);
+            }
+        };
+        showToast({
+            type: "success",
+            message: t("{id}: {field} changed to {value}.", { ...params, value: describe(value) }),
+            action: undo ? { label: t("Undo"), onClick: undoChange } : null,
+        });
+    };
+
+    const handleUpdateField = async (id, field, value) => {
+        if (!userId) return;
+        const fir = findIssue(id);
+        if (!canUpdateField(staffProfile, fir, field)) {
+            console.error(`Update blocked: role '${staffProfile?.role}' cannot change ${field}.`);
+            showToast({ type: "danger", message: t("Your role cannot change {field}.", { field: t(HISTORY_FIELD_LABELS[field] || field) }) });
+            return;
+        }
+        const seen = withPendingEdits(fir);
+        const previous = seen?.[field];
+        const save = (basis) => applyOptimistically(id, { [field]: value }, () => updateIssueField(userId, id, field, value, basis));
+        // The undo only restores the field while it still holds this user's value
+        const undo = seen ? () => updateIssueField(userId, id, field, previous ?? null, { ...seen, [field]: value }) : null;
+        try {
+            await saveEdit(seen, save, () => showChangeToast(seen || { id }, field, value, previous, undo));
+        } catch (error) {
+            console.error("Update error: ", error);
+            showError(t("Could not save the change"), error);
+        }
+    };
+
+    // Edits from the detail view; errors are left to the caller to show next to the field
+    const assertCanUpdate = (fir, fields) => {
+        const blocked = fields.find(field => !canUpdateField(staffProfile, fir, field));
+        if (blocked) throw new Error(t("Your role cannot change {field}.", { field: t(HISTORY_FIELD_LABELS[blocked] || blocked) }));
+    };
+
+    const handleUpdateDetails = async (fir, changes) => {
+        assertCanUpdate(fir, Object.keys(changes));
+        await saveEdit(fir, (basis) => updateIssueFields(userId, fir.id, changes, basis));
+    };
+
+    const handleAddPhotos = async (fir, files, onUploadProgress) => {
+        assertCanUpdate(fir, ["images"]);
+        await addIssueImages(userId, fir.id, files, onUploadProgress);
+    };
+
+    const handleRemovePhoto = async (fir, url) => {
+        assertCanUpdate(fir, ["images"]);
+        await removeIssueImage(userId, fir.id, url);
+    };
+
+    // Moves that need notes, a reason or a reopen confirmation go through the status dialog
+    const handleStatusSelect = async (fir, status) => {
+        if (!userId || !canUpdateField(staffProfile, fir, "status")) return;
+        if (requiresStatusDetails(fir.status, status)) {
+            setStatusChange({ fir, status, phase: 'edit', error: null });
+            return;
+        }
+        // Only a move that can be made straight back gets an Undo; the others need notes or a reason
+        const seen = withPendingEdits(fir);
+        const previous = seen.status;
+        const undoable = getTransitionError({ ...seen, status }, previous) === null && !requiresStatusDetails(status, previous);
+        const save = (basis) => applyOptimistically(fir.id, { status }, () => changeIssueStatus(userId, fir.id, status, {}, basis));
+        const undo = undoable ? () => changeIssueStatus(userId, fir.id, previous, {}, { ...seen, status }) : null;
+        try {
+            await saveEdit(seen, save, () => showChangeToast(seen, "status", status, previous, undo));
+        } catch (error) {
+            console.error("Status change error: ", error);
+            showError(t("Could not change the status"), error);
+        }
+    };
+
+    const handleConfirmStatusChange = async (details) => {
+        const { fir, status } = statusChange;
+        setStatusChange(prev => ({ ...prev, phase: 'saving', error: null }));
+        try {
+            // On a conflict the status dialog makes way for the conflict dialog
+            await saveEdit(withPendingEdits(fir), (basis) => changeIssueStatus(userId, fir.id, status, details, basis));
+            setStatusChange(null);
+        } catch (error) {
+            console.error("Status change error: ", error);
+            setStatusChange(prev => ({ ...prev, phase: 'edit', error: error.message }));
+        }
+    };
+
+    const handleAssign = async (id, technicianId) => {
+        if (!userId || !canAssignIssues(staffProfile)) return;
+        const seen = withPendingEdits(findIssue(id));
+        const previous = seen?.assignedTo || null;
+        const assignment = { assignedTo: technicianId || null, assignmentStatus: technicianId ? "pending" : null };
+        const save = (basis) => applyOptimistically(id, assignment, () => assignIssue(userId, id, technicianId, basis));
+        // Reassigning asks for acceptance again, so an accepted job cannot be put back as it was
+        const undo = seen && seen.assignmentStatus !== "accepted" ? () => assignIssue(userId, id, previous, { ...seen, ...assignment }) : null;
+        try {
+            await saveEdit(seen, save, () => showChangeToast(seen || { id }, "assignedTo", assignment.assignedTo, previous, undo));
+        } catch (error) {
+            console.error("Assignment error: ", error);
+            showError(t("Could not assign the issue"), error);
+        }
+    };
+
+    const handleAcceptAssignment = async (id) => {
+        if (!userId || !canAcceptAssignment(staffProfile, findIssue(id))) return;
+        try {
+            await acceptAssignment(userId, id);
+        } catch (error) {
+            console.error("Accept assignment error: ", error);
+            showError(t("Could not accept the job"), error);
+        }
+    };
+
+    // --- FILTERED DATA (Client-side Search within the loaded pages) ---
+    const filteredFirs = useMemo(() => {
+        return firs.filter(fir => {
+            const searchMatch = fir.roomNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                                fir.issueTitle?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                                fir.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                                fir.displayId?.toLowerCase().includes(searchTerm.toLowerCase());
+            
+            return searchMatch;
+        });
+    }, [firs, searchTerm]);
+
+    // --- DASHBOARD METRICS ---
+    const { totalIssues, pendingIssues, completedIssues, highPriorityIssues } = issueCounts || getDashboardMetrics(firs);
+    const slaBreachedIssues = slaBreachedCount ?? firs.filter(f => isOverdue(f, slaTargets, currentDateTime)).length;
+    // The tiles, in order; exported reports repeat them
+    const dashboardMetrics = [
+        { iconName: "Zap", title: t("Total Issues"), value: totalIssues, bgColor: "bg-primary" },
+        { iconName: "Clock", title: t("Pending (Submitted/In Progress)"), value: pendingIssues, bgColor: "bg-warning text-dark" },
+        { iconName: "ShieldAlert", title: t("High/Critical Priority"), value: highPriorityIssues, bgColor: "bg-danger" },
+        { iconName: "Check", title: t("Completed"), value: completedIssues, bgColor: "bg-success" },
+        { iconName: "Clock", title: t("SLA Breached"), value: slaBreachedIssues, bgColor: "bg-dark" },
+    ];
+
+    // --- BULK ACTIONS (Interface 2) ---
+
+    // Only rows visible under the current filter count as selected
+    const selectedFirs = filteredFirs.filter(fir => selectedIds.includes(fir.id));
+    const allVisibleSelected = filteredFirs.length > 0 && selectedFirs.length === filteredFirs.length;
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const toggleSelectAllVisible = () => {
+        setSelectedIds(allVisibleSelected ? [] : filteredFirs.map(fir => fir.id));
+    };
+
+    // Turns the bulk bar selections into a changes object; "" means "leave as is"
+    const getPendingBulkChanges = () => {
+        const changes = {};
+        ["status", "priority", "department"].forEach(field => {
+            if (bulkChanges[field]) changes[field] = bulkChanges[field];
+        });
+        if (bulkChanges.status === "Completed") {
+            changes.resolutionNotes = bulkChanges.resolutionNotes.trim();
+        }
+        if (bulkChanges.status === "Canceled") {
+            changes.cancelReason = bulkChanges.cancelReason || null;
+            changes.cancelNote = bulkChanges.cancelNote.trim() || null;
+        }
+        if (bulkChanges.assignedTo) {
+            const technicianId = bulkChanges.assignedTo === "none" ? null : bulkChanges.assignedTo;
+            changes.assignedTo = technicianId;
+            changes.assignmentStatus = technicianId ? "pending" : null;
+        }
+        return changes;
+    };
+
+    const getBulkPermissionError = (fir, changes) => {
+        const blocked = Object.keys(changes).find(field => (
+            field === "assignedTo" || field === "assignmentStatus"
+                ? !canAssignIssues(staffProfile)
+                : !canUpdateField(staffProfile, fir, STATUS_DETAIL_FIELDS.includes(field) ? "status" : field)
+        ));
+        return blocked ? t("You are not allowed to change {field} on this issue.", { field: t(HISTORY_FIELD_LABELS[blocked] || blocked) }) : null;
+    };
+
+    const handleReviewBulkUpdate = () => {
+        const changes = getPendingBulkChanges();
+        const issues = [];
+        const skipped = [];
+        selectedFirs.forEach(fir => {
+            const reason = getBulkPermissionError(fir, changes)
+                || (changes.status ? getTransitionError(fir, changes.status, changes) : null);
+            if (reason) skipped.push({ issue: fir, reason });
+            else issues.push(fir);
+        });
+        setBulkDialog({ phase: 'confirm', issues, skipped, changes });
+    };
+
+    const handleApplyBulkUpdate = async () => {
+        const { issues, changes } = bulkDialog;
+        setBulkDialog(prev => ({ ...prev, phase: 'applying' }));
+        try {
+            const result = await bulkUpdateIssues(userId, issues, changes);
+            setBulkDialog(prev => ({ ...prev, phase: 'report', result }));
+            setSelectedIds(prev => prev.filter(id => result.failed.some(({ issue }) => issue.id === id)));
+            setBulkChanges(EMPTY_BULK_CHANGES);
+        } catch (error) {
+            console.error("Bulk update error: ", error);
+            setBulkDialog(prev => ({
+                ...prev,
+                phase: 'report',
+                result: { updated: [], unchanged: [], failed: issues.map(issue => ({ issue, reason: error.message })) },
+            }));
+        }
+    };
+
+    // --- EXPORT (Interface 2) ---
+
+    const handleExport = async (format) => {
+        const rows = buildExportRows(filteredFirs, { staffById, slaTargets, now: new Date() });
+        const filterSummary = [
+            priorityFilter === "All" ? t("All Priorities") : `${t("Priority:")} ${t(priorityFilter)}`,
+            departmentFilter === "All" ? t("All Departments") : `${t("Department")}: ${t(departmentFilter)}`,
+            openOnly ? t("Open issues only") : null,
+            createdRange.from ? `${t("From")}: ${createdRange.from}` : null,
+            createdRange.to ? `${t("To")}: ${createdRange.to}` : null,
+            searchTerm ? `${t("Search")}: "${searchTerm}"` : null,
+            rows.length === 1 ? t("Showing 1 issue") : t("Showing {count} issues", { count: rows.length }),
+        ].filter(Boolean).join(" · ");
+        // Only the loaded pages are exported; the file says so rather than pass for the full list
+        const exportOptions = {
+            translate: t,
+            partialNotice: hasMoreIssues
+                ? t("Partial export: only the {count} issues loaded so far. Load more issues in the list to export the rest.", { count: rows.length })
+                : null,
+        };
+
+        setExporting(format);
+        try {
+            if (format === "csv") exportCsv(rows, exportOptions);
+            if (format === "xlsx") await exportXlsx(rows, exportOptions);
+            if (format === "pdf") {
+                await exportPdf(rows, {
+                    ...exportOptions,
+                    filterSummary,
+                    metrics: dashboardMetrics.map(({ title, value }) => ({ title, value })),
+                });
+            }
+        } catch (error) {
+            console.error(`Export (${format}) error: `, error);
+            showError(t("Export failed"), error);
+        } finally {
+            setExporting(null);
         }
     };
-    
-    // --- TABLE HANDLERS (Interface 2) ---
 
-    const handleUpdateField = async (id, field, value) => {
-        if (!userId) return;
+    const handleExportGuestQr = async () => {
+        setExporting("guest-qr");
         try {
-            await updateIssueField(userId, id, field, value);
+            await exportGuestQrSheet(locations, window.location.origin);
         } catch (error) {
-            console.error("Update error: ", error);
+            console.error("Guest QR sheet error: ", error);
+            showError(t("Could not create the QR codes"), error);
+        } finally {
+            setExporting(null);
         }
     };
 
-    // --- FILTERED DATA (Client-side Search) ---
-    const filteredFirs = useMemo(() => {
-        return firs.filter(fir => {
-            const searchMatch = fir.roomNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                                fir.issueTitle?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                                fir.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                                fir.displayId?.toLowerCase().includes(searchTerm.toLowerCase());
-            
-            return searchMatch;
-        });
-    }, [firs, searchTerm]);
-
-    // --- DASHBOARD METRICS ---
-    const totalIssues = firs.length;
-    const pendingIssues = firs.filter(f => f.status === "Submitted" || f.status === "In Progress").length;
-    const completedIssues = firs.filter(f => f.status === "Completed").length;
-    const highPriorityIssues = firs.filter(f => f.priority === "High" || f.priority === "Critical").length;
-
     // --- RENDER FUNCTIONS ---
 
     const renderInterface1 = () => (
@@ -423,54 +4215,35 @@ const App = () => {
                     <div className="card shadow-lg border-0 rounded-3">
                         <div className="card-body p-4 p-md-5">
                             <h2 className="h4 fw-bold mb-4 text-dark border-bottom pb-2 d-flex align-items-center">
-                                {getIconComponent('List', "me-2 text-primary fs-5")} New Maintenance Request 
-                                <span className="ms-auto badge bg-primary fs-6">{nextDisplayId}</span>
+                                {getIconComponent('List', "me-2 text-primary fs-5")} {t("New Maintenance Request")}
+                                <span className={`ms-auto badge fs-6 ${lastReservedId ? "bg-primary" : "bg-secondary"}`}>
+                                    {lastReservedId ? t("Last logged: {id}", { id: lastReservedId }) : t("ID assigned on submit")}
+                                </span>
                             </h2>
                             
-                            {/* Success Message */}
-                            <div id="success-message" className="d-none position-fixed top-0 end-0 mt-3 me-3 alert alert-success shadow-lg" role="alert" style={{zIndex: 1050}}>
-                                <h4 className="alert-heading small fw-bold">Request Submitted!</h4>
-                                <p className="mb-0 small">Your maintenance issue has been logged successfully.</p>
-                            </div>
-                            
-                             {/* Auth Error Message */}
-                             <div id="error-message-modal" className="d-none position-fixed top-0 end-0 mt-3 me-3 alert alert-danger shadow-lg" role="alert" style={{zIndex: 1050}}>
-                                <h4 className="alert-heading small fw-bold">Connection Error</h4>
-                                <p className="mb-0 small">Cannot submit form. Please ensure you are authenticated.</p>
-                            </div>
-                            
-                            {/* Submission Error Message */}
-                             <div id="error-submission-modal" className="d-none position-fixed top-0 end-0 mt-3 me-3 alert alert-danger shadow-lg" role="alert" style={{zIndex: 1050}}>
-                                <h4 className="alert-heading small fw-bold">Submission Failed</h4>
-                                <p className="mb-0 small">Check console for Firebase storage/database errors.</p>
-                            </div>
-
                             <form onSubmit={handleSubmit} className="row g-3">
                                 {/* Room Number */}
                                 <div className="col-md-6">
-                                    <label htmlFor="roomNumber" className="form-label small fw-medium text-secondary">Room/Location</label>
-                                    <input 
-                                        type="text" 
-                                        name="roomNumber" 
+                                    <label htmlFor="roomNumber" className="form-label small fw-medium text-secondary">{t("Room/Location")}</label>
+                                    <LocationTypeahead
                                         id="roomNumber"
-                                        value={formData.roomNumber} 
-                                        onChange={handleFormChange}
-                                        placeholder="e.g., Room 301 or Lobby A"
-                                        required
-                                        className="form-control"
+                                        locations={locations}
+                                        value={formData.roomNumber}
+                                        locationId={formData.locationId}
+                                        onChange={(location) => setFormData(prev => ({ ...prev, ...location }))}
                                     />
                                 </div>
 
                                 {/* Issue Title */}
                                 <div className="col-md-6">
-                                    <label htmlFor="issueTitle" className="form-label small fw-medium text-secondary">Issue Title</label>
+                                    <label htmlFor="issueTitle" className="form-label small fw-medium text-secondary">{t("Issue Title")}</label>
                                     <input 
                                         type="text" 
                                         name="issueTitle" 
                                         id="issueTitle"
                                         value={formData.issueTitle} 
                                         onChange={handleFormChange}
-                                        placeholder="e.g., AC is making noise"
+                                        placeholder={t("e.g., AC is making noise")}
                                         required
                                         className="form-control"
                                     />
@@ -478,22 +4251,53 @@ const App = () => {
 
                                 {/* Description */}
                                 <div className="col-12">
-                                    <label htmlFor="description" className="form-label small fw-medium text-secondary">Detailed Description</label>
+                                    <label htmlFor="description" className="form-label small fw-medium text-secondary">{t("Detailed Description")}</label>
                                     <textarea
                                         name="description" 
                                         id="description"
                                         value={formData.description} 
                                         onChange={handleFormChange}
-                                        placeholder="Describe the issue in detail..."
+                                        placeholder={t("Describe the issue in detail...")}
                                         rows="4"
                                         required
                                         className="form-control"
                                     />
                                 </div>
+
+                                {/* Possible Duplicates */}
+                                {possibleDuplicates.length > 0 && (
+                                    <div className="col-12">
+                                        <div className="alert alert-warning mb-0" role="status">
+                                            <h3 className="h6 fw-bold mb-2">{t("This may already be reported")}</h3>
+                                            <ul className="list-unstyled mb-2">
+                                                {possibleDuplicates.map(({ issue }) => (
+                                                    <li key={issue.id} className="d-flex align-items-center flex-wrap gap-2 mb-2">
+                                                        <IssueLink displayId={issue.displayId} onOpen={openIssueDetail} className="fw-semibold" />
+                                                        <span>{issue.issueTitle}</span>
+                                                        <span className={getStatusBadge(issue.status)}>{t(issue.status)}</span>
+                                                        <span className="small text-muted">{formatDateTime(issue.createdAt)}</span>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => handleAddToExisting(issue)}
+                                                            disabled={loading || addingToIssueId !== null}
+                                                            className="btn btn-sm btn-warning ms-auto"
+                                                        >
+                                                            {addingToIssueId === issue.id ? t("Adding...") : t("Add my note to {id}", { id: issue.displayId })}
+                                                        </button>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            <p className="small mb-0">
+                                                {formData.imageFiles.length > 1 && `${t("Only the first photo is attached to the note.")} `}
+                                                {t("Submitting anyway files a new ticket flagged as a possible duplicate of {id}.", { id: possibleDuplicates[0].issue.displayId })}
+                                            </p>
+                                        </div>
+                                    </div>
+                                )}
                                 
                                 {/* Priority Selection */}
                                 <div className="col-md-6">
-                                    <label htmlFor="priority" className="form-label small fw-medium text-secondary">Suggested Priority</label>
+                                    <label htmlFor="priority" className="form-label small fw-medium text-secondary">{t("Suggested Priority")}</label>
                                     <select
                                         name="priority"
                                         id="priority"
@@ -502,7 +4306,7 @@ const App = () => {
                                         className="form-select"
                                     >
                                         {PRIORITY_OPTIONS.map(p => (
-                                            <option key={p} value={p}>{p}</option>
+                                            <option key={p} value={p}>{t(p)}</option>
                                         ))}
                                     </select>
                                 </div>
@@ -510,23 +4314,56 @@ const App = () => {
 
                                 {/* Image Upload */}
                                 <div className="col-md-6">
-                                    <label htmlFor="imageFile" className="form-label small fw-medium text-secondary">Photo/Evidence (Optional)</label>
+                                    <label htmlFor="imageFile" className="form-label small fw-medium text-secondary">
+                                        {t("Photos/Evidence (Optional, up to {count})", { count: MAX_PHOTOS_PER_ISSUE })}
+                                    </label>
                                     <div className="input-group">
                                         <input 
                                             type="file" 
                                             id="imageFile"
                                             accept="image/*"
+                                            multiple
                                             onChange={handleFileChange}
+                                            disabled={loading || formData.imageFiles.length >= MAX_PHOTOS_PER_ISSUE}
                                             className="form-control"
                                         />
                                         <label className="input-group-text">
                                             {getIconComponent('Upload', "text-muted fs-6")}
                                         </label>
                                     </div>
-                                    {formData.imageFile && (
-                                        <div className="small text-muted mt-1">
-                                            {formData.imageFile.name}
-                                        </div>
+                                    {formData.imageFiles.length > 0 && (
+                                        <ul className="list-unstyled small text-muted mt-2 mb-0">
+                                            {formData.imageFiles.map((file, index) => (
+                                                <li key={`${file.name}-${index}`} className="mb-1">
+                                                    <div className="d-flex align-items-center">
+                                                        <span className="text-truncate me-2">{file.name}</span>
+                                                        {uploadProgress.length === 0 && (
+                                                            <button
+                                                                type="button"
+                                                                onClick={() => handleRemoveFile(index)}
+                                                                className="btn btn-link btn-sm text-danger p-0 ms-auto"
+                                                                aria-label={t("Remove {name}", { name: file.name })}
+                                                            >
+                                                                {t("Remove")}
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                    {uploadProgress.length > 0 && (
+                                                        <div
+                                                            className="progress mt-1"
+                                                            style={{height: '6px'}}
+                                                            role="progressbar"
+                                                            aria-label={t("Uploading {name}", { name: file.name })}
+                                                            aria-valuenow={Math.round((uploadProgress[index] || 0) * 100)}
+                                                            aria-valuemin="0"
+                                                            aria-valuemax="100"
+                                                        >
+                                                            <div className="progress-bar" style={{width: `${Math.round((uploadProgress[index] || 0) * 100)}%`}}></div>
+                                                        </div>
+                                                    )}
+                                                </li>
+                                            ))}
+                                        </ul>
                                     )}
                                 </div>
 
@@ -538,17 +4375,17 @@ const App = () => {
                                     >
                                         {loading ? (
                                             <>
-                                                {getIconComponent('Spinner', "me-2")} Submitting...
+                                                {getIconComponent('Spinner', "me-2")} {t("Submitting...")}
                                             </>
                                         ) : (
                                             <>
-                                                {getIconComponent('PaperPlane', "me-2")} Submit Maintenance Request
+                                                {getIconComponent('PaperPlane', "me-2")} {t("Submit Maintenance Request")}
                                             </>
                                         )}
                                     </button>
                                 </div>
                                 {!userId && (
-                                     <p className="text-center text-danger small mt-3 mb-0">Waiting for connection and authentication...</p>
+                                     <p className="text-center text-danger small mt-3 mb-0">{t("Waiting for connection and authentication...")}</p>
                                 )}
                             </form>
                         </div>
@@ -561,7 +4398,21 @@ const App = () => {
     const renderInterface2 = () => (
         <div className="container-fluid py-5">
             <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
-                {getIconComponent('Toolbox', "me-3 text-primary fs-4")} Technician Dashboard
+                {getIconComponent('Toolbox', "me-3 text-primary fs-4")} {t("Technician Dashboard")}
+                <div className="btn-group btn-group-sm ms-auto" role="group" aria-label={t("Export the issues shown below")}>
+                    {[["csv", "CSV"], ["xlsx", "Excel"], ["pdf", "PDF"]].map(([format, label]) => (
+                        <button
+                            key={format}
+                            type="button"
+                            onClick={() => handleExport(format)}
+                            disabled={Boolean(exporting) || loading || filteredFirs.length === 0}
+                            className="btn btn-outline-secondary"
+                        >
+                            {exporting === format ? getIconComponent('Spinner', "me-1 small") : <i className="fa-solid fa-file-arrow-down me-1"></i>}
+                            {t(label)}
+                        </button>
+                    ))}
+                </div>
             </h2>
 
             {/* Filters and Search */}
@@ -574,7 +4425,7 @@ const App = () => {
                                 <span className="input-group-text">{getIconComponent('Search', "text-muted fs-6")}</span>
                                 <input
                                     type="text"
-                                    placeholder="Search by ID, Room, or Title..."
+                                    placeholder={t("Search loaded issues by ID, Room, or Title...")}
                                     value={searchTerm}
                                     onChange={(e) => setSearchTerm(e.target.value)}
                                     className="form-control"
@@ -589,9 +4440,9 @@ const App = () => {
                                 onChange={(e) => setPriorityFilter(e.target.value)}
                                 className="form-select"
                             >
-                                <option value="All">All Priorities</option>
+                                <option value="All">{t("All Priorities")}</option>
                                 {PRIORITY_OPTIONS.map(p => (
-                                    <option key={p} value={p}>{p}</option>
+                                    <option key={p} value={p}>{t(p)}</option>
                                 ))}
                             </select>
                         </div>
@@ -603,9 +4454,64 @@ const App = () => {
                                 onChange={(e) => setDepartmentFilter(e.target.value)}
                                 className="form-select"
                             >
-                                <option value="All">All Departments</option>
+                                <option value="All">{t("All Departments")}</option>
                                 {DEPARTMENT_OPTIONS.map(d => (
-                                    <option key={d} value={d}>{d}</option>
+                                    <option key={d} value={d}>{t(d)}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {/* Open / all */}
+                        <div className="col-md-3">
+                            <select
+                                value={openOnly ? "open" : "all"}
+                                onChange={(e) => setOpenOnly(e.target.value === "open")}
+                                className="form-select"
+                                aria-label={t("Issues to show")}
+                            >
+                                <option value="open">{t("Open issues only")}</option>
+                                <option value="all">{t("All issues")}</option>
+                            </select>
+                        </div>
+
+                        {/* Created date range */}
+                        <div className="col-md-3">
+                            <div className="input-group">
+                                <span className="input-group-text small">{t("From")}</span>
+                                <input
+                                    type="date"
+                                    value={createdRange.from}
+                                    max={createdRange.to || undefined}
+                                    onChange={(e) => setCreatedRange(prev => ({ ...prev, from: e.target.value }))}
+                                    className="form-control"
+                                    aria-label={t("Created from")}
+                                />
+                            </div>
+                        </div>
+                        <div className="col-md-3">
+                            <div className="input-group">
+                                <span className="input-group-text small">{t("To")}</span>
+                                <input
+                                    type="date"
+                                    value={createdRange.to}
+                                    min={createdRange.from || undefined}
+                                    onChange={(e) => setCreatedRange(prev => ({ ...prev, to: e.target.value }))}
+                                    className="form-control"
+                                    aria-label={t("Created to")}
+                                />
+                            </div>
+                        </div>
+
+                        {/* Sort */}
+                        <div className="col-md-3">
+                            <select
+                                value={sortOrder}
+                                onChange={(e) => setSortOrder(e.target.value)}
+                                className="form-select"
+                                aria-label={t("Sort issues")}
+                            >
+                                {Object.entries(ISSUE_SORT_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{t(label)}</option>
                                 ))}
                             </select>
                         </div>
@@ -613,62 +4519,224 @@ const App = () => {
                 </div>
             </div>
 
+            {/* Bulk Action Bar */}
+            {selectedFirs.length > 0 && (
+                <div className="card mb-3 shadow-sm border-primary">
+                    <div className="card-body py-2 d-flex flex-wrap align-items-center gap-2">
+                        <strong className="small me-2">{t("{count} selected", { count: selectedFirs.length })}</strong>
+                        <select
+                            value={bulkChanges.status}
+                            onChange={(e) => setBulkChanges(prev => ({ ...prev, status: e.target.value }))}
+                            className="form-select form-select-sm w-auto"
+                            aria-label={t("Set status")}
+                        >
+                            <option value="">{t("Status: no change")}</option>
+                            {STATUS_OPTIONS.map(s => <option key={s} value={s}>{t(s)}</option>)}
+                        </select>
+                        {bulkChanges.status === "Completed" && (
+                            <input
+                                type="text"
+                                value={bulkChanges.resolutionNotes}
+                                onChange={(e) => setBulkChanges(prev => ({ ...prev, resolutionNotes: e.target.value }))}
+                                placeholder={t("Resolution notes (required)")}
+                                aria-label={t("Resolution notes")}
+                                className="form-control form-control-sm w-auto"
+                            />
+                        )}
+                        {bulkChanges.status === "Canceled" && (
+                            <>
+                                <select
+                                    value={bulkChanges.cancelReason}
+                                    onChange={(e) => setBulkChanges(prev => ({ ...prev, cancelReason: e.target.value }))}
+                                    className="form-select form-select-sm w-auto"
+                                    aria-label={t("Cancellation reason")}
+                                >
+                                    <option value="">{t("Reason (required)")}</option>
+                                    {Object.entries(CANCEL_REASONS).map(([code, label]) => <option key={code} value={code}>{t(label)}</option>)}
+                                </select>
+                                <input
+                                    type="text"
+                                    value={bulkChanges.cancelNote}
+                                    onChange={(e) => setBulkChanges(prev => ({ ...prev, cancelNote: e.target.value }))}
+                                    placeholder={bulkChanges.cancelReason === "other" ? t("Note (required)") : t("Note (optional)")}
+                                    aria-label={t("Cancellation note")}
+                                    className="form-control form-control-sm w-auto"
+                                />
+                            </>
+                        )}
+                        {canAssignIssues(staffProfile) && (
+                            <>
+                                <select
+                                    value={bulkChanges.priority}
+                                    onChange={(e) => setBulkChanges(prev => ({ ...prev, priority: e.target.value }))}
+                                    className="form-select form-select-sm w-auto"
+                                    aria-label={t("Set priority")}
+                                >
+                                    <option value="">{t("Priority: no change")}</option>
+                                    {PRIORITY_OPTIONS.map(p => <option key={p} value={p}>{t(p)}</option>)}
+                                </select>
+                                <select
+                                    value={bulkChanges.department}
+                                    onChange={(e) => setBulkChanges(prev => ({ ...prev, department: e.target.value }))}
+                                    className="form-select form-select-sm w-auto"
+                                    aria-label={t("Set department")}
+                                >
+                                    <option value="">{t("Department: no change")}</option>
+                                    {DEPARTMENT_OPTIONS.map(d => <option key={d} value={d}>{t(d)}</option>)}
+                                </select>
+                                <select
+                                    value={bulkChanges.assignedTo}
+                                    onChange={(e) => setBulkChanges(prev => ({ ...prev, assignedTo: e.target.value }))}
+                                    className="form-select form-select-sm w-auto"
+                                    aria-label={t("Set assignee")}
+                                >
+                                    <option value="">{t("Assignee: no change")}</option>
+                                    <option value="none">{t("Unassigned")}</option>
+                                    {getTechnicianRoster(staffById).map(staff => (
+                                        <option key={staff.id} value={staff.id}>{staff.displayName} ({t(staff.department)})</option>
+                                    ))}
+                                </select>
+                            </>
+                        )}
+                        <button
+                            type="button"
+                            onClick={handleReviewBulkUpdate}
+                            disabled={Object.keys(getPendingBulkChanges()).length === 0}
+                            className="btn btn-primary btn-sm"
+                        >
+                            {t("Review & Apply")}
+                        </button>
+                        <button type="button" onClick={() => setSelectedIds([])} className="btn btn-link btn-sm ms-auto">{t("Clear selection")}</button>
+                    </div>
+                </div>
+            )}
+            {bulkDialog && (
+                <BulkUpdateDialog
+                    dialog={bulkDialog}
+                    staffById={staffById}
+                    onConfirm={handleApplyBulkUpdate}
+                    onClose={() => setBulkDialog(null)}
+                />
+            )}
+
             {/* Table */}
             <div className="card shadow-lg border-0">
                 <div className="card-body p-0 overflow-auto">
                     {loading && (
                         <div className="p-5 text-center text-primary d-flex align-items-center justify-content-center">
-                            {getIconComponent('Spinner', "me-2 fs-5")} Syncing Real-Time Data...
+                            {getIconComponent('Spinner', "me-2 fs-5")} {t("Syncing Real-Time Data...")}
                         </div>
                     )}
                     {!loading && filteredFirs.length === 0 && (
                         <div className="p-5 text-center text-muted">
-                            No maintenance issues found matching your criteria.
+                            {t("No maintenance issues found matching your criteria.")}
                         </div>
                     )}
                     {!loading && filteredFirs.length > 0 && (
                         <table className="table table-hover table-striped table-responsive mb-0">
                             <thead className="table-light">
                                 <tr>
-                                    <th scope="col" className="small text-uppercase">ID / Room</th>
-                                    <th scope="col" className="small text-uppercase">Issue Title & Details</th>
-                                    <th scope="col" className="small text-uppercase">Priority</th>
-                                    <th scope="col" className="small text-uppercase">Status</th>
-                                    <th scope="col" className="small text-uppercase">Department</th>
-                                    <th scope="col" className="small text-uppercase">Image</th>
-                                    <th scope="col" className="small text-uppercase">Submitted</th>
+                                    <th scope="col">
+                                        <input
+                                            type="checkbox"
+                                            checked={allVisibleSelected}
+                                            onChange={toggleSelectAllVisible}
+                                            className="form-check-input"
+                                            aria-label={t("Select all issues shown")}
+                                        />
+                                    </th>
+                                    <th scope="col" className="small text-uppercase">{t("ID / Room")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Issue Title & Details")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Priority")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Status")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Department")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Assignee")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("SLA")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Photos")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Submitted")}</th>
                                 </tr>
                             </thead>
                             <tbody>
-                                {filteredFirs.map((fir) => (
-                                    <tr key={fir.id}>
+                                {filteredFirs.map(withPendingEdits).map((fir) => (
+                                    <React.Fragment key={fir.id}>
+                                    <tr className={selectedIds.includes(fir.id) ? "table-active" : undefined}>
                                         <td className="align-middle">
-                                            <div className="fw-bold text-primary small">{fir.displayId}</div>
-                                            <div className="text-secondary small">{fir.roomNumber}</div>
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedIds.includes(fir.id)}
+                                                onChange={() => toggleSelected(fir.id)}
+                                                className="form-check-input"
+                                                aria-label={t("Select {id}", { id: fir.displayId })}
+                                            />
+                                        </td>
+                                        <td className="align-middle">
+                                            <div className="fw-bold small"><IssueLink displayId={fir.displayId} onOpen={openIssue} /></div>
+                                            {fir.locationId ? (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => openLocation(fir.locationId)}
+                                                    className="btn btn-link btn-sm p-0 small text-secondary d-block"
+                                                    title={t("Show every issue for this location")}
+                                                >
+                                                    {fir.roomNumber}
+                                                </button>
+                                            ) : (
+                                                <div className="text-secondary small">{fir.roomNumber}</div>
+                                            )}
+                                            <button
+                                                type="button"
+                                                onClick={() => setExpandedHistoryId(expandedHistoryId === fir.id ? null : fir.id)}
+                                                className="btn btn-link btn-sm p-0 small text-decoration-none"
+                                            >
+                                                {getIconComponent('Clock', "me-1 text-secondary small")}
+                                                {expandedHistoryId === fir.id ? t("Hide history") : t("History")}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setExpandedCommentsId(expandedCommentsId === fir.id ? null : fir.id)}
+                                                className="btn btn-link btn-sm p-0 small text-decoration-none d-block"
+                                            >
+                                                <i className="fa-regular fa-comments me-1 text-secondary small"></i>
+                                                {expandedCommentsId === fir.id ? t("Hide comments") : t("Comments ({count})", { count: fir.commentCount || 0 })}
+                                                {getUnreadCommentCount(fir) > 0 && (
+                                                    <span className="badge rounded-pill bg-danger ms-1" aria-label={t("{count} unread comments", { count: getUnreadCommentCount(fir) })}>
+                                                        {getUnreadCommentCount(fir)}
+                                                    </span>
+                                                )}
+                                            </button>
                                         </td>
                                         <td className="align-middle" style={{minWidth: '200px'}}>
-                                            <div className="fw-semibold text-dark">{fir.issueTitle}</div>
+                                            <button type="button" onClick={() => openIssueDetail(fir.displayId)} className="btn btn-link p-0 fw-semibold text-dark text-start text-decoration-none" title={t("Show all details")}>
+                                                {fir.issueTitle}
+                                            </button>
+                                            {fir.source === GUEST_SOURCE && <span className="badge bg-info text-dark ms-2" title={t("Reported by a guest from the room's QR code")}>{t("Guest")}</span>}
                                             <div className="text-muted small text-truncate" style={{maxWidth: '300px'}}>{fir.description}</div>
+                                            <DuplicateLinks fir={fir} duplicates={duplicatesByIssueId[fir.id]} onOpen={openIssueDetail} />
+                                            <PreventiveDetails fir={fir} />
+                                            <ResolutionSummary fir={fir} />
                                         </td>
                                         <td className="align-middle">
                                             <select
                                                 value={fir.priority}
                                                 onChange={(e) => handleUpdateField(fir.id, "priority", e.target.value)}
+                                                disabled={!canUpdateField(staffProfile, fir, "priority")}
                                                 className="form-select form-select-sm"
+                                                aria-label={t("Priority for {id}", { id: fir.displayId })}
                                             >
                                                 {PRIORITY_OPTIONS.map(p => (
-                                                    <option key={p} value={p}>{p}</option>
+                                                    <option key={p} value={p}>{t(p)}</option>
                                                 ))}
                                             </select>
                                         </td>
                                         <td className="align-middle">
                                             <select
                                                 value={fir.status}
-                                                onChange={(e) => handleUpdateField(fir.id, "status", e.target.value)}
+                                                onChange={(e) => handleStatusSelect(fir, e.target.value)}
+                                                disabled={!canUpdateField(staffProfile, fir, "status")}
                                                 className={`form-select form-select-sm ${getStatusBadge(fir.status).replace('badge ', 'bg-')} bg-opacity-75`}
                                             >
-                                                {STATUS_OPTIONS.map(s => (
-                                                    <option key={s} value={s} className='bg-white text-dark'>{s}</option>
+                                                {getStatusOptions(fir.status).map(s => (
+                                                    <option key={s} value={s} className='bg-white text-dark'>{t(s)}</option>
                                                 ))}
                                             </select>
                                         </td>
@@ -676,32 +4744,161 @@ const App = () => {
                                             <select
                                                 value={fir.department}
                                                 onChange={(e) => handleUpdateField(fir.id, "department", e.target.value)}
+                                                disabled={!canUpdateField(staffProfile, fir, "department")}
                                                 className="form-select form-select-sm"
+                                                aria-label={t("Department for {id}", { id: fir.displayId })}
                                             >
                                                 {DEPARTMENT_OPTIONS.map(d => (
-                                                    <option key={d} value={d}>{d}</option>
+                                                    <option key={d} value={d}>{t(d)}</option>
                                                 ))}
                                             </select>
                                         </td>
                                         <td className="align-middle">
-                                            {fir.imageUrl ? (
-                                                <a href={fir.imageUrl} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-primary small">View Image</a>
-                                            ) : (
-                                                <span className="text-muted small">N/A</span>
-                                            )}
+                                            <AssigneeControl
+                                                fir={fir}
+                                                profile={staffProfile}
+                                                staffById={staffById}
+                                                onAssign={handleAssign}
+                                                onAccept={handleAcceptAssignment}
+                                            />
+                                        </td>
+                                        <td className="align-middle">
+                                            <SlaBadge fir={fir} targets={slaTargets} now={currentDateTime} />
+                                        </td>
+                                        <td className="align-middle">
+                                            <ImageGallery images={getIssueImages(fir)} title={fir.displayId} />
                                         </td>
                                         <td className="align-middle small text-muted">
-                                            {fir.createdAt?.toDate ? fir.createdAt.toDate().toLocaleString() : 'N/A'}
+                                            {formatDateTime(fir.createdAt) || t("N/A")}
                                         </td>
                                     </tr>
+                                    {expandedHistoryId === fir.id && (
+                                        <tr>
+                                            <td colSpan="10" className="bg-light px-4 py-3">
+                                                <IssueHistory userId={userId} issueId={fir.id} staffById={staffById} />
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {expandedCommentsId === fir.id && (
+                                        <tr>
+                                            <td colSpan="10" className="bg-light px-4 py-3">
+                                                <CommentThread userId={userId} issueId={fir.id} staffById={staffById} onSeen={handleCommentsSeen} />
+                                            </td>
+                                        </tr>
+                                    )}
+                                    </React.Fragment>
                                 ))}
                             </tbody>
                         </table>
                     )}
+                    {!loading && firs.length > 0 && (
+                        <LoadMoreFooter shown={firs.length} hasMore={hasMoreIssues} loadingMore={loadingMore} onLoadMore={loadMoreIssues} />
+                    )}
                 </div>
             </div>
             <div className="mt-4 p-3 border-top small text-muted">
-                {getIconComponent('User', "me-1 fs-6")} Your User ID (for data access): <span className="text-monospace bg-light p-1 rounded small">{userId || "Connecting..."}</span>
+                {getIconComponent('User', "me-1 fs-6")} {t("Your User ID (for data access):")} <span className="text-monospace bg-light p-1 rounded small">{userId || t("Connecting...")}</span>
+            </div>
+        </div>
+    );
+
+    const renderIssueDetails = (fir) => (
+        <IssueDetailView
+            fir={fir}
+            userId={userId}
+            profile={staffProfile}
+            staffById={staffById}
+            slaTargets={slaTargets}
+            now={currentDateTime}
+            locations={locations}
+            onUpdateField={handleUpdateField}
+            onUpdateDetails={handleUpdateDetails}
+            onAddPhotos={handleAddPhotos}
+            onRemovePhoto={handleRemovePhoto}
+            onStatusSelect={handleStatusSelect}
+            onAssign={handleAssign}
+            onAccept={handleAcceptAssignment}
+            onOpenLocation={openLocation}
+            onOpenIssue={tab === ISSUE_TAB ? openIssue : openIssueDetail}
+            onCommentsSeen={handleCommentsSeen}
+        />
+    );
+
+    const renderIssuePage = () => (
+        <div className="container-fluid py-5">
+            <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
+                <button type="button" onClick={() => setTab("interface2")} className="btn btn-sm btn-outline-secondary me-3">
+                    <i className={`fa-solid ${dir === "rtl" ? "fa-arrow-right" : "fa-arrow-left"} me-1`}></i> {t("All issues")}
+                </button>
+                {issueDisplayId}
+                {focusedIssue && <span className={`${getStatusBadge(focusedIssue.status)} ms-3 fs-6`}>{t(focusedIssue.status)}</span>}
+            </h2>
+
+            {focusedIssue === undefined && (
+                <div className="p-5 text-center text-primary d-flex align-items-center justify-content-center">
+                    {getIconComponent('Spinner', "me-2 fs-5")} {t("Loading {id}...", { id: issueDisplayId })}
+                </div>
+            )}
+            {focusedIssue === null && (
+                <div className="alert alert-warning" role="alert">
+                    {t("There is no issue {id}. Check the link, or search the issue list.", { id: issueDisplayId })}
+                </div>
+            )}
+            {focusedIssue && renderIssueDetails(focusedIssue)}
+        </div>
+    );
+
+    const renderMyJobs = () => (
+        <div className="container-fluid py-5">
+            <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
+                {getIconComponent('Users', "me-3 text-primary fs-4")} {t("My Jobs")}
+                <span className="badge bg-primary ms-3 fs-6">{t("{count} open", { count: openJobs.length })}</span>
+            </h2>
+
+            <div className="card shadow-lg border-0">
+                <div className="list-group list-group-flush">
+                    {openJobs.map(fir => (
+                        <div key={fir.id} className="list-group-item py-3">
+                            <div className="d-flex flex-wrap align-items-center gap-3">
+                                <div className="flex-grow-1" style={{minWidth: '220px'}}>
+                                    <div className="fw-semibold text-dark">
+                                        {fir.issueTitle} <span className="small">(<IssueLink displayId={fir.displayId} onOpen={openIssue} className="text-muted" />)</span>
+                                    </div>
+                                    <PreventiveDetails fir={fir} />
+                                    <ResolutionSummary fir={fir} />
+                                    <div className="small text-secondary">
+                                        {t("Room:")} {fir.roomNumber} - {t("Priority:")} <span className="fw-bold text-danger">{t(fir.priority)}</span>
+                                        {fir.createdAt?.toDate && (
+                                            <> - {t("Opened {duration} ago", { duration: formatDuration(currentDateTime - fir.createdAt.toDate()) })}</>
+                                        )}
+                                    </div>
+                                    <div className="small text-muted text-truncate" style={{maxWidth: '480px'}}>{fir.description}</div>
+                                </div>
+                                <SlaBadge fir={fir} targets={slaTargets} now={currentDateTime} />
+                                {fir.assignmentStatus === "pending" ? (
+                                    <button type="button" onClick={() => handleAcceptAssignment(fir.id)} className="btn btn-success btn-sm">
+                                        {getIconComponent('Check', "me-1 text-white small")} {t("Accept job")}
+                                    </button>
+                                ) : (
+                                    <select
+                                        value={fir.status}
+                                        onChange={(e) => handleStatusSelect(fir, e.target.value)}
+                                        disabled={!canUpdateField(staffProfile, fir, "status")}
+                                        className="form-select form-select-sm w-auto"
+                                        aria-label={t("Status for {id}", { id: fir.displayId })}
+                                    >
+                                        {getStatusOptions(fir.status).map(s => (
+                                            <option key={s} value={s}>{t(s)}</option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                    {openJobs.length === 0 && (
+                        <p className="text-center text-muted py-4 mb-0">{t("No open jobs assigned to you.")}</p>
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -709,111 +4906,525 @@ const App = () => {
     const renderDashboard = () => (
         <div className="container-fluid py-5">
             <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
-                {getIconComponent('Home', "me-3 text-primary fs-4")} Hotel Maintenance Overview
+                {getIconComponent('Home', "me-3 text-primary fs-4")} {t("Hotel Maintenance Overview")}
             </h2>
             <p className="lead text-secondary mb-5 d-flex align-items-center">
-                {getIconComponent('Calendar', "me-2 text-secondary fs-6")} {currentDateTime.toLocaleString()}
+                {getIconComponent('Calendar', "me-2 text-secondary fs-6")} {formatDateTime(currentDateTime)}
             </p>
 
             {/* Metric Tiles */}
             <div className="row g-4 mb-5">
-                <div className="col-lg-3 col-md-6">
-                    <DashboardTile 
-                        iconName="Zap" 
-                        title="Total Issues" 
-                        value={totalIssues} 
-                        bgColor="bg-primary" 
-                    />
-                </div>
-                <div className="col-lg-3 col-md-6">
-                    <DashboardTile 
-                        iconName="Clock" 
-                        title="Pending (Submitted/In Progress)" 
-                        value={pendingIssues} 
-                        bgColor="bg-warning text-dark" 
-                    />
-                </div>
-                <div className="col-lg-3 col-md-6">
-                    <DashboardTile 
-                        iconName="ShieldAlert" 
-                        title="High/Critical Priority" 
-                        value={highPriorityIssues} 
-                        bgColor="bg-danger" 
-                    />
-                </div>
-                <div className="col-lg-3 col-md-6">
-                    <DashboardTile 
-                        iconName="Check" 
-                        title="Completed" 
-                        value={completedIssues} 
-                        bgColor="bg-success" 
-                    />
-                </div>
+                {dashboardMetrics.map(metric => (
+                    <div key={metric.title} className="col-xl col-md-6">
+                        <DashboardTile {...metric} />
+                    </div>
+                ))}
             </div>
             
             {/* Quick View (Top 5 Pending) */}
-            <h3 className="h5 fw-semibold mb-3 text-secondary border-bottom pb-2">Top 5 Pending Issues</h3>
+            <h3 className="h5 fw-semibold mb-3 text-secondary border-bottom pb-2">{t("Top 5 Pending Issues")}</h3>
             <div className="card shadow-lg border-0">
                 <div className="list-group list-group-flush">
                     {firs.filter(f => f.status === "Submitted" || f.status === "In Progress").slice(0, 5).map(fir => (
                         <div key={fir.id} className="list-group-item d-flex justify-content-between align-items-center py-3">
                             <div>
-                                <div className="fw-semibold text-dark">{fir.issueTitle} <span className="small text-muted">({fir.displayId})</span></div>
-                                <div className="small text-secondary">Room: {fir.roomNumber} - Priority: <span className="fw-bold text-danger">{fir.priority}</span></div>
+                                <div className="fw-semibold text-dark">
+                                    <button type="button" onClick={() => openIssueDetail(fir.displayId)} className="btn btn-link p-0 fw-semibold text-dark text-start text-decoration-none" title={t("Show all details")}>
+                                        {fir.issueTitle}
+                                    </button>
+                                    {" "}<span className="small">(<IssueLink displayId={fir.displayId} onOpen={openIssue} className="text-muted" />)</span>
+                                </div>
+                                <div className="small text-secondary">{t("Room:")} {fir.roomNumber} - {t("Priority:")} <span className="fw-bold text-danger">{t(fir.priority)}</span></div>
                             </div>
                             <span className={getStatusBadge(fir.status)}>
-                                {fir.status}
+                                {t(fir.status)}
                             </span>
                         </div>
                     ))}
                     {firs.filter(f => f.status === "Submitted" || f.status === "In Progress").length === 0 && (
-                         <p className="text-center text-muted py-4 mb-0">No active pending issues.</p>
+                         <p className="text-center text-muted py-4 mb-0">{t("No active pending issues.")}</p>
                     )}
                 </div>
             </div>
+
+            {/* SLA Targets (managers only) */}
+            {staffProfile?.role === ROLES.MANAGER && (
+                <>
+                    <h3 className="h5 fw-semibold mt-5 mb-3 text-secondary border-bottom pb-2">{t("SLA Targets")}</h3>
+                    <SlaSettingsCard userId={userId} targets={slaTargets} />
+
+                    <h3 className="h5 fw-semibold mt-5 mb-3 text-secondary border-bottom pb-2">{t("Legacy Data")}</h3>
+                    <LegacyMigrationCard userId={userId} />
+                    <SortKeyBackfillCard userId={userId} />
+                </>
+            )}
         </div>
     );
 
-    return (
+    const renderAnalytics = () => (
+        <div className="container-fluid py-5">
+            <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
+                {getIconComponent('ChartColumn', "me-3 text-primary fs-4")} {t("Analytics")}
+            </h2>
+            <p className="text-secondary mb-4">
+                {t("Each report covers the issues opened within its own date range (last {count} days by default).", { count: ANALYTICS_DEFAULT_DAYS })}
+            </p>
+
+            <AnalyticsReport
+                userId={userId}
+                title={t("Time to Resolve by Department")}
+                description={t("Mean and median time from submission until the issue was marked Completed.")}
+            >
+                {(issues) => <ResolutionTimeReport issues={issues} />}
+            </AnalyticsReport>
+
+            <AnalyticsReport
+                userId={userId}
+                title={t("Reopen Rate by Department")}
+                description={t("Share of issues that had to be reopened after being completed or canceled.")}
+            >
+                {(issues) => <ReopenReport issues={issues} />}
+            </AnalyticsReport>
+
+            <AnalyticsReport
+                userId={userId}
+                title={t("Opened vs. Closed per Week")}
+                description={t("Issues opened each week, and issues completed or canceled each week.")}
+                fetchIssues={fetchIssuesOpenedOrClosedBetween}
+            >
+                {(issues, range) => (
+                    <WeeklyBarChart
+                        title={t("Opened vs. closed per week")}
+                        rows={getWeeklyOpenedVsClosed(issues, range)}
+                        series={TREND_CHART_SERIES}
+                    />
+                )}
+            </AnalyticsReport>
+
+            <AnalyticsReport
+                userId={userId}
+                title={t("Priority Mix over Time")}
+                description={t("Issues opened each week, by priority.")}
+            >
+                {(issues, range) => (
+                    <WeeklyBarChart
+                        title={t("Priority mix per week")}
+                        rows={getWeeklyPriorityMix(issues, range)}
+                        series={PRIORITY_CHART_SERIES}
+                        stacked
+                    />
+                )}
+            </AnalyticsReport>
+
+            <AnalyticsReport
+                userId={userId}
+                title={t("Hotspots")}
+                description={t("Rooms and locations with the most issues.")}
+            >
+                {(issues) => <HotspotReport issues={issues} />}
+            </AnalyticsReport>
+        </div>
+    );
+
+    const renderLocations = () => {
+        const isManager = staffProfile?.role === ROLES.MANAGER;
+        const filterKey = locationFilter.trim();
+        const visibleLocations = filterKey
+            ? searchLocations(locations.filter(location => isManager || location.active !== false), filterKey, locations.length)
+            : locations.filter(location => isManager || location.active !== false);
+        const selectedLocation = locations.find(location => location.id === selectedLocationId);
+        const editingLocation = locations.find(location => location.id === editingLocationId);
+
+        return (
+            <div className="container-fluid py-5">
+                <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
+                    {getIconComponent('Building', "me-3 text-primary fs-4")} {t("Rooms & Locations")}
+                    {canSubmitIssues(staffProfile) && (
+                        <button
+                            type="button"
+                            onClick={handleExportGuestQr}
+                            disabled={exporting !== null}
+                            className="btn btn-sm btn-outline-secondary ms-auto"
+                            title={t("Printable sheet with one QR code per room for guests to report problems")}
+                        >
+                            {exporting === "guest-qr" ? getIconComponent('Spinner', "me-1") : <i className="fa-solid fa-qrcode me-1"></i>} {t("Guest QR codes (PDF)")}
+                        </button>
+                    )}
+                </h2>
+
+                <div className="row g-4">
+                    <div className="col-lg-4">
+                        <div className="card shadow-sm border-0">
+                            <div className="card-body">
+                                <div className="d-flex gap-2 mb-3">
+                                    <input
+                                        type="text"
+                                        aria-label={t("Filter locations")}
+                                        placeholder={t("Search rooms and areas...")}
+                                        value={locationFilter}
+                                        onChange={(e) => setLocationFilter(e.target.value)}
+                                        className="form-control form-control-sm"
+                                    />
+                                    {isManager && (
+                                        <button type="button" onClick={() => setEditingLocationId("new")} className="btn btn-sm btn-primary text-nowrap">
+                                            {t("Add")}
+                                        </button>
+                                    )}
+                                </div>
+                                <div className="list-group list-group-flush overflow-auto" style={{maxHeight: '60vh'}}>
+                                    {visibleLocations.map(location => (
+                                        <button
+                                            key={location.id}
+                                            type="button"
+                                            onClick={() => openLocation(location.id)}
+                                            className={`list-group-item list-group-item-action py-2 ${location.id === selectedLocationId ? "active" : ""}`}
+                                        >
+                                            <div className="small fw-semibold">
+                                                {formatLocationLabel(location)}
+                                                {location.active === false && <span className="badge bg-secondary ms-2">{t("Archived")}</span>}
+                                            </div>
+                                            <div className="small opacity-75">{formatLocationDetail(location)}</div>
+                                        </button>
+                                    ))}
+                                    {visibleLocations.length === 0 && (
+                                        <p className="text-center text-muted small py-3 mb-0">
+                                            {locations.length === 0 ? t("The registry is empty.") : t("No matching locations.")}
+                                        </p>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="col-lg-8">
+                        <div className="card shadow-sm border-0">
+                            <div className="card-body">
+                                {isManager && editingLocationId ? (
+                                    <>
+                                        <h3 className="h5 fw-bold mb-3">{editingLocation ? t("Edit {name}", { name: formatLocationLabel(editingLocation) }) : t("Add Location")}</h3>
+                                        <LocationForm
+                                            key={editingLocationId}
+                                            userId={userId}
+                                            location={editingLocation}
+                                            onSaved={(savedId) => openLocation(savedId)}
+                                            onCancel={() => setEditingLocationId(null)}
+                                        />
+                                    </>
+                                ) : selectedLocation ? (
+                                    <>
+                                        {isManager && (
+                                            <button type="button" onClick={() => setEditingLocationId(selectedLocation.id)} className="btn btn-sm btn-outline-secondary float-end">
+                                                {t("Edit")}
+                                            </button>
+                                        )}
+                                        <LocationDetail userId={userId} location={selectedLocation} staffById={staffById} />
+                                    </>
+                                ) : (
+                                    <p className="text-muted small mb-0">{t("Select a room or area to see every issue logged for it.")}</p>
+                                )}
+                            </div>
+                        </div>
+
+                        {isManager && (
+                            <>
+                                <h3 className="h5 fw-semibold mt-5 mb-3 text-secondary border-bottom pb-2">{t("Map Existing Room Values")}</h3>
+                                <div className="card shadow-sm border-0">
+                                    <div className="card-body">
+                                        <LocationMigrationTool userId={userId} locations={locations} />
+                                    </div>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    const renderMaintenance = () => {
+        const isManager = staffProfile?.role === ROLES.MANAGER;
+        const editingPlan = maintenancePlans.find(plan => plan.id === editingPlanId);
+        const preventiveIssuesById = Object.fromEntries(preventiveIssues.map(issue => [issue.id, issue]));
+
+        return (
+            <div className="container-fluid py-5">
+                <h2 className="h3 fw-bold mb-4 text-dark d-flex align-items-center">
+                    {getIconComponent('Calendar', "me-3 text-primary fs-4")} {t("Preventive Maintenance")}
+                </h2>
+
+                <div className="card shadow-sm border-0 mb-4">
+                    <div className="card-body">
+                        <MaintenanceCalendar
+                            plans={maintenancePlans}
+                            preventiveIssuesById={preventiveIssuesById}
+                            month={calendarMonth}
+                            today={currentDateTime}
+                            onMonthChange={(step) => setCalendarMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + step, 1))}
+                        />
+                    </div>
+                </div>
+
+                <div className="d-flex align-items-center justify-content-between border-bottom pb-2 mb-3">
+                    <h3 className="h5 fw-semibold mb-0 text-secondary">{t("Plans")}</h3>
+                    {isManager && !editingPlanId && (
+                        <button type="button" onClick={() => setEditingPlanId("new")} className="btn btn-sm btn-primary">{t("Add Plan")}</button>
+                    )}
+                </div>
+
+                {isManager && editingPlanId && (
+                    <div className="card shadow-sm border-0 mb-4">
+                        <div className="card-body">
+                            <h4 className="h6 fw-bold mb-3">{editingPlan ? t("Edit {name}", { name: editingPlan.name }) : t("New Plan")}</h4>
+                            <MaintenancePlanForm
+                                key={editingPlanId}
+                                userId={userId}
+                                plan={editingPlan}
+                                locations={locations}
+                                onSaved={() => setEditingPlanId(null)}
+                                onCancel={() => setEditingPlanId(null)}
+                            />
+                        </div>
+                    </div>
+                )}
+
+                <div className="card shadow-sm border-0">
+                    <div className="table-responsive">
+                        <table className="table table-hover align-middle mb-0">
+                            <thead className="table-light">
+                                <tr>
+                                    <th scope="col" className="small text-uppercase">{t("Plan")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Schedule")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Room/Location")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Department")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Priority")}</th>
+                                    <th scope="col" className="small text-uppercase">{t("Next Due")}</th>
+                                    {isManager && <th scope="col"></th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {maintenancePlans.map(plan => {
+                                    const next = getNextOccurrence(plan, currentDateTime);
+                                    return (
+                                        <tr key={plan.id} className={plan.active === false ? "text-muted" : undefined}>
+                                            <td>
+                                                <div className="fw-semibold">{plan.name}</div>
+                                                <div className="small text-muted">{t((plan.checklist?.length || 0) === 1 ? "1 checklist step" : "{count} checklist steps", { count: plan.checklist?.length || 0 })}</div>
+                                            </td>
+                                            <td className="small">{describeRecurrence(plan)}</td>
+                                            <td className="small">{plan.roomNumber}</td>
+                                            <td className="small">{t(plan.department)}</td>
+                                            <td className="small">{t(plan.priority)}</td>
+                                            <td className="small">{plan.active === false ? t("Paused") : formatDate(next) || "—"}</td>
+                                            {isManager && (
+                                                <td className="text-end">
+                                                    <button type="button" onClick={() => setEditingPlanId(plan.id)} className="btn btn-sm btn-outline-secondary">{t("Edit")}</button>
+                                                </td>
+                                            )}
+                                        </tr>
+                                    );
+                                })}
+                                {maintenancePlans.length === 0 && (
+                                    <tr><td colSpan={isManager ? 7 : 6} className="text-center text-muted small py-4">{t("No maintenance plans yet.")}</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Every screen below reads the chosen language through useI18n
+    const provideI18n = (screen) => <I18nContext.Provider value={i18n}>{screen}</I18nContext.Provider>;
+
+    if (!authReady) {
+        return provideI18n(
+            <div className="d-flex align-items-center justify-content-center bg-light min-vh-100 text-primary">
+                {getIconComponent('Spinner', "me-2 fs-5")} {t("Connecting...")}
+            </div>
+        );
+    }
+
+    if (!userId) {
+        return provideI18n(
+            <SignInScreen
+                demoAccounts={backend?.name === BACKENDS.LOCAL ? backend.accounts : null}
+                language={language}
+                onLanguageChange={changeLanguage}
+            />
+        );
+    }
+
+    if (staffProfile === null) {
+        return provideI18n(
+            <div className="d-flex align-items-center justify-content-center bg-light min-vh-100">
+                <div className="card shadow-lg border-0 rounded-3 text-center" style={{width: '420px'}}>
+                    <div className="card-body p-4">
+                        <h1 className="h5 fw-bold mb-2">{t("No staff profile")}</h1>
+                        <p className="small text-secondary">
+                            {t("This account is signed in but has no staff role yet. Ask a manager to set up your profile.")}
+                        </p>
+                        <p className="small text-muted">{t("User ID:")} <span className="text-monospace bg-light p-1 rounded">{userId}</span></p>
+                        <button onClick={signOutStaff} className="btn btn-outline-secondary btn-sm">{t("Sign out")}</button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return provideI18n(
         <div className="d-flex bg-light min-vh-100">
             {/* Sidebar Navigation */}
             <nav className="d-flex flex-column flex-shrink-0 p-3 text-white bg-dark shadow-sm" style={{width: '280px'}}>
                 <a href="#" className="d-flex align-items-center mb-3 mb-md-0 me-md-auto text-white text-decoration-none">
-                    <span className="fs-4 fw-extrabold text-info">Hotel FIR System</span>
+                    <span className="fs-4 fw-extrabold text-info">{t("Hotel FIR System")}</span>
                 </a>
+                {backend?.name === BACKENDS.LOCAL && (
+                    <span className="badge bg-warning text-dark mt-2 align-self-start" title={t("Data is kept in this browser only")}>{t("Training mode")}</span>
+                )}
                 <hr className="text-white-50"/>
                 <ul className="nav nav-pills flex-column mb-auto">
-                    <li className="nav-item mb-2">
-                        <button
-                            onClick={() => setTab("dashboard")}
-                            className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "dashboard" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
-                        >
-                            {getIconComponent('Chart', "me-3 fs-5")} Dashboard
-                        </button>
-                    </li>
-                    <li className="mb-2">
-                        <button
-                            onClick={() => setTab("interface1")}
-                            className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "interface1" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
-                        >
-                            {getIconComponent('List', "me-3 fs-5")} Submit Issue (Interface 1)
-                        </button>
-                    </li>
-                    <li className="mb-2">
-                        <button
-                            onClick={() => setTab("interface2")}
-                            className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "interface2" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
-                        >
-                            {getIconComponent('Toolbox', "me-3 fs-5")} Manage Issues (Interface 2)
-                        </button>
-                    </li>
+                    {canAccessTab(staffProfile, "dashboard") && (
+                        <li className="nav-item mb-2">
+                            <button
+                                onClick={() => setTab("dashboard")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "dashboard" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('Chart', "me-3 fs-5")} {t("Dashboard")}
+                            </button>
+                        </li>
+                    )}
+                    {canAccessTab(staffProfile, "myjobs") && (
+                        <li className="mb-2">
+                            <button
+                                onClick={() => setTab("myjobs")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "myjobs" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('Users', "me-3 fs-5")} {t("My Jobs")}
+                                {openJobs.length > 0 && <span className="badge bg-primary ms-auto">{openJobs.length}</span>}
+                            </button>
+                        </li>
+                    )}
+                    {canAccessTab(staffProfile, "interface1") && (
+                        <li className="mb-2">
+                            <button
+                                onClick={() => setTab("interface1")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "interface1" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('List', "me-3 fs-5")} {t("Submit Issue (Interface 1)")}
+                            </button>
+                        </li>
+                    )}
+                    {canAccessTab(staffProfile, "interface2") && (
+                        <li className="mb-2">
+                            <button
+                                onClick={() => setTab("interface2")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "interface2" || tab === ISSUE_TAB ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('Toolbox', "me-3 fs-5")} {t("Manage Issues (Interface 2)")}
+                            </button>
+                        </li>
+                    )}
+                    {canAccessTab(staffProfile, "analytics") && (
+                        <li className="mb-2">
+                            <button
+                                onClick={() => setTab("analytics")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "analytics" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('ChartColumn', "me-3 fs-5")} {t("Analytics")}
+                            </button>
+                        </li>
+                    )}
+                    {canAccessTab(staffProfile, "locations") && (
+                        <li className="mb-2">
+                            <button
+                                onClick={() => setTab("locations")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "locations" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('Building', "me-3 fs-5")} {t("Rooms & Locations")}
+                            </button>
+                        </li>
+                    )}
+                    {canAccessTab(staffProfile, "maintenance") && (
+                        <li className="mb-2">
+                            <button
+                                onClick={() => setTab("maintenance")}
+                                className={`btn w-100 text-start py-2 px-3 d-flex align-items-center ${tab === "maintenance" ? "btn-info text-dark shadow-sm" : "btn-dark text-white-50"}`}
+                            >
+                                {getIconComponent('Calendar', "me-3 fs-5")} {t("Preventive Maintenance")}
+                            </button>
+                        </li>
+                    )}
                 </ul>
+                <button
+                    type="button"
+                    onClick={() => setAlertCenterOpen(open => !open)}
+                    aria-expanded={alertCenterOpen}
+                    className={`btn w-100 text-start py-2 px-3 mb-2 d-flex align-items-center ${alertCenterOpen ? "btn-light text-dark" : "btn-outline-light"}`}
+                >
+                    {getIconComponent('Bell', "me-3 fs-5")} {t("Alerts")}
+                    {unreadAlertCount > 0 && <span className="badge bg-danger ms-auto">{unreadAlertCount}</span>}
+                </button>
+                {alertCenterOpen && (
+                    <NotificationCenter
+                        alerts={alerts}
+                        onOpenAlert={openAlert}
+                        onMarkAllRead={() => updateAlerts(prev => prev.map(alert => ({ ...alert, read: true })))}
+                        onEditRules={() => setEditingAlertRules(editing => !editing)}
+                        rulesEditor={editingAlertRules && (
+                            <AlertRulesForm
+                                userId={userId}
+                                profile={staffProfile}
+                                rules={alertRules}
+                                onClose={() => setEditingAlertRules(false)}
+                            />
+                        )}
+                    />
+                )}
+                {queuedSubmissions.length > 0 && (
+                    <div className="alert alert-warning small py-2 px-3 mb-0" role="status">
+                        <div className="fw-bold d-flex align-items-center">
+                            {getIconComponent('Upload', "me-2 text-dark fs-6")}
+                            {t(queuedSubmissions.length === 1 ? "1 pending upload" : "{count} pending uploads", { count: queuedSubmissions.length })}
+                        </div>
+                        <ul className="list-unstyled mb-0 mt-1">
+                            {queuedSubmissions.map(item => (
+                                <li key={item.provisionalId} className="d-flex align-items-center gap-1" title={item.lastError || undefined}>
+                                    <span className="text-truncate">
+                                        <span className="text-monospace">{item.provisionalId}</span> · {item.formData.roomNumber}
+                                    </span>
+                                    {item.failed && (
+                                        <>
+                                            <span className="badge bg-danger ms-auto">{t("Upload failed")}</span>
+                                            <button
+                                                type="button"
+                                                className="btn-close small"
+                                                onClick={() => discardQueuedSubmission(item.seq)}
+                                                aria-label={t("Discard {id}", { id: item.provisionalId })}
+                                            ></button>
+                                        </>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
                 <hr className="text-white-50"/>
+                <LanguageSelect value={language} onChange={changeLanguage} className="form-select form-select-sm mb-3" />
                 <div className="dropdown">
                     <span className="d-flex align-items-center text-white text-decoration-none" id="dropdownUser1">
                         {/* Note: data-bs-toggle is handled by Bootstrap JS, which is now loaded */}
                         {getIconComponent('User', "me-2 fs-5 text-secondary")}
-                        <strong className="small">{userId ? `User: ${userId.substring(0, 8)}...` : 'Connecting...'}</strong>
+                        <span className="d-flex flex-column">
+                            <strong className="small">{staffProfile?.displayName || t("Loading profile...")}</strong>
+                            {staffProfile?.role && (
+                                <span className="small text-white-50">
+                                    {t(ROLE_LABELS[staffProfile.role] || staffProfile.role)}
+                                    {staffProfile.department ? ` · ${t(staffProfile.department)}` : ''}
+                                </span>
+                            )}
+                        </span>
+                        <button onClick={signOutStaff} className="btn btn-sm btn-outline-light ms-auto">{t("Sign out")}</button>
                     </span>
                 </div>
             </nav>
@@ -821,11 +5432,45 @@ const App = () => {
             {/* Main Content */}
             <main className="flex-grow-1 overflow-auto">
                 {tab === "dashboard" && renderDashboard()}
+                {tab === "myjobs" && renderMyJobs()}
                 {tab === "interface1" && renderInterface1()}
                 {tab === "interface2" && renderInterface2()}
+                {tab === ISSUE_TAB && renderIssuePage()}
+                {tab === "analytics" && renderAnalytics()}
+                {tab === "locations" && renderLocations()}
+                {tab === "maintenance" && renderMaintenance()}
+                {detailDisplayId && tab !== ISSUE_TAB && (
+                    <IssueDetailDialog
+                        displayId={detailDisplayId}
+                        fir={focusedIssue}
+                        onOpenPage={openIssue}
+                        onClose={() => setDetailDisplayId(null)}
+                    >
+                        {focusedIssue && renderIssueDetails(focusedIssue)}
+                    </IssueDetailDialog>
+                )}
+                {statusChange && (
+                    <StatusChangeDialog
+                        change={statusChange}
+                        onConfirm={handleConfirmStatusChange}
+                        onClose={() => setStatusChange(null)}
+                    />
+                )}
+                {editConflict && (
+                    <EditConflictDialog
+                        conflict={editConflict}
+                        staffById={staffById}
+                        onKeepMine={handleKeepMyEdit}
+                        onAcceptTheirs={() => setEditConflict(null)}
+                    />
+                )}
+                <ToastStack toasts={toasts} onDismiss={closeToast} />
             </main>
         </div>
     );
 };
 
+// QR codes open the guest reporting page, which runs without the staff app around it
+const App = () => (parseLocation(window.location).tab === GUEST_TAB ? <GuestReportPage /> : <StaffApp />);
+
 export default App;
\ No newline at end of file
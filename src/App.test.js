@@ -1,8 +1,133 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Without a Firebase config the app runs on the local (training) backend
+
+const signIn = async (email) => {
+  fireEvent.change(await screen.findByLabelText('Email'), { target: { value: email } });
+  fireEvent.change(screen.getByLabelText('Password or PIN'), { target: { value: '1234' } });
+  fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+};
+
+// The backend (and its session) outlives each render, so tests that sign in sign out again
+const signOut = async () => {
+  fireEvent.click(screen.getByRole('button', { name: 'Sign out' }));
+  await screen.findByLabelText('Email');
+};
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('offers the demo accounts in training mode', async () => {
+  render(<App />);
+
+  expect(await screen.findByText('Training mode.')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'manager@demo.local' })).toBeInTheDocument();
+});
+
+test('rejects an unknown account', async () => {
+  render(<App />);
+  await signIn('nobody@demo.local');
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Incorrect email or password/PIN.');
+});
+
+test('switching the language translates the screen and lays Urdu out right to left', async () => {
+  render(<App />);
+
+  fireEvent.change(await screen.findByRole('combobox', { name: 'Language' }), { target: { value: 'ur' } });
+  expect(await screen.findByLabelText('ای میل')).toBeInTheDocument();
+  expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+  expect(document.documentElement).toHaveAttribute('lang', 'ur');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'زبان' }), { target: { value: 'en' } });
+  expect(await screen.findByLabelText('Email')).toBeInTheDocument();
+  expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+});
+
+test('a demo front desk account reaches the dashboard', async () => {
+  render(<App />);
+  await signIn('frontdesk@demo.local');
+
+  expect(await screen.findByText('Demo Front Desk')).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: /submit issue/i })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /analytics/i })).not.toBeInTheDocument();
+  await signOut();
+});
+
+test('an inline change in the issue list can be undone from its toast', async () => {
+  render(<App />);
+  await signIn('manager@demo.local');
+
+  fireEvent.click(await screen.findByRole('button', { name: /submit issue/i }));
+  fireEvent.change(await screen.findByRole('combobox', { name: 'Room/Location' }), { target: { value: '101' } });
+  fireEvent.blur(screen.getByRole('combobox', { name: 'Room/Location' }));
+  fireEvent.change(screen.getByLabelText('Issue Title'), { target: { value: 'Wobbly desk chair' } });
+  fireEvent.change(screen.getByLabelText('Detailed Description'), { target: { value: 'One leg is loose' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Submit Maintenance Request' }));
+  const [displayId] = (await screen.findByText(/has been logged successfully/)).textContent.match(/FIR-\d+/);
+
+  fireEvent.click(screen.getByRole('button', { name: /manage issues/i }));
+  fireEvent.change(await screen.findByRole('combobox', { name: `Priority for ${displayId}` }), { target: { value: 'Critical' } });
+  expect(await screen.findByText(`${displayId}: Priority changed to Critical.`)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(await screen.findByText(`${displayId}: Priority changed back to Medium.`)).toBeInTheDocument();
+  await waitFor(() => expect(screen.getByRole('combobox', { name: `Priority for ${displayId}` })).toHaveValue('Medium'));
+  await signOut();
+});
+
+test('a link to an issue opens its page after signing in', async () => {
+  window.history.replaceState(null, '', '/issues/fir-9999');
+  render(<App />);
+  await signIn('frontdesk@demo.local');
+
+  expect(await screen.findByText(/There is no issue FIR-9999/)).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/issues/FIR-9999');
+  await signOut();
+});
+
+test('a guest reports a problem from the room\'s QR code without signing in', async () => {
+  window.history.replaceState(null, '', '/guest?room=Room+101&location=demo-101');
+  const { unmount } = render(<App />);
+
+  expect(await screen.findByText('Room 101')).toBeInTheDocument();
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send report' })).toBeEnabled());
+  fireEvent.click(screen.getByRole('button', { name: 'Send report' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Choose what the problem is about.');
+
+  fireEvent.click(screen.getByLabelText('TV or remote'));
+  fireEvent.change(screen.getByLabelText('Anything we should know? (optional)'), { target: { value: 'No picture' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send report' }));
+
+  expect(await screen.findByText(/Your reference is/)).toHaveTextContent(/FIR-\d{4}/);
+
+  // The guest session has no staff profile, so the staff app only offers to sign it out
+  unmount();
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  expect(await screen.findByText('No staff profile')).toBeInTheDocument();
+  await signOut();
+});
+
+test('a guest report can be filed on a device where a staff member is signed in', async () => {
+  const { unmount } = render(<App />);
+  await signIn('technician@demo.local');
+  expect(await screen.findByText('Demo Technician')).toBeInTheDocument();
+  unmount();
+
+  window.history.replaceState(null, '', '/guest?room=Room+101&location=demo-101');
+  const view = render(<App />);
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send report' })).toBeEnabled());
+  fireEvent.click(screen.getByLabelText('Wi-Fi'));
+  fireEvent.click(screen.getByRole('button', { name: 'Send report' }));
+  expect(await screen.findByText(/Your reference is/)).toHaveTextContent(/FIR-\d{4}/);
+
+  // The report was filed in the staff member's name, whose session stays open
+  view.unmount();
+  window.history.replaceState(null, '', '/');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('Demo Technician')).toBeInTheDocument();
+  await signOut();
 });
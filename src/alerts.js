@@ -0,0 +1,114 @@
+// --- LIVE ALERTS ---
+// Per-user rules for which newly submitted issues raise an alert, plus the
+// browser side of raising one (Notification API popup and a short chime).
+// Rules are stored on the staff profile as `alertRules`.
+
+const PRIORITY_RANK = { Low: 0, Medium: 1, High: 2, Critical: 3 };
+
+export const MAX_STORED_ALERTS = 50;
+
+export const DEFAULT_ALERT_RULES = {
+    enabled: true,
+    minPriority: "High", // "Any" alerts on every new issue
+    myDepartmentOnly: false,
+    browserNotifications: true,
+    sound: true,
+};
+
+export const mergeAlertRules = (rules) => ({ ...DEFAULT_ALERT_RULES, ...(rules || {}) });
+
+/**
+ * Whether a newly added issue should alert `profile` under `rules`. People are
+ * never alerted about their own submissions, generated preventive jobs are
+ * planned work rather than emergencies, and issues copied from the legacy
+ * collection are not new.
+ */
+export const matchesAlertRules = (issue, rules, profile) => {
+    if (!rules.enabled || !profile) return false;
+    if (issue.submittedBy === profile.id || issue.type === "Preventive" || issue.migratedFrom) return false;
+
+    const priorityMatches = rules.minPriority === "Any"
+        || (PRIORITY_RANK[issue.priority] ?? -1) >= (PRIORITY_RANK[rules.minPriority] ?? 0);
+    const departmentMatches = !rules.myDepartmentOnly
+        || !profile.department
+        || issue.department === profile.department
+        || issue.department === "Unassigned";
+    return priorityMatches && departmentMatches;
+};
+
+/**
+ * The stored notification-center entry for an issue.
+ */
+export const toAlert = (issue, now = Date.now()) => ({
+    issueId: issue.id,
+    displayId: issue.displayId,
+    issueTitle: issue.issueTitle,
+    roomNumber: issue.roomNumber,
+    priority: issue.priority,
+    receivedAt: now,
+    read: false,
+});
+
+/**
+ * Newest first, one entry per issue, capped at MAX_STORED_ALERTS.
+ */
+export const addAlerts = (existing, incoming) => {
+    const incomingIds = incoming.map(alert => alert.issueId);
+    return [...incoming, ...existing.filter(alert => !incomingIds.includes(alert.issueId))].slice(0, MAX_STORED_ALERTS);
+};
+
+export const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+
+export const requestNotificationPermission = async () => {
+    if (!notificationsSupported()) return "unsupported";
+    if (Notification.permission !== "default") return Notification.permission;
+    return Notification.requestPermission();
+};
+
+/**
+ * Shows a system popup for an alert; clicking it focuses the app and calls `onClick`.
+ * `title` replaces the default "<priority> issue <display ID>", e.g. with a translation.
+ */
+export const showBrowserNotification = (alert, onClick, title = `${alert.priority} issue ${alert.displayId || ""}`) => {
+    if (!notificationsSupported() || Notification.permission !== "granted") return;
+
+    const notification = new Notification(title.trim(), {
+        body: `${alert.issueTitle} · ${alert.roomNumber}`,
+        tag: alert.issueId, // Replaces rather than stacks if the same issue alerts twice
+    });
+    notification.onclick = () => {
+        window.focus();
+        onClick?.();
+        notification.close();
+    };
+};
+
+let audioContext = null;
+
+/**
+ * Two-tone chime generated with WebAudio, so no sound file has to be shipped.
+ * Browsers only allow audio after the user has interacted with the page.
+ */
+export const playAlertChime = () => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    try {
+        audioContext = audioContext || new AudioContext();
+        const start = audioContext.currentTime;
+        [880, 1175].forEach((frequency, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const toneStart = start + index * 0.18;
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, toneStart);
+            gain.gain.exponentialRampToValueAtTime(0.3, toneStart + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, toneStart + 0.35);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(toneStart);
+            oscillator.stop(toneStart + 0.4);
+        });
+    } catch (error) {
+        console.warn("Alert chime could not play:", error);
+    }
+};
@@ -0,0 +1,32 @@
+import { DEFAULT_ALERT_RULES, addAlerts, matchesAlertRules, mergeAlertRules, toAlert } from './alerts';
+
+const technician = { id: 'tech-1', role: 'technician', department: 'Plumbing' };
+
+test('default rules alert on High and Critical issues only', () => {
+  expect(matchesAlertRules({ priority: 'Critical', department: 'HVAC' }, DEFAULT_ALERT_RULES, technician)).toBe(true);
+  expect(matchesAlertRules({ priority: 'Medium', department: 'Plumbing' }, DEFAULT_ALERT_RULES, technician)).toBe(false);
+});
+
+test('department rule keeps my department and unrouted issues', () => {
+  const rules = mergeAlertRules({ minPriority: 'Any', myDepartmentOnly: true });
+
+  expect(matchesAlertRules({ priority: 'Low', department: 'Plumbing' }, rules, technician)).toBe(true);
+  expect(matchesAlertRules({ priority: 'Low', department: 'Unassigned' }, rules, technician)).toBe(true);
+  expect(matchesAlertRules({ priority: 'Critical', department: 'HVAC' }, rules, technician)).toBe(false);
+});
+
+test('own submissions, preventive jobs, migrated issues and disabled rules never alert', () => {
+  const issue = { priority: 'Critical', department: 'Plumbing' };
+
+  expect(matchesAlertRules({ ...issue, submittedBy: 'tech-1' }, DEFAULT_ALERT_RULES, technician)).toBe(false);
+  expect(matchesAlertRules({ ...issue, type: 'Preventive' }, DEFAULT_ALERT_RULES, technician)).toBe(false);
+  expect(matchesAlertRules({ ...issue, migratedFrom: 'abc123' }, DEFAULT_ALERT_RULES, technician)).toBe(false);
+  expect(matchesAlertRules(issue, mergeAlertRules({ enabled: false }), technician)).toBe(false);
+});
+
+test('new alerts go first and replace older entries for the same issue', () => {
+  const older = [toAlert({ id: 'a', priority: 'High' }, 1), toAlert({ id: 'b', priority: 'High' }, 2)];
+  const merged = addAlerts(older, [toAlert({ id: 'b', priority: 'Critical' }, 3)]);
+
+  expect(merged.map(alert => [alert.issueId, alert.priority])).toEqual([['b', 'Critical'], ['a', 'High']]);
+});
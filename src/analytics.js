@@ -0,0 +1,173 @@
+// --- ANALYTICS REPORTS ---
+// Pure aggregation functions behind the Analytics tab. Each takes the issues of
+// the report's date range and returns plain data ready to render.
+
+import { toDate } from './sla';
+import { normalizeLocationKey } from './locations';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRIORITIES = ["Low", "Medium", "High", "Critical"];
+const CLOSED_STATUSES = ["Completed", "Canceled"];
+
+/**
+ * Monday 00:00 (local time) of the week containing `date`.
+ */
+export const startOfWeek = (date) => {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const daysSinceMonday = (start.getDay() + 6) % 7;
+    start.setDate(start.getDate() - daysSinceMonday);
+    return start;
+};
+
+/**
+ * Every week start between `from` and `to`, inclusive.
+ */
+export const getWeekStarts = (from, to) => {
+    const weeks = [];
+    for (let week = startOfWeek(from); week <= to; week = new Date(week.getFullYear(), week.getMonth(), week.getDate() + 7)) {
+        weeks.push(week);
+    }
+    return weeks;
+};
+
+const getWeekIndex = (weeks, date) => {
+    if (!date) return -1;
+    const week = startOfWeek(date).getTime();
+    return weeks.findIndex(start => start.getTime() === week);
+};
+
+// When the ticket was completed: the explicit stamp, else its last update for older tickets
+const getCompletedAt = (issue) => (
+    issue.status === "Completed" ? (toDate(issue.resolvedAt) || toDate(issue.updatedAt)) : null
+);
+
+const getClosedAt = (issue) => (
+    CLOSED_STATUSES.includes(issue.status) ? (toDate(issue.resolvedAt) || toDate(issue.updatedAt)) : null
+);
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Mean and median time from creation to completion, per department.
+ * Only completed tickets count; canceled ones were never resolved.
+ */
+export const getResolutionTimesByDepartment = (issues) => {
+    const durationsByDepartment = {};
+    issues.forEach(issue => {
+        const createdAt = toDate(issue.createdAt);
+        const completedAt = getCompletedAt(issue);
+        if (!createdAt || !completedAt) return;
+
+        const department = issue.department || "Unassigned";
+        durationsByDepartment[department] = durationsByDepartment[department] || [];
+        durationsByDepartment[department].push(Math.max(0, completedAt - createdAt));
+    });
+
+    return Object.entries(durationsByDepartment)
+        .map(([department, durations]) => ({
+            department,
+            count: durations.length,
+            meanMs: durations.reduce((sum, value) => sum + value, 0) / durations.length,
+            medianMs: median(durations),
+        }))
+        .sort((a, b) => b.meanMs - a.meanMs);
+};
+
+/**
+ * How often each department's issues had to be reopened after being closed.
+ * `rate` is the share of issues reopened at least once.
+ */
+export const getReopenStatsByDepartment = (issues) => {
+    const byDepartment = {};
+    issues.forEach(issue => {
+        const department = issue.department || "Unassigned";
+        const entry = byDepartment[department] || { department, issues: 0, reopenedIssues: 0, reopens: 0 };
+        entry.issues += 1;
+        if (issue.reopenCount > 0) entry.reopenedIssues += 1;
+        entry.reopens += issue.reopenCount || 0;
+        byDepartment[department] = entry;
+    });
+
+    return Object.values(byDepartment)
+        .map(entry => ({ ...entry, rate: entry.reopenedIssues / entry.issues }))
+        .sort((a, b) => b.rate - a.rate || b.reopens - a.reopens);
+};
+
+/**
+ * Issues opened vs. closed per week within the range. `issues` should include
+ * those closed in the range as well as those opened in it.
+ */
+export const getWeeklyOpenedVsClosed = (issues, { from, to }) => {
+    const weeks = getWeekStarts(from, to);
+    const rows = weeks.map(weekStart => ({ weekStart, opened: 0, closed: 0 }));
+
+    issues.forEach(issue => {
+        const openedIndex = getWeekIndex(weeks, toDate(issue.createdAt));
+        if (openedIndex >= 0) rows[openedIndex].opened += 1;
+
+        const closedIndex = getWeekIndex(weeks, getClosedAt(issue));
+        if (closedIndex >= 0) rows[closedIndex].closed += 1;
+    });
+    return rows;
+};
+
+/**
+ * Count of issues opened per week, broken down by priority.
+ */
+export const getWeeklyPriorityMix = (issues, { from, to }) => {
+    const weeks = getWeekStarts(from, to);
+    const rows = weeks.map(weekStart => {
+        const row = { weekStart };
+        PRIORITIES.forEach(priority => { row[priority] = 0; });
+        return row;
+    });
+
+    issues.forEach(issue => {
+        const index = getWeekIndex(weeks, toDate(issue.createdAt));
+        if (index >= 0 && PRIORITIES.includes(issue.priority)) rows[index][issue.priority] += 1;
+    });
+    return rows;
+};
+
+/**
+ * Locations with the most issues, most affected first. Issues linked to the
+ * registry group by `locationId`; older free-text ones by their normalized room.
+ */
+export const getLocationHotspots = (issues, limit = 10) => {
+    const byLocation = {};
+    issues.forEach(issue => {
+        const key = issue.locationId ? `id:${issue.locationId}` : normalizeLocationKey(issue.roomNumber);
+        if (!key) return;
+
+        const entry = byLocation[key] || {
+            key, locationId: issue.locationId || null, label: issue.roomNumber, total: 0, open: 0, departments: {},
+        };
+        entry.total += 1;
+        if (!CLOSED_STATUSES.includes(issue.status)) entry.open += 1;
+        const department = issue.department || "Unassigned";
+        entry.departments[department] = (entry.departments[department] || 0) + 1;
+        byLocation[key] = entry;
+    });
+
+    return Object.values(byLocation)
+        .map(entry => ({
+            ...entry,
+            topDepartment: Object.entries(entry.departments).sort((a, b) => b[1] - a[1])[0][0],
+        }))
+        .sort((a, b) => b.total - a.total || b.open - a.open)
+        .slice(0, limit);
+};
+
+/**
+ * Default report range: the last `days` days up to the end of today.
+ */
+export const getDefaultDateRange = (days, now = new Date()) => {
+    const to = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
+    const from = new Date(to.getTime() - days * DAY_MS + 1);
+    return { from, to };
+};
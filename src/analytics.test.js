@@ -0,0 +1,82 @@
+import {
+  getLocationHotspots,
+  getReopenStatsByDepartment,
+  getResolutionTimesByDepartment,
+  getWeeklyOpenedVsClosed,
+  getWeeklyPriorityMix,
+  startOfWeek,
+} from './analytics';
+import { normalizeLocationKey } from './locations';
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = (day, hour = 9) => new Date(2026, 2, day, hour); // March 2026; the 2nd is a Monday
+
+test('weeks start on Monday', () => {
+  expect(startOfWeek(new Date(2026, 2, 8, 18))).toEqual(new Date(2026, 2, 2));
+  expect(startOfWeek(new Date(2026, 2, 2, 0))).toEqual(new Date(2026, 2, 2));
+});
+
+test('resolution time per department uses completed tickets only', () => {
+  const issues = [
+    { department: 'Plumbing', status: 'Completed', createdAt: at(2), resolvedAt: new Date(at(2).getTime() + 2 * HOUR_MS) },
+    { department: 'Plumbing', status: 'Completed', createdAt: at(3), resolvedAt: new Date(at(3).getTime() + 4 * HOUR_MS) },
+    { department: 'Plumbing', status: 'Completed', createdAt: at(4), updatedAt: new Date(at(4).getTime() + 9 * HOUR_MS) },
+    { department: 'Plumbing', status: 'Canceled', createdAt: at(4), updatedAt: at(20) },
+    { department: 'HVAC', status: 'In Progress', createdAt: at(4) },
+  ];
+
+  expect(getResolutionTimesByDepartment(issues)).toEqual([
+    { department: 'Plumbing', count: 3, meanMs: 5 * HOUR_MS, medianMs: 4 * HOUR_MS },
+  ]);
+});
+
+test('weekly trend counts openings and closures in their own weeks', () => {
+  const issues = [
+    { status: 'Completed', createdAt: at(3), resolvedAt: at(10) },
+    { status: 'Submitted', createdAt: at(4) },
+    { status: 'Canceled', createdAt: at(11), updatedAt: at(12) },
+  ];
+  const rows = getWeeklyOpenedVsClosed(issues, { from: at(2, 0), to: at(15, 23) });
+
+  expect(rows.map(row => [row.opened, row.closed])).toEqual([[2, 0], [1, 2]]);
+});
+
+test('priority mix is bucketed by week opened', () => {
+  const issues = [
+    { priority: 'Critical', createdAt: at(2) },
+    { priority: 'Low', createdAt: at(3) },
+    { priority: 'Critical', createdAt: at(9) },
+  ];
+  const [first, second] = getWeeklyPriorityMix(issues, { from: at(2, 0), to: at(15, 23) });
+
+  expect(first).toMatchObject({ Critical: 1, Low: 1, High: 0 });
+  expect(second).toMatchObject({ Critical: 1, Low: 0 });
+});
+
+test('hotspots group loosely written room numbers', () => {
+  expect(normalizeLocationKey('Room 301')).toBe('301');
+  expect(normalizeLocationKey('rm 301')).toBe('301');
+
+  const hotspots = getLocationHotspots([
+    { roomNumber: 'Room 301', department: 'HVAC', status: 'Submitted' },
+    { roomNumber: 'rm 301', department: 'HVAC', status: 'Completed' },
+    { roomNumber: '301', department: 'Plumbing', status: 'Completed' },
+    { roomNumber: 'Lobby A', department: 'IT', status: 'Submitted' },
+  ]);
+
+  expect(hotspots[0]).toMatchObject({ key: '301', total: 3, open: 1, topDepartment: 'HVAC' });
+  expect(hotspots[1]).toMatchObject({ key: 'lobby a', total: 1 });
+});
+
+test('reopen rate counts issues reopened at least once', () => {
+  const stats = getReopenStatsByDepartment([
+    { department: 'HVAC', reopenCount: 2 },
+    { department: 'HVAC' },
+    { department: 'IT', reopenCount: 0 },
+  ]);
+
+  expect(stats).toEqual([
+    { department: 'HVAC', issues: 2, reopenedIssues: 1, reopens: 2, rate: 0.5 },
+    { department: 'IT', issues: 1, reopenedIssues: 0, reopens: 0, rate: 0 },
+  ]);
+});
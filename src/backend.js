@@ -0,0 +1,73 @@
+// --- BACKEND SELECTION ---
+// All data access goes through a backend adapter, so the app can run against
+// Firebase (production or the local emulators) or entirely in the browser for
+// training sessions and tests. Both adapters implement the same interface:
+//
+//   name                                       "firebase" | "local"
+//   onAuthStateChanged(callback)               → unsubscribe; callback({ uid, isAnonymous } | null)
+//   signIn(email, password), signInWithToken(token), signOut()
+//   signInAsGuest()                            anonymous session for the guest reporting page
+//   createId(collectionPath)                   → a new document ID
+//   getDoc(path)                               → { id, data } | null
+//   getDocs(collectionPath, queryOptions)      → [{ id, data }]
+//   count(collectionPath, queryOptions)        → number of matching documents
+//   subscribeToDoc(path, onNext, onError)      → unsubscribe; onNext({ id, data } | null)
+//   subscribeToDocs(collectionPath, queryOptions, onNext, onError)
+//                                              → unsubscribe; onNext(docs, changes), where
+//                                                changes are [{ type, doc, pending }] and the
+//                                                first call reports every document as "added"
+//   setDoc(path, data, { merge })
+//   runTransaction(async (tx) => ...)          tx.get(path), tx.set(path, data), tx.update(path, data)
+//   createBatch()                              → { set(path, data), update(path, data), commit() }
+//   increment(by)                              → value for set/update that adds to a number
+//   serverTimestamp()                          → value for set/update that becomes the time of the write
+//   uploadFile(path, blob, onProgress)         → download URL; onProgress(fraction)
+//
+// Paths are slash-separated Firestore paths. queryOptions is
+// { where: [[field, op, value], ...], orderBy: [field, "asc" | "desc"], limit } with op
+// one of ==, !=, <, <=, >, >=, in. Ordering by one field and filtering on others
+// needs a composite index in Firestore (firestore.indexes.json); the local adapter
+// needs none. Timestamps are Firestore `Timestamp`s in both adapters.
+
+export const BACKENDS = {
+    FIREBASE: "firebase",
+    LOCAL: "local",
+};
+
+// Project used with the emulators when no real config is given; "demo-" projects
+// never reach production services.
+export const EMULATOR_PROJECT_CONFIG = { projectId: "demo-hotel-fir", apiKey: "demo-api-key" };
+
+const parseFirebaseConfig = (raw) => {
+    try {
+        return JSON.parse(raw || "{}");
+    } catch (e) {
+        console.error("Failed to parse the Firebase config:", e);
+        return {};
+    }
+};
+
+/**
+ * Decides which backend to start. `REACT_APP_BACKEND` ("firebase" or "local")
+ * chooses explicitly; `REACT_APP_FIREBASE_EMULATOR_HOST` (e.g. "localhost") points
+ * the Firebase backend at the emulators. Without either, Firebase is used when a
+ * config with a projectId is present and the local backend otherwise.
+ */
+export const resolveBackendOptions = (firebaseConfigRaw, env = {}) => {
+    const firebaseConfig = parseFirebaseConfig(firebaseConfigRaw);
+    const emulatorHost = env.REACT_APP_FIREBASE_EMULATOR_HOST || null;
+    const requested = env.REACT_APP_BACKEND;
+
+    if (requested && !Object.values(BACKENDS).includes(requested)) {
+        console.warn(`Unknown REACT_APP_BACKEND "${requested}", choosing automatically.`);
+    }
+    if (requested === BACKENDS.LOCAL) return { backend: BACKENDS.LOCAL };
+    if (requested === BACKENDS.FIREBASE || firebaseConfig.projectId || emulatorHost) {
+        return {
+            backend: BACKENDS.FIREBASE,
+            firebaseConfig: firebaseConfig.projectId ? firebaseConfig : EMULATOR_PROJECT_CONFIG,
+            emulatorHost,
+        };
+    }
+    return { backend: BACKENDS.LOCAL };
+};
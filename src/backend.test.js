@@ -0,0 +1,20 @@
+import { BACKENDS, EMULATOR_PROJECT_CONFIG, resolveBackendOptions } from './backend';
+
+const config = JSON.stringify({ projectId: 'hotel-prod', apiKey: 'key' });
+
+test('uses Firebase when a config is present and the local backend otherwise', () => {
+  expect(resolveBackendOptions(config, {})).toEqual({
+    backend: BACKENDS.FIREBASE, firebaseConfig: { projectId: 'hotel-prod', apiKey: 'key' }, emulatorHost: null,
+  });
+  expect(resolveBackendOptions('{}', {})).toEqual({ backend: BACKENDS.LOCAL });
+});
+
+test('REACT_APP_BACKEND overrides the automatic choice', () => {
+  expect(resolveBackendOptions(config, { REACT_APP_BACKEND: 'local' })).toEqual({ backend: BACKENDS.LOCAL });
+});
+
+test('the emulator host works without a real project config', () => {
+  expect(resolveBackendOptions('{}', { REACT_APP_FIREBASE_EMULATOR_HOST: 'localhost' })).toEqual({
+    backend: BACKENDS.FIREBASE, firebaseConfig: EMULATOR_PROJECT_CONFIG, emulatorHost: 'localhost',
+  });
+});
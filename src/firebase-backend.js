@@ -0,0 +1,104 @@
+// --- FIREBASE BACKEND ---
+// The backend adapter (see ./backend) over Firestore, Firebase Storage and
+// Firebase Auth. With `emulatorHost` every service talks to the local emulators
+// on the ports configured in firebase.json instead of production.
+
+import { initializeApp } from "firebase/app";
+import {
+    getAuth, connectAuthEmulator, signInWithCustomToken, signInWithEmailAndPassword, signInAnonymously,
+    signOut, onAuthStateChanged
+} from "firebase/auth";
+import {
+    getFirestore, connectFirestoreEmulator, collection, doc, getDoc, getDocs, getCountFromServer, setDoc,
+    onSnapshot, query, where, orderBy, limit, runTransaction, writeBatch, increment, serverTimestamp
+} from "firebase/firestore";
+import { getStorage, connectStorageEmulator, ref, uploadBytesResumable, getDownloadURL } from "firebase/storage";
+
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 };
+
+const toDocument = (snapshot) => (snapshot.exists() ? { id: snapshot.id, data: snapshot.data() } : null);
+
+const buildQuery = (db, collectionPath, { where: filters = [], orderBy: order, limit: maxDocs } = {}) => query(
+    collection(db, collectionPath),
+    ...filters.map(([field, op, value]) => where(field, op, value)),
+    ...(order ? [orderBy(order[0], order[1] || "asc")] : []),
+    ...(maxDocs ? [limit(maxDocs)] : [])
+);
+
+export const createFirebaseBackend = ({ firebaseConfig, emulatorHost = null }) => {
+    const app = initializeApp(firebaseConfig);
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+    const storage = getStorage(app);
+
+    if (emulatorHost) {
+        connectAuthEmulator(auth, `http://${emulatorHost}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+        connectFirestoreEmulator(db, emulatorHost, EMULATOR_PORTS.firestore);
+        connectStorageEmulator(storage, emulatorHost, EMULATOR_PORTS.storage);
+        console.warn(`Using the Firebase emulators on ${emulatorHost}.`);
+    }
+
+    const wrapTransaction = (transaction) => ({
+        get: async (path) => toDocument(await transaction.get(doc(db, path))),
+        set: (path, data) => transaction.set(doc(db, path), data),
+        update: (path, data) => transaction.update(doc(db, path), data),
+    });
+
+    return {
+        name: "firebase",
+
+        onAuthStateChanged: (callback) => onAuthStateChanged(auth, (user) => callback(user ? { uid: user.uid, isAnonymous: user.isAnonymous } : null)),
+        signIn: (email, password) => signInWithEmailAndPassword(auth, email, password),
+        signInWithToken: (token) => signInWithCustomToken(auth, token),
+        signInAsGuest: () => signInAnonymously(auth),
+        signOut: () => signOut(auth),
+
+        createId: (collectionPath) => doc(collection(db, collectionPath)).id,
+
+        getDoc: async (path) => toDocument(await getDoc(doc(db, path))),
+
+        getDocs: async (collectionPath, options) => {
+            const snapshot = await getDocs(buildQuery(db, collectionPath, options));
+            return snapshot.docs.map(toDocument);
+        },
+
+        // Aggregation query: billed per 1000 index entries instead of one read per document
+        count: async (collectionPath, options) => (await getCountFromServer(buildQuery(db, collectionPath, options))).data().count,
+
+        subscribeToDoc: (path, onNext, onError) => onSnapshot(doc(db, path), (snapshot) => onNext(toDocument(snapshot)), onError),
+
+        subscribeToDocs: (collectionPath, options, onNext, onError) => onSnapshot(buildQuery(db, collectionPath, options), (snapshot) => {
+            onNext(snapshot.docs.map(toDocument), snapshot.docChanges().map(change => ({
+                type: change.type,
+                doc: toDocument(change.doc),
+                pending: change.doc.metadata.hasPendingWrites,
+            })));
+        }, onError),
+
+        setDoc: (path, data, options = {}) => setDoc(doc(db, path), data, options),
+
+        runTransaction: (work) => runTransaction(db, (transaction) => work(wrapTransaction(transaction))),
+
+        createBatch: () => {
+            const batch = writeBatch(db);
+            return {
+                set: (path, data) => batch.set(doc(db, path), data),
+                update: (path, data) => batch.update(doc(db, path), data),
+                commit: () => batch.commit(),
+            };
+        },
+
+        increment,
+
+        serverTimestamp,
+
+        uploadFile: (path, blob, onProgress = () => {}) => new Promise((resolve, reject) => {
+            const task = uploadBytesResumable(ref(storage, path), blob, { contentType: blob.type || undefined });
+            task.on('state_changed',
+                (snapshot) => onProgress(snapshot.totalBytes ? snapshot.bytesTransferred / snapshot.totalBytes : 0),
+                reject,
+                () => getDownloadURL(task.snapshot.ref).then(resolve, reject)
+            );
+        }),
+    };
+};
@@ -0,0 +1,147 @@
+// --- GUEST SELF-REPORTING ---
+// Guests scan the QR code in their room and report a problem without calling the
+// front desk. The page offers a short list of categories instead of free-form
+// titles, and each device (and, enforced by firestore.rules, each guest session)
+// may only send a few reports an hour. Reports are stored as ordinary issues with
+// `source: "Guest"` and land as "Submitted" and "Unassigned", so the front desk
+// triages them before a technician sees them.
+
+import { buildGuestPath } from "./routing";
+import { LOCATION_TYPES, formatLocationLabel, sortLocations } from "./locations";
+
+export const GUEST_SOURCE = "Guest";
+
+export const GUEST_CATEGORIES = [
+    { id: "appliance", label: "Kettle, minibar or appliance", priority: "Low" },
+    { id: "tv", label: "TV or remote", priority: "Low" },
+    { id: "wifi", label: "Wi-Fi", priority: "Medium" },
+    { id: "climate", label: "Air conditioning or heating", priority: "Medium" },
+    { id: "power", label: "Lights or power sockets", priority: "Medium" },
+    { id: "water", label: "Water, shower or toilet", priority: "Medium" },
+    { id: "door", label: "Door, lock or safe", priority: "High" },
+    { id: "cleaning", label: "Cleaning or housekeeping", priority: "Low" },
+    { id: "other", label: "Something else", priority: "Medium" },
+];
+
+export const MAX_GUEST_DETAILS_LENGTH = 500;
+
+// Per device: enough for a guest with several problems, not enough to flood the list
+export const GUEST_RATE_LIMIT = { maxReports: 3, windowMs: 60 * 60 * 1000 };
+
+/**
+ * The times (ms) of recent reports from this device that still count against
+ * the limit.
+ */
+export const getRecentReports = (reportTimes, now = Date.now()) => (Array.isArray(reportTimes) ? reportTimes : [])
+    .filter(time => typeof time === "number" && time > now - GUEST_RATE_LIMIT.windowMs && time <= now);
+
+/**
+ * How long (ms) this device must wait before it may report again; 0 when it may
+ * report now.
+ */
+export const getGuestReportWait = (reportTimes, now = Date.now()) => {
+    const recent = getRecentReports(reportTimes, now).sort((a, b) => a - b);
+    if (recent.length < GUEST_RATE_LIMIT.maxReports) return 0;
+    return recent[recent.length - GUEST_RATE_LIMIT.maxReports] + GUEST_RATE_LIMIT.windowMs - now;
+};
+
+/**
+ * The guest session's report quota after one more report, or null when the limit
+ * is reached. `quota` is the stored `{ windowStart, count }` (windowStart in ms),
+ * or null before the first report; a report once the window has passed starts a
+ * new one. firestore.rules checks the same arithmetic on the server, with the
+ * server's clock: if `now` (this device's clock) is too far off, the report is refused.
+ */
+export const getNextGuestQuota = (quota, now = Date.now()) => {
+    if (!quota || now >= quota.windowStart + GUEST_RATE_LIMIT.windowMs) return { startsWindow: true, count: 1 };
+    if (quota.count >= GUEST_RATE_LIMIT.maxReports) return null;
+    return { startsWindow: false, count: quota.count + 1 };
+};
+
+/**
+ * Form data for createNewIssue from a guest's report: the category becomes the
+ * title and sets the suggested priority. Throws for an unknown category.
+ */
+export const buildGuestReport = ({ roomNumber, locationId, categoryId, details = "", photo = null }) => {
+    const category = GUEST_CATEGORIES.find(candidate => candidate.id === categoryId);
+    if (!category) throw new Error("Choose what the problem is about.");
+
+    return {
+        roomNumber,
+        locationId: locationId || null,
+        issueTitle: category.label,
+        description: String(details).trim().slice(0, MAX_GUEST_DETAILS_LENGTH),
+        priority: category.priority,
+        imageFiles: photo ? [photo] : [],
+    };
+};
+
+/**
+ * The absolute URL a room's QR code points to; `location` is { roomNumber, locationId }.
+ */
+export const getGuestReportUrl = (origin, location) => `${origin}${buildGuestPath(location)}`;
+
+/**
+ * The rooms that get a QR code, in registry order: active rooms only, since
+ * public areas have staff on hand.
+ */
+export const getGuestQrRooms = (locations) => sortLocations(locations)
+    .filter(location => location.type === LOCATION_TYPES.ROOM && location.active !== false)
+    .map(location => ({ roomNumber: formatLocationLabel(location), locationId: location.id }));
+
+/**
+ * Downloads a printable A4 PDF with one QR code per room (twelve to a page),
+ * each pointing at that room's guest reporting page on `origin`. The codes are
+ * drawn as vector squares, so they stay sharp at any print size.
+ */
+export const exportGuestQrSheet = async (locations, origin) => {
+    const [{ jsPDF }, { default: QRCode }] = await Promise.all([import("jspdf"), import("qrcode")]);
+    const rooms = getGuestQrRooms(locations);
+    if (rooms.length === 0) throw new Error("There are no active rooms in the registry.");
+
+    const pdf = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4", compress: true });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 36;
+    const columns = 3;
+    const rows = 4;
+    const cellWidth = (pageWidth - margin * 2) / columns;
+    const cellHeight = (pageHeight - margin * 2) / rows;
+    const codeSize = 120;
+
+    rooms.forEach((room, index) => {
+        const slot = index % (columns * rows);
+        if (index > 0 && slot === 0) pdf.addPage();
+        const x = margin + (slot % columns) * cellWidth;
+        const y = margin + Math.floor(slot / columns) * cellHeight;
+        const centerX = x + cellWidth / 2;
+
+        // Dashed outline to cut along
+        pdf.setDrawColor(180);
+        pdf.setLineDashPattern([3, 3], 0);
+        pdf.rect(x + 4, y + 4, cellWidth - 8, cellHeight - 8);
+        pdf.setLineDashPattern([], 0);
+
+        pdf.setFontSize(9);
+        pdf.setTextColor(80);
+        pdf.text("Something not working? Scan to tell us.", centerX, y + 22, { align: "center" });
+
+        const { modules } = QRCode.create(getGuestReportUrl(origin, room), { errorCorrectionLevel: "M" });
+        const moduleSize = codeSize / modules.size;
+        const codeX = centerX - codeSize / 2;
+        const codeY = y + 32;
+        pdf.setFillColor(0);
+        for (let row = 0; row < modules.size; row++) {
+            for (let column = 0; column < modules.size; column++) {
+                if (modules.get(row, column)) pdf.rect(codeX + column * moduleSize, codeY + row * moduleSize, moduleSize, moduleSize, "F");
+            }
+        }
+
+        pdf.setFontSize(13);
+        pdf.setTextColor(20);
+        pdf.text(room.roomNumber, centerX, codeY + codeSize + 20, { align: "center" });
+    });
+
+    pdf.save("guest-qr-codes.pdf");
+    return rooms.length;
+};
@@ -0,0 +1,53 @@
+import {
+  GUEST_RATE_LIMIT, buildGuestReport, getGuestQrRooms, getGuestReportUrl, getGuestReportWait, getNextGuestQuota
+} from './guest-reporting';
+
+test('a category becomes the title and suggested priority', () => {
+  const photo = { name: 'kettle.jpg' };
+
+  expect(buildGuestReport({ roomNumber: '101', locationId: 'loc-1', categoryId: 'door', details: '  Card does not open  ', photo })).toEqual({
+    roomNumber: '101', locationId: 'loc-1', issueTitle: 'Door, lock or safe', description: 'Card does not open', priority: 'High', imageFiles: [photo],
+  });
+  expect(buildGuestReport({ roomNumber: '101', categoryId: 'tv' })).toMatchObject({ locationId: null, description: '', imageFiles: [] });
+  expect(() => buildGuestReport({ roomNumber: '101', categoryId: 'roof' })).toThrow('Choose what the problem is about.');
+});
+
+test('a device may send a few reports per window', () => {
+  const now = 10 * GUEST_RATE_LIMIT.windowMs;
+  const minute = 60 * 1000;
+
+  expect(getGuestReportWait([], now)).toBe(0);
+  expect(getGuestReportWait([now - 2 * minute, now - minute], now)).toBe(0);
+  expect(getGuestReportWait([now - 3 * minute, now - 2 * minute, now - minute], now)).toBe(GUEST_RATE_LIMIT.windowMs - 3 * minute);
+  expect(getGuestReportWait([now - GUEST_RATE_LIMIT.windowMs - 1, now - 2 * minute, now - minute], now)).toBe(0);
+  expect(getGuestReportWait('garbage', now)).toBe(0);
+});
+
+test('a guest session\'s quota counts reports within a window and refuses those over the limit', () => {
+  const start = 5 * GUEST_RATE_LIMIT.windowMs;
+
+  expect(getNextGuestQuota(null, start)).toEqual({ startsWindow: true, count: 1 });
+  expect(getNextGuestQuota({ windowStart: start, count: 1 }, start + 1000)).toEqual({ startsWindow: false, count: 2 });
+  expect(getNextGuestQuota({ windowStart: start, count: GUEST_RATE_LIMIT.maxReports }, start + 1000)).toBeNull();
+  expect(getNextGuestQuota({ windowStart: start, count: GUEST_RATE_LIMIT.maxReports }, start + GUEST_RATE_LIMIT.windowMs))
+    .toEqual({ startsWindow: true, count: 1 });
+});
+
+test('QR codes point at the room\'s guest page', () => {
+  expect(getGuestReportUrl('https://hotel.example', { roomNumber: '101', locationId: 'loc-1' }))
+    .toBe('https://hotel.example/guest?room=101&location=loc-1');
+});
+
+test('only active rooms get a QR code, labelled as staff would enter them', () => {
+  const locations = [
+    { id: 'l2', type: 'room', name: '102', building: 'Main', floor: '1' },
+    { id: 'lobby', type: 'area', name: 'Lobby', building: 'Main', floor: 'G' },
+    { id: 'l1', type: 'room', name: '101', building: 'Main', floor: '1' },
+    { id: 'old', type: 'room', name: '103', building: 'Main', floor: '1', active: false },
+  ];
+
+  expect(getGuestQrRooms(locations)).toEqual([
+    { roomNumber: 'Room 101', locationId: 'l1' },
+    { roomNumber: 'Room 102', locationId: 'l2' },
+  ]);
+});
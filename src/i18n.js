@@ -0,0 +1,86 @@
+// --- TRANSLATIONS AND LOCALE FORMATTING ---
+// The UI is written in English, and each translation maps an English text to its
+// Spanish or Urdu version (./translations-es, ./translations-ur). Only what is
+// shown is translated: stored values such as statuses, priorities and
+// departments stay the English codes, so filters and queries work the same in
+// every language.
+//
+//   t("Submit Issue")                          the translation, or the English text if there is none
+//   t("Logged as {id}.", { id: "FIR-0001" })   placeholders are filled in after translating
+
+import es from "./translations-es";
+import ur from "./translations-ur";
+
+export const LANGUAGES = {
+    en: { label: "English", locale: "en", dir: "ltr" },
+    es: { label: "Español", locale: "es", dir: "ltr" },
+    ur: { label: "اردو", locale: "ur-PK", dir: "rtl" },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const TRANSLATIONS = { es, ur };
+
+/**
+ * The first supported language among `candidates` (codes or browser tags such
+ * as "es-MX"), or English.
+ */
+export const resolveLanguage = (...candidates) => {
+    const match = candidates
+        .filter(candidate => typeof candidate === "string")
+        .map(candidate => candidate.toLowerCase().split(/[-_]/)[0])
+        .find(code => code in LANGUAGES);
+    return match || DEFAULT_LANGUAGE;
+};
+
+const fill = (text, params) => text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+
+export const translate = (language, text, params = {}) => fill(TRANSLATIONS[language]?.[text] ?? text, params);
+
+/**
+ * Like translate, but returns the pieces of the sentence in order instead of
+ * one string, so placeholders can be filled with elements (a bold value, a
+ * link) wherever the translation puts them.
+ */
+export const translateToParts = (language, text, params = {}) => (TRANSLATIONS[language]?.[text] ?? text)
+    .split(/(\{\w+\})/)
+    .filter(part => part !== "")
+    .map(part => {
+        const name = part.match(/^\{(\w+)\}$/)?.[1];
+        return name && name in params ? params[name] : part;
+    });
+
+// Firestore Timestamps, Dates and millisecond times are all accepted
+const toDate = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const date = typeof value.toDate === "function" ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Everything the UI needs for one language: `t` and date/number formatting in
+ * that language's conventions. The formatters return null for a missing date.
+ */
+export const createTranslator = (requestedLanguage) => {
+    const language = resolveLanguage(requestedLanguage);
+    const { locale, dir } = LANGUAGES[language];
+    const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+    const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+    const timeFormat = new Intl.DateTimeFormat(locale, { timeStyle: "short" });
+    const format = (formatter) => (value) => {
+        const date = toDate(value);
+        return date ? formatter.format(date) : null;
+    };
+
+    return {
+        language,
+        locale,
+        dir,
+        t: (text, params) => translate(language, text, params),
+        tParts: (text, params) => translateToParts(language, text, params),
+        formatDateTime: format(dateTimeFormat),
+        formatDate: format(dateFormat),
+        formatTime: format(timeFormat),
+        formatCustomDate: (value, options) => format(new Intl.DateTimeFormat(locale, options))(value),
+    };
+};
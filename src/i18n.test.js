@@ -0,0 +1,46 @@
+import { createTranslator, resolveLanguage, translate, translateToParts, TRANSLATIONS } from './i18n';
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+test('translates and fills placeholders, falling back to the English text', () => {
+  expect(translate('es', 'Submit Maintenance Request')).toBe('Enviar solicitud de mantenimiento');
+  expect(translate('es', 'Last logged: {id}', { id: 'FIR-0001' })).toBe('Última registrada: FIR-0001');
+  expect(translate('es', 'Not in the dictionary {id}', { id: 7 })).toBe('Not in the dictionary 7');
+  expect(translate('en', 'Last logged: {id}', { id: 'FIR-0001' })).toBe('Last logged: FIR-0001');
+  expect(translate('en', 'Left {open}', {})).toBe('Left {open}');
+});
+
+test('splits a translation into parts so placeholders can hold elements', () => {
+  const link = { type: 'a' };
+  expect(translateToParts('ur', 'Possible duplicate of {id}', { id: link })).toEqual([link, ' کا ممکنہ دہراؤ']);
+  expect(translateToParts('en', 'changed {field} from {from} to {to}', { field: 'Status', from: 'Submitted', to: 'Completed' }))
+    .toEqual(['changed ', 'Status', ' from ', 'Submitted', ' to ', 'Completed']);
+});
+
+test('picks the first supported language from codes and browser tags', () => {
+  expect(resolveLanguage('es-MX')).toBe('es');
+  expect(resolveLanguage(null, 'fr', 'UR_pk')).toBe('ur');
+  expect(resolveLanguage('de')).toBe('en');
+  expect(resolveLanguage()).toBe('en');
+});
+
+test('a translator carries the text direction and formats dates in its locale', () => {
+  expect(createTranslator('ur').dir).toBe('rtl');
+  expect(createTranslator('es').dir).toBe('ltr');
+  expect(createTranslator('xx').language).toBe('en');
+
+  const { formatDate, formatDateTime } = createTranslator('en');
+  expect(formatDate(new Date(2026, 2, 5))).toBe('Mar 5, 2026');
+  expect(formatDate({ toDate: () => new Date(2026, 2, 5) })).toBe('Mar 5, 2026');
+  expect(formatDateTime(null)).toBeNull();
+  expect(formatDateTime('not a date')).toBeNull();
+});
+
+test('every language translates the same texts with the same placeholders', () => {
+  expect(Object.keys(TRANSLATIONS.ur).sort()).toEqual(Object.keys(TRANSLATIONS.es).sort());
+  Object.values(TRANSLATIONS).forEach(dictionary => {
+    Object.entries(dictionary).forEach(([english, translated]) => {
+      expect({ english, placeholders: placeholders(translated) }).toEqual({ english, placeholders: placeholders(english) });
+    });
+  });
+});
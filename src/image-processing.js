@@ -0,0 +1,81 @@
+// --- CLIENT-SIDE IMAGE PROCESSING ---
+// Phone photos are resized and re-encoded in the browser before upload, and a
+// small thumbnail is generated for table/gallery previews. This keeps Storage
+// usage and upload times down on hotel Wi-Fi.
+
+export const MAX_IMAGE_DIMENSION = 1600; // px, longest edge of the uploaded photo
+export const THUMBNAIL_DIMENSION = 320; // px, longest edge of the thumbnail
+export const IMAGE_QUALITY = 0.8;
+export const THUMBNAIL_QUALITY = 0.7;
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Could not decode image "${file.name}".`));
+    };
+    image.src = url;
+});
+
+/**
+ * Scales `width` x `height` down so its longest edge is at most `maxDimension`,
+ * keeping the aspect ratio. Smaller images are never enlarged.
+ */
+export const getScaledSize = (width, height, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+const renderToJpeg = (image, maxDimension, quality) => new Promise((resolve, reject) => {
+    const { width, height } = getScaledSize(image.naturalWidth, image.naturalHeight, maxDimension);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    canvas.toBlob((blob) => {
+        if (blob) resolve({ blob, width, height });
+        else reject(new Error("Image encoding failed."));
+    }, 'image/jpeg', quality);
+});
+
+/**
+ * Returns the JPEG file name for a processed image ("IMG_0042.HEIC" -> "IMG_0042.jpg").
+ */
+export const toJpegName = (name) => `${(name || 'photo').replace(/\.[^.]+$/, '')}.jpg`;
+
+/**
+ * Compresses a photo and generates its thumbnail.
+ * Resolves with `{ full, thumbnail, width, height, name }`. If the browser cannot
+ * decode the file (e.g. HEIC on desktop Chrome), the original is passed through
+ * untouched and `thumbnail` is null.
+ */
+export const prepareImageForUpload = async (file) => {
+    let image;
+    try {
+        image = await loadImage(file);
+    } catch (error) {
+        console.warn(error.message, "Uploading the original file instead.");
+        return { full: file, thumbnail: null, width: null, height: null, name: file.name };
+    }
+
+    const full = await renderToJpeg(image, MAX_IMAGE_DIMENSION, IMAGE_QUALITY);
+    const thumbnail = await renderToJpeg(image, THUMBNAIL_DIMENSION, THUMBNAIL_QUALITY);
+
+    // Never "compress" into something larger than what the camera produced
+    const useOriginal = full.blob.size >= file.size && file.type === 'image/jpeg';
+
+    return {
+        full: useOriginal ? file : full.blob,
+        thumbnail: thumbnail.blob,
+        width: useOriginal ? image.naturalWidth : full.width,
+        height: useOriginal ? image.naturalHeight : full.height,
+        name: useOriginal ? file.name : toJpegName(file.name),
+    };
+};
@@ -0,0 +1,42 @@
+import { MAX_IMAGE_DIMENSION, THUMBNAIL_DIMENSION, getScaledSize, prepareImageForUpload, toJpegName } from './image-processing';
+
+test('processed images are renamed to .jpg', () => {
+  expect(toJpegName('IMG_0042.HEIC')).toBe('IMG_0042.jpg');
+  expect(toJpegName('leak.under.sink.png')).toBe('leak.under.sink.jpg');
+  expect(toJpegName('no-extension')).toBe('no-extension.jpg');
+  expect(toJpegName('')).toBe('photo.jpg');
+  expect(toJpegName(undefined)).toBe('photo.jpg');
+});
+
+test('photos shrink to fit the longest edge and keep their aspect ratio', () => {
+  expect(getScaledSize(4032, 3024, MAX_IMAGE_DIMENSION)).toEqual({ width: 1600, height: 1200 });
+  expect(getScaledSize(3024, 4032, MAX_IMAGE_DIMENSION)).toEqual({ width: 1200, height: 1600 });
+  expect(getScaledSize(4032, 3024, THUMBNAIL_DIMENSION)).toEqual({ width: 320, height: 240 });
+  expect(getScaledSize(1000, 333, THUMBNAIL_DIMENSION)).toEqual({ width: 320, height: 107 });
+});
+
+test('small photos are never enlarged', () => {
+  expect(getScaledSize(800, 600, MAX_IMAGE_DIMENSION)).toEqual({ width: 800, height: 600 });
+  expect(getScaledSize(1600, 1600, MAX_IMAGE_DIMENSION)).toEqual({ width: 1600, height: 1600 });
+});
+
+test('a photo the browser cannot decode is uploaded as it is', async () => {
+  const { Image } = window;
+  URL.createObjectURL = jest.fn(() => 'blob:photo');
+  URL.revokeObjectURL = jest.fn();
+  window.Image = class {
+    set src(url) { this.onerror(); }
+  };
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const file = new File(['heic'], 'IMG_0042.HEIC', { type: 'image/heic' });
+
+  try {
+    expect(await prepareImageForUpload(file)).toEqual({ full: file, thumbnail: null, width: null, height: null, name: 'IMG_0042.HEIC' });
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:photo');
+  } finally {
+    window.Image = Image;
+    warn.mockRestore();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  }
+});
@@ -0,0 +1,186 @@
+// --- ISSUE LIST EXPORT (CSV / XLSX / PDF) ---
+// Everything is generated in the browser from the rows the Technician Dashboard is
+// currently showing; when more issues match than are loaded, the file is labelled
+// a partial export. Headers and report texts go through the caller's `translate`
+// (the UI's t). The XLSX and PDF libraries are loaded on demand so they don't
+// weigh on the initial bundle.
+
+import { computeSla, toDate } from './sla';
+
+const EXPORT_COLUMNS = [
+    { key: "displayId", header: "FIR ID", width: 12 },
+    { key: "roomNumber", header: "Room/Location", width: 16 },
+    { key: "issueTitle", header: "Issue Title", width: 30 },
+    { key: "description", header: "Description", width: 50 },
+    { key: "priority", header: "Priority", width: 10 },
+    { key: "status", header: "Status", width: 12 },
+    { key: "department", header: "Department", width: 14 },
+    { key: "assignee", header: "Assignee", width: 18 },
+    { key: "sla", header: "SLA", width: 12 },
+    { key: "reopenCount", header: "Reopens", width: 9 },
+    { key: "createdAt", header: "Created", width: 18, isDate: true },
+    { key: "updatedAt", header: "Last Updated", width: 18, isDate: true },
+];
+
+const SLA_EXPORT_LABELS = {
+    pending: "On track",
+    met: "Met",
+    overdue: "Overdue",
+    breached: "Breached",
+    na: "N/A",
+};
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const untranslated = (text) => text;
+
+// Local time, sortable and unambiguous in any spreadsheet: 2026-03-01 14:05
+const formatExportDate = (date) => (
+    date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}` : ""
+);
+
+const getSlaLabel = (fir, slaTargets, now) => {
+    const { response, resolution, breached } = computeSla(fir, slaTargets, now);
+    if (breached) return response.state === 'overdue' || resolution.state === 'overdue' ? SLA_EXPORT_LABELS.overdue : SLA_EXPORT_LABELS.breached;
+    return SLA_EXPORT_LABELS[resolution.state] || SLA_EXPORT_LABELS.na;
+};
+
+/**
+ * Flattens issues into export rows. Dates stay `Date` objects so each format can
+ * render them natively (real date cells in XLSX, text in CSV/PDF).
+ */
+export const buildExportRows = (firs, { staffById = {}, slaTargets, now = new Date() } = {}) => firs.map(fir => ({
+    displayId: fir.displayId || "",
+    roomNumber: fir.roomNumber || "",
+    issueTitle: fir.issueTitle || "",
+    description: fir.description || "",
+    priority: fir.priority || "",
+    status: fir.status || "",
+    department: fir.department || "",
+    assignee: fir.assignedTo ? (staffById[fir.assignedTo]?.displayName || fir.assignedTo) : "",
+    sla: slaTargets ? getSlaLabel(fir, slaTargets, now) : "",
+    reopenCount: String(fir.reopenCount || 0),
+    createdAt: toDate(fir.createdAt),
+    updatedAt: toDate(fir.updatedAt),
+}));
+
+// Spreadsheets run cells that start with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+    const raw = String(value ?? "");
+    const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes export rows as RFC 4180 CSV, with the headers passed through `translate`.
+ */
+export const toCsv = (rows, translate = untranslated) => {
+    const lines = [EXPORT_COLUMNS.map(column => escapeCsvValue(translate(column.header))).join(",")];
+    rows.forEach(row => {
+        lines.push(EXPORT_COLUMNS.map(column => escapeCsvValue(
+            column.isDate ? formatExportDate(row[column.key]) : row[column.key]
+        )).join(","));
+    });
+    return lines.join("\r\n");
+};
+
+export const getExportFileName = (extension, now = new Date(), partial = false) => (
+    `fir-report-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}${partial ? "-partial" : ""}.${extension}`
+);
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * The export functions take `{ translate, partialNotice }`: `partialNotice` explains
+ * that only the loaded issues are included, and marks the file name as partial.
+ */
+export const exportCsv = (rows, { translate = untranslated, partialNotice = null } = {}) => {
+    // The BOM makes Excel open the file as UTF-8 (room names, Urdu/Spanish notes)
+    const blob = new Blob(["\uFEFF", toCsv(rows, translate)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, getExportFileName("csv", new Date(), Boolean(partialNotice)));
+};
+
+export const exportXlsx = async (rows, { translate = untranslated, partialNotice = null } = {}) => {
+    const { default: writeExcelFile } = await import('write-excel-file/browser');
+
+    const sheetData = [
+        EXPORT_COLUMNS.map(column => ({ value: translate(column.header), fontWeight: 'bold' })),
+        ...rows.map(row => EXPORT_COLUMNS.map(column => {
+            const value = row[column.key];
+            if (column.isDate) return value ? { value, type: Date } : null;
+            return { value, type: String };
+        })),
+    ];
+
+    await writeExcelFile(sheetData, {
+        sheet: "FIRs",
+        columns: EXPORT_COLUMNS.map(column => ({ width: column.width })),
+        dateFormat: 'yyyy-mm-dd hh:mm',
+        stickyRowsCount: 1,
+    }).toFile(getExportFileName("xlsx", new Date(), Boolean(partialNotice)));
+};
+
+/**
+ * Printable landscape PDF: the dashboard metrics, the active filters and the issue table.
+ * `metrics` is a list of `{ title, value }`; `filterSummary` a short description of the filters.
+ * A `partialNotice` is printed in red above the metrics.
+ */
+export const exportPdf = async (rows, { metrics, filterSummary, translate = untranslated, partialNotice = null }) => {
+    const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+
+    const pdf = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const margin = 40;
+
+    pdf.setFontSize(16);
+    pdf.text(translate("Hotel Maintenance Report"), margin, 50);
+    pdf.setFontSize(9);
+    pdf.setTextColor(100);
+    pdf.text(`${translate("Generated {date}", { date: formatExportDate(new Date()) })} · ${filterSummary}`, margin, 66);
+
+    const metricsTop = partialNotice ? 96 : 80;
+    if (partialNotice) {
+        pdf.setTextColor(220, 53, 69);
+        pdf.text(partialNotice, margin, 82);
+    }
+
+    // Metric boxes
+    const boxGap = 12;
+    const boxWidth = (pageWidth - margin * 2 - boxGap * (metrics.length - 1)) / metrics.length;
+    metrics.forEach((metric, index) => {
+        const x = margin + index * (boxWidth + boxGap);
+        pdf.setDrawColor(200);
+        pdf.roundedRect(x, metricsTop, boxWidth, 50, 4, 4);
+        pdf.setFontSize(8);
+        pdf.setTextColor(100);
+        pdf.text(metric.title.toUpperCase(), x + 10, metricsTop + 16);
+        pdf.setFontSize(18);
+        pdf.setTextColor(20);
+        pdf.text(String(metric.value), x + 10, metricsTop + 40);
+    });
+
+    const tableColumns = EXPORT_COLUMNS.filter(column => column.key !== "description");
+    autoTable(pdf, {
+        startY: metricsTop + 68,
+        margin: { left: margin, right: margin },
+        head: [tableColumns.map(column => translate(column.header))],
+        body: rows.map(row => tableColumns.map(column => (
+            column.isDate ? formatExportDate(row[column.key]) : row[column.key]
+        ))),
+        styles: { fontSize: 8, cellPadding: 4 },
+        headStyles: { fillColor: [13, 110, 253] },
+    });
+
+    pdf.save(getExportFileName("pdf", new Date(), Boolean(partialNotice)));
+};
@@ -0,0 +1,60 @@
+import { buildExportRows, toCsv, getExportFileName } from './issue-export';
+import { createTranslator } from './i18n';
+
+const fir = {
+  displayId: 'FIR-0042',
+  roomNumber: 'Room 301',
+  issueTitle: 'Leak, "urgent"',
+  description: 'Water under\nthe sink',
+  priority: 'High',
+  status: 'Submitted',
+  department: 'Plumbing',
+  assignedTo: 'tech-1',
+  createdAt: { seconds: new Date(2026, 2, 1, 14, 5).getTime() / 1000 },
+  updatedAt: new Date(2026, 2, 1, 15, 30),
+};
+
+test('rows resolve assignee names and convert timestamps to dates', () => {
+  const [row] = buildExportRows([fir], { staffById: { 'tech-1': { displayName: 'Carlos' } } });
+
+  expect(row.assignee).toBe('Carlos');
+  expect(row.createdAt).toEqual(new Date(2026, 2, 1, 14, 5));
+  expect(row.updatedAt).toEqual(new Date(2026, 2, 1, 15, 30));
+});
+
+test('CSV escapes quotes, commas and newlines and formats dates', () => {
+  const csv = toCsv(buildExportRows([fir]));
+  const [header, line] = csv.split('\r\n');
+
+  expect(header.startsWith('FIR ID,Room/Location,Issue Title')).toBe(true);
+  expect(line).toContain('"Leak, ""urgent"""');
+  expect(line).toContain('"Water under\nthe sink"');
+  expect(line).toContain('2026-03-01 14:05,2026-03-01 15:30');
+});
+
+test('CSV headers are translated', () => {
+  const { t } = createTranslator('es');
+  const [header] = toCsv(buildExportRows([fir]), t).split('\r\n');
+
+  expect(header.startsWith('ID de FIR,Habitación/Ubicación,')).toBe(true);
+  expect(header.endsWith(',Creada,Última actualización')).toBe(true);
+});
+
+test('CSV prefixes cells that a spreadsheet would read as formulas', () => {
+  const formulas = ['=HYPERLINK("http://x")', '+1+2', '-2+3', '@SUM(A1)', '\tTab', '\rReturn'];
+  const rows = formulas.map(issueTitle => ({ ...buildExportRows([fir])[0], issueTitle }));
+  const lines = toCsv(rows).split('\r\n').slice(1).join('\n');
+
+  expect(lines).toContain(`"'=HYPERLINK(""http://x"")"`);
+  expect(lines).toContain(",'+1+2,");
+  expect(lines).toContain(",'-2+3,");
+  expect(lines).toContain(",'@SUM(A1),");
+  expect(lines).toContain(",'\tTab,");
+  expect(lines).toContain(`"'\rReturn"`);
+  expect(toCsv(buildExportRows([{ ...fir, issueTitle: 'A-1 = fine' }]))).toContain(',A-1 = fine,');
+});
+
+test('export file names carry the date', () => {
+  expect(getExportFileName('csv', new Date(2026, 9, 5))).toBe('fir-report-2026-10-05.csv');
+  expect(getExportFileName('pdf', new Date(2026, 9, 5), true)).toBe('fir-report-2026-10-05-partial.pdf');
+});
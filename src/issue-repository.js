@@ -0,0 +1,908 @@
+// --- ISSUE REPOSITORY ---
+// The only place that reads or writes issue documents (and their history and
+// comments). Reads are normalised and writes validated through ./issue-schema.
+// Storage goes through the backend adapter (see ./backend) handed to
+// configureIssueRepository at start-up.
+
+import { Timestamp } from "firebase/firestore";
+import { prepareImageForUpload } from "./image-processing";
+import { OPEN_STATUSES, applyStatusWorkflow } from "./status-workflow";
+import {
+    LEGACY_ISSUES_COLLECTION, normalizeIssue, getSortKeys, validateNewIssue, validateIssueChanges,
+    buildLegacyMigrationPlan
+} from "./issue-schema";
+
+let backend, appId;
+
+export const configureIssueRepository = (services) => {
+    ({ backend, appId } = services);
+};
+
+const toIssue = (issueDoc) => normalizeIssue(issueDoc.id, issueDoc.data);
+
+const toEntry = (entryDoc) => ({ id: entryDoc.id, ...entryDoc.data });
+
+const getCollectionPath = (userId) => {
+    // Public data path: /artifacts/{appId}/public/data/firs
+    // This allows all users to see and update all issues in a collaborative manner.
+    return `artifacts/${appId}/public/data/firs`; 
+};
+
+export const ISSUES_PAGE_SIZE = 50;
+
+/**
+ * Orders offered by the issue list, applied by the query itself: [field, direction].
+ * Combined with the filters each one needs the composite indexes declared in
+ * firestore.indexes.json.
+ */
+export const ISSUE_SORTS = {
+    newest: ["createdAt", "desc"],
+    oldest: ["createdAt", "asc"],
+    priority: ["priorityRank", "desc"],
+    status: ["statusRank", "asc"],
+};
+
+const getFilterClauses = ({ priority = "All", department = "All" }) => [
+    ...(priority !== "All" ? [["priority", "==", priority]] : []),
+    ...(department !== "All" ? [["department", "==", department]] : []),
+];
+
+/**
+ * Subscribes to one page of the issue list, filtered, ordered and limited on
+ * the server. `listOptions`:
+ *   priority, department   "All" or the value to match
+ *   openOnly               only Submitted and In Progress issues
+ *   from, to               Dates bounding createdAt (either may be null)
+ *   sort                   a key of ISSUE_SORTS (default "newest")
+ *   limit                  how many issues to deliver (default ISSUES_PAGE_SIZE)
+ * To load more, subscribe again with a larger limit. `callback(issues, { hasMore })`
+ * is called on every change within the page.
+ */
+export const subscribeToIssues = (userId, listOptions, callback) => {
+    if (!backend || !userId) return () => {};
+
+    const { openOnly = false, from = null, to = null, sort = "newest", limit = ISSUES_PAGE_SIZE } = listOptions;
+    const filters = getFilterClauses(listOptions);
+    if (openOnly) filters.push(["status", "in", OPEN_STATUSES]);
+    if (from) filters.push(["createdAt", ">=", Timestamp.fromDate(from)]);
+    if (to) filters.push(["createdAt", "<=", Timestamp.fromDate(to)]);
+
+    // One extra document tells whether there is another page
+    const listQuery = { where: filters, orderBy: ISSUE_SORTS[sort] || ISSUE_SORTS.newest, limit: limit + 1 };
+
+    return backend.subscribeToDocs(getCollectionPath(userId), listQuery, (docs) => {
+        callback(docs.slice(0, limit).map(toIssue), { hasMore: docs.length > limit });
+    }, (error) => {
+        console.error("Issues subscription error:", error);
+    });
+};
+
+/**
+ * Calls `onNewIssues` with the issues submitted after `since` (a Date) while
+ * the subscription is open, excluding this terminal's own pending writes. Only
+ * issues created after `since` are listened to, not the whole collection.
+ */
+export const subscribeToNewIssues = (userId, since, onNewIssues) => {
+    if (!backend || !userId) return () => {};
+
+    const recentQuery = { where: [["createdAt", ">=", Timestamp.fromDate(since)]] };
+
+    let initialSnapshot = true;
+    return backend.subscribeToDocs(getCollectionPath(userId), recentQuery, (docs, changes) => {
+        // The first snapshot reports every existing document as "added"
+        if (!initialSnapshot) {
+            const added = changes
+                .filter(change => change.type === "added" && !change.pending)
+                .map(change => toIssue(change.doc));
+            if (added.length > 0) onNewIssues(added);
+        }
+        initialSnapshot = false;
+    }, (error) => {
+        console.error("New issues subscription error:", error);
+    });
+};
+
+const URGENT_PRIORITIES = ["High", "Critical"];
+
+/**
+ * The dashboard's headline counts for the whole collection (within the priority
+ * and department filters), counted on the server rather than from the loaded page.
+ */
+export const fetchIssueCounts = async (userId, { priority = "All", department = "All" } = {}) => {
+    if (!backend || !userId) return null;
+
+    const path = getCollectionPath(userId);
+    const filters = getFilterClauses({ priority, department });
+    const count = (extra) => backend.count(path, { where: [...filters, ...extra] });
+
+    const [totalIssues, pendingIssues, completedIssues, urgentIssues] = await Promise.all([
+        count([]),
+        count([["status", "in", OPEN_STATUSES]]),
+        count([["status", "==", "Completed"]]),
+        // A priority filter already decides whether every issue counted is urgent
+        priority === "All" ? count([["priority", "in", URGENT_PRIORITIES]]) : null,
+    ]);
+    const highPriorityIssues = urgentIssues ?? (URGENT_PRIORITIES.includes(priority) ? totalIssues : 0);
+    return { totalIssues, pendingIssues, highPriorityIssues, completedIssues };
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * How many open issues (within the priority and department filters) are overdue
+ * at `now` as isOverdue (./sla) defines it, counted on the server.
+ * Per priority: open issues older than the resolution target, plus issues still
+ * Submitted that are older than the response target but not yet the resolution
+ * one, so no issue is counted twice.
+ */
+export const fetchSlaBreachedCount = async (userId, targets, now = new Date(), { priority = "All", department = "All" } = {}) => {
+    if (!backend || !userId) return null;
+
+    const path = getCollectionPath(userId);
+    const filters = getFilterClauses({ department });
+    const before = (minutes) => Timestamp.fromMillis(now.getTime() - minutes * MINUTE_MS);
+
+    const counts = Object.entries(targets)
+        .filter(([targetPriority]) => priority === "All" || priority === targetPriority)
+        .flatMap(([targetPriority, { responseMinutes, resolutionMinutes }]) => {
+            const where = [...filters, ["priority", "==", targetPriority]];
+            return [
+                backend.count(path, { where: [...where, ["status", "in", OPEN_STATUSES], ["createdAt", "<", before(resolutionMinutes)]] }),
+                backend.count(path, {
+                    where: [
+                        ...where,
+                        ["status", "==", "Submitted"],
+                        ["createdAt", ">=", before(resolutionMinutes)],
+                        ["createdAt", "<", before(responseMinutes)],
+                    ],
+                }),
+            ];
+        });
+    return (await Promise.all(counts)).reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * One-off fetch of the issues created within [from, to] for the analytics reports.
+ * A range on a single field needs no composite index.
+ */
+export const fetchIssuesCreatedBetween = async (userId, from, to) => {
+    if (!backend || !userId) return [];
+
+    const docs = await backend.getDocs(getCollectionPath(userId), {
+        where: [
+            ["createdAt", ">=", Timestamp.fromDate(from)],
+            ["createdAt", "<=", Timestamp.fromDate(to)],
+        ],
+    });
+    return docs.map(toIssue);
+};
+
+/**
+ * The issues opened or closed within [from, to]: those created in the range plus
+ * those resolved in it, however long before they were opened. Two single-field
+ * ranges merged here, as Firestore cannot OR ranges on different fields.
+ */
+export const fetchIssuesOpenedOrClosedBetween = async (userId, from, to) => {
+    if (!backend || !userId) return [];
+
+    const [created, resolved] = await Promise.all([
+        fetchIssuesCreatedBetween(userId, from, to),
+        backend.getDocs(getCollectionPath(userId), {
+            where: [
+                ["resolvedAt", ">=", Timestamp.fromDate(from)],
+                ["resolvedAt", "<=", Timestamp.fromDate(to)],
+            ],
+        }),
+    ]);
+    const createdIds = new Set(created.map(issue => issue.id));
+    return [...created, ...resolved.filter(issueDoc => !createdIds.has(issueDoc.id)).map(toIssue)];
+};
+
+const getGuestQuotaPath = (userId) => {
+    // Reports sent by one guest session, for the rate limit in firestore.rules: /artifacts/{appId}/public/data/guestReports/{uid}
+    return `artifacts/${appId}/public/data/guestReports/${userId}`;
+};
+
+// Error code when a guest session has used up its reports; the error carries the quota's `windowStart` (ms)
+export const GUEST_RATE_LIMITED = "guest-rate-limited";
+
+const getCounterPath = (userId) => {
+    // Single counter document that hands out sequential display IDs: /artifacts/{appId}/public/data/counters/firs
+    return `artifacts/${appId}/public/data/counters/firs`;
+};
+
+/**
+ * Formats a sequence number as a display ID. Numbers are padded to four digits
+ * but are never truncated, so FIR-9999 is followed by FIR-10000.
+ */
+const formatDisplayId = (number) => `FIR-${String(number).padStart(4, "0")}`;
+
+const parseDisplayNumber = (displayId) => {
+    const number = parseInt(String(displayId || '').replace(/^FIR-/, ''), 10);
+    return Number.isNaN(number) ? 0 : number;
+};
+
+/**
+ * Scans the whole (unfiltered) collection for the highest display number in use.
+ * Only needed once, to seed the counter document in projects that predate it.
+ */
+const getHighestDisplayNumber = async (userId) => {
+    const docs = await backend.getDocs(getCollectionPath(userId));
+    return docs.reduce((max, issueDoc) => Math.max(max, parseDisplayNumber(issueDoc.data.displayId)), 0);
+};
+
+/**
+ * Creates the display ID counter, seeded with the highest display number in use,
+ * unless it exists already. Guests cannot list the issues to seed it themselves,
+ * so staff terminals that submit issues call this when they start.
+ */
+export const seedDisplayIdCounter = async (userId) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    const counterPath = getCounterPath(userId);
+    if (await backend.getDoc(counterPath)) return;
+    const highestNumber = await getHighestDisplayNumber(userId);
+    await backend.runTransaction(async (transaction) => {
+        if (await transaction.get(counterPath)) return;
+        transaction.set(counterPath, { lastNumber: highestNumber, updatedAt: Timestamp.now() });
+    });
+};
+
+
+/**
+ * Subscribes to every issue ever logged against one registry entry, newest first.
+ */
+export const subscribeToLocationIssues = (userId, locationId, callback) => {
+    if (!backend || !userId || !locationId) return () => {};
+
+    const locationQuery = { where: [["locationId", "==", locationId]] };
+
+    return backend.subscribeToDocs(getCollectionPath(userId), locationQuery, (docs) => {
+        const issues = docs.map(toIssue);
+        issues.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+        callback(issues);
+    }, (error) => {
+        console.error("Location issues subscription error:", error);
+    });
+};
+
+/**
+ * Subscribes to the issue with display ID `displayId` (e.g. "FIR-0153"), for
+ * links to a single issue. `callback` receives the issue, or null if there is none.
+ */
+export const subscribeToIssueByDisplayId = (userId, displayId, callback) => {
+    if (!backend || !userId || !displayId) return () => {};
+
+    const displayIdQuery = { where: [["displayId", "==", displayId]], limit: 1 };
+
+    return backend.subscribeToDocs(getCollectionPath(userId), displayIdQuery, (docs) => {
+        callback(docs.length > 0 ? toIssue(docs[0]) : null);
+    }, (error) => {
+        console.error("Issue subscription error:", error);
+    });
+};
+
+/**
+ * One-off read of the open issues at a location, for duplicate detection while a
+ * report is being written. Matches the registry entry and the room text, since
+ * older reports may have been typed in before the room was in the registry.
+ */
+export const fetchOpenIssuesAt = async (userId, { locationId, roomNumber }) => {
+    if (!backend || !userId) return [];
+
+    const openFilter = ["status", "in", OPEN_STATUSES];
+    const queries = [
+        locationId && [openFilter, ["locationId", "==", locationId]],
+        roomNumber && [openFilter, ["roomNumber", "==", roomNumber]],
+    ].filter(Boolean);
+
+    const results = await Promise.all(queries.map(where => backend.getDocs(getCollectionPath(userId), { where })));
+    const issues = new Map(results.flat().map(issueDoc => [issueDoc.id, toIssue(issueDoc)]));
+    return [...issues.values()];
+};
+
+/**
+ * Subscribes to the issues submitted anyway after being flagged as a possible
+ * duplicate of `issueId`.
+ */
+export const subscribeToPossibleDuplicates = (userId, issueId, callback) => {
+    if (!backend || !userId || !issueId) return () => {};
+
+    return backend.subscribeToDocs(getCollectionPath(userId), { where: [["possibleDuplicateOf", "==", issueId]] }, (docs) => {
+        callback(docs.map(toIssue));
+    }, (error) => {
+        console.error("Possible duplicates subscription error:", error);
+    });
+};
+
+/**
+ * One-off read of every issue, regardless of the dashboard filters.
+ */
+export const fetchAllIssues = async (userId) => {
+    if (!backend || !userId) return [];
+
+    const docs = await backend.getDocs(getCollectionPath(userId));
+    return docs.map(toIssue);
+};
+
+/**
+ * Extra fields to stamp when the status changes, so SLA response/resolution
+ * times are exact rather than inferred from updatedAt.
+ */
+const getStatusTimestamps = (current, newStatus, now) => {
+    const stamps = {};
+    if (!current.respondedAt && current.status === "Submitted" && newStatus !== "Submitted") {
+        stamps.respondedAt = now;
+    }
+    if (newStatus === "Completed" || newStatus === "Canceled") {
+        stamps.resolvedAt = now;
+    } else if (current.resolvedAt) {
+        stamps.resolvedAt = null; // Reopened: the resolution clock is running again
+    }
+    return stamps;
+};
+
+const getHistoryPath = (userId, issueId) => {
+    // Audit trail lives next to each issue: /artifacts/{appId}/public/data/firs/{issueId}/history
+    return `${getCollectionPath(userId)}/${issueId}/history`;
+};
+
+/**
+ * Builds an immutable history entry. Entries are only ever created, never updated
+ * or deleted (enforced by firestore.rules), so the timeline is a reliable audit log.
+ */
+const buildHistoryEntry = (userId, action, field, oldValue, newValue) => ({
+    action, // 'created' | 'updated'
+    field,
+    oldValue: oldValue ?? null,
+    newValue: newValue ?? null,
+    userId,
+    timestamp: Timestamp.now(),
+});
+
+/**
+ * Subscribes to the change history of a single issue, oldest entry first.
+ */
+export const subscribeToIssueHistory = (userId, issueId, callback) => {
+    if (!backend || !userId || !issueId) return () => {};
+
+    return backend.subscribeToDocs(getHistoryPath(userId, issueId), { orderBy: ["timestamp", "asc"] }, (docs) => {
+        callback(docs.map(toEntry));
+    }, (error) => {
+        console.error("History subscription error:", error);
+    });
+};
+
+/**
+ * Compresses and uploads every photo of a submission, each with its thumbnail.
+ * `onUploadProgress(index, fraction)` is called per file as it uploads.
+ * Resolves with the `images` array stored on the issue.
+ */
+export const uploadIssueImages = async (userId, files, onUploadProgress = () => {}) => {
+    const images = [];
+    for (const [index, file] of files.entries()) {
+        const prepared = await prepareImageForUpload(file);
+        const stamp = `${Date.now()}_${index}`;
+        const totalBytes = prepared.full.size + (prepared.thumbnail?.size || 0);
+        let fullBytesSent = 0;
+
+        const url = await backend.uploadFile(`firs/${userId}/${stamp}_${prepared.name}`, prepared.full, (fraction) => {
+            fullBytesSent = fraction * prepared.full.size;
+            onUploadProgress(index, fullBytesSent / totalBytes);
+        });
+        const thumbnailUrl = prepared.thumbnail
+            ? await backend.uploadFile(`firs/${userId}/thumbs/${stamp}_${prepared.name}`, prepared.thumbnail, (fraction) => {
+                onUploadProgress(index, (fullBytesSent + fraction * prepared.thumbnail.size) / totalBytes);
+            })
+            : url;
+        onUploadProgress(index, 1);
+
+        images.push({ url, thumbnailUrl, name: prepared.name, width: prepared.width, height: prepared.height });
+    }
+    return images;
+};
+
+const getCommentsPath = (userId, issueId) => {
+    // Work notes and comments: /artifacts/{appId}/public/data/firs/{issueId}/comments
+    return `${getCollectionPath(userId)}/${issueId}/comments`;
+};
+
+/**
+ * Subscribes to the comment thread of one issue, oldest first, in real time.
+ */
+export const subscribeToComments = (userId, issueId, callback) => {
+    if (!backend || !userId || !issueId) return () => {};
+
+    return backend.subscribeToDocs(getCommentsPath(userId, issueId), { orderBy: ["createdAt", "asc"] }, (docs) => {
+        callback(docs.map(toEntry));
+    }, (error) => {
+        console.error("Comments subscription error:", error);
+    });
+};
+
+/**
+ * Adds a comment (with optional photo) and bumps the issue's comment counter,
+ * which drives the unread badges without listening to every thread. The issue
+ * names the new comment (lastCommentId), which the rules check is created in
+ * the same write.
+ * `visibility` is 'internal' (staff only) or 'guest' (may be shared with the guest).
+ */
+export const addComment = async (userId, issueId, { text, visibility, imageFile }) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    const [image] = imageFile ? await uploadIssueImages(userId, [imageFile]) : [];
+    const now = Timestamp.now();
+
+    const commentsPath = getCommentsPath(userId, issueId);
+    const commentId = backend.createId(commentsPath);
+    const batch = backend.createBatch();
+    batch.set(`${commentsPath}/${commentId}`, {
+        authorId: userId,
+        text: text.trim(),
+        visibility,
+        image: image || null,
+        createdAt: now,
+    });
+    batch.update(`${getCollectionPath(userId)}/${issueId}`, {
+        commentCount: backend.increment(1),
+        lastCommentAt: now,
+        lastCommentId: commentId,
+    });
+    await batch.commit();
+};
+
+/**
+ * Writes `newIssue` as issue `issueId` with its initial history entry. The display ID
+ * is reserved from the counter document in the same transaction, so concurrent
+ * terminals can never receive the same number. If the document already exists
+ * nothing is written and the promise resolves with null; otherwise with the
+ * reserved display ID. With `nextGuestQuota` the guest's quota document is
+ * updated in the same transaction.
+ */
+const insertIssue = async (userId, issueId, newIssue, nextGuestQuota = null) => {
+    const guest = Boolean(nextGuestQuota);
+    const counterPath = getCounterPath(userId);
+    const issuePath = `${getCollectionPath(userId)}/${issueId}`;
+    const quotaPath = getGuestQuotaPath(userId);
+    // Guests cannot list the issues; they count on staff having seeded the counter (seedDisplayIdCounter)
+    const seedNumber = guest || (await backend.getDoc(counterPath)) ? 0 : await getHighestDisplayNumber(userId);
+
+    return backend.runTransaction(async (transaction) => {
+        // Read everything before writing; a retried transaction sees the other terminal's issue
+        const existing = await transaction.get(issuePath);
+        const counter = await transaction.get(counterPath);
+        const quota = guest ? await transaction.get(quotaPath) : null;
+        if (existing) return null;
+
+        const storedQuota = quota && { windowStart: quota.data.windowStart.toMillis(), count: quota.data.count };
+        const nextQuota = guest ? nextGuestQuota(storedQuota) : null;
+        if (guest && !nextQuota) {
+            throw Object.assign(new Error("This guest session has sent too many reports for now."), {
+                code: GUEST_RATE_LIMITED,
+                windowStart: storedQuota.windowStart,
+            });
+        }
+
+        const lastNumber = counter ? counter.data.lastNumber : seedNumber;
+        const reservedId = formatDisplayId(lastNumber + 1);
+        const issue = { ...newIssue, ...getSortKeys(newIssue), displayId: reservedId };
+        validateNewIssue(issue);
+
+        const historyPath = getHistoryPath(userId, issueId);
+        // The rules only let the counter move on together with the issue it names
+        transaction.set(counterPath, { lastNumber: lastNumber + 1, lastIssueId: issueId, updatedAt: Timestamp.now() });
+        if (guest) {
+            // The rules compare a guest's times with the time of the write itself
+            const now = backend.serverTimestamp();
+            transaction.set(issuePath, { ...issue, createdAt: now, updatedAt: now });
+            transaction.set(quotaPath, {
+                windowStart: nextQuota.startsWindow ? now : quota.data.windowStart,
+                count: nextQuota.count,
+                lastReportAt: now,
+            });
+        } else {
+            transaction.set(issuePath, issue);
+        }
+        transaction.set(
+            `${historyPath}/${backend.createId(historyPath)}`,
+            buildHistoryEntry(userId, "created", "status", null, issue.status)
+        );
+        return reservedId;
+    });
+};
+
+/**
+ * A new issue document ID, for callers that may need to retry the same submission.
+ */
+export const createIssueId = (userId) => backend.createId(getCollectionPath(userId));
+
+/**
+ * Creates a new maintenance issue document, including photo uploads if provided.
+ * Resolves with the reserved display ID.
+ *
+ * Generated issues and replayed offline submissions pass a fixed `issueId`; if that
+ * document already exists nothing is written and the promise resolves with null. `extraFields` are stored
+ * over the defaults (e.g. the department and type of a preventive job).
+ *
+ * `formData.duplicateOf` ({ id, displayId }) links a report submitted despite the
+ * duplicate warning to the open issue it resembles. It travels with the form
+ * data so the link survives the offline queue.
+ *
+ * Guest reports pass `nextGuestQuota` (see getNextGuestQuota in ./guest-reporting):
+ * the session's report quota is moved on in the same transaction, as the rules
+ * require, and the issue gets the server's time. Over the limit, the promise
+ * rejects with an error whose `code` is GUEST_RATE_LIMITED.
+ */
+export const createNewIssue = async (userId, formData, { onUploadProgress, issueId = null, extraFields = {}, nextGuestQuota = null } = {}) => {
+    if (!backend || !userId) throw new Error("Database or storage not initialized.");
+
+    // Submissions queued before multi-photo support carry a single `imageFile`
+    const files = formData.imageFiles || (formData.imageFile ? [formData.imageFile] : []);
+    const images = await uploadIssueImages(userId, files, onUploadProgress);
+
+    const path = getCollectionPath(userId);
+    const newIssue = {
+        roomNumber: formData.roomNumber,
+        locationId: formData.locationId || null,
+        issueTitle: formData.issueTitle,
+        description: formData.description,
+        priority: formData.priority,
+        status: "Submitted", // Default status
+        department: "Unassigned", // Default department
+        images: images,
+        imageUrl: images[0]?.url || null, // Kept for clients that only know a single image
+        submittedBy: userId,
+        updatedBy: userId,
+        createdAt: Timestamp.now(),
+        updatedAt: Timestamp.now(),
+        ...(formData.duplicateOf ? {
+            possibleDuplicateOf: formData.duplicateOf.id,
+            possibleDuplicateOfDisplayId: formData.duplicateOf.displayId,
+        } : {}),
+        ...extraFields,
+    };
+
+    const newIssueId = issueId || backend.createId(path);
+    const displayId = await insertIssue(userId, newIssueId, newIssue, nextGuestQuota);
+    if (displayId) console.log(`Document written with ID: ${newIssueId} (${displayId})`);
+    return displayId;
+};
+
+/**
+ * Subscribes to every issue generated from a maintenance plan (for the calendar).
+ */
+export const subscribeToPreventiveIssues = (userId, callback) => {
+    if (!backend || !userId) return () => {};
+
+    const preventiveQuery = { where: [["type", "==", "Preventive"]] };
+
+    return backend.subscribeToDocs(getCollectionPath(userId), preventiveQuery, (docs) => {
+        callback(docs.map(toIssue));
+    }, (error) => {
+        console.error("Preventive issues subscription error:", error);
+    });
+};
+
+// Issues written before `version` existed count as version 0
+const getVersion = (issue) => issue.version ?? 0;
+
+/**
+ * Writes `changes` to an issue inside an open transaction, with one history
+ * entry per field whose value actually changed. Status changes are checked
+ * against the workflow and every field against the schema (throwing if either
+ * rejects them); status changes also get their SLA timestamps, and status or
+ * priority changes fresh sort keys. Returns the names of the fields that changed.
+ */
+const applyIssueChanges = (transaction, userId, issueId, current, requestedChanges) => {
+    const changes = applyStatusWorkflow(current, requestedChanges);
+    validateIssueChanges(changes);
+    const changedFields = Object.keys(changes).filter(field => (current[field] ?? null) !== (changes[field] ?? null));
+    if (changedFields.length === 0) return changedFields; // Nothing changed, nothing to record
+
+    const now = Timestamp.now();
+    // Every write bumps the version, so an edit made on an older copy is always detected
+    const update = { updatedBy: userId, updatedAt: now, version: getVersion(current) + 1 };
+    changedFields.forEach(field => {
+        update[field] = changes[field];
+    });
+    if (changedFields.includes("status")) {
+        Object.assign(update, getStatusTimestamps(current, changes.status, now));
+    }
+    if (changedFields.includes("status") || changedFields.includes("priority")) {
+        Object.assign(update, getSortKeys({ ...current, ...changes }));
+    }
+
+    const historyPath = getHistoryPath(userId, issueId);
+    transaction.update(`${getCollectionPath(userId)}/${issueId}`, update);
+    changedFields.forEach(field => {
+        transaction.set(
+            `${historyPath}/${backend.createId(historyPath)}`,
+            buildHistoryEntry(userId, "updated", field, current[field], changes[field])
+        );
+    });
+    return changedFields;
+};
+
+export const ISSUE_CONFLICT = "issue-conflict";
+
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * The requested changes that would overwrite someone else's edit: `seen` is the
+ * issue as the user saw it, and a field conflicts when the issue has been
+ * updated since (`version`) and that field no longer has the value they saw.
+ * Changes to other fields in the meantime are no reason to refuse the write.
+ */
+const getEditConflicts = (seen, current, changes) => {
+    if (!seen || getVersion(seen) === getVersion(current)) return [];
+    return Object.keys(changes)
+        .filter(field => !sameValue(current[field], seen[field]))
+        .map(field => ({ field, mine: changes[field], theirs: current[field] ?? null }));
+};
+
+/**
+ * Reads an issue and applies `buildChanges(current)` to it in one transaction.
+ * With `seen`, a write that would overwrite a newer edit of the same fields is
+ * rejected with an error whose `code` is ISSUE_CONFLICT, carrying the current
+ * `issue` and the `conflicts` ({ field, mine, theirs }).
+ */
+const updateIssueInTransaction = async (userId, issueId, buildChanges, seen = null) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    return backend.runTransaction(async (transaction) => {
+        const issueDoc = await transaction.get(`${getCollectionPath(userId)}/${issueId}`);
+        if (!issueDoc) throw new Error(`Issue ${issueId} no longer exists.`);
+
+        const current = toIssue(issueDoc);
+        const changes = buildChanges(current);
+        const conflicts = getEditConflicts(seen, current, changes);
+        if (conflicts.length > 0) {
+            throw Object.assign(new Error("This issue was changed by someone else in the meantime."), { code: ISSUE_CONFLICT, issue: current, conflicts });
+        }
+        return applyIssueChanges(transaction, userId, issueId, current, changes);
+    });
+};
+
+/**
+ * Updates a single field in an existing maintenance issue document.
+ * Runs in a transaction so the recorded old value is the one actually replaced;
+ * pass the issue as the user saw it (`seen`) to refuse overwriting a newer edit.
+ */
+export const updateIssueField = async (userId, issueId, field, value, seen = null) => {
+    await updateIssueInTransaction(userId, issueId, () => ({ [field]: value }), seen);
+    console.log(`Updated issue ${issueId}: set ${field} to ${value}`);
+};
+
+/**
+ * Updates several fields at once that belong together (e.g. `roomNumber` and
+ * its `locationId`), through the same transaction, history and conflict check
+ * as updateIssueField.
+ */
+export const updateIssueFields = async (userId, issueId, changes, seen = null) => {
+    await updateIssueInTransaction(userId, issueId, () => changes, seen);
+    console.log(`Updated issue ${issueId}: ${Object.keys(changes).join(", ")}`);
+};
+
+// `imageUrl` mirrors the first photo for clients that only know a single image
+const withImages = (images) => ({ images, imageUrl: images[0]?.url || null });
+
+/**
+ * Uploads more photos for an existing issue and appends them to its `images`.
+ * `onUploadProgress(index, fraction)` as for createNewIssue.
+ */
+export const addIssueImages = async (userId, issueId, files, onUploadProgress) => {
+    const uploaded = await uploadIssueImages(userId, files, onUploadProgress);
+    await updateIssueInTransaction(userId, issueId, (current) => withImages([...(current.images || []), ...uploaded]));
+    console.log(`Added ${uploaded.length} photo(s) to issue ${issueId}`);
+};
+
+/**
+ * Detaches the photo with `url` from an issue. The file itself stays in
+ * storage, so the history still points at something.
+ */
+export const removeIssueImage = async (userId, issueId, url) => {
+    await updateIssueInTransaction(userId, issueId, (current) => withImages((current.images || []).filter(image => image.url !== url)));
+    console.log(`Removed a photo from issue ${issueId}`);
+};
+
+/**
+ * Moves an issue to `status`. Completing takes `resolutionNotes` and optional
+ * `afterPhotos` (uploaded first); canceling takes a `cancelReason` code and
+ * `cancelNote`. The workflow rejects moves that are not allowed, and `seen`
+ * works as for updateIssueField.
+ */
+export const changeIssueStatus = async (userId, issueId, status, { resolutionNotes, afterPhotos = [], cancelReason, cancelNote } = {}, seen = null) => {
+    const details = {};
+    if (status === "Completed") {
+        details.resolutionNotes = String(resolutionNotes || "").trim();
+        const resolutionImages = await uploadIssueImages(userId, afterPhotos);
+        if (resolutionImages.length > 0) details.resolutionImages = resolutionImages;
+    }
+    if (status === "Canceled") {
+        details.cancelReason = cancelReason || null;
+        details.cancelNote = String(cancelNote || "").trim() || null;
+    }
+    await updateIssueInTransaction(userId, issueId, () => ({ status, ...details }), seen);
+    console.log(`Issue ${issueId} moved to ${status}`);
+};
+
+/**
+ * Assigns an issue to a technician (or clears the assignment with null).
+ * The status is left alone until the technician accepts the job. `seen` works
+ * as for updateIssueField.
+ */
+export const assignIssue = async (userId, issueId, technicianId, seen = null) => {
+    await updateIssueInTransaction(userId, issueId, () => ({
+        assignedTo: technicianId || null,
+        assignmentStatus: technicianId ? "pending" : null,
+    }), seen);
+    console.log(`Assigned issue ${issueId} to ${technicianId || "nobody"}`);
+};
+
+/**
+ * Accepts the signed-in technician's pending assignment and starts work on it.
+ */
+export const acceptAssignment = async (userId, issueId) => {
+    await updateIssueInTransaction(userId, issueId, (current) => {
+        if (current.assignedTo !== userId || current.assignmentStatus !== "pending") {
+            throw new Error("This job is not waiting for your acceptance.");
+        }
+        return {
+            assignmentStatus: "accepted",
+            ...(current.status === "Submitted" ? { status: "In Progress" } : {}),
+        };
+    });
+    console.log(`Assignment accepted for issue ${issueId}`);
+};
+
+const MAX_WRITES_PER_BATCH = 450; // Firestore allows 500 writes per batch or transaction; leave headroom
+
+// Largest selection a bulk update accepts: every issue is written in one transaction
+export const MAX_BULK_UPDATE_ISSUES = 50;
+
+/**
+ * Applies the same `changes` to many issues (plus history entries) in one
+ * transaction, so either every issue that can take them is updated or none is.
+ * `issues` are the documents as displayed: each is re-read, and an issue that
+ * someone else has since changed in one of the same fields is reported as failed
+ * rather than overwritten, as are issues the status workflow or the schema
+ * rejects. Fields that already have the target value are skipped. Selections
+ * over MAX_BULK_UPDATE_ISSUES are refused. Resolves with `{ updated, unchanged, failed }`.
+ */
+export const bulkUpdateIssues = async (userId, issues, changes) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+    if (issues.length > MAX_BULK_UPDATE_ISSUES) {
+        throw new Error(`A bulk update can change at most ${MAX_BULK_UPDATE_ISSUES} issues at once.`);
+    }
+
+    const outcome = await backend.runTransaction(async (transaction) => {
+        // Firestore transactions read everything before writing anything
+        const docs = await Promise.all(issues.map(issue => transaction.get(`${getCollectionPath(userId)}/${issue.id}`)));
+
+        const result = { updated: [], unchanged: [], failed: [] };
+        const pending = [];
+        let writes = 0;
+        issues.forEach((issue, index) => {
+            if (!docs[index]) {
+                result.failed.push({ issue, reason: `Issue ${issue.displayId || issue.id} no longer exists.` });
+                return;
+            }
+            const current = toIssue(docs[index]);
+            let issueChanges;
+            try {
+                issueChanges = applyStatusWorkflow(current, changes);
+                validateIssueChanges(issueChanges);
+            } catch (error) {
+                result.failed.push({ issue, reason: error.message });
+                return;
+            }
+            if (getEditConflicts(issue, current, issueChanges).length > 0) {
+                result.failed.push({ issue, reason: "This issue was changed by someone else in the meantime." });
+                return;
+            }
+            const changedFields = Object.keys(issueChanges).filter(field => (current[field] ?? null) !== (issueChanges[field] ?? null));
+            if (changedFields.length === 0) {
+                result.unchanged.push(issue);
+                return;
+            }
+            writes += 1 + changedFields.length;
+            pending.push({ issue, current, issueChanges });
+        });
+        if (writes > MAX_WRITES_PER_BATCH) {
+            throw new Error("Too many changes for one bulk update. Select fewer issues.");
+        }
+
+        pending.forEach(({ issue, current, issueChanges }) => {
+            applyIssueChanges(transaction, userId, issue.id, current, issueChanges);
+            result.updated.push(issue);
+        });
+        return result;
+    });
+    const { updated, unchanged, failed } = outcome;
+    console.log(`Bulk update: ${updated.length} updated, ${unchanged.length} unchanged, ${failed.length} failed`);
+    return outcome;
+};
+
+/**
+ * Subscribes to the issues assigned to one technician, across all departments
+ * and regardless of the dashboard filters.
+ */
+export const subscribeToAssignedIssues = (userId, technicianId, callback) => {
+    if (!backend || !userId || !technicianId) return () => {};
+
+    const assignedQuery = { where: [["assignedTo", "==", technicianId]] };
+
+    return backend.subscribeToDocs(getCollectionPath(userId), assignedQuery, (docs) => {
+        callback(docs.map(toIssue));
+    }, (error) => {
+        console.error("Assigned issues subscription error:", error);
+    });
+};
+
+/**
+ * Copies the documents of the old `maintenance_issues` collection into the
+ * current one, normalised and validated, each under `legacy-<id>` with a newly
+ * reserved display ID. The old documents are left untouched. With `dryRun`
+ * nothing is written. Safe to re-run: copies that already exist are skipped.
+ * Resolves with the plan from buildLegacyMigrationPlan plus the `copied` and
+ * `failed` entries of this run.
+ */
+export const migrateLegacyIssues = async (userId, { dryRun = true } = {}) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    const path = getCollectionPath(userId);
+    const [legacyDocs, migratedDocs] = await Promise.all([
+        backend.getDocs(LEGACY_ISSUES_COLLECTION),
+        backend.getDocs(path, { where: [["migratedFrom", "!=", null]] }),
+    ]);
+    const plan = buildLegacyMigrationPlan(legacyDocs, migratedDocs.map(migratedDoc => migratedDoc.id));
+    const report = { ...plan, dryRun, copied: [], failed: [] };
+    if (dryRun) return report;
+
+    for (const entry of plan.toCopy) {
+        try {
+            const displayId = await insertIssue(userId, entry.targetId, {
+                ...entry.issue,
+                updatedBy: userId,
+                migratedAt: Timestamp.now(),
+            });
+            if (displayId) {
+                report.copied.push({ ...entry, displayId });
+            } else {
+                report.alreadyMigrated.push({ legacyId: entry.legacyId, targetId: entry.targetId });
+            }
+        } catch (error) {
+            console.error(`Legacy migration error (${entry.legacyId}):`, error);
+            report.failed.push({ ...entry, reason: error.message });
+        }
+    }
+    console.log(`Legacy migration: ${report.copied.length} copied, ${report.alreadyMigrated.length} already migrated, ${report.invalid.length} invalid, ${report.failed.length} failed`);
+    return report;
+};
+
+/**
+ * Writes the sort keys (see getSortKeys) to issues stored without them or with
+ * stale ones, e.g. created before the keys existed or copied in by hand. Until
+ * then such issues are missing from lists ordered by priority or status. No
+ * history entries are written. Resolves with the number of issues updated.
+ */
+export const backfillSortKeys = async (userId) => {
+    if (!backend || !userId) throw new Error("Database not initialized.");
+
+    const path = getCollectionPath(userId);
+    const stale = (await backend.getDocs(path))
+        .map(issueDoc => ({ id: issueDoc.id, data: issueDoc.data, keys: getSortKeys(toIssue(issueDoc)) }))
+        // A rank of -1 means the priority or status itself is invalid; leave those for a person to fix
+        .filter(({ data, keys }) => Object.values(keys).every(rank => rank >= 0)
+            && Object.entries(keys).some(([field, rank]) => data[field] !== rank));
+
+    const version = backend.increment(1);
+    for (let start = 0; start < stale.length; start += MAX_WRITES_PER_BATCH) {
+        const batch = backend.createBatch();
+        stale.slice(start, start + MAX_WRITES_PER_BATCH).forEach(({ id, keys }) => batch.update(`${path}/${id}`, { ...keys, version }));
+        await batch.commit();
+    }
+    console.log(`Sort key backfill: ${stale.length} issues updated`);
+    return stale.length;
+};
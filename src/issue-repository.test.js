@@ -0,0 +1,253 @@
+import { Timestamp } from 'firebase/firestore';
+import { createLocalBackend } from './local-backend';
+import { DEFAULT_SLA_TARGETS, computeSla, isOverdue } from './sla';
+import { GUEST_RATE_LIMIT, getNextGuestQuota } from './guest-reporting';
+import {
+  GUEST_RATE_LIMITED, ISSUE_CONFLICT, MAX_BULK_UPDATE_ISSUES, addComment, backfillSortKeys, bulkUpdateIssues, changeIssueStatus, configureIssueRepository, createNewIssue, fetchIssueCounts,
+  fetchIssuesOpenedOrClosedBetween, fetchSlaBreachedCount,
+  fetchOpenIssuesAt, removeIssueImage, seedDisplayIdCounter, subscribeToComments, subscribeToIssues, subscribeToPossibleDuplicates, updateIssueField,
+  updateIssueFields
+} from './issue-repository';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const issuesPath = 'artifacts/test/public/data/firs';
+
+let backend;
+
+const submit = (issueTitle, priority, createdAt) => createNewIssue('user-1', { roomNumber: '101', issueTitle, description: '', priority }, {
+  extraFields: { createdAt: Timestamp.fromDate(createdAt), updatedAt: Timestamp.fromDate(createdAt) },
+});
+
+const nextPage = (listOptions) => new Promise(resolve => {
+  const unsubscribe = subscribeToIssues('user-1', listOptions, (issues, page) => {
+    unsubscribe();
+    resolve({ titles: issues.map(issue => issue.issueTitle), ...page });
+  });
+});
+
+beforeEach(async () => {
+  backend = createLocalBackend({ appId: 'test', persist: false });
+  configureIssueRepository({ backend, appId: 'test' });
+  await submit('Leak', 'Medium', new Date(2024, 0, 1));
+  await submit('Sparks', 'Critical', new Date(2024, 0, 2));
+  await submit('Bulb', 'Low', new Date(2024, 0, 3));
+  await submit('No heat', 'High', new Date(2024, 0, 4));
+});
+
+test('the list is filtered, ordered and paged by the query', async () => {
+  const leak = (await backend.getDocs(issuesPath, { where: [['issueTitle', '==', 'Leak']] }))[0];
+  await changeIssueStatus('user-1', leak.id, 'Completed', { resolutionNotes: 'Washer replaced' });
+
+  expect(await nextPage({ limit: 2 })).toEqual({ titles: ['No heat', 'Bulb'], hasMore: true });
+  expect(await nextPage({ sort: 'priority', openOnly: true })).toEqual({ titles: ['Sparks', 'No heat', 'Bulb'], hasMore: false });
+  expect((await nextPage({ sort: 'status' })).titles[3]).toBe('Leak');
+  expect(await nextPage({ sort: 'oldest', from: new Date(2024, 0, 2), to: new Date(2024, 0, 3, 23, 59) }))
+    .toEqual({ titles: ['Sparks', 'Bulb'], hasMore: false });
+  expect(await fetchIssueCounts('user-1')).toEqual({ totalIssues: 4, pendingIssues: 3, highPriorityIssues: 2, completedIssues: 1 });
+});
+
+test('SLA breaches are counted across all open issues on the server', async () => {
+  const leak = (await backend.getDocs(issuesPath, { where: [['issueTitle', '==', 'Leak']] }))[0];
+  await changeIssueStatus('user-1', leak.id, 'Completed', { resolutionNotes: 'Washer replaced' });
+  const now = new Date(2024, 0, 4, 0, 30);
+
+  // Sparks is past its resolution target and Bulb its response target; No heat still has half an hour
+  expect(await fetchSlaBreachedCount('user-1', DEFAULT_SLA_TARGETS, now)).toBe(2);
+  expect(await fetchSlaBreachedCount('user-1', DEFAULT_SLA_TARGETS, now, { priority: 'Low' })).toBe(1);
+  expect(await fetchSlaBreachedCount('user-1', DEFAULT_SLA_TARGETS, now, { department: 'Plumbing' })).toBe(0);
+  expect(await fetchSlaBreachedCount('user-1', DEFAULT_SLA_TARGETS, new Date(2024, 0, 4, 2))).toBe(3);
+
+  const open = (await backend.getDocs(issuesPath)).map(doc => doc.data);
+  expect(open.filter(issue => computeSla(issue, DEFAULT_SLA_TARGETS, now).breached && issue.status !== 'Completed')).toHaveLength(2);
+});
+
+test('the server\'s SLA breach count agrees with isOverdue', async () => {
+  const at = (hour, minute = 0) => Timestamp.fromDate(new Date(2024, 0, 4, hour, minute));
+  const add = (id, fields) => backend.setDoc(`${issuesPath}/${id}`, { roomNumber: '102', department: 'Unassigned', ...fields });
+  // Responded late but within its resolution target
+  await add('late-start', { issueTitle: 'Late start', priority: 'High', status: 'In Progress', createdAt: at(0), updatedAt: at(2), respondedAt: at(2) });
+  // Sent back to Submitted after a response in time
+  await add('sent-back', { issueTitle: 'Sent back', priority: 'Medium', status: 'Submitted', createdAt: at(0), updatedAt: at(1), respondedAt: at(0, 10) });
+  // Closed late
+  await add('closed-late', { issueTitle: 'Closed late', priority: 'Critical', status: 'Completed', createdAt: at(0), updatedAt: at(5), resolvedAt: at(5) });
+
+  const issues = (await backend.getDocs(issuesPath)).map(doc => doc.data);
+  for (const now of [at(0, 30), at(1, 30), at(3), at(5), at(9), at(30)].map(time => time.toDate())) {
+    const expected = issues.filter(issue => isOverdue(issue, DEFAULT_SLA_TARGETS, now)).length;
+    expect(await fetchSlaBreachedCount('user-1', DEFAULT_SLA_TARGETS, now)).toBe(expected);
+  }
+  expect(computeSla(issues.find(issue => issue.issueTitle === 'Late start'), DEFAULT_SLA_TARGETS, at(3).toDate()).breached).toBe(true);
+  expect(isOverdue(issues.find(issue => issue.issueTitle === 'Late start'), DEFAULT_SLA_TARGETS, at(3).toDate())).toBe(false);
+});
+
+test('issues closed within a range are fetched even when they were opened before it', async () => {
+  const leak = (await backend.getDocs(issuesPath, { where: [['issueTitle', '==', 'Leak']] }))[0];
+  await changeIssueStatus('user-1', leak.id, 'Completed', { resolutionNotes: 'Washer replaced' });
+  const today = new Date();
+
+  const closedToday = await fetchIssuesOpenedOrClosedBetween('user-1', new Date(today.getTime() - 86400000), today);
+  expect(closedToday.map(issue => issue.issueTitle)).toEqual(['Leak']);
+
+  const sinceFirst = await fetchIssuesOpenedOrClosedBetween('user-1', new Date(2024, 0, 1), today);
+  expect(sinceFirst.map(issue => issue.issueTitle).sort()).toEqual(['Bulb', 'Leak', 'No heat', 'Sparks']);
+});
+
+test('issues saved without sort keys are left out of ranked orders until backfilled', async () => {
+  await backend.setDoc(`${issuesPath}/old`, {
+    displayId: 'FIR-0099', issueTitle: 'Old', roomNumber: '102', priority: 'Critical', status: 'Submitted',
+    department: 'Unassigned', createdAt: Timestamp.fromDate(new Date(2023, 5, 1)),
+  });
+  await flush();
+  expect((await nextPage({ sort: 'priority' })).titles).not.toContain('Old');
+
+  expect(await backfillSortKeys('user-1')).toBe(1);
+  expect(await backfillSortKeys('user-1')).toBe(0);
+  expect((await nextPage({ sort: 'priority' })).titles.slice(2)).toEqual(['No heat', 'Leak', 'Bulb']);
+});
+
+test('detail edits are validated and recorded in the history', async () => {
+  const photos = [{ url: 'a.jpg', name: 'a' }, { url: 'b.jpg', name: 'b' }];
+  await createNewIssue('user-1', { roomNumber: '101', issueTitle: 'Tap', description: '', priority: 'Low' }, {
+    issueId: 'tap', extraFields: { images: photos, imageUrl: 'a.jpg' },
+  });
+
+  await updateIssueFields('user-2', 'tap', { roomNumber: '201', locationId: 'demo-201', issueTitle: 'Dripping tap' });
+  await removeIssueImage('user-2', 'tap', 'a.jpg');
+  await expect(updateIssueFields('user-2', 'tap', { issueTitle: ' ' })).rejects.toThrow(/issueTitle is required/);
+
+  const issue = (await backend.getDoc(`${issuesPath}/tap`)).data;
+  expect(issue).toMatchObject({ roomNumber: '201', locationId: 'demo-201', issueTitle: 'Dripping tap', imageUrl: 'b.jpg', updatedBy: 'user-2' });
+  expect(issue.images).toEqual([photos[1]]);
+  const history = await backend.getDocs(`${issuesPath}/tap/history`);
+  expect(history.map(entry => entry.data.field).sort()).toEqual(['imageUrl', 'images', 'issueTitle', 'locationId', 'roomNumber', 'status']);
+});
+
+test('an edit based on an outdated copy is refused where someone else changed the same field', async () => {
+  const seen = (await fetchOpenIssuesAt('user-1', { roomNumber: '101' })).find(issue => issue.issueTitle === 'Leak');
+  await updateIssueField('user-2', seen.id, 'priority', 'High', seen);
+  // Even a write within the same millisecond is told apart by the version
+  await backend.setDoc(`${issuesPath}/${seen.id}`, { updatedAt: seen.updatedAt }, { merge: true });
+  expect((await backend.getDoc(`${issuesPath}/${seen.id}`)).data.version).toBe(1);
+
+  const conflict = await updateIssueField('user-1', seen.id, 'priority', 'Low', seen).catch(error => error);
+  expect(conflict).toMatchObject({ code: ISSUE_CONFLICT, conflicts: [{ field: 'priority', mine: 'Low', theirs: 'High' }] });
+  expect(conflict.issue).toMatchObject({ priority: 'High', updatedBy: 'user-2' });
+
+  // Other fields may still be changed from the old copy, and keeping my change means writing on top of theirs
+  await updateIssueField('user-1', seen.id, 'department', 'Plumbing', seen);
+  await updateIssueField('user-1', seen.id, 'priority', 'Low', conflict.issue);
+  expect((await backend.getDoc(`${issuesPath}/${seen.id}`)).data).toMatchObject({ priority: 'Low', department: 'Plumbing' });
+  await expect(updateIssueField('user-2', seen.id, 'priority', 'Medium')).resolves.toBeUndefined();
+});
+
+test('a bulk update re-reads each issue and skips the ones changed since they were displayed', async () => {
+  const seen = await fetchOpenIssuesAt('user-1', { roomNumber: '101' });
+  const byTitle = Object.fromEntries(seen.map(issue => [issue.issueTitle, issue]));
+  await updateIssueField('user-2', byTitle.Sparks.id, 'priority', 'High', byTitle.Sparks);
+  await updateIssueField('user-2', byTitle['No heat'].id, 'department', 'HVAC', byTitle['No heat']);
+
+  const result = await bulkUpdateIssues('user-1', seen, { priority: 'Low' });
+  expect(result.updated.map(issue => issue.issueTitle).sort()).toEqual(['Leak', 'No heat']);
+  expect(result.unchanged.map(issue => issue.issueTitle)).toEqual(['Bulb']);
+  expect(result.failed).toEqual([{ issue: byTitle.Sparks, reason: 'This issue was changed by someone else in the meantime.' }]);
+
+  expect((await backend.getDoc(`${issuesPath}/${byTitle.Sparks.id}`)).data.priority).toBe('High');
+  const noHeat = (await backend.getDoc(`${issuesPath}/${byTitle['No heat'].id}`)).data;
+  expect(noHeat).toMatchObject({ priority: 'Low', department: 'HVAC' });
+
+  const tooMany = Array.from({ length: MAX_BULK_UPDATE_ISSUES + 1 }, () => byTitle.Leak);
+  await expect(bulkUpdateIssues('user-1', tooMany, { priority: 'High' })).rejects.toThrow(/at most/);
+  expect((await backend.getDoc(`${issuesPath}/${byTitle.Leak.id}`)).data.priority).toBe('Low');
+});
+
+test('guest reports move the session\'s quota on in the same write and stop at the limit', async () => {
+  const report = { roomNumber: '101', issueTitle: 'TV or remote', description: '', priority: 'Low' };
+  const fileGuestReport = () => createNewIssue('guest-1', report, { extraFields: { source: 'Guest' }, nextGuestQuota: getNextGuestQuota });
+
+  for (let i = 0; i < GUEST_RATE_LIMIT.maxReports; i++) await fileGuestReport();
+  const refused = await fileGuestReport().catch(error => error);
+  expect(refused).toMatchObject({ code: GUEST_RATE_LIMITED });
+
+  const quota = (await backend.getDoc('artifacts/test/public/data/guestReports/guest-1')).data;
+  expect(quota).toMatchObject({ count: GUEST_RATE_LIMIT.maxReports });
+  expect(refused.windowStart).toBe(quota.windowStart.toMillis());
+  const [last] = await backend.getDocs(issuesPath, { where: [['submittedBy', '==', 'guest-1']], orderBy: ['createdAt', 'desc'], limit: 1 });
+  expect(last.data.createdAt).toEqual(quota.lastReportAt);
+  expect(await backend.count(issuesPath, { where: [['source', '==', 'Guest']] })).toBe(GUEST_RATE_LIMIT.maxReports);
+
+  // The counter names the issue its last number went to, which the rules check exists
+  const counter = (await backend.getDoc('artifacts/test/public/data/counters/firs')).data;
+  expect(counter.lastNumber).toBe(4 + GUEST_RATE_LIMIT.maxReports);
+  const named = (await backend.getDoc(`${issuesPath}/${counter.lastIssueId}`)).data;
+  expect(named).toMatchObject({ displayId: `FIR-000${counter.lastNumber}`, submittedBy: 'guest-1' });
+});
+
+test('guest reports number on from the counter that staff seeded, without listing the issues', async () => {
+  backend = createLocalBackend({ appId: 'test', persist: false });
+  configureIssueRepository({ backend, appId: 'test' });
+  await backend.setDoc(`${issuesPath}/legacy`, { displayId: 'FIR-0041', issueTitle: 'Old leak' });
+
+  await seedDisplayIdCounter('user-1');
+  await seedDisplayIdCounter('user-1');
+  expect((await backend.getDoc('artifacts/test/public/data/counters/firs')).data.lastNumber).toBe(41);
+
+  const getDocs = jest.spyOn(backend, 'getDocs');
+  const report = { roomNumber: '101', issueTitle: 'Wi-Fi', description: '', priority: 'Medium' };
+  const displayId = await createNewIssue('guest-1', report, { extraFields: { source: 'Guest' }, nextGuestQuota: getNextGuestQuota });
+  expect(displayId).toBe('FIR-0042');
+  expect(getDocs).not.toHaveBeenCalled();
+});
+
+test('posting a comment bumps the issue counter, and the thread arrives oldest first', async () => {
+  const leak = (await backend.getDocs(issuesPath, { where: [['issueTitle', '==', 'Leak']] }))[0];
+
+  await addComment('user-2', leak.id, { text: ' Washer ordered ', visibility: 'internal' });
+  let issue = (await backend.getDoc(`${issuesPath}/${leak.id}`)).data;
+  expect(issue.commentCount).toBe(1);
+  expect(issue.lastCommentAt).toBeInstanceOf(Timestamp);
+  // The issue names the comment it was written with, which the rules check exists
+  const comment = await backend.getDoc(`${issuesPath}/${leak.id}/comments/${issue.lastCommentId}`);
+  expect(comment.data).toMatchObject({ text: 'Washer ordered', createdAt: issue.lastCommentAt });
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await addComment('user-1', leak.id, { text: 'Guest informed', visibility: 'guest' });
+  await backend.setDoc(`${issuesPath}/${leak.id}/comments/earlier`, {
+    authorId: 'user-3', text: 'Seen at check-in', visibility: 'internal', image: null,
+    createdAt: Timestamp.fromDate(new Date(2024, 0, 1, 9)),
+  });
+  issue = (await backend.getDoc(`${issuesPath}/${leak.id}`)).data;
+  expect(issue.commentCount).toBe(2);
+
+  const thread = await new Promise(resolve => {
+    const unsubscribe = subscribeToComments('user-1', leak.id, (comments) => {
+      unsubscribe();
+      resolve(comments);
+    });
+  });
+  expect(thread.map(comment => comment.text)).toEqual(['Seen at check-in', 'Washer ordered', 'Guest informed']);
+  expect(issue.lastCommentAt).toEqual(thread[2].createdAt);
+});
+
+test('a report filed despite the duplicate warning is linked to the open issue it resembles', async () => {
+  const leak = (await backend.getDocs(issuesPath, { where: [['issueTitle', '==', 'Leak']] }))[0];
+  await changeIssueStatus('user-1', leak.id, 'Completed', { resolutionNotes: 'Washer replaced' });
+
+  const openAt101 = await fetchOpenIssuesAt('user-1', { roomNumber: '101' });
+  expect(openAt101.map(issue => issue.issueTitle).sort()).toEqual(['Bulb', 'No heat', 'Sparks']);
+  const sparks = openAt101.find(issue => issue.issueTitle === 'Sparks');
+
+  const displayId = await createNewIssue('user-1', {
+    roomNumber: '101', issueTitle: 'Sparks from socket', description: '', priority: 'High',
+    duplicateOf: { id: sparks.id, displayId: sparks.displayId },
+  });
+
+  const duplicates = await new Promise(resolve => {
+    const unsubscribe = subscribeToPossibleDuplicates('user-1', sparks.id, (issues) => {
+      unsubscribe();
+      resolve(issues);
+    });
+  });
+  expect(duplicates).toHaveLength(1);
+  expect(duplicates[0]).toMatchObject({ displayId, possibleDuplicateOf: sparks.id, possibleDuplicateOfDisplayId: sparks.displayId });
+});
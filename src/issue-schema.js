@@ -0,0 +1,223 @@
+// --- ISSUE SCHEMA ---
+// The shape of an issue document in `artifacts/{appId}/public/data/firs`. Every
+// write goes through validateNewIssue / validateIssueChanges, and every read goes
+// through normalizeIssue, which also maps the old `maintenance_issues` shape
+// ("Submit", "Select Department", `dateTimeString`) onto the current one.
+
+import { Timestamp } from "firebase/firestore";
+import { WORKFLOW_STATUSES, CANCEL_REASONS } from "./status-workflow";
+
+export const ISSUE_PRIORITIES = ["Low", "Medium", "High", "Critical"];
+export const ISSUE_DEPARTMENTS = ["Unassigned", "Plumbing", "Electrical", "Housekeeping", "HVAC", "IT"];
+export const ISSUE_TYPES = ["Preventive"]; // Reactive issues have no type
+export const ISSUE_SOURCES = ["Guest"]; // Issues reported by staff have no source
+export const ASSIGNMENT_STATUSES = ["pending", "accepted"];
+
+export const LEGACY_ISSUES_COLLECTION = "maintenance_issues";
+export const LEGACY_ISSUE_ID_PREFIX = "legacy-";
+
+// Values written by the old data layer and what they mean today
+const LEGACY_STATUSES = { "Submit": "Submitted" };
+const LEGACY_DEPARTMENTS = { "Select Department": "Unassigned", "": "Unassigned" };
+const LEGACY_ONLY_FIELDS = ["dateTimeString"];
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const text = ({ required = false } = {}) => (value) => {
+    if (isBlank(value)) return required ? "is required" : null;
+    if (typeof value !== "string") return "must be text";
+    if (required && !value.trim()) return "is required";
+    return null;
+};
+
+const oneOf = (values, { required = false } = {}) => (value) => {
+    if (isBlank(value)) return required ? "is required" : null;
+    return values.includes(value) ? null : `must be one of ${values.join(", ")}`;
+};
+
+const timestamp = ({ required = false } = {}) => (value) => {
+    if (isBlank(value)) return required ? "is required" : null;
+    return typeof value.toDate === "function" || typeof value.seconds === "number" ? null : "must be a timestamp";
+};
+
+const count = () => (value) => {
+    if (isBlank(value)) return null;
+    return Number.isInteger(value) && value >= 0 ? null : "must be a whole number";
+};
+
+const list = (itemCheck) => (value) => {
+    if (isBlank(value)) return null;
+    if (!Array.isArray(value)) return "must be a list";
+    return value.every(item => !itemCheck(item)) ? null : "has an invalid entry";
+};
+
+const image = (value) => (value && typeof value.url === "string" ? null : "must have a url");
+
+/**
+ * Field name → check returning an error fragment or null. Fields not listed
+ * here are rejected, so a typo can't silently create a new field.
+ */
+export const ISSUE_FIELDS = {
+    displayId: text({ required: true }),
+    issueTitle: text({ required: true }),
+    roomNumber: text({ required: true }),
+    locationId: text(),
+    description: text(),
+    priority: oneOf(ISSUE_PRIORITIES, { required: true }),
+    status: oneOf(WORKFLOW_STATUSES, { required: true }),
+    department: oneOf(ISSUE_DEPARTMENTS, { required: true }),
+    type: oneOf(ISSUE_TYPES),
+    source: oneOf(ISSUE_SOURCES),
+    images: list(image),
+    imageUrl: text(),
+    submittedBy: text(),
+    updatedBy: text({ required: true }),
+    createdAt: timestamp({ required: true }),
+    updatedAt: timestamp({ required: true }),
+    version: count(),
+    assignedTo: text(),
+    assignmentStatus: oneOf(ASSIGNMENT_STATUSES),
+    respondedAt: timestamp(),
+    resolvedAt: timestamp(),
+    resolutionNotes: text(),
+    resolutionImages: list(image),
+    cancelReason: oneOf(Object.keys(CANCEL_REASONS)),
+    cancelNote: text(),
+    reopenCount: count(),
+    priorityRank: count(),
+    statusRank: count(),
+    commentCount: count(),
+    lastCommentAt: timestamp(),
+    lastCommentId: text(),
+    possibleDuplicateOf: text(),
+    possibleDuplicateOfDisplayId: text(),
+    maintenancePlanId: text(),
+    scheduledFor: timestamp(),
+    checklist: list(text({ required: true })),
+    migratedFrom: text(),
+    legacyDisplayId: text(),
+    migratedAt: timestamp(),
+};
+
+/**
+ * Numeric copies of priority and status, stored with every issue so queries can
+ * order by severity (Critical first when descending) or by workflow stage
+ * (Submitted first when ascending); the strings themselves sort alphabetically.
+ */
+export const getSortKeys = ({ priority, status }) => ({
+    priorityRank: ISSUE_PRIORITIES.indexOf(priority),
+    statusRank: WORKFLOW_STATUSES.indexOf(status),
+});
+
+const REQUIRED_FIELDS = Object.keys(ISSUE_FIELDS).filter(field => ISSUE_FIELDS[field](undefined));
+
+const collectErrors = (values, fields) => fields.flatMap(field => {
+    const check = ISSUE_FIELDS[field];
+    if (!check) return [`${field} is not an issue field`];
+    const error = check(values[field]);
+    return error ? [`${field} ${error}`] : [];
+});
+
+/**
+ * Errors for a complete issue about to be created (empty when it is valid).
+ */
+export const getNewIssueErrors = (issue) => collectErrors(issue, [...new Set([...REQUIRED_FIELDS, ...Object.keys(issue)])]);
+
+/**
+ * Errors for a partial update: only the fields being written are checked, but
+ * required fields may not be cleared.
+ */
+export const getIssueChangeErrors = (changes) => collectErrors(changes, Object.keys(changes));
+
+const throwIfInvalid = (errors) => {
+    if (errors.length > 0) throw new Error(`Invalid issue: ${errors.join("; ")}.`);
+};
+
+export const validateNewIssue = (issue) => throwIfInvalid(getNewIssueErrors(issue));
+
+export const validateIssueChanges = (changes) => throwIfInvalid(getIssueChangeErrors(changes));
+
+const normalizeChoice = (value, legacyValues, values) => {
+    if (typeof value !== "string") return value;
+    const trimmed = value.trim();
+    if (trimmed in legacyValues) return legacyValues[trimmed];
+    return values.find(candidate => candidate.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+};
+
+const parseDateTimeString = (value) => {
+    const time = Date.parse(String(value || "").replace(",", ""));
+    return Number.isNaN(time) ? null : Timestamp.fromMillis(time);
+};
+
+/**
+ * An issue as the app expects to see it, whichever data layer wrote it. Unknown
+ * values are left alone (and then fail validation if written back).
+ */
+export const normalizeIssue = (id, data) => {
+    const issue = { ...data };
+    LEGACY_ONLY_FIELDS.forEach(field => delete issue[field]);
+
+    issue.status = normalizeChoice(data.status, LEGACY_STATUSES, WORKFLOW_STATUSES) || "Submitted";
+    issue.department = normalizeChoice(data.department ?? "", LEGACY_DEPARTMENTS, ISSUE_DEPARTMENTS);
+    issue.priority = normalizeChoice(data.priority, {}, ISSUE_PRIORITIES) || "Medium";
+    issue.createdAt = data.createdAt || parseDateTimeString(data.dateTimeString);
+    issue.updatedAt = data.updatedAt || issue.createdAt;
+    issue.imageUrl = data.imageUrl || null;
+    if (!Array.isArray(data.images)) {
+        issue.images = issue.imageUrl ? [{ url: issue.imageUrl, thumbnailUrl: issue.imageUrl, name: "Photo" }] : [];
+    }
+    return { id, ...issue };
+};
+
+const formatReportValue = (value) => {
+    if (isBlank(value)) return "(none)";
+    if (typeof value.toDate === "function") return value.toDate().toISOString();
+    return Array.isArray(value) ? `${value.length} item(s)` : String(value);
+};
+
+/**
+ * Human-readable list of what normalizeIssue changed, for the dry-run report.
+ */
+export const describeNormalization = (data, normalized) => [
+    ...["status", "department", "priority", "createdAt"]
+        .filter(field => formatReportValue(data[field]) !== formatReportValue(normalized[field]))
+        .map(field => `${field}: ${formatReportValue(data[field])} → ${formatReportValue(normalized[field])}`),
+    ...LEGACY_ONLY_FIELDS.filter(field => field in data).map(field => `${field} dropped`),
+];
+
+export const getMigratedIssueId = (legacyId) => `${LEGACY_ISSUE_ID_PREFIX}${legacyId}`;
+
+/**
+ * Plans the copy of old `maintenance_issues` documents (`[{ id, data }]`). Each
+ * one gets the deterministic ID `legacy-<id>`, so re-running skips what is
+ * already in `migratedIds`. Display IDs are reserved afresh when copying; the old
+ * one is kept as `legacyDisplayId`. Fields filled in at copy time (the new display
+ * ID, `updatedBy`, `migratedAt`) are left out of the planned issue.
+ */
+export const buildLegacyMigrationPlan = (legacyDocs, migratedIds = []) => {
+    const plan = { toCopy: [], alreadyMigrated: [], invalid: [] };
+
+    legacyDocs.forEach(({ id, data }) => {
+        const targetId = getMigratedIssueId(id);
+        if (migratedIds.includes(targetId)) {
+            plan.alreadyMigrated.push({ legacyId: id, targetId });
+            return;
+        }
+
+        const { id: ignoredId, displayId, ...normalized } = normalizeIssue(id, data);
+        const issue = {
+            ...normalized,
+            submittedBy: normalized.submittedBy || null,
+            migratedFrom: id,
+            ...(displayId ? { legacyDisplayId: String(displayId) } : {}),
+        };
+        const errors = getNewIssueErrors({ ...issue, displayId: "FIR-0000", updatedBy: "migration", migratedAt: Timestamp.now() });
+
+        if (errors.length > 0) {
+            plan.invalid.push({ legacyId: id, targetId, errors });
+        } else {
+            plan.toCopy.push({ legacyId: id, targetId, issue, changes: describeNormalization(data, normalized) });
+        }
+    });
+    return plan;
+};
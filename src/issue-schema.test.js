@@ -0,0 +1,92 @@
+import { Timestamp } from 'firebase/firestore';
+import {
+  buildLegacyMigrationPlan, getIssueChangeErrors, getNewIssueErrors, getSortKeys, normalizeIssue, validateIssueChanges
+} from './issue-schema';
+
+const created = Timestamp.fromDate(new Date(2024, 2, 5, 14, 30));
+
+const legacyDoc = {
+  displayId: 'FIR-17',
+  roomNumber: '204',
+  issueTitle: 'Leaking tap',
+  description: 'Bathroom sink',
+  imageUrl: '',
+  status: 'Submit',
+  priority: 'Medium',
+  department: 'Select Department',
+  createdAt: created,
+  dateTimeString: '3/5/2024, 2:30:00 PM',
+};
+
+const validIssue = {
+  displayId: 'FIR-0001',
+  issueTitle: 'No hot water',
+  roomNumber: '301',
+  priority: 'High',
+  status: 'Submitted',
+  department: 'Plumbing',
+  updatedBy: 'user-1',
+  createdAt: created,
+  updatedAt: created,
+};
+
+test('legacy values are normalised when reading', () => {
+  const issue = normalizeIssue('abc', legacyDoc);
+
+  expect(issue).toMatchObject({ id: 'abc', status: 'Submitted', department: 'Unassigned', imageUrl: null, images: [] });
+  expect(issue).not.toHaveProperty('dateTimeString');
+});
+
+test('dateTimeString stands in for a missing createdAt', () => {
+  const { createdAt, ...withoutTimestamp } = legacyDoc;
+  const issue = normalizeIssue('abc', withoutTimestamp);
+
+  expect(issue.createdAt.toDate()).toEqual(createdAt.toDate());
+  expect(issue.updatedAt).toBe(issue.createdAt);
+});
+
+test('current documents pass through unchanged', () => {
+  expect(normalizeIssue('x', { ...validIssue, imageUrl: 'u', images: [{ url: 'u' }] })).toEqual({
+    id: 'x', ...validIssue, imageUrl: 'u', images: [{ url: 'u' }],
+  });
+});
+
+test('new issues need every required field with an allowed value', () => {
+  expect(getNewIssueErrors(validIssue)).toEqual([]);
+  expect(getNewIssueErrors({ ...validIssue, issueTitle: '  ', status: 'Submit' }))
+    .toEqual(['issueTitle is required', 'status must be one of Submitted, In Progress, Completed, Canceled']);
+});
+
+test('updates check only the fields written and reject unknown ones', () => {
+  expect(getIssueChangeErrors({ priority: 'Critical', assignedTo: null })).toEqual([]);
+  expect(getIssueChangeErrors({ department: 'Select Department' })).toHaveLength(1);
+  expect(() => validateIssueChanges({ priorty: 'High' })).toThrow(/priorty is not an issue field/);
+});
+
+test('sort keys rank priority by severity and status by workflow stage', () => {
+  expect(getSortKeys({ priority: 'Critical', status: 'Submitted' })).toEqual({ priorityRank: 3, statusRank: 0 });
+  expect(getSortKeys({ priority: 'Low', status: 'Canceled' })).toEqual({ priorityRank: 0, statusRank: 3 });
+  expect(getIssueChangeErrors(getSortKeys({ priority: 'Urgent', status: 'Submitted' }))).toEqual(['priorityRank must be a whole number']);
+});
+
+test('the migration plan copies, skips and reports legacy documents', () => {
+  const plan = buildLegacyMigrationPlan([
+    { id: 'a', data: legacyDoc },
+    { id: 'b', data: legacyDoc },
+    { id: 'c', data: { ...legacyDoc, roomNumber: '', status: 'Lost' } },
+  ], ['legacy-b']);
+
+  expect(plan.toCopy).toHaveLength(1);
+  expect(plan.toCopy[0]).toMatchObject({
+    legacyId: 'a',
+    targetId: 'legacy-a',
+    issue: { status: 'Submitted', department: 'Unassigned', migratedFrom: 'a', legacyDisplayId: 'FIR-17', submittedBy: null },
+    changes: ['status: Submit → Submitted', 'department: Select Department → Unassigned', 'dateTimeString dropped'],
+  });
+  expect(plan.toCopy[0].issue).not.toHaveProperty('displayId');
+  expect(plan.alreadyMigrated).toEqual([{ legacyId: 'b', targetId: 'legacy-b' }]);
+  expect(plan.invalid[0].errors).toEqual([
+    'roomNumber is required',
+    'status must be one of Submitted, In Progress, Completed, Canceled',
+  ]);
+});
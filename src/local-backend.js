@@ -0,0 +1,359 @@
+// --- LOCAL BACKEND ---
+// The backend adapter (see ./backend) kept entirely in the browser: documents in
+// memory, mirrored to localStorage so a training session survives a reload (and
+// other tabs see the same data), photos stored as data URLs, and a fixed set of
+// demo accounts instead of Firebase Auth. Nothing ever leaves the device. A write
+// that no longer fits in localStorage fails, as a write over quota would on the server.
+
+import { Timestamp } from "firebase/firestore";
+
+export const DEMO_PASSWORD = "1234";
+
+export const DEMO_ACCOUNTS = [
+    { uid: "demo-frontdesk", email: "frontdesk@demo.local", displayName: "Demo Front Desk", role: "frontdesk" },
+    { uid: "demo-technician", email: "technician@demo.local", displayName: "Demo Technician", role: "technician", department: "Plumbing" },
+    { uid: "demo-manager", email: "manager@demo.local", displayName: "Demo Manager", role: "manager" },
+];
+
+const DEMO_LOCATIONS = [
+    { id: "demo-101", type: "room", name: "101", building: "Main", floor: "1", aliases: [], active: true },
+    { id: "demo-102", type: "room", name: "102", building: "Main", floor: "1", aliases: [], active: true },
+    { id: "demo-201", type: "room", name: "201", building: "Main", floor: "2", aliases: [], active: true },
+    { id: "demo-lobby", type: "area", name: "Lobby", building: "Main", floor: "G", aliases: ["Reception"], active: true },
+];
+
+class Increment {
+    constructor(by) {
+        this.by = by;
+    }
+}
+
+class ServerTimestamp {}
+
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+// Plain-JSON form of a value: Timestamps become { __timestamp: millis }. Increments
+// and server timestamps are resolved on commit, so they pass through untouched.
+const encode = (value) => {
+    if (value instanceof Timestamp) return { __timestamp: value.toMillis() };
+    if (value instanceof Increment || value instanceof ServerTimestamp) return value;
+    if (Array.isArray(value)) return value.map(encode);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+    }
+    return value;
+};
+
+const decode = (value) => {
+    if (value instanceof Increment || value instanceof ServerTimestamp) return value;
+    if (Array.isArray(value)) return value.map(decode);
+    if (value && typeof value === "object") {
+        if ("__timestamp" in value) return Timestamp.fromMillis(value.__timestamp);
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decode(item)]));
+    }
+    return value;
+};
+
+const copy = (value) => decode(encode(value));
+
+const parentPath = (path) => path.split("/").slice(0, -1).join("/");
+const lastSegment = (path) => path.split("/").pop();
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const compareValues = (a, b) => {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+};
+
+const matchesFilter = (data, [field, op, value]) => {
+    const actual = data[field];
+    switch (op) {
+        case "==": return compareValues(actual, value) === 0;
+        case "!=": return actual !== undefined && actual !== null && compareValues(actual, value) !== 0;
+        case "<": return actual !== undefined && compareValues(actual, value) < 0;
+        case "<=": return actual !== undefined && compareValues(actual, value) <= 0;
+        case ">": return actual !== undefined && compareValues(actual, value) > 0;
+        case ">=": return actual !== undefined && compareValues(actual, value) >= 0;
+        case "in": return value.some(candidate => compareValues(actual, candidate) === 0);
+        default: throw new Error(`Unsupported query operator "${op}".`);
+    }
+};
+
+const resolveTransforms = (existing, data, now) => Object.fromEntries(Object.entries(data).map(([key, value]) => {
+    if (value instanceof Increment) return [key, (Number(existing?.[key]) || 0) + value.by];
+    return [key, value instanceof ServerTimestamp ? now : value];
+}));
+
+/**
+ * Creates a local backend. `persist: false` keeps everything in memory (tests).
+ * The demo staff profiles and a few rooms are seeded under `appId` on first use.
+ */
+export const createLocalBackend = ({ appId, storageKey = "fir-local-backend", persist = true, accounts = DEMO_ACCOUNTS } = {}) => {
+    const dataKey = `${storageKey}:data`;
+    const sessionKey = `${storageKey}:session`;
+    const canPersist = persist && typeof localStorage !== "undefined";
+
+    let documents = new Map(); // path → encoded data
+    let currentUser = null;
+    let nextId = 0;
+    const docListeners = new Set();
+    const queryListeners = new Set();
+    const authListeners = new Set();
+    let pendingNotify = null;
+    let lastTransaction = Promise.resolve();
+
+    const load = () => {
+        try {
+            documents = new Map(Object.entries(JSON.parse(localStorage.getItem(dataKey)) || {}));
+        } catch (e) {
+            documents = new Map();
+        }
+    };
+
+    const save = () => {
+        if (!canPersist) return;
+        localStorage.setItem(dataKey, JSON.stringify(Object.fromEntries(documents)));
+    };
+
+    const readDoc = (path) => (documents.has(path) ? { id: lastSegment(path), data: decode(documents.get(path)) } : null);
+
+    const runQuery = (collectionPath, { where: filters = [], orderBy: order, limit } = {}) => {
+        const [field, direction = "asc"] = order || [];
+        const results = [];
+        documents.forEach((value, path) => {
+            if (parentPath(path) !== collectionPath) return;
+            const data = decode(value);
+            // As in Firestore, documents without the ordering field are left out
+            if (field && data[field] === undefined) return;
+            if (filters.every(filter => matchesFilter(data, filter))) results.push({ id: lastSegment(path), data });
+        });
+        results.sort((a, b) => {
+            const diff = field ? compareValues(a.data[field], b.data[field]) : 0;
+            return (direction === "desc" ? -diff : diff) || a.id.localeCompare(b.id);
+        });
+        return limit ? results.slice(0, limit) : results;
+    };
+
+    const notifyQuery = (listener, pending) => {
+        const docs = runQuery(listener.collectionPath, listener.options);
+        const next = new Map(docs.map(document => [document.id, JSON.stringify(encode(document.data))]));
+        const changes = [];
+        docs.forEach(document => {
+            if (!listener.previous || !listener.previous.has(document.id)) {
+                changes.push({ type: "added", doc: document, pending });
+            } else if (listener.previous.get(document.id) !== next.get(document.id)) {
+                changes.push({ type: "modified", doc: document, pending });
+            }
+        });
+        listener.previous?.forEach((value, id) => {
+            if (!next.has(id)) changes.push({ type: "removed", doc: { id, data: decode(JSON.parse(value)) }, pending });
+        });
+        const first = !listener.previous;
+        listener.previous = next;
+        if (first || changes.length > 0) listener.onNext(docs, changes);
+    };
+
+    const notifyDoc = (listener) => {
+        const current = documents.has(listener.path) ? JSON.stringify(documents.get(listener.path)) : null;
+        if (listener.delivered && listener.previous === current) return;
+        listener.delivered = true;
+        listener.previous = current;
+        listener.onNext(readDoc(listener.path));
+    };
+
+    // Snapshots arrive asynchronously, as they do from Firestore; several writes in a row are delivered together
+    const scheduleNotify = (pending) => {
+        if (pendingNotify) {
+            pendingNotify.pending = pendingNotify.pending && pending;
+            return;
+        }
+        pendingNotify = { pending };
+        Promise.resolve().then(() => {
+            const { pending: fromThisTab } = pendingNotify;
+            pendingNotify = null;
+            queryListeners.forEach(listener => notifyQuery(listener, fromThisTab));
+            docListeners.forEach(notifyDoc);
+        });
+    };
+
+    // All writes apply or none do: on any error (including a full localStorage) the documents are left as they were
+    const commit = (writes) => {
+        const now = Timestamp.now(); // One time for every write of the commit, as on the server
+        const previous = new Map(documents);
+        try {
+            writes.forEach(({ kind, path, data, merge }) => {
+                const existing = documents.has(path) ? decode(documents.get(path)) : null;
+                if (kind === "update" && !existing) throw new Error(`No document to update: ${path}`);
+                const resolved = resolveTransforms(existing, data, now);
+                const next = kind === "update" || merge ? { ...existing, ...resolved } : resolved;
+                documents.set(path, encode(next));
+            });
+            try {
+                save();
+            } catch (e) {
+                throw Object.assign(
+                    new Error("The training data no longer fits in this browser's storage. Remove some photos or clear the training data."),
+                    { code: "resource-exhausted", cause: e }
+                );
+            }
+        } catch (error) {
+            documents = previous;
+            throw error;
+        }
+        scheduleNotify(true);
+    };
+
+    const notifyAuth = () => authListeners.forEach(callback => callback(currentUser ? { ...currentUser } : null));
+
+    // --- Setup: stored data, seeded demo data, and changes made in other tabs ---
+    if (canPersist) {
+        load();
+        const storedUid = localStorage.getItem(sessionKey);
+        currentUser = accounts.some(account => account.uid === storedUid) ? { uid: storedUid, isAnonymous: false } : null;
+
+        window.addEventListener("storage", (event) => {
+            if (event.key !== dataKey) return;
+            load();
+            scheduleNotify(false);
+        });
+    }
+
+    if (appId) {
+        const seedWrites = [
+            ...accounts.map(({ uid, displayName, role, department }) => ({
+                path: `artifacts/${appId}/public/data/staff/${uid}`,
+                data: { displayName, role, ...(department ? { department } : {}) },
+            })),
+            ...DEMO_LOCATIONS.map(({ id, ...location }) => ({
+                path: `artifacts/${appId}/public/data/locations/${id}`,
+                data: { ...location, createdAt: Timestamp.now(), updatedAt: Timestamp.now() },
+            })),
+        ].filter(({ path }) => !documents.has(path));
+        try {
+            if (seedWrites.length > 0) commit(seedWrites.map(write => ({ kind: "set", ...write })));
+        } catch (e) {
+            console.warn("Could not seed the demo data:", e);
+        }
+    }
+
+    const setSession = (user) => {
+        currentUser = user;
+        if (canPersist) {
+            if (user) localStorage.setItem(sessionKey, user.uid);
+            else localStorage.removeItem(sessionKey);
+        }
+        Promise.resolve().then(notifyAuth);
+    };
+
+    return {
+        name: "local",
+        accounts,
+
+        onAuthStateChanged: (callback) => {
+            authListeners.add(callback);
+            Promise.resolve().then(() => {
+                if (authListeners.has(callback)) callback(currentUser ? { ...currentUser } : null);
+            });
+            return () => authListeners.delete(callback);
+        },
+
+        signIn: async (email, password) => {
+            const account = accounts.find(candidate => candidate.email === String(email).trim().toLowerCase());
+            if (!account || password !== DEMO_PASSWORD) throw authError("auth/invalid-credential", "Unknown demo account or wrong PIN.");
+            setSession({ uid: account.uid, isAnonymous: false });
+        },
+
+        signInWithToken: async () => {
+            throw authError("auth/operation-not-allowed", "Custom tokens are not supported by the local backend.");
+        },
+
+        // Guest sessions live in memory only, so they never replace a staff session in another tab
+        signInAsGuest: async () => {
+            currentUser = { uid: `guest-${Math.random().toString(36).slice(2, 10)}`, isAnonymous: true };
+            Promise.resolve().then(notifyAuth);
+        },
+
+        signOut: async () => setSession(null),
+
+        createId: () => `local-${Date.now().toString(36)}-${(nextId++).toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+
+        getDoc: async (path) => readDoc(path),
+
+        getDocs: async (collectionPath, options) => runQuery(collectionPath, options),
+
+        count: async (collectionPath, options) => runQuery(collectionPath, options).length,
+
+        subscribeToDoc: (path, onNext) => {
+            const listener = { path, onNext, delivered: false };
+            docListeners.add(listener);
+            Promise.resolve().then(() => {
+                if (docListeners.has(listener)) notifyDoc(listener);
+            });
+            return () => docListeners.delete(listener);
+        },
+
+        subscribeToDocs: (collectionPath, options, onNext) => {
+            const listener = { collectionPath, options, onNext, previous: null };
+            queryListeners.add(listener);
+            Promise.resolve().then(() => {
+                if (queryListeners.has(listener) && !listener.previous) notifyQuery(listener, false);
+            });
+            return () => queryListeners.delete(listener);
+        },
+
+        setDoc: async (path, data, { merge = false } = {}) => commit([{ kind: "set", path, data: copy(data), merge }]),
+
+        // Writes are buffered and applied together once `work` resolves, so a throwing transaction writes nothing.
+        // Transactions run one at a time, so none reads a document another is about to change.
+        runTransaction: (work) => {
+            const run = lastTransaction.then(async () => {
+                const writes = [];
+                const result = await work({
+                    get: async (path) => readDoc(path),
+                    set: (path, data) => writes.push({ kind: "set", path, data: copy(data) }),
+                    update: (path, data) => writes.push({ kind: "update", path, data: copy(data) }),
+                });
+                commit(writes);
+                return result;
+            });
+            lastTransaction = run.catch(() => {});
+            return run;
+        },
+
+        createBatch: () => {
+            const writes = [];
+            return {
+                set: (path, data) => writes.push({ kind: "set", path, data: copy(data) }),
+                update: (path, data) => writes.push({ kind: "update", path, data: copy(data) }),
+                commit: async () => commit(writes),
+            };
+        },
+
+        increment: (by) => new Increment(by),
+
+        serverTimestamp: () => new ServerTimestamp(),
+
+        uploadFile: (path, blob, onProgress = () => {}) => new Promise((resolve) => {
+            if (typeof FileReader === "undefined") {
+                onProgress(1);
+                resolve(`local://${path}`);
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                onProgress(1);
+                resolve(reader.result);
+            };
+            reader.onerror = () => {
+                onProgress(1);
+                resolve(`local://${path}`);
+            };
+            reader.readAsDataURL(blob);
+        }),
+    };
+};
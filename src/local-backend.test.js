@@ -0,0 +1,150 @@
+import { Timestamp } from 'firebase/firestore';
+import { createLocalBackend, DEMO_PASSWORD } from './local-backend';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createBackend = () => createLocalBackend({ appId: 'test', persist: false });
+
+test('seeds the demo staff profiles and signs in with the demo PIN', async () => {
+  const backend = createBackend();
+  const users = [];
+  backend.onAuthStateChanged(user => users.push(user));
+
+  await expect(backend.signIn('manager@demo.local', 'wrong')).rejects.toMatchObject({ code: 'auth/invalid-credential' });
+  await backend.signIn(' Manager@demo.local', DEMO_PASSWORD);
+  await flush();
+
+  expect(users).toEqual([null, { uid: 'demo-manager', isAnonymous: false }]);
+  expect((await backend.getDoc('artifacts/test/public/data/staff/demo-manager')).data).toMatchObject({ role: 'manager' });
+});
+
+test('queries filter on direct children and order by timestamps', async () => {
+  const backend = createBackend();
+  await backend.setDoc('issues/a', { priority: 'High', createdAt: Timestamp.fromMillis(2000) });
+  await backend.setDoc('issues/b', { priority: 'Low', createdAt: Timestamp.fromMillis(1000) });
+  await backend.setDoc('issues/c', { priority: 'High', createdAt: Timestamp.fromMillis(3000) });
+  await backend.setDoc('issues/a/history/h1', { priority: 'High' });
+
+  const high = await backend.getDocs('issues', { where: [['priority', '==', 'High']], orderBy: ['createdAt', 'desc'] });
+  expect(high.map(issue => issue.id)).toEqual(['c', 'a']);
+  expect(high[0].data.createdAt).toBeInstanceOf(Timestamp);
+
+  const since = await backend.getDocs('issues', { where: [['createdAt', '>=', Timestamp.fromMillis(2000)]] });
+  expect(since.map(issue => issue.id)).toEqual(['a', 'c']);
+
+  const newest = await backend.getDocs('issues', { where: [['priority', 'in', ['High', 'Low']]], orderBy: ['createdAt', 'desc'], limit: 2 });
+  expect(newest.map(issue => issue.id)).toEqual(['c', 'a']);
+  expect(await backend.count('issues', { where: [['priority', '==', 'High']] })).toBe(2);
+});
+
+test('subscriptions report added and modified documents, marked as pending', async () => {
+  const backend = createBackend();
+  const calls = [];
+  backend.subscribeToDocs('issues', {}, (docs, changes) => calls.push({ docs, changes }));
+  await flush();
+
+  const batch = backend.createBatch();
+  batch.set('issues/a', { commentCount: 0 });
+  batch.set('issues/b', { commentCount: 0 });
+  await batch.commit();
+  await flush();
+  await backend.setDoc('issues/a', { commentCount: backend.increment(2) }, { merge: true });
+  await flush();
+
+  expect(calls).toHaveLength(3);
+  expect(calls[0].changes).toEqual([]);
+  expect(calls[1].changes.map(change => [change.type, change.doc.id, change.pending])).toEqual([['added', 'a', true], ['added', 'b', true]]);
+  expect(calls[2].changes).toEqual([{ type: 'modified', doc: { id: 'a', data: { commentCount: 2 } }, pending: true }]);
+});
+
+test('a failing transaction writes nothing', async () => {
+  const backend = createBackend();
+  await backend.setDoc('counters/firs', { lastNumber: 1 });
+
+  await expect(backend.runTransaction(async (transaction) => {
+    const counter = await transaction.get('counters/firs');
+    transaction.set('counters/firs', { lastNumber: counter.data.lastNumber + 1 });
+    throw new Error('validation failed');
+  })).rejects.toThrow('validation failed');
+  await expect(backend.runTransaction(async (transaction) => transaction.update('issues/missing', { status: 'Completed' })))
+    .rejects.toThrow(/No document to update/);
+
+  expect((await backend.getDoc('counters/firs')).data).toEqual({ lastNumber: 1 });
+});
+
+test('concurrent transactions never read the same counter value', async () => {
+  const backend = createBackend();
+  await backend.setDoc('counters/firs', { lastNumber: 0 });
+  const reserve = () => backend.runTransaction(async (transaction) => {
+    const counter = await transaction.get('counters/firs');
+    await flush();
+    transaction.set('counters/firs', { lastNumber: counter.data.lastNumber + 1 });
+    return counter.data.lastNumber + 1;
+  });
+
+  const failing = backend.runTransaction(async () => { throw new Error('validation failed'); });
+  expect(await Promise.all([reserve(), reserve(), failing.catch(() => 'failed'), reserve()])).toEqual([1, 2, 'failed', 3]);
+  expect((await backend.getDoc('counters/firs')).data).toEqual({ lastNumber: 3 });
+});
+
+test('a write that no longer fits in localStorage fails and leaves the data as it was', async () => {
+  localStorage.clear();
+  const backend = createLocalBackend({ appId: 'test', storageKey: 'full-test' });
+  await backend.setDoc('issues/a', { title: 'Leak' });
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  });
+
+  try {
+    await expect(backend.setDoc('issues/b', { imageUrl: 'data:image/jpeg;base64,…' })).rejects.toMatchObject({ code: 'resource-exhausted' });
+  } finally {
+    setItem.mockRestore();
+  }
+  expect(await backend.getDoc('issues/b')).toBeNull();
+  expect((await backend.getDoc('issues/a')).data).toEqual({ title: 'Leak' });
+});
+
+test('server timestamps become the same commit time in every document of a write', async () => {
+  const backend = createBackend();
+  const before = Date.now();
+
+  await backend.runTransaction(async (transaction) => {
+    transaction.set('issues/a', { createdAt: backend.serverTimestamp() });
+    transaction.set('quotas/a', { lastReportAt: backend.serverTimestamp() });
+  });
+
+  const { createdAt } = (await backend.getDoc('issues/a')).data;
+  expect(createdAt).toBeInstanceOf(Timestamp);
+  expect(createdAt.toMillis()).toBeGreaterThanOrEqual(before);
+  expect((await backend.getDoc('quotas/a')).data.lastReportAt).toEqual(createdAt);
+});
+
+test('data persists to localStorage for the next page load', async () => {
+  localStorage.clear();
+  const first = createLocalBackend({ appId: 'test', storageKey: 'persist-test' });
+  await first.setDoc('issues/a', { createdAt: Timestamp.fromMillis(5000) });
+  await first.signIn('frontdesk@demo.local', DEMO_PASSWORD);
+
+  const second = createLocalBackend({ appId: 'test', storageKey: 'persist-test' });
+  const users = [];
+  second.onAuthStateChanged(user => users.push(user));
+  await flush();
+
+  expect((await second.getDoc('issues/a')).data.createdAt.toMillis()).toBe(5000);
+  expect(users).toEqual([{ uid: 'demo-frontdesk', isAnonymous: false }]);
+});
+
+test('a guest session is not kept for the next page load', async () => {
+  localStorage.clear();
+  const first = createLocalBackend({ appId: 'test', storageKey: 'guest-test' });
+  const users = [];
+  first.onAuthStateChanged(user => users.push(user));
+  await first.signInAsGuest();
+  await flush();
+
+  expect(users[1]).toMatchObject({ uid: expect.stringMatching(/^guest-/), isAnonymous: true });
+  const second = createLocalBackend({ appId: 'test', storageKey: 'guest-test' });
+  second.onAuthStateChanged(user => users.push(user));
+  await flush();
+  expect(users[2]).toBeNull();
+});
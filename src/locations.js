@@ -0,0 +1,104 @@
+// --- ROOM / LOCATION REGISTRY ---
+// Managed list of rooms and public areas (/artifacts/{appId}/public/data/locations/{id}).
+// Issues reference a registry entry by `locationId` and keep its label in `roomNumber`
+// so lists, exports and older clients still read naturally.
+
+export const LOCATION_TYPES = {
+    ROOM: "room",
+    AREA: "area",
+};
+
+export const LOCATION_TYPE_LABELS = {
+    [LOCATION_TYPES.ROOM]: "Room",
+    [LOCATION_TYPES.AREA]: "Public area",
+};
+
+/**
+ * Loose matching key for free-text locations: "Room 301", "rm 301" and "301" all become "301".
+ */
+export const normalizeLocationKey = (roomNumber) => (
+    String(roomNumber || "")
+        .toLowerCase()
+        .replace(/^\s*(room|rm\.?|#)\s*/, "")
+        .replace(/\s+/g, " ")
+        .trim()
+);
+
+/**
+ * What staff see and what is stored in an issue's `roomNumber`: "Room 301", "Lobby A".
+ */
+export const formatLocationLabel = (location) => (
+    location.type === LOCATION_TYPES.ROOM ? `Room ${location.name}` : location.name
+);
+
+/**
+ * Secondary line for a location: "Main Building · Floor 3".
+ */
+export const formatLocationDetail = (location) => [
+    location.building,
+    location.floor !== null && location.floor !== undefined && location.floor !== "" ? `Floor ${location.floor}` : null,
+].filter(Boolean).join(" · ");
+
+const getLocationKeys = (location) => [location.name, ...(location.aliases || [])].map(normalizeLocationKey);
+
+const compareText = (a, b) => String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true });
+
+/**
+ * Building, then floor, then name ("Room 2" before "Room 10").
+ */
+export const sortLocations = (locations) => [...locations].sort((a, b) => (
+    compareText(a.building, b.building) || compareText(a.floor, b.floor) || compareText(a.name, b.name)
+));
+
+/**
+ * Typeahead matches for `term` among active locations: exact name/alias matches
+ * first, then prefix matches, then anything containing the term.
+ */
+export const searchLocations = (locations, term, limit = 8) => {
+    const key = normalizeLocationKey(term);
+    if (!key) return [];
+
+    const rank = (location) => {
+        const keys = getLocationKeys(location);
+        if (keys.includes(key)) return 0;
+        if (keys.some(candidate => candidate.startsWith(key))) return 1;
+        const haystack = [...keys, normalizeLocationKey(location.building)].join(" ");
+        return haystack.includes(key) ? 2 : null;
+    };
+
+    return sortLocations(locations.filter(location => location.active !== false))
+        .map(location => ({ location, score: rank(location) }))
+        .filter(match => match.score !== null)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, limit)
+        .map(match => match.location);
+};
+
+/**
+ * The registry entry a free-text value unambiguously refers to, or null.
+ */
+export const findLocationForText = (locations, text) => {
+    const key = normalizeLocationKey(text);
+    if (!key) return null;
+    const matches = locations.filter(location => getLocationKeys(location).includes(key));
+    return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Groups issues that have no `locationId` yet by their normalized free-text
+ * `roomNumber`, with a suggested registry entry for each group. Largest groups first.
+ */
+export const buildLocationMigrationPlan = (issues, locations) => {
+    const groups = {};
+    issues.filter(issue => !issue.locationId).forEach(issue => {
+        const key = normalizeLocationKey(issue.roomNumber);
+        const group = groups[key] || { key, values: [], issues: [] };
+        if (!group.values.includes(issue.roomNumber)) group.values.push(issue.roomNumber);
+        group.issues.push(issue);
+        groups[key] = group;
+    });
+
+    return Object.values(groups)
+        .map(group => ({ ...group, suggestedLocationId: findLocationForText(locations, group.key)?.id || null }))
+        .sort((a, b) => b.issues.length - a.issues.length || compareText(a.key, b.key));
+};
@@ -0,0 +1,48 @@
+import {
+  buildLocationMigrationPlan,
+  findLocationForText,
+  formatLocationDetail,
+  formatLocationLabel,
+  searchLocations,
+} from './locations';
+
+const LOCATIONS = [
+  { id: 'r301', type: 'room', name: '301', building: 'Main', floor: 3 },
+  { id: 'r310', type: 'room', name: '310', building: 'Main', floor: 3 },
+  { id: 'r30', type: 'room', name: '30', building: 'Annex', floor: 0, active: false },
+  { id: 'lobby', type: 'area', name: 'Lobby A', building: 'Main', floor: 0, aliases: ['Front Lobby'] },
+];
+
+test('labels rooms and public areas', () => {
+  expect(formatLocationLabel(LOCATIONS[0])).toBe('Room 301');
+  expect(formatLocationLabel(LOCATIONS[3])).toBe('Lobby A');
+  expect(formatLocationDetail(LOCATIONS[3])).toBe('Main · Floor 0');
+});
+
+test('search ranks exact matches first and skips archived locations', () => {
+  expect(searchLocations(LOCATIONS, 'room 3').map(l => l.id)).toEqual(['r301', 'r310']);
+  expect(searchLocations(LOCATIONS, 'rm 30').map(l => l.id)).toEqual(['r301']);
+  expect(searchLocations(LOCATIONS, '310').map(l => l.id)).toEqual(['r310']);
+  expect(searchLocations(LOCATIONS, 'front').map(l => l.id)).toEqual(['lobby']);
+  expect(searchLocations(LOCATIONS, '  ')).toEqual([]);
+});
+
+test('free text maps onto a registry entry by name or alias', () => {
+  expect(findLocationForText(LOCATIONS, 'rm 301').id).toBe('r301');
+  expect(findLocationForText(LOCATIONS, 'front lobby').id).toBe('lobby');
+  expect(findLocationForText(LOCATIONS, 'Pool')).toBeNull();
+});
+
+test('migration plan groups unmapped issues by normalized room', () => {
+  const plan = buildLocationMigrationPlan([
+    { id: 'a', roomNumber: 'Room 301' },
+    { id: 'b', roomNumber: 'rm 301' },
+    { id: 'c', roomNumber: 'Pool' },
+    { id: 'd', roomNumber: 'Room 301', locationId: 'r301' },
+  ], LOCATIONS);
+
+  expect(plan).toEqual([
+    { key: '301', values: ['Room 301', 'rm 301'], issues: [{ id: 'a', roomNumber: 'Room 301' }, { id: 'b', roomNumber: 'rm 301' }], suggestedLocationId: 'r301' },
+    { key: 'pool', values: ['Pool'], issues: [{ id: 'c', roomNumber: 'Pool' }], suggestedLocationId: null },
+  ]);
+});
@@ -0,0 +1,99 @@
+// --- PREVENTIVE MAINTENANCE SCHEDULE ---
+// Recurrence maths for maintenance plans (/artifacts/{appId}/public/data/maintenancePlans/{id}).
+// A plan recurs every `interval` units of `frequency` from its `startDate` ("YYYY-MM-DD").
+// Occurrences are calendar days in local time; each one becomes at most one issue,
+// whose document ID is derived from the plan and the day (see getPreventiveIssueId).
+
+export const RECURRENCE_FREQUENCIES = {
+    daily: { label: "Daily", unit: "day", days: 1 },
+    weekly: { label: "Weekly", unit: "week", days: 7 },
+    monthly: { label: "Monthly", unit: "month", months: 1 },
+    quarterly: { label: "Quarterly", unit: "quarter", months: 3 },
+    yearly: { label: "Yearly", unit: "year", months: 12 },
+};
+
+// Missed occurrences generated at once when nobody opened the app for a while
+export const MAX_CATCH_UP_OCCURRENCES = 3;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDateKey = (key) => {
+    const [year, month, day] = String(key).split("-").map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Same day of the month, clamped to the month's last day (Jan 31 -> Feb 28)
+const addMonths = (date, months) => {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+};
+
+/**
+ * The n-th occurrence (0 = start date). Always computed from the start date so
+ * clamped month-ends don't drift.
+ */
+export const getNthOccurrence = (plan, n) => {
+    const frequency = RECURRENCE_FREQUENCIES[plan.frequency] || RECURRENCE_FREQUENCIES.monthly;
+    const step = n * Math.max(1, parseInt(plan.interval, 10) || 1);
+    const start = parseDateKey(plan.startDate);
+    return frequency.months ? addMonths(start, step * frequency.months) : addDays(start, step * frequency.days);
+};
+
+/**
+ * Occurrences falling on the days from `from` to `to` (both inclusive).
+ */
+export const getOccurrencesBetween = (plan, from, to) => {
+    const first = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    const occurrences = [];
+    for (let n = 0; ; n++) {
+        const occurrence = getNthOccurrence(plan, n);
+        if (occurrence > to) break;
+        if (occurrence >= first) occurrences.push(occurrence);
+    }
+    return occurrences;
+};
+
+/**
+ * Occurrences of an active plan that are due (today or earlier) but not generated
+ * yet, oldest first. Only the latest MAX_CATCH_UP_OCCURRENCES are returned.
+ */
+export const getDueOccurrences = (plan, now = new Date()) => {
+    if (plan.active === false || !plan.startDate) return [];
+
+    const from = plan.lastGeneratedFor ? addDays(parseDateKey(plan.lastGeneratedFor), 1) : parseDateKey(plan.startDate);
+    const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
+    return getOccurrencesBetween(plan, from, endOfToday).slice(-MAX_CATCH_UP_OCCURRENCES);
+};
+
+/**
+ * The first occurrence that has not been generated yet, or null for an inactive plan.
+ */
+export const getNextOccurrence = (plan, now = new Date()) => {
+    if (plan.active === false || !plan.startDate) return null;
+
+    const due = getDueOccurrences(plan, now);
+    if (due.length > 0) return due[0];
+    const tomorrow = addDays(now, 1);
+    return getOccurrencesBetween(plan, tomorrow, addMonths(tomorrow, 12 * 5))[0] || null;
+};
+
+/**
+ * Deterministic issue document ID for one occurrence. Two terminals generating
+ * the same occurrence target the same document, so only one issue is ever created.
+ */
+export const getPreventiveIssueId = (planId, occurrence) => `pm-${planId}-${toDateKey(occurrence)}`;
+
+/**
+ * Human-readable schedule: "Monthly", "Every 2 weeks".
+ */
+export const describeRecurrence = (plan) => {
+    const frequency = RECURRENCE_FREQUENCIES[plan.frequency] || RECURRENCE_FREQUENCIES.monthly;
+    const interval = Math.max(1, parseInt(plan.interval, 10) || 1);
+    return interval === 1 ? frequency.label : `Every ${interval} ${frequency.unit}s`;
+};
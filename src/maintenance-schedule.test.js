@@ -0,0 +1,50 @@
+import {
+  describeRecurrence,
+  getDueOccurrences,
+  getNextOccurrence,
+  getOccurrencesBetween,
+  getPreventiveIssueId,
+  toDateKey,
+} from './maintenance-schedule';
+
+const keys = (dates) => dates.map(toDateKey);
+
+test('monthly plans clamp to the end of shorter months without drifting', () => {
+  const plan = { frequency: 'monthly', interval: 1, startDate: '2026-01-31' };
+
+  expect(keys(getOccurrencesBetween(plan, new Date(2026, 0, 1), new Date(2026, 3, 29)))).toEqual([
+    '2026-01-31', '2026-02-28', '2026-03-31',
+  ]);
+});
+
+test('intervals multiply the frequency', () => {
+  const plan = { frequency: 'weekly', interval: 2, startDate: '2026-03-02' };
+
+  expect(keys(getOccurrencesBetween(plan, new Date(2026, 2, 3), new Date(2026, 2, 31)))).toEqual(['2026-03-16', '2026-03-30']);
+  expect(describeRecurrence(plan)).toBe('Every 2 weeks');
+  expect(describeRecurrence({ frequency: 'quarterly', interval: 1 })).toBe('Quarterly');
+});
+
+test('due occurrences start after the last generated one and stop today', () => {
+  const plan = { frequency: 'daily', interval: 1, startDate: '2026-03-01', lastGeneratedFor: '2026-03-04' };
+  const now = new Date(2026, 2, 6, 8);
+
+  expect(keys(getDueOccurrences(plan, now))).toEqual(['2026-03-05', '2026-03-06']);
+  expect(getDueOccurrences({ ...plan, active: false }, now)).toEqual([]);
+});
+
+test('catching up after a long gap only generates the latest occurrences', () => {
+  const plan = { frequency: 'monthly', interval: 1, startDate: '2025-01-10' };
+
+  expect(keys(getDueOccurrences(plan, new Date(2026, 2, 12)))).toEqual(['2026-01-10', '2026-02-10', '2026-03-10']);
+});
+
+test('next occurrence looks past today once today is generated', () => {
+  const plan = { frequency: 'yearly', interval: 1, startDate: '2025-06-01', lastGeneratedFor: '2025-06-01' };
+
+  expect(toDateKey(getNextOccurrence(plan, new Date(2026, 2, 1)))).toBe('2026-06-01');
+});
+
+test('issue IDs are deterministic per plan and day', () => {
+  expect(getPreventiveIssueId('hvac', new Date(2026, 2, 5, 17))).toBe('pm-hvac-2026-03-05');
+});
@@ -0,0 +1,159 @@
+// --- OFFLINE SUBMISSION QUEUE (IndexedDB) ---
+// Submissions made without a connection (or that fail to reach Firebase) are kept
+// in IndexedDB, photo included, and replayed in their original order once the
+// device is back online. Each queued item gets a provisional ID so staff can
+// refer to it before the real FIR number is reserved, and keeps the same issue
+// document ID on every attempt, so a replay whose earlier attempt reached the
+// backend (but whose answer was lost) cannot file it twice. A submission the backend
+// refuses outright is marked failed and kept for staff to see, rather than
+// holding up the ones behind it.
+
+const DB_NAME = "hotel-fir-offline";
+const DB_VERSION = 1;
+const STORE_NAME = "submissions";
+
+const listeners = new Set();
+let flushInProgress = null;
+
+const openQueueDb = () => new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        // Auto-increment keys preserve submission order
+        request.result.createObjectStore(STORE_NAME, { keyPath: "seq", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs `work(store)` inside a transaction and resolves with the value of the
+ * request it returns (if any) once the transaction has committed.
+ */
+const withStore = async (mode, work) => {
+    const queueDb = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const transaction = queueDb.transaction(STORE_NAME, mode);
+        const request = work(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+            queueDb.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            queueDb.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+const notifyListeners = async () => {
+    const items = await getQueuedSubmissions().catch(() => []);
+    listeners.forEach(listener => listener(items));
+};
+
+// Codes and messages that mean the backend could not be reached, not that it refused the write
+const CONNECTIVITY_ERROR_CODES = ["unavailable", "deadline-exceeded", "storage/retry-limit-exceeded", "auth/network-request-failed"];
+
+/**
+ * Whether `error` means the submission should wait for a connection rather
+ * than be given up on.
+ */
+export const isConnectivityError = (error) => {
+    const code = String(error?.code || "").replace(/^firestore\//, "");
+    return CONNECTIVITY_ERROR_CODES.includes(code) || /network|offline|failed to fetch/i.test(error?.message || "");
+};
+
+const createProvisionalId = () => {
+    const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+    return `PENDING-${Date.now().toString(36).toUpperCase()}-${suffix}`;
+};
+
+/**
+ * Returns every queued submission, oldest first.
+ */
+export const getQueuedSubmissions = () => withStore("readonly", (store) => store.getAll());
+
+/**
+ * Persists a submission (including its photo File/Blob) and returns its provisional ID.
+ * `issueId` is the document ID of an attempt already made before queueing; without
+ * one the ID is derived from the provisional ID.
+ */
+export const enqueueSubmission = async (userId, formData, issueId = null) => {
+    const provisionalId = createProvisionalId();
+    await withStore("readwrite", (store) => store.add({
+        provisionalId,
+        issueId: issueId || provisionalId.toLowerCase(),
+        userId,
+        formData,
+        queuedAt: Date.now(),
+        attempts: 0,
+        lastError: null,
+        failed: false,
+    }));
+    notifyListeners();
+    return provisionalId;
+};
+
+/**
+ * Removes a queued submission, e.g. one that failed and will never upload.
+ */
+export const discardQueuedSubmission = async (seq) => {
+    await withStore("readwrite", (store) => store.delete(seq));
+    notifyListeners();
+};
+
+/**
+ * Calls back with the submissions `userId` queued, immediately and after every
+ * change. The queue is shared by everyone who signs in on this device.
+ */
+export const subscribeToQueue = (userId, callback) => {
+    const listener = (items) => callback(items.filter(item => item.userId === userId));
+    listeners.add(listener);
+    getQueuedSubmissions().then(listener).catch(() => listener([]));
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Replays queued submissions belonging to `userId`, strictly in order.
+ * `submit(item)` must file the item under `item.issueId`, so that one an earlier
+ * attempt already filed is not filed again. A connectivity error stops the run so later items never overtake an earlier
+ * one; that item keeps its place and is retried on the next flush. Any other
+ * error marks the item failed (it is not retried) and the run moves on.
+ * Concurrent calls share the same run.
+ */
+export const flushQueue = (userId, submit) => {
+    if (flushInProgress) return flushInProgress;
+
+    flushInProgress = (async () => {
+        const results = [];
+        try {
+            const items = (await getQueuedSubmissions()).filter(item => item.userId === userId && !item.failed);
+            for (const item of items) {
+                try {
+                    const result = await submit(item);
+                    await withStore("readwrite", (store) => store.delete(item.seq));
+                    results.push({ provisionalId: item.provisionalId, result });
+                } catch (error) {
+                    const retry = isConnectivityError(error);
+                    await withStore("readwrite", (store) => store.put({
+                        ...item,
+                        attempts: item.attempts + 1,
+                        lastError: error?.message || String(error),
+                        failed: !retry,
+                    }));
+                    if (retry) break;
+                    results.push({ provisionalId: item.provisionalId, error });
+                }
+            }
+        } finally {
+            flushInProgress = null;
+            notifyListeners();
+        }
+        return results;
+    })();
+
+    return flushInProgress;
+};
@@ -0,0 +1,158 @@
+import {
+  discardQueuedSubmission, enqueueSubmission, flushQueue, getQueuedSubmissions, isConnectivityError, subscribeToQueue
+} from './offline-queue';
+import { createLocalBackend } from './local-backend';
+import { configureIssueRepository, createNewIssue } from './issue-repository';
+
+// Just enough of IndexedDB for the queue: one auto-increment store, requests that
+// complete at once and transactions that commit on the next tick.
+const createFakeIndexedDB = () => {
+  const records = new Map();
+  let nextSeq = 1;
+  let created = false;
+  const run = (work) => ({ result: work() });
+  const store = {
+    add: (value) => run(() => {
+      const seq = nextSeq++;
+      records.set(seq, { ...value, seq });
+      return seq;
+    }),
+    put: (value) => run(() => {
+      records.set(value.seq, { ...value });
+      return value.seq;
+    }),
+    delete: (seq) => run(() => { records.delete(seq); }),
+    getAll: () => run(() => [...records.keys()].sort((a, b) => a - b).map(seq => ({ ...records.get(seq) }))),
+  };
+  const db = {
+    createObjectStore: () => store,
+    transaction: () => {
+      const transaction = { objectStore: () => store };
+      setTimeout(() => transaction.oncomplete());
+      return transaction;
+    },
+    close: () => {},
+  };
+  return {
+    open: () => {
+      const request = { result: db };
+      setTimeout(() => {
+        if (!created) request.onupgradeneeded();
+        created = true;
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+};
+
+const queue = (userId, issueTitle) => enqueueSubmission(userId, { roomNumber: '101', issueTitle, description: '', priority: 'Medium' });
+
+const offline = () => Object.assign(new Error('Failed to get document because the client is offline.'), { code: 'unavailable' });
+
+beforeEach(() => {
+  window.indexedDB = createFakeIndexedDB();
+});
+
+afterEach(() => {
+  delete window.indexedDB;
+});
+
+test('queued submissions are replayed oldest first and removed once uploaded', async () => {
+  const first = await queue('user-1', 'Leak');
+  await queue('user-2', 'Bulb');
+  await queue('user-1', 'No heat');
+  const submitted = [];
+
+  const results = await flushQueue('user-1', async (item) => {
+    submitted.push(item.formData.issueTitle);
+    return `FIR-000${submitted.length}`;
+  });
+
+  expect(first).toMatch(/^PENDING-/);
+  expect(submitted).toEqual(['Leak', 'No heat']);
+  expect(results[0]).toEqual({ provisionalId: first, result: 'FIR-0001' });
+  expect((await getQueuedSubmissions()).map(item => item.formData.issueTitle)).toEqual(['Bulb']);
+});
+
+test('a connection error stops the run and the item is retried first next time', async () => {
+  await queue('user-1', 'Leak');
+  await queue('user-1', 'No heat');
+  const submitted = [];
+  let connected = false;
+  const submit = async (item) => {
+    if (!connected) throw offline();
+    submitted.push(item.formData.issueTitle);
+  };
+
+  expect(await flushQueue('user-1', submit)).toEqual([]);
+  const [waiting] = await getQueuedSubmissions();
+  expect(waiting).toMatchObject({ attempts: 1, failed: false, lastError: expect.stringMatching(/offline/) });
+
+  connected = true;
+  await flushQueue('user-1', submit);
+  expect(submitted).toEqual(['Leak', 'No heat']);
+  expect(await getQueuedSubmissions()).toEqual([]);
+});
+
+test('a retry after an attempt whose answer was lost does not file the issue twice', async () => {
+  const backend = createLocalBackend({ appId: 'test', persist: false });
+  configureIssueRepository({ backend, appId: 'test' });
+  const runTransaction = backend.runTransaction;
+  // The first commit reaches the backend, but the device never hears back
+  backend.runTransaction = async (work) => {
+    backend.runTransaction = runTransaction;
+    await runTransaction(work);
+    throw offline();
+  };
+  await queue('user-1', 'Leak');
+  const submit = (item) => createNewIssue('user-1', item.formData, { issueId: item.issueId });
+
+  expect(await flushQueue('user-1', submit)).toEqual([]);
+  const [waiting] = await getQueuedSubmissions();
+  expect(waiting.attempts).toBe(1);
+
+  const [replayed] = await flushQueue('user-1', submit);
+  expect(replayed.result).toBeNull();
+  expect(await getQueuedSubmissions()).toEqual([]);
+  const issues = await backend.getDocs('artifacts/test/public/data/firs');
+  expect(issues.map(issue => [issue.id, issue.data.displayId])).toEqual([[waiting.issueId, 'FIR-0001']]);
+});
+
+test('a refused submission is marked failed, skipped from then on, and can be discarded', async () => {
+  await queue('user-1', ' ');
+  await queue('user-1', 'No heat');
+  await queue('user-2', 'Bulb');
+  const updates = [];
+  const unsubscribe = subscribeToQueue('user-1', items => updates.push(items.length));
+  const submit = jest.fn(async (item) => {
+    if (!item.formData.issueTitle.trim()) throw new Error('Issue field issueTitle is required.');
+  });
+
+  const [refused, uploaded] = await flushQueue('user-1', submit);
+  expect(updates[0]).toBe(2);
+  expect(refused.error.message).toMatch(/issueTitle is required/);
+  expect(uploaded.error).toBeUndefined();
+
+  const [failed] = await getQueuedSubmissions();
+  expect(failed).toMatchObject({ attempts: 1, failed: true });
+
+  await flushQueue('user-1', submit);
+  expect(submit).toHaveBeenCalledTimes(2);
+
+  await discardQueuedSubmission(failed.seq);
+  expect((await getQueuedSubmissions()).map(item => item.userId)).toEqual(['user-2']);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  expect(updates[updates.length - 1]).toBe(0);
+  unsubscribe();
+});
+
+test('only lost connections count as errors worth waiting out', () => {
+  expect(isConnectivityError(offline())).toBe(true);
+  expect(isConnectivityError({ code: 'firestore/deadline-exceeded' })).toBe(true);
+  expect(isConnectivityError({ code: 'storage/retry-limit-exceeded' })).toBe(true);
+  expect(isConnectivityError(new TypeError('Failed to fetch'))).toBe(true);
+  expect(isConnectivityError({ code: 'permission-denied', message: 'Missing or insufficient permissions.' })).toBe(false);
+  expect(isConnectivityError(new Error('Issue field issueTitle is required.'))).toBe(false);
+  expect(isConnectivityError(null)).toBe(false);
+});
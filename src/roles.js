@@ -0,0 +1,71 @@
+// --- STAFF ROLES AND PERMISSIONS ---
+// Roles are stored on each staff profile (/artifacts/{appId}/public/data/staff/{uid}).
+// The UI uses these helpers to hide tabs and disable inline selects; firestore.rules
+// enforces the same rules on the server.
+
+export const ROLES = {
+    FRONT_DESK: "frontdesk",
+    TECHNICIAN: "technician",
+    MANAGER: "manager",
+};
+
+export const ROLE_LABELS = {
+    [ROLES.FRONT_DESK]: "Front Desk",
+    [ROLES.TECHNICIAN]: "Technician",
+    [ROLES.MANAGER]: "Manager",
+};
+
+// Which tabs each role can open
+const TAB_ACCESS = {
+    [ROLES.FRONT_DESK]: ["dashboard", "interface1", "interface2", "issue", "locations"],
+    [ROLES.TECHNICIAN]: ["dashboard", "myjobs", "interface2", "issue", "locations", "maintenance"],
+    [ROLES.MANAGER]: ["dashboard", "interface1", "interface2", "issue", "analytics", "locations", "maintenance"],
+};
+
+export const canAccessTab = (profile, tab) => {
+    return Boolean(profile && TAB_ACCESS[profile.role]?.includes(tab));
+};
+
+export const canSubmitIssues = (profile) => canAccessTab(profile, "interface1");
+
+/**
+ * Whether the given staff member may change `field` on `fir`.
+ * - Managers may change anything.
+ * - Technicians may change the status of tickets in their own department or assigned to them.
+ * - Front desk staff are read-only once a ticket is submitted.
+ */
+export const canUpdateField = (profile, fir, field) => {
+    if (!profile) return false;
+
+    switch (profile.role) {
+        case ROLES.MANAGER:
+            return true;
+        case ROLES.TECHNICIAN:
+            return field === "status" && Boolean(fir)
+                && (fir.department === profile.department || (Boolean(fir.assignedTo) && fir.assignedTo === profile.id));
+        default:
+            return false;
+    }
+};
+
+export const canAssignIssues = (profile) => profile?.role === ROLES.MANAGER;
+
+/**
+ * Only the assigned technician can accept a pending assignment.
+ */
+export const canAcceptAssignment = (profile, fir) => {
+    return Boolean(profile && fir)
+        && fir.assignedTo === profile.id
+        && fir.assignmentStatus === "pending";
+};
+
+/**
+ * Technicians available for a department, sorted by name. Tickets that are
+ * still "Unassigned" to a department can go to any technician.
+ */
+export const getTechnicianRoster = (staffById, department) => {
+    return Object.values(staffById || {})
+        .filter(staff => staff.role === ROLES.TECHNICIAN)
+        .filter(staff => !department || department === "Unassigned" || staff.department === department)
+        .sort((a, b) => (a.displayName || "").localeCompare(b.displayName || ""));
+};
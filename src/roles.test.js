@@ -0,0 +1,55 @@
+import { ROLES, canAccessTab, canAcceptAssignment, canSubmitIssues, canUpdateField, getTechnicianRoster } from './roles';
+
+const frontDesk = { role: ROLES.FRONT_DESK, displayName: "Ayesha" };
+const plumber = { role: ROLES.TECHNICIAN, department: "Plumbing", displayName: "Carlos" };
+const manager = { role: ROLES.MANAGER, displayName: "Omar" };
+
+const plumbingFir = { id: "1", department: "Plumbing" };
+const electricalFir = { id: "2", department: "Electrical" };
+
+test('front desk can submit and view but not edit', () => {
+  expect(canSubmitIssues(frontDesk)).toBe(true);
+  expect(canAccessTab(frontDesk, "interface2")).toBe(true);
+  expect(canUpdateField(frontDesk, plumbingFir, "status")).toBe(false);
+});
+
+test('technicians only change status on their own department tickets', () => {
+  expect(canSubmitIssues(plumber)).toBe(false);
+  expect(canUpdateField(plumber, plumbingFir, "status")).toBe(true);
+  expect(canUpdateField(plumber, electricalFir, "status")).toBe(false);
+  expect(canUpdateField(plumber, plumbingFir, "priority")).toBe(false);
+  expect(canUpdateField(plumber, plumbingFir, "department")).toBe(false);
+});
+
+test('managers can reassign priority and department', () => {
+  expect(canUpdateField(manager, electricalFir, "priority")).toBe(true);
+  expect(canUpdateField(manager, electricalFir, "department")).toBe(true);
+});
+
+test('accounts without a profile get no access', () => {
+  expect(canAccessTab(null, "dashboard")).toBe(false);
+  expect(canAccessTab(undefined, "dashboard")).toBe(false);
+  expect(canUpdateField(null, plumbingFir, "status")).toBe(false);
+});
+
+test('only the assigned technician can accept a pending assignment', () => {
+  const assigned = { id: 'tech-1', role: ROLES.TECHNICIAN, department: 'Plumbing' };
+  const other = { id: 'tech-2', role: ROLES.TECHNICIAN, department: 'Plumbing' };
+  const fir = { department: 'Plumbing', assignedTo: 'tech-1', assignmentStatus: 'pending' };
+
+  expect(canAcceptAssignment(assigned, fir)).toBe(true);
+  expect(canAcceptAssignment(other, fir)).toBe(false);
+  expect(canAcceptAssignment(assigned, { ...fir, assignmentStatus: 'accepted' })).toBe(false);
+});
+
+test('roster lists technicians of the ticket department', () => {
+  const staffById = {
+    a: { id: 'a', role: ROLES.TECHNICIAN, department: 'Plumbing', displayName: 'Zara' },
+    b: { id: 'b', role: ROLES.TECHNICIAN, department: 'Electrical', displayName: 'Bilal' },
+    c: { id: 'c', role: ROLES.TECHNICIAN, department: 'Plumbing', displayName: 'Ana' },
+    d: { id: 'd', role: ROLES.MANAGER, displayName: 'Omar' },
+  };
+
+  expect(getTechnicianRoster(staffById, 'Plumbing').map(s => s.id)).toEqual(['c', 'a']);
+  expect(getTechnicianRoster(staffById, 'Unassigned').map(s => s.id)).toEqual(['c', 'b', 'a']);
+});
@@ -0,0 +1,136 @@
+// --- ROUTING ---
+// Maps the app's views to URLs so tabs, issue list filters and single issues can
+// be bookmarked and shared:
+//
+//   /                          dashboard
+//   /report                    submit an issue (interface1)
+//   /issues?priority=Critical  issue list (interface2); filters in the query string
+//   /issues/FIR-0153           one issue, by display ID
+//   /my-jobs, /analytics, /locations, /maintenance
+//   /guest?room=101&location=…  guest reporting page for one room (from its QR code)
+//
+// Only values that differ from the defaults are written to the query string, so
+// the plain list is just /issues.
+
+import { ISSUE_PRIORITIES, ISSUE_DEPARTMENTS } from "./issue-schema";
+import { ISSUE_SORTS } from "./issue-repository";
+
+export const TAB_PATHS = {
+    dashboard: "/",
+    myjobs: "/my-jobs",
+    interface1: "/report",
+    interface2: "/issues",
+    analytics: "/analytics",
+    locations: "/locations",
+    maintenance: "/maintenance",
+};
+
+export const ISSUE_TAB = "issue";
+export const GUEST_TAB = "guest";
+const GUEST_PATH = "/guest";
+
+export const DEFAULT_ISSUE_FILTERS = {
+    search: "",
+    priority: "All",
+    department: "All",
+    openOnly: true,
+    from: "",
+    to: "",
+    sort: "newest",
+};
+
+// Filter key → query string parameter
+const FILTER_PARAMS = {
+    search: "q",
+    priority: "priority",
+    department: "department",
+    openOnly: "show",
+    from: "from",
+    to: "to",
+    sort: "sort",
+};
+
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
+
+// Hand-typed links may get the case wrong; anything unknown is ignored
+const matchChoice = (value, choices) => choices.find(choice => choice.toLowerCase() === value.toLowerCase());
+
+const FILTER_CHOICES = {
+    priority: ISSUE_PRIORITIES,
+    department: ISSUE_DEPARTMENTS,
+    sort: Object.keys(ISSUE_SORTS),
+};
+
+const trimSlashes = (path) => `/${String(path || "").replace(/^\/+|\/+$/g, "")}`;
+
+const parseFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_ISSUE_FILTERS };
+    Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value === null || value === "") return;
+        if (key === "openOnly") filters.openOnly = value !== "all";
+        else if (key === "from" || key === "to") filters[key] = DATE_PARAM.test(value) ? value : "";
+        else if (FILTER_CHOICES[key]) filters[key] = matchChoice(value, FILTER_CHOICES[key]) || DEFAULT_ISSUE_FILTERS[key];
+        else filters[key] = value;
+    });
+    return filters;
+};
+
+/**
+ * Reads the view from a location (`window.location` or anything with `pathname`
+ * and `search`). Returns `{ tab, displayId, filters }`, plus `guestRoom`
+ * ({ roomNumber, locationId }) on the guest page; unknown paths fall back to the
+ * dashboard.
+ */
+export const parseLocation = ({ pathname = "/", search = "" } = {}) => {
+    const path = trimSlashes(pathname);
+    const filters = parseFilters(search);
+
+    if (path === GUEST_PATH) {
+        const params = new URLSearchParams(search);
+        const guestRoom = { roomNumber: (params.get("room") || "").trim(), locationId: params.get("location") || null };
+        return { tab: GUEST_TAB, displayId: null, filters: { ...DEFAULT_ISSUE_FILTERS }, guestRoom };
+    }
+
+    const issueMatch = path.match(/^\/issues\/([^/]+)$/);
+    if (issueMatch) {
+        return { tab: ISSUE_TAB, displayId: decodeURIComponent(issueMatch[1]).toUpperCase(), filters };
+    }
+    const tab = Object.keys(TAB_PATHS).find(key => TAB_PATHS[key] === path) || "dashboard";
+    return { tab, displayId: null, filters: tab === "interface2" ? filters : { ...DEFAULT_ISSUE_FILTERS } };
+};
+
+/**
+ * The URL (path and query string) for a view; the inverse of parseLocation.
+ */
+export const buildPath = ({ tab, displayId = null, filters = DEFAULT_ISSUE_FILTERS }) => {
+    if (tab === ISSUE_TAB && displayId) return `/issues/${encodeURIComponent(displayId)}`;
+    if (tab !== "interface2") return TAB_PATHS[tab] || TAB_PATHS.dashboard;
+
+    const params = new URLSearchParams();
+    Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+        const value = filters[key] ?? DEFAULT_ISSUE_FILTERS[key];
+        if (value === DEFAULT_ISSUE_FILTERS[key]) return;
+        params.set(param, key === "openOnly" ? (value ? "open" : "all") : value);
+    });
+    const query = params.toString();
+    return query ? `${TAB_PATHS.interface2}?${query}` : TAB_PATHS.interface2;
+};
+
+/**
+ * The guest reporting page for one room; `location` is a registry entry's label
+ * and ID ({ roomNumber, locationId }).
+ */
+export const buildGuestPath = ({ roomNumber, locationId = null }) => {
+    const params = new URLSearchParams({ room: roomNumber });
+    if (locationId) params.set("location", locationId);
+    return `${GUEST_PATH}?${params.toString()}`;
+};
+
+/**
+ * Whether moving from one URL to another opens a different page (a new history
+ * entry) rather than refining the same one (e.g. typing in the search box,
+ * which replaces the current entry).
+ */
+export const isNewPage = (fromPath, toPath) => fromPath.split("?")[0] !== toPath.split("?")[0];
@@ -0,0 +1,42 @@
+import { DEFAULT_ISSUE_FILTERS, buildGuestPath, buildPath, isNewPage, parseLocation } from './routing';
+
+test('each tab has its own path and unknown paths open the dashboard', () => {
+  expect(parseLocation({ pathname: '/analytics/' })).toEqual({ tab: 'analytics', displayId: null, filters: DEFAULT_ISSUE_FILTERS });
+  expect(parseLocation({ pathname: '/nowhere' }).tab).toBe('dashboard');
+  expect(buildPath({ tab: 'interface1' })).toBe('/report');
+  expect(buildPath({ tab: 'dashboard' })).toBe('/');
+});
+
+test('issue list filters round-trip through the query string', () => {
+  const filters = { ...DEFAULT_ISSUE_FILTERS, priority: 'Critical', department: 'Electrical', openOnly: false, search: 'lamp 2' };
+  const path = buildPath({ tab: 'interface2', filters });
+
+  expect(path).toBe('/issues?q=lamp+2&priority=Critical&department=Electrical&show=all');
+  expect(parseLocation({ pathname: '/issues', search: path.split('?')[1] })).toEqual({ tab: 'interface2', displayId: null, filters });
+  expect(buildPath({ tab: 'interface2', filters: DEFAULT_ISSUE_FILTERS })).toBe('/issues');
+});
+
+test('hand-typed filter values are matched loosely and bad ones ignored', () => {
+  const { filters } = parseLocation({ pathname: '/issues', search: '?priority=critical&department=Roof&from=yesterday&sort=status' });
+
+  expect(filters).toEqual({ ...DEFAULT_ISSUE_FILTERS, priority: 'Critical', sort: 'status' });
+});
+
+test('a single issue is addressed by its display ID', () => {
+  expect(parseLocation({ pathname: '/issues/fir-0153' })).toMatchObject({ tab: 'issue', displayId: 'FIR-0153' });
+  expect(buildPath({ tab: 'issue', displayId: 'FIR-0153' })).toBe('/issues/FIR-0153');
+});
+
+test('a room\'s guest page carries the room label and registry ID', () => {
+  const path = buildGuestPath({ roomNumber: 'Main 101', locationId: 'loc-1' });
+
+  expect(path).toBe('/guest?room=Main+101&location=loc-1');
+  expect(parseLocation({ pathname: '/guest', search: path.split('?')[1] }))
+    .toMatchObject({ tab: 'guest', guestRoom: { roomNumber: 'Main 101', locationId: 'loc-1' } });
+  expect(parseLocation({ pathname: '/guest' }).guestRoom).toEqual({ roomNumber: '', locationId: null });
+});
+
+test('only a different path counts as a new page', () => {
+  expect(isNewPage('/issues', '/issues?priority=High')).toBe(false);
+  expect(isNewPage('/issues?priority=High', '/issues/FIR-0001')).toBe(true);
+});
@@ -0,0 +1,98 @@
+// --- TEXT SIMILARITY & DUPLICATE DETECTION ---
+// Fuzzy matching of short issue texts, used to spot the same fault being
+// reported twice at one location. Two measures are combined: shared words
+// (after dropping filler words and common endings, so "dripping tap" meets
+// "tap drips") and shared character trigrams (so typos like "drippng" still
+// match).
+
+import { OPEN_STATUSES } from "./status-workflow";
+
+export const DUPLICATE_THRESHOLD = 0.5;
+export const MAX_DUPLICATE_SUGGESTIONS = 3;
+
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "at", "for", "from", "has", "in", "is", "it", "its", "of", "on",
+    "please", "room", "the", "there", "this", "to", "very", "was", "with",
+]);
+
+// Letters and digits of any script are kept (Spanish, Urdu); accents and other
+// combining marks, and invisible joiners, are dropped so spellings with and without them meet
+export const normalizeText = (text) => String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\p{M}\p{Cf}]+/gu, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Crude stemming is enough here: both texts go through the same rules
+const stem = (word) => {
+    if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3).replace(/(.)\1$/, "$1");
+    if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2).replace(/(.)\1$/, "$1");
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+    return word;
+};
+
+export const getWords = (text) => [...new Set(normalizeText(text).split(" ")
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem))];
+
+const getTrigrams = (words) => {
+    const trigrams = new Set();
+    words.forEach(word => {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) trigrams.add(padded.slice(i, i + 3));
+    });
+    return trigrams;
+};
+
+const countShared = (a, b) => [...a].filter(item => b.has(item)).length;
+
+/**
+ * Similarity of two texts between 0 (nothing in common) and 1 (same words).
+ * Word overlap is measured against the shorter text, so a short title fully
+ * contained in a longer description still scores high.
+ */
+export const textSimilarity = (a, b) => {
+    const wordsA = getWords(a);
+    const wordsB = getWords(b);
+    if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+    const wordOverlap = countShared(new Set(wordsA), new Set(wordsB)) / Math.min(wordsA.length, wordsB.length);
+    const trigramsA = getTrigrams(wordsA);
+    const trigramsB = getTrigrams(wordsB);
+    const trigramDice = (2 * countShared(trigramsA, trigramsB)) / (trigramsA.size + trigramsB.size);
+    return (wordOverlap + trigramDice) / 2;
+};
+
+/**
+ * Whether two reports are about the same place: the same registry entry when
+ * both are linked, otherwise the same room text.
+ */
+export const isSameLocation = (a, b) => {
+    if (a.locationId && b.locationId) return a.locationId === b.locationId;
+    const roomA = normalizeText(a.roomNumber);
+    return Boolean(roomA) && roomA === normalizeText(b.roomNumber);
+};
+
+/**
+ * Open issues that look like the same report as `draft` ({ roomNumber,
+ * locationId, issueTitle, description }): same location and a similar title or
+ * title + description. Returns up to `limit` `{ issue, score }`, best first.
+ */
+export const findPossibleDuplicates = (draft, issues, { threshold = DUPLICATE_THRESHOLD, limit = MAX_DUPLICATE_SUGGESTIONS } = {}) => {
+    const draftText = `${draft.issueTitle || ""} ${draft.description || ""}`;
+    if (getWords(draftText).length === 0) return [];
+
+    return issues
+        .filter(issue => OPEN_STATUSES.includes(issue.status) && isSameLocation(draft, issue))
+        .map(issue => ({
+            issue,
+            score: Math.max(
+                textSimilarity(draft.issueTitle, issue.issueTitle),
+                textSimilarity(draftText, `${issue.issueTitle || ""} ${issue.description || ""}`)
+            ),
+        }))
+        .filter(({ score }) => score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
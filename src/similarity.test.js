@@ -0,0 +1,49 @@
+import { DUPLICATE_THRESHOLD, findPossibleDuplicates, getWords, isSameLocation, textSimilarity } from './similarity';
+
+const issue = (overrides) => ({
+  id: 'a', roomNumber: '101', issueTitle: 'Leaking tap', description: '', status: 'Submitted', ...overrides,
+});
+
+test('drops filler words and common endings', () => {
+  expect(getWords('The tap is dripping in the Bathroom!')).toEqual(['tap', 'drip', 'bathroom']);
+  expect(getWords('Lights flickered')).toEqual(['light', 'flicker']);
+});
+
+test('similar wordings score high and unrelated ones low', () => {
+  expect(textSimilarity('Dripping tap', 'tap drips')).toBeGreaterThan(0.7);
+  expect(textSimilarity('Shower not draining', 'Showr drain not working')).toBeGreaterThan(0.5);
+  expect(textSimilarity('Leaking tap', 'TV remote missing')).toBeLessThan(0.2);
+  expect(textSimilarity('', 'anything')).toBe(0);
+});
+
+test('Spanish and Urdu reports keep their words, with or without accents', () => {
+  expect(getWords('¿Baño sin agua caliente?')).toEqual(['bano', 'sin', 'agua', 'caliente']);
+  expect(getWords('باتھ روم کا نل ٹپک رہا ہے')).toEqual(['باتھ', 'روم', 'کا', 'نل', 'ٹپک', 'رہا', 'ہے']);
+
+  expect(textSimilarity('El grifo del baño gotea', 'grifo del bano gotea mucho')).toBeGreaterThan(0.7);
+  expect(textSimilarity('El grifo del baño gotea', 'No hay wifi')).toBeLessThan(0.2);
+  expect(textSimilarity('نل ٹپک رہا ہے', 'باتھ روم کا نل ٹپک رہا ہے')).toBeGreaterThan(0.7);
+  expect(textSimilarity('نل ٹپک رہا ہے', 'ٹی وی کام نہیں کر رہا')).toBeLessThan(DUPLICATE_THRESHOLD);
+});
+
+test('locations match by registry entry when both are linked, otherwise by room text', () => {
+  expect(isSameLocation({ locationId: 'l1', roomNumber: '101' }, { locationId: 'l2', roomNumber: '101' })).toBe(false);
+  expect(isSameLocation({ roomNumber: ' 101 ' }, { locationId: 'l1', roomNumber: '101' })).toBe(true);
+  expect(isSameLocation({ roomNumber: '' }, { roomNumber: '' })).toBe(false);
+});
+
+test('finds open issues at the same location with a similar description', () => {
+  const issues = [
+    issue({ id: 'same', issueTitle: 'Tap leaking in bathroom' }),
+    issue({ id: 'closed', issueTitle: 'Leaking tap', status: 'Completed' }),
+    issue({ id: 'elsewhere', issueTitle: 'Leaking tap', roomNumber: '102' }),
+    issue({ id: 'other', issueTitle: 'Broken lamp', description: 'Bedside lamp does not switch on' }),
+    issue({ id: 'described', issueTitle: 'Bathroom problem', description: 'The tap keeps leaking', status: 'In Progress' }),
+  ];
+
+  const matches = findPossibleDuplicates({ roomNumber: '101', issueTitle: 'Leaky tap', description: 'bathroom tap leaking' }, issues);
+
+  expect(matches.map(match => match.issue.id)).toEqual(['same', 'described']);
+  expect(matches[0].score).toBeGreaterThanOrEqual(matches[1].score);
+  expect(findPossibleDuplicates({ roomNumber: '101', issueTitle: '' }, issues)).toEqual([]);
+});
@@ -0,0 +1,121 @@
+// --- SLA ENGINE ---
+// Response and resolution targets per priority, and the due times / breach state
+// they give each FIR. Works for historical tickets too: when the explicit
+// respondedAt/resolvedAt stamps are missing, updatedAt is used as the best estimate.
+
+const MINUTE_MS = 60 * 1000;
+
+// Default targets, in minutes. Managers can override them (stored in settings/sla).
+export const DEFAULT_SLA_TARGETS = {
+    Critical: { responseMinutes: 15, resolutionMinutes: 2 * 60 },
+    High: { responseMinutes: 60, resolutionMinutes: 8 * 60 },
+    Medium: { responseMinutes: 4 * 60, resolutionMinutes: 24 * 60 },
+    Low: { responseMinutes: 24 * 60, resolutionMinutes: 72 * 60 },
+};
+
+const CLOSED_STATUSES = ["Completed", "Canceled"];
+
+/**
+ * Normalizes Firestore Timestamps, Dates, `{ seconds }` objects and epoch millis to a Date.
+ */
+export const toDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    if (typeof value === 'number') return new Date(value);
+    return null;
+};
+
+/**
+ * Merges stored overrides over the defaults so a partially configured
+ * settings document never leaves a priority without targets.
+ */
+export const mergeSlaTargets = (overrides) => {
+    const merged = {};
+    Object.keys(DEFAULT_SLA_TARGETS).forEach(priority => {
+        merged[priority] = { ...DEFAULT_SLA_TARGETS[priority], ...(overrides?.[priority] || {}) };
+    });
+    return merged;
+};
+
+const getRespondedAt = (fir) => {
+    if (fir.respondedAt) return toDate(fir.respondedAt);
+    // Historical tickets: anything past "Submitted" was responded to by its last update at the latest
+    return fir.status && fir.status !== "Submitted" ? toDate(fir.updatedAt) : null;
+};
+
+const getResolvedAt = (fir) => {
+    if (!CLOSED_STATUSES.includes(fir.status)) return null;
+    return toDate(fir.resolvedAt) || toDate(fir.updatedAt);
+};
+
+const evaluateTarget = (dueAt, doneAt, now) => {
+    if (!dueAt) return { state: 'na', remainingMs: null };
+    if (doneAt) {
+        return { state: doneAt <= dueAt ? 'met' : 'breached', remainingMs: dueAt - doneAt };
+    }
+    const remainingMs = dueAt - now;
+    return { state: remainingMs >= 0 ? 'pending' : 'overdue', remainingMs };
+};
+
+/**
+ * Computes due times and SLA state for one FIR.
+ * States: 'pending' (clock running), 'overdue' (still open past due),
+ * 'met', 'breached' (closed late) and 'na' (no target or canceled).
+ */
+export const computeSla = (fir, targets = DEFAULT_SLA_TARGETS, now = new Date()) => {
+    const createdAt = toDate(fir.createdAt);
+    const target = targets[fir.priority];
+
+    if (!createdAt || !target) {
+        return { responseDueAt: null, resolutionDueAt: null, response: evaluateTarget(null), resolution: evaluateTarget(null), breached: false };
+    }
+
+    const responseDueAt = new Date(createdAt.getTime() + target.responseMinutes * MINUTE_MS);
+    const resolutionDueAt = new Date(createdAt.getTime() + target.resolutionMinutes * MINUTE_MS);
+
+    const response = evaluateTarget(responseDueAt, getRespondedAt(fir), now);
+    // Canceled tickets are never "resolved", so they are excluded from the resolution target
+    const resolution = fir.status === "Canceled"
+        ? evaluateTarget(null)
+        : evaluateTarget(resolutionDueAt, getResolvedAt(fir), now);
+
+    const isBreached = (result) => result.state === 'breached' || result.state === 'overdue';
+
+    return {
+        responseDueAt,
+        resolutionDueAt,
+        response,
+        resolution,
+        breached: isBreached(response) || isBreached(resolution),
+    };
+};
+
+/**
+ * Whether an open FIR is overdue at `now`: past its resolution target, or past its
+ * response target while still waiting in "Submitted". This is the dashboard's
+ * "SLA Breached" figure, which fetchSlaBreachedCount (./issue-repository) counts
+ * on the server with the same definition. Unlike computeSla's `breached`, a late
+ * response that has since happened, or a late resolution, no longer counts.
+ */
+export const isOverdue = (fir, targets = DEFAULT_SLA_TARGETS, now = new Date()) => {
+    if (!fir.status || CLOSED_STATUSES.includes(fir.status)) return false;
+    const { responseDueAt, resolutionDueAt } = computeSla(fir, targets, now);
+    if (!resolutionDueAt) return false;
+    return now > resolutionDueAt || (fir.status === "Submitted" && now > responseDueAt);
+};
+
+/**
+ * Short human-readable duration, e.g. "12m", "1h 05m", "2d 3h".
+ */
+export const formatDuration = (ms) => {
+    const totalMinutes = Math.floor(Math.abs(ms) / MINUTE_MS);
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+    return `${minutes}m`;
+};
@@ -0,0 +1,78 @@
+import { DEFAULT_SLA_TARGETS, computeSla, formatDuration, isOverdue, mergeSlaTargets } from './sla';
+
+const created = new Date('2026-03-01T10:00:00Z');
+const minutesAfter = (minutes) => new Date(created.getTime() + minutes * 60 * 1000);
+
+test('open critical ticket counts down to its response target', () => {
+  const fir = { priority: 'Critical', status: 'Submitted', createdAt: created };
+  const sla = computeSla(fir, DEFAULT_SLA_TARGETS, minutesAfter(5));
+
+  expect(sla.responseDueAt).toEqual(minutesAfter(15));
+  expect(sla.resolutionDueAt).toEqual(minutesAfter(120));
+  expect(sla.response.state).toBe('pending');
+  expect(sla.breached).toBe(false);
+});
+
+test('unanswered critical ticket is overdue after 15 minutes', () => {
+  const fir = { priority: 'Critical', status: 'Submitted', createdAt: created };
+  const sla = computeSla(fir, DEFAULT_SLA_TARGETS, minutesAfter(20));
+
+  expect(sla.response.state).toBe('overdue');
+  expect(sla.breached).toBe(true);
+});
+
+test('historical tickets fall back to updatedAt for response and resolution', () => {
+  const fir = { priority: 'Critical', status: 'Completed', createdAt: { seconds: created.getTime() / 1000 }, updatedAt: minutesAfter(180) };
+  const sla = computeSla(fir, DEFAULT_SLA_TARGETS, minutesAfter(600));
+
+  expect(sla.response.state).toBe('breached');
+  expect(sla.resolution.state).toBe('breached');
+  expect(sla.breached).toBe(true);
+});
+
+test('explicit respondedAt/resolvedAt stamps win over updatedAt', () => {
+  const fir = {
+    priority: 'High',
+    status: 'Completed',
+    createdAt: created,
+    respondedAt: minutesAfter(30),
+    resolvedAt: minutesAfter(240),
+    updatedAt: minutesAfter(2000),
+  };
+  const sla = computeSla(fir, DEFAULT_SLA_TARGETS, minutesAfter(3000));
+
+  expect(sla.response.state).toBe('met');
+  expect(sla.resolution.state).toBe('met');
+  expect(sla.breached).toBe(false);
+});
+
+test('canceled tickets are excluded from the resolution target', () => {
+  const fir = { priority: 'Low', status: 'Canceled', createdAt: created, updatedAt: minutesAfter(10) };
+  expect(computeSla(fir, DEFAULT_SLA_TARGETS, minutesAfter(10000)).resolution.state).toBe('na');
+});
+
+test('only open tickets still past a deadline they can meet are overdue', () => {
+  const respondedLate = { priority: 'Critical', status: 'In Progress', createdAt: created, respondedAt: minutesAfter(30) };
+  expect(computeSla(respondedLate, DEFAULT_SLA_TARGETS, minutesAfter(60)).breached).toBe(true);
+  expect(isOverdue(respondedLate, DEFAULT_SLA_TARGETS, minutesAfter(60))).toBe(false);
+  expect(isOverdue(respondedLate, DEFAULT_SLA_TARGETS, minutesAfter(121))).toBe(true);
+
+  const unanswered = { priority: 'Critical', status: 'Submitted', createdAt: created };
+  expect(isOverdue(unanswered, DEFAULT_SLA_TARGETS, minutesAfter(15))).toBe(false);
+  expect(isOverdue(unanswered, DEFAULT_SLA_TARGETS, minutesAfter(16))).toBe(true);
+
+  const closedLate = { priority: 'Critical', status: 'Completed', createdAt: created, resolvedAt: minutesAfter(180) };
+  expect(isOverdue(closedLate, DEFAULT_SLA_TARGETS, minutesAfter(200))).toBe(false);
+});
+
+test('stored overrides are merged over the defaults', () => {
+  const targets = mergeSlaTargets({ Critical: { resolutionMinutes: 60 } });
+  expect(targets.Critical).toEqual({ responseMinutes: 15, resolutionMinutes: 60 });
+  expect(targets.Low).toEqual(DEFAULT_SLA_TARGETS.Low);
+});
+
+test('formats durations compactly', () => {
+  expect(formatDuration(12 * 60 * 1000)).toBe('12m');
+  expect(formatDuration(-65 * 60 * 1000)).toBe('1h 05m');
+  expect(formatDuration((2 * 24 + 3) * 60 * 60 * 1000)).toBe('2d 3h');
+});
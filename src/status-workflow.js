@@ -0,0 +1,82 @@
+// --- ISSUE STATUS WORKFLOW ---
+// The allowed status moves and what each one requires. Every status change goes
+// through applyStatusWorkflow before it is written; firestore.rules mirrors the
+// same transitions and guards on the server.
+
+export const STATUS_TRANSITIONS = {
+    "Submitted": ["In Progress", "Completed", "Canceled"],
+    "In Progress": ["Submitted", "Completed", "Canceled"],
+    "Completed": ["In Progress"], // Reopen
+    "Canceled": ["Submitted"], // Reopen
+};
+
+export const WORKFLOW_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const CLOSED_STATUSES = ["Completed", "Canceled"];
+
+export const OPEN_STATUSES = WORKFLOW_STATUSES.filter(status => !CLOSED_STATUSES.includes(status));
+
+export const CANCEL_REASONS = {
+    duplicate: "Duplicate report",
+    not_reproducible: "Could not reproduce",
+    guest_withdrew: "Guest withdrew request",
+    out_of_scope: "Not a maintenance issue",
+    vendor: "Handled by outside vendor",
+    other: "Other (explain)",
+};
+
+export const canTransition = (from, to) => Boolean(STATUS_TRANSITIONS[from]?.includes(to));
+
+export const isReopen = (from, to) => CLOSED_STATUSES.includes(from) && !CLOSED_STATUSES.includes(to);
+
+/**
+ * Statuses offered in a status picker: the current one plus every allowed move.
+ */
+export const getStatusOptions = (current) => [current, ...(STATUS_TRANSITIONS[current] || [])];
+
+/**
+ * Whether moving to `to` needs more than a click: notes, a reason or a reopen confirmation.
+ */
+export const requiresStatusDetails = (from, to) => to === "Completed" || to === "Canceled" || isReopen(from, to);
+
+/**
+ * Why `current` cannot move to `to` with the given details, or null if it can.
+ */
+export const getTransitionError = (current, to, details = {}) => {
+    const from = current.status;
+    if (from === to) return null;
+    if (!canTransition(from, to)) return `An issue cannot move from "${from}" to "${to}".`;
+    if (to === "Completed" && !String(details.resolutionNotes || "").trim()) {
+        return "Resolution notes are required to complete an issue.";
+    }
+    if (to === "Canceled") {
+        if (!CANCEL_REASONS[details.cancelReason]) return "A cancellation reason is required.";
+        if (details.cancelReason === "other" && !String(details.cancelNote || "").trim()) {
+            return "Explain the cancellation when the reason is \"Other\".";
+        }
+    }
+    return null;
+};
+
+/**
+ * Validates a change set against the workflow and returns it completed with the
+ * fields the move implies: a reopen bumps `reopenCount` and clears the previous
+ * resolution/cancellation. Throws when the move is not allowed. Applying it twice
+ * to the same issue gives the same result.
+ */
+export const applyStatusWorkflow = (current, changes) => {
+    if (!("status" in changes) || changes.status === current.status) return changes;
+
+    const error = getTransitionError(current, changes.status, changes);
+    if (error) throw new Error(error);
+
+    const result = { ...changes };
+    if (isReopen(current.status, changes.status)) {
+        result.reopenCount = (current.reopenCount || 0) + 1;
+        result.resolutionNotes = null;
+        result.resolutionImages = null;
+        result.cancelReason = null;
+        result.cancelNote = null;
+    }
+    return result;
+};
@@ -0,0 +1,37 @@
+import { applyStatusWorkflow, getStatusOptions, getTransitionError } from './status-workflow';
+
+test('only allowed moves are offered', () => {
+  expect(getStatusOptions('Completed')).toEqual(['Completed', 'In Progress']);
+  expect(getTransitionError({ status: 'Completed' }, 'Submitted')).toMatch(/cannot move/);
+  expect(getTransitionError({ status: 'Submitted' }, 'Submitted')).toBeNull();
+});
+
+test('completing requires resolution notes', () => {
+  const current = { status: 'In Progress' };
+
+  expect(() => applyStatusWorkflow(current, { status: 'Completed' })).toThrow(/Resolution notes/);
+  expect(applyStatusWorkflow(current, { status: 'Completed', resolutionNotes: 'Replaced valve' }))
+    .toEqual({ status: 'Completed', resolutionNotes: 'Replaced valve' });
+});
+
+test('canceling requires a reason code, and a note for "other"', () => {
+  const current = { status: 'Submitted' };
+
+  expect(getTransitionError(current, 'Canceled', {})).toMatch(/reason/);
+  expect(getTransitionError(current, 'Canceled', { cancelReason: 'bogus' })).toMatch(/reason/);
+  expect(getTransitionError(current, 'Canceled', { cancelReason: 'other' })).toMatch(/Other/);
+  expect(getTransitionError(current, 'Canceled', { cancelReason: 'duplicate' })).toBeNull();
+});
+
+test('reopening increments the counter and clears the old resolution', () => {
+  const current = { status: 'Completed', reopenCount: 1, resolutionNotes: 'Reset breaker' };
+  const changes = applyStatusWorkflow(current, { status: 'In Progress' });
+
+  expect(changes).toMatchObject({ status: 'In Progress', reopenCount: 2, resolutionNotes: null });
+  expect(applyStatusWorkflow(current, changes)).toEqual(changes);
+});
+
+test('changes without a status move pass through untouched', () => {
+  const changes = { priority: 'High' };
+  expect(applyStatusWorkflow({ status: 'Completed' }, changes)).toBe(changes);
+});
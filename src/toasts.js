@@ -0,0 +1,64 @@
+// --- TOASTS ---
+// Short messages about what just happened: an issue saved, a change that can
+// still be undone, a failure and why. The queue is plain data kept in React
+// state; the UI reads it out through ARIA live regions and drops each toast
+// when its time is up or it is closed.
+
+export const TOAST_TYPES = ["success", "info", "warning", "danger"];
+
+// Failures stay up longer, they are read more carefully than confirmations
+export const TOAST_DURATIONS_MS = { success: 4000, info: 5000, warning: 7000, danger: 10000 };
+
+// How long a change can be undone from its toast
+export const UNDO_WINDOW_MS = 8000;
+
+export const MAX_TOASTS = 4;
+
+let nextToastId = 1;
+
+/**
+ * A queue entry from `{ type, title, message, action }`, where `action` is an
+ * optional `{ label, onClick }` button (e.g. Undo). Toasts with an action stay
+ * for UNDO_WINDOW_MS unless `duration` says otherwise.
+ */
+export const createToast = ({ type = "info", title = null, message, action = null, duration }) => {
+    const toastType = TOAST_TYPES.includes(type) ? type : "info";
+    return {
+        id: nextToastId++,
+        type: toastType,
+        title,
+        message,
+        action,
+        duration: duration ?? Math.max(TOAST_DURATIONS_MS[toastType], action ? UNDO_WINDOW_MS : 0),
+    };
+};
+
+/**
+ * Appends `toast`, capped at `max`: the oldest confirmations make room first,
+ * so a failure is not pushed out by the messages after it.
+ */
+export const addToast = (toasts, toast, max = MAX_TOASTS) => {
+    const queue = [...toasts, toast];
+    while (queue.length > max) {
+        const oldest = queue.slice(0, -1).findIndex(item => item.type !== "danger");
+        queue.splice(Math.max(oldest, 0), 1);
+    }
+    return queue;
+};
+
+export const dismissToast = (toasts, id) => toasts.filter(toast => toast.id !== id);
+
+// Firestore codes whose own messages mean little to hotel staff
+const ERROR_CODE_MESSAGES = {
+    "permission-denied": "You do not have permission to make this change.",
+    "unavailable": "No connection. Check the network and try again.",
+};
+
+/**
+ * What to tell the user about a failed operation: the error's own message, or
+ * a plainer one for the backend errors they are likely to meet.
+ */
+export const getErrorMessage = (error) => {
+    const code = String(error?.code || "").replace(/^firestore\//, "");
+    return ERROR_CODE_MESSAGES[code] || error?.message || String(error || "") || "Something went wrong.";
+};
@@ -0,0 +1,44 @@
+import { TOAST_DURATIONS_MS, UNDO_WINDOW_MS, addToast, createToast, dismissToast, getErrorMessage } from './toasts';
+
+test('toasts get an id and a duration that depends on their type and action', () => {
+  const saved = createToast({ type: 'success', message: 'Saved' });
+  const failed = createToast({ type: 'danger', message: 'Failed' });
+  const undoable = createToast({ type: 'success', message: 'Changed', action: { label: 'Undo', onClick: () => {} } });
+
+  expect(failed.id).not.toBe(saved.id);
+  expect(saved.duration).toBe(TOAST_DURATIONS_MS.success);
+  expect(failed.duration).toBe(TOAST_DURATIONS_MS.danger);
+  expect(undoable.duration).toBe(UNDO_WINDOW_MS);
+  expect(createToast({ type: 'bogus', message: 'x' }).type).toBe('info');
+  expect(createToast({ message: 'x', duration: 100 }).duration).toBe(100);
+});
+
+test('a full queue drops its oldest confirmations before any failure', () => {
+  const failure = createToast({ type: 'danger', message: 'Failed' });
+  const first = createToast({ type: 'success', message: '1' });
+  const second = createToast({ type: 'success', message: '2' });
+  const third = createToast({ type: 'info', message: '3' });
+
+  const queue = [failure, first, second].reduce((toasts, toast) => addToast(toasts, toast, 3), []);
+  expect(addToast(queue, third, 3).map(toast => toast.message)).toEqual(['Failed', '2', '3']);
+
+  const failures = [failure, createToast({ type: 'danger', message: 'Also failed' })];
+  expect(addToast(failures, third, 2).map(toast => toast.message)).toEqual(['Also failed', '3']);
+});
+
+test('dismissing removes only that toast', () => {
+  const a = createToast({ message: 'a' });
+  const b = createToast({ message: 'b' });
+
+  expect(dismissToast([a, b], a.id)).toEqual([b]);
+  expect(dismissToast([a, b], 'missing')).toEqual([a, b]);
+});
+
+test('errors are described by their message, or plainly for common backend codes', () => {
+  expect(getErrorMessage(new Error('Issue FIR-0001 no longer exists.'))).toBe('Issue FIR-0001 no longer exists.');
+  expect(getErrorMessage(Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' })))
+    .toBe('You do not have permission to make this change.');
+  expect(getErrorMessage({ code: 'firestore/unavailable', message: 'Failed to get document because the client is offline.' }))
+    .toBe('No connection. Check the network and try again.');
+  expect(getErrorMessage(null)).toBe('Something went wrong.');
+});
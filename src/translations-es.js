@@ -0,0 +1,523 @@
+// Spanish UI texts, keyed by the English text (see ./i18n).
+
+const es = {
+    // Shared
+    "Language": "Idioma",
+    "Loading...": "Cargando...",
+    "Saving...": "Guardando...",
+    "Save": "Guardar",
+    "Cancel": "Cancelar",
+    "Close": "Cerrar",
+    "Back": "Volver",
+    "Add": "Añadir",
+    "Edit": "Editar",
+    "Remove": "Quitar",
+    "Previous": "Anterior",
+    "Next": "Siguiente",
+    "Open": "Abiertas",
+    "N/A": "N/D",
+    "ID": "ID",
+    "Issue": "Incidencia",
+    "Issues": "Incidencias",
+    "Title": "Título",
+    "title": "título",
+    "Description": "Descripción",
+    "description": "descripción",
+    "Type": "Tipo",
+    "Status": "Estado",
+    "Priority": "Prioridad",
+    "Department": "Departamento",
+    "Assignee": "Asignado a",
+    "Assignment": "Asignación",
+    "Room/Location": "Habitación/Ubicación",
+    "Photos": "Fotos",
+    "Comments": "Comentarios",
+    "History": "Historial",
+    "Guest": "Huésped",
+    "From": "Desde",
+    "To": "Hasta",
+    "to": "a",
+    "by {name}": "por {name}",
+    "1 issue logged": "1 incidencia registrada",
+    "{count} issues logged": "{count} incidencias registradas",
+    "1 photo": "1 foto",
+    "{count} photos": "{count} fotos",
+    "1 time": "1 vez",
+    "{count} times": "{count} veces",
+
+    // Stored values (statuses, priorities, departments, ...) shown in the UI
+    "Submitted": "Enviada",
+    "In Progress": "En curso",
+    "Completed": "Completada",
+    "Canceled": "Cancelada",
+    "Low": "Baja",
+    "Medium": "Media",
+    "High": "Alta",
+    "Critical": "Crítica",
+    "Unassigned": "Sin asignar",
+    "Plumbing": "Fontanería",
+    "Electrical": "Electricidad",
+    "Housekeeping": "Limpieza",
+    "HVAC": "Climatización",
+    "IT": "Informática",
+    "Reactive": "Correctiva",
+    "Preventive": "Preventiva",
+    "Front Desk": "Recepción",
+    "Technician": "Técnico",
+    "Manager": "Gerente",
+    "Room": "Habitación",
+    "Public area": "Zona común",
+    "Daily": "Diaria",
+    "Weekly": "Semanal",
+    "Monthly": "Mensual",
+    "Quarterly": "Trimestral",
+    "Yearly": "Anual",
+    "Duplicate report": "Reporte duplicado",
+    "Could not reproduce": "No se pudo reproducir",
+    "Guest withdrew request": "El huésped retiró la solicitud",
+    "Not a maintenance issue": "No es una incidencia de mantenimiento",
+    "Handled by outside vendor": "Atendida por un proveedor externo",
+    "Other (explain)": "Otro (explicar)",
+    "Resolution notes": "Notas de resolución",
+    "Cancel reason": "Motivo de cancelación",
+    "Cancel note": "Nota de cancelación",
+    "Reopen count": "Veces reabierta",
+    "Newest first": "Más recientes primero",
+    "Oldest first": "Más antiguas primero",
+    "Highest priority first": "Mayor prioridad primero",
+    "By status": "Por estado",
+    "CSV": "CSV",
+    "Excel": "Excel",
+    "PDF": "PDF",
+
+    // Sign-in and account
+    "Hotel FIR System": "Sistema FIR del hotel",
+    "Sign in with your staff account.": "Inicie sesión con su cuenta de personal.",
+    "Training mode.": "Modo de práctica.",
+    "Data stays in this browser. Sign in with PIN {pin} as:": "Los datos se quedan en este navegador. Inicie sesión con el PIN {pin} como:",
+    "Email": "Correo electrónico",
+    "Password or PIN": "Contraseña o PIN",
+    "Sign In": "Iniciar sesión",
+    "Incorrect email or password/PIN.": "Correo o contraseña/PIN incorrectos.",
+    "Too many attempts. Please wait a moment and try again.": "Demasiados intentos. Espere un momento y vuelva a intentarlo.",
+    "No connection. Check the network and try again.": "Sin conexión. Revise la red y vuelva a intentarlo.",
+    "Sign-in failed. Please contact a manager.": "No se pudo iniciar sesión. Contacte con un gerente.",
+    "No staff profile": "Sin perfil de personal",
+    "This account is signed in but has no staff role yet. Ask a manager to set up your profile.": "Esta cuenta ha iniciado sesión pero aún no tiene un rol de personal. Pida a un gerente que configure su perfil.",
+    "User ID:": "ID de usuario:",
+    "Your User ID (for data access):": "Su ID de usuario (para el acceso a datos):",
+    "Sign out": "Cerrar sesión",
+    "Loading profile...": "Cargando perfil...",
+    "Connecting...": "Conectando...",
+
+    // Navigation
+    "Data is kept in this browser only": "Los datos solo se guardan en este navegador",
+    "Training mode": "Modo de práctica",
+    "Dashboard": "Panel",
+    "Submit Issue (Interface 1)": "Enviar incidencia (Interfaz 1)",
+    "Manage Issues (Interface 2)": "Gestionar incidencias (Interfaz 2)",
+    "My Jobs": "Mis trabajos",
+    "Analytics": "Análisis",
+    "Rooms & Locations": "Habitaciones y ubicaciones",
+    "Preventive Maintenance": "Mantenimiento preventivo",
+    "1 pending upload": "1 envío pendiente",
+    "{count} pending uploads": "{count} envíos pendientes",
+    "Upload failed": "Envío fallido",
+    "Discard {id}": "Descartar {id}",
+
+    // Submitting an issue
+    "New Maintenance Request": "Nueva solicitud de mantenimiento",
+    "Last logged: {id}": "Última registrada: {id}",
+    "ID assigned on submit": "El ID se asigna al enviar",
+    "Request Submitted!": "¡Solicitud enviada!",
+    "Your maintenance issue has been logged successfully as {id}.": "Su incidencia de mantenimiento se registró correctamente como {id}.",
+    "Added to Existing Issue": "Añadido a una incidencia existente",
+    "Your report was added as a note on {id}.": "Su reporte se añadió como nota en {id}.",
+    "Connection Error": "Error de conexión",
+    "Cannot submit form. Please ensure you are authenticated.": "No se puede enviar el formulario. Compruebe que ha iniciado sesión.",
+    "Saved Offline": "Guardado sin conexión",
+    "No connection right now. Your request is saved as {id} and will upload automatically.": "Ahora no hay conexión. Su solicitud se guardó como {id} y se enviará automáticamente.",
+    "Submission Failed": "Error al enviar",
+    "e.g., Room 301 or Lobby A": "p. ej., Habitación 301 o Vestíbulo A",
+    "Pick a room or area from the registry.": "Elija una habitación o zona del registro.",
+    "Issue Title": "Título de la incidencia",
+    "e.g., AC is making noise": "p. ej., el aire acondicionado hace ruido",
+    "Detailed Description": "Descripción detallada",
+    "Describe the issue in detail...": "Describa la incidencia en detalle...",
+    "This may already be reported": "Puede que esto ya se haya reportado",
+    "Reported again as": "Reportada de nuevo como",
+    "Adding...": "Añadiendo...",
+    "Add my note to {id}": "Añadir mi nota a {id}",
+    "Only the first photo is attached to the note.": "Solo se adjunta la primera foto a la nota.",
+    "Submitting anyway files a new ticket flagged as a possible duplicate of {id}.": "Si la envía de todos modos, se crea una incidencia nueva marcada como posible duplicado de {id}.",
+    "Possible duplicate of {id}": "Posible duplicado de {id}",
+    "Suggested Priority": "Prioridad sugerida",
+    "Photos/Evidence (Optional, up to {count})": "Fotos/pruebas (opcional, hasta {count})",
+    "Uploading {name}": "Subiendo {name}",
+    "Submitting...": "Enviando...",
+    "Submit Maintenance Request": "Enviar solicitud de mantenimiento",
+    "Waiting for connection and authentication...": "Esperando conexión y autenticación...",
+
+    // Toasts
+    "Undo": "Deshacer",
+    "{id}: {field} changed to {value}.": "{id}: {field} cambió a {value}.",
+    "{id}: {field} changed back to {value}.": "{id}: {field} volvió a {value}.",
+    "Could not save the change": "No se pudo guardar el cambio",
+    "Could not undo the change": "No se pudo deshacer el cambio",
+    "Could not change the status": "No se pudo cambiar el estado",
+    "Could not assign the issue": "No se pudo asignar la incidencia",
+    "Could not accept the job": "No se pudo aceptar el trabajo",
+    "Export failed": "Error al exportar",
+    "Hotel Maintenance Report": "Informe de mantenimiento del hotel",
+    "Generated {date}": "Generado el {date}",
+    "Partial export: only the {count} issues loaded so far. Load more issues in the list to export the rest.": "Exportación parcial: solo las {count} incidencias cargadas hasta ahora. Cargue más incidencias en la lista para exportar el resto.",
+    "FIR ID": "ID de FIR",
+    "Created": "Creada",
+    "Last Updated": "Última actualización",
+    "Reopens": "Reaperturas",
+    "Search": "Búsqueda",
+    "Could not create the QR codes": "No se pudieron crear los códigos QR",
+    "You do not have permission to make this change.": "No tiene permiso para hacer este cambio.",
+    "Something went wrong.": "Algo salió mal.",
+    "This job is not waiting for your acceptance.": "Este trabajo no está pendiente de que usted lo acepte.",
+    "There are no active rooms in the registry.": "No hay habitaciones activas en el registro.",
+
+    // Issue list and bulk updates
+    "Technician Dashboard": "Panel de técnicos",
+    "Export the issues shown below": "Exportar las incidencias mostradas",
+    "Search loaded issues by ID, Room, or Title...": "Buscar en las incidencias cargadas por ID, habitación o título...",
+    "All Priorities": "Todas las prioridades",
+    "All Departments": "Todos los departamentos",
+    "Issues to show": "Incidencias a mostrar",
+    "Open issues only": "Solo incidencias abiertas",
+    "All issues": "Todas las incidencias",
+    "Created from": "Creadas desde",
+    "Created to": "Creadas hasta",
+    "Sort issues": "Ordenar incidencias",
+    "{count} selected": "{count} seleccionadas",
+    "Set status": "Cambiar estado",
+    "Status: no change": "Estado: sin cambios",
+    "Resolution notes (required)": "Notas de resolución (obligatorio)",
+    "Cancellation reason": "Motivo de cancelación",
+    "Reason (required)": "Motivo (obligatorio)",
+    "Note (required)": "Nota (obligatoria)",
+    "Cancellation note": "Nota de cancelación",
+    "Set priority": "Cambiar prioridad",
+    "Priority: no change": "Prioridad: sin cambios",
+    "Set department": "Cambiar departamento",
+    "Department: no change": "Departamento: sin cambios",
+    "Set assignee": "Cambiar asignado",
+    "Assignee: no change": "Asignado: sin cambios",
+    "Review & Apply": "Revisar y aplicar",
+    "Clear selection": "Borrar selección",
+    "Syncing Real-Time Data...": "Sincronizando datos en tiempo real...",
+    "No maintenance issues found matching your criteria.": "No hay incidencias de mantenimiento que coincidan con los criterios.",
+    "Select all issues shown": "Seleccionar todas las incidencias mostradas",
+    "ID / Room": "ID / Habitación",
+    "Issue Title & Details": "Título y detalles",
+    "Select {id}": "Seleccionar {id}",
+    "Hide history": "Ocultar historial",
+    "Hide comments": "Ocultar comentarios",
+    "Comments ({count})": "Comentarios ({count})",
+    "{count} unread comments": "{count} comentarios sin leer",
+    "Show all details": "Ver todos los detalles",
+    "Reported by a guest from the room's QR code": "Reportada por un huésped con el código QR de la habitación",
+    "Assignee for {id}": "Asignado de {id}",
+    "Status for {id}": "Estado de {id}",
+    "Priority for {id}": "Prioridad de {id}",
+    "Department for {id}": "Departamento de {id}",
+    "Accept job": "Aceptar trabajo",
+    "Awaiting acceptance": "Pendiente de aceptar",
+    "Accepted": "Aceptado",
+    "Showing 1 issue": "Mostrando 1 incidencia",
+    "Showing {count} issues": "Mostrando {count} incidencias",
+    "(all loaded)": "(todas cargadas)",
+    "Load {count} more": "Cargar {count} más",
+    "Bulk update finished": "Actualización masiva terminada",
+    "Confirm bulk update": "Confirmar actualización masiva",
+    "Changes:": "Cambios:",
+    "Will be applied to 1 issue:": "Se aplicará a 1 incidencia:",
+    "Will be applied to {count} issues:": "Se aplicará a {count} incidencias:",
+    "{count} updated": "{count} actualizadas",
+    "{count} already had these values": "{count} ya tenían estos valores",
+    "{count} failed": "{count} con error",
+    "Not updated:": "No actualizadas:",
+    "Will be skipped:": "Se omitirán:",
+    "All issues are saved together: if one cannot be saved, none are.": "Todas las incidencias se guardan a la vez: si una no se puede guardar, no se guarda ninguna.",
+    "A bulk update can change at most {max} issues at once. Select fewer issues.": "Una actualización masiva puede cambiar como máximo {max} incidencias a la vez. Selecciona menos incidencias.",
+    "Applying...": "Aplicando...",
+    "Apply to 1 issue": "Aplicar a 1 incidencia",
+    "Apply to {count} issues": "Aplicar a {count} incidencias",
+    "Your role cannot change {field}.": "Su rol no puede cambiar {field}.",
+    "You are not allowed to change {field} on this issue.": "No tiene permiso para cambiar {field} en esta incidencia.",
+
+    // Edit conflicts
+    "This issue was changed by someone else in the meantime.": "Otra persona cambió esta incidencia mientras tanto.",
+    "{id} was changed in the meantime": "{id} cambió mientras tanto",
+    "{name} changed this issue at {time}, after you had opened it.": "{name} cambió esta incidencia a las {time}, después de que usted la abriera.",
+    "Field": "Campo",
+    "Current value": "Valor actual",
+    "Your change": "Su cambio",
+    "Use their version": "Usar su versión",
+    "Keep my change": "Mantener mi cambio",
+
+    // Technician jobs
+    "Room:": "Habitación:",
+    "Priority:": "Prioridad:",
+    "Opened {duration} ago": "Abierta hace {duration}",
+    "No open jobs assigned to you.": "No tiene trabajos abiertos asignados.",
+
+    // Issue details, history, comments and photos
+    "Open page": "Abrir página",
+    "Loading {id}...": "Cargando {id}...",
+    "{id} no longer exists.": "{id} ya no existe.",
+    "There is no issue {id}. Check the link, or search the issue list.": "No existe la incidencia {id}. Revise el enlace o busque en la lista de incidencias.",
+    "Display ID": "ID visible",
+    "Reported by": "Reportada por",
+    "Last updated": "Última actualización",
+    "Responded": "Respondida",
+    "Resolved": "Resuelta",
+    "Reopened": "Reabierta",
+    "Last comment": "Último comentario",
+    "Legacy ID": "ID antiguo",
+    "Copied from old app": "Copiada de la aplicación antigua",
+    "Guest (room QR code)": "Huésped (código QR de la habitación)",
+    "Edit {field}": "Editar {field}",
+    "Edit room": "Editar habitación",
+    "Show every issue for this location": "Ver todas las incidencias de esta ubicación",
+    "No description.": "Sin descripción.",
+    "No photos.": "Sin fotos.",
+    "Remove {name} from {id}?": "¿Quitar {name} de {id}?",
+    "Remove {name}": "Quitar {name}",
+    "Add photos ({count} more allowed)": "Añadir fotos (se permiten {count} más)",
+    "Uploading photos": "Subiendo fotos",
+    "SLA": "SLA",
+    "Gallery": "Galería",
+    "Open original": "Abrir original",
+    "Show {name}": "Mostrar {name}",
+    "View {name}": "Ver {name}",
+    "View {count} attachment(s)": "Ver {count} adjunto(s)",
+    "Loading history...": "Cargando historial...",
+    "No history recorded for this issue yet.": "Todavía no hay historial de esta incidencia.",
+    "created the issue ({field}: {value})": "creó la incidencia ({field}: {value})",
+    "changed {field} from {from} to {to}": "cambió {field} de {from} a {to}",
+    "Loading comments...": "Cargando comentarios...",
+    "No comments yet.": "Todavía no hay comentarios.",
+    "Guest-visible": "Visible para el huésped",
+    "Internal": "Interno",
+    "Add a comment": "Añadir un comentario",
+    "e.g., Waiting on replacement part": "p. ej., esperando una pieza de repuesto",
+    "Attach a photo": "Adjuntar una foto",
+    "Comment visibility": "Visibilidad del comentario",
+    "Internal (staff only)": "Interno (solo personal)",
+    "Posting...": "Publicando...",
+    "Post Comment": "Publicar comentario",
+
+    // Status changes
+    "Reopen {id}": "Reabrir {id}",
+    "Complete {id}": "Completar {id}",
+    "Cancel {id}": "Cancelar {id}",
+    "What was wrong and what was done": "Qué fallaba y qué se hizo",
+    "\"After\" photos (optional)": "Fotos del \"después\" (opcional)",
+    "Reason": "Motivo",
+    "Choose a reason...": "Elija un motivo...",
+    "Note": "Nota",
+    "Note (optional)": "Nota (opcional)",
+    "The previous resolution stays in the history.": "La resolución anterior se conserva en el historial.",
+    "The previous cancellation stays in the history.": "La cancelación anterior se conserva en el historial.",
+    "This will be reopen #{count} for this issue.": "Esta será la reapertura n.º {count} de esta incidencia.",
+    "Reopen": "Reabrir",
+    "Mark {status}": "Marcar como {status}",
+    "Reopened ×{count}": "Reabierta ×{count}",
+    "Resolution:": "Resolución:",
+    "{id} after": "{id} después",
+    "Canceled:": "Cancelada:",
+    "Resolution notes are required to complete an issue.": "Para completar una incidencia hacen falta notas de resolución.",
+    "A cancellation reason is required.": "Hace falta un motivo de cancelación.",
+    "Explain the cancellation when the reason is \"Other\".": "Explique la cancelación cuando el motivo es \"Otro\".",
+
+    // Response and resolution targets (SLA)
+    "Response due {response} · Resolution due {resolution}": "Respuesta antes de {response} · Resolución antes de {resolution}",
+    "Response overdue {time}": "Respuesta atrasada {time}",
+    "Respond in {time}": "Responder en {time}",
+    "Overdue {time}": "Atrasada {time}",
+    "Resolve in {time}": "Resolver en {time}",
+    "SLA breached": "SLA incumplido",
+    "SLA met": "SLA cumplido",
+    "Response (min)": "Respuesta (min)",
+    "Resolution (min)": "Resolución (min)",
+    "{priority} response minutes": "Minutos de respuesta ({priority})",
+    "{priority} resolution minutes": "Minutos de resolución ({priority})",
+    "Save SLA Targets": "Guardar objetivos de SLA",
+    "SLA Targets": "Objetivos de SLA",
+
+    // Alerts
+    "{priority} issue {id}": "Incidencia {priority} {id}",
+    "Alert me about new issues": "Avisarme de incidencias nuevas",
+    "Minimum priority": "Prioridad mínima",
+    "Any priority": "Cualquier prioridad",
+    "{priority} and above": "{priority} o superior",
+    "Only {department} (and unrouted issues)": "Solo {department} (y las incidencias sin departamento)",
+    "Only my department (and unrouted issues)": "Solo mi departamento (y las incidencias sin departamento)",
+    "Desktop popups": "Avisos en el escritorio",
+    "Popups are blocked in this browser's site settings.": "Los avisos están bloqueados en la configuración del sitio de este navegador.",
+    "Play a chime": "Reproducir un sonido",
+    "Alerts": "Avisos",
+    "Mark all read": "Marcar todo como leído",
+    "Rules": "Reglas",
+    "Unread": "Sin leer",
+    "No alerts yet.": "Todavía no hay avisos.",
+
+    // Dashboard and analytics
+    "Hotel Maintenance Overview": "Resumen de mantenimiento del hotel",
+    "Total Issues": "Total de incidencias",
+    "Pending (Submitted/In Progress)": "Pendientes (enviadas/en curso)",
+    "High/Critical Priority": "Prioridad alta/crítica",
+    "SLA Breached": "SLA incumplido",
+    "Top 5 Pending Issues": "5 principales incidencias pendientes",
+    "No active pending issues.": "No hay incidencias pendientes.",
+    "Each report covers the issues opened within its own date range (last {count} days by default).": "Cada informe abarca las incidencias abiertas en su propio rango de fechas (por defecto, los últimos {count} días).",
+    "{report} from": "{report} desde",
+    "{report} to": "{report} hasta",
+    "Could not load issues for this report.": "No se pudieron cargar las incidencias de este informe.",
+    "Time to Resolve by Department": "Tiempo de resolución por departamento",
+    "Mean and median time from submission until the issue was marked Completed.": "Tiempo medio y mediano desde el envío hasta que la incidencia se marcó como completada.",
+    "No issues opened in this period have been completed yet.": "Ninguna incidencia abierta en este periodo se ha completado todavía.",
+    "Mean": "Media",
+    "Median": "Mediana",
+    "Reopen Rate by Department": "Tasa de reapertura por departamento",
+    "Share of issues that had to be reopened after being completed or canceled.": "Proporción de incidencias que hubo que reabrir tras completarse o cancelarse.",
+    "No issues were opened in this period.": "No se abrió ninguna incidencia en este periodo.",
+    "Total Reopens": "Total de reaperturas",
+    "Reopen Rate": "Tasa de reapertura",
+    "Opened vs. Closed per Week": "Abiertas frente a cerradas por semana",
+    "Issues opened each week, and issues completed or canceled each week.": "Incidencias abiertas cada semana e incidencias completadas o canceladas cada semana.",
+    "Opened vs. closed per week": "Abiertas frente a cerradas por semana",
+    "Opened": "Abiertas",
+    "Closed": "Cerradas",
+    "Priority Mix over Time": "Prioridades a lo largo del tiempo",
+    "Issues opened each week, by priority.": "Incidencias abiertas cada semana, por prioridad.",
+    "Priority mix per week": "Prioridades por semana",
+    "Week of {week} · {series}: {value}": "Semana del {week} · {series}: {value}",
+    "Hotspots": "Puntos críticos",
+    "Rooms and locations with the most issues.": "Habitaciones y ubicaciones con más incidencias.",
+    "No locations recorded in this period.": "No hay ubicaciones registradas en este periodo.",
+    "Most Affected": "Más afectado",
+
+    // Rooms and locations
+    "Printable sheet with one QR code per room for guests to report problems": "Hoja imprimible con un código QR por habitación para que los huéspedes reporten problemas",
+    "Guest QR codes (PDF)": "Códigos QR para huéspedes (PDF)",
+    "Filter locations": "Filtrar ubicaciones",
+    "Search rooms and areas...": "Buscar habitaciones y zonas...",
+    "The registry is empty.": "El registro está vacío.",
+    "No matching locations.": "No hay ubicaciones que coincidan.",
+    "Edit {name}": "Editar {name}",
+    "Add Location": "Añadir ubicación",
+    "Select a room or area to see every issue logged for it.": "Seleccione una habitación o zona para ver todas sus incidencias.",
+    "Room number": "Número de habitación",
+    "Area name": "Nombre de la zona",
+    "Building": "Edificio",
+    "Floor": "Planta",
+    "Other names (comma-separated)": "Otros nombres (separados por comas)",
+    "e.g., Front Lobby, Reception": "p. ej., Vestíbulo principal, Recepción",
+    "Active (archived locations are hidden from the submission form)": "Activa (las ubicaciones archivadas no aparecen en el formulario de envío)",
+    "Save Location": "Guardar ubicación",
+    "Could not save this location.": "No se pudo guardar esta ubicación.",
+    "Archived": "Archivada",
+    "Also known as {names}": "También conocida como {names}",
+    "Loading issues...": "Cargando incidencias...",
+    "{count} open": "{count} abiertas",
+    "No issues logged for this location.": "No hay incidencias registradas en esta ubicación.",
+    "Map Existing Room Values": "Vincular valores de habitación existentes",
+    "Links issues logged before the registry existed to a registry entry. Unmapped values are left as they are.": "Vincula a una entrada del registro las incidencias registradas antes de que existiera. Los valores sin vincular no se modifican.",
+    "Scanning...": "Analizando...",
+    "Scan existing issues": "Analizar incidencias existentes",
+    "Could not read the existing issues.": "No se pudieron leer las incidencias existentes.",
+    "Every issue is linked to the registry.": "Todas las incidencias están vinculadas al registro.",
+    "Entered as": "Introducida como",
+    "Registry location": "Ubicación del registro",
+    "(blank)": "(en blanco)",
+    "Registry location for {value}": "Ubicación del registro para {value}",
+    "— Leave unmapped —": "— Dejar sin vincular —",
+    "Linking...": "Vinculando...",
+    "Link 1 issue": "Vincular 1 incidencia",
+    "Link {count} issues": "Vincular {count} incidencias",
+    "1 issue linked.": "1 incidencia vinculada.",
+    "{count} issues linked.": "{count} incidencias vinculadas.",
+    "{count} failed (try again).": "{count} con error (vuelva a intentarlo).",
+
+    // Preventive maintenance
+    "Plans": "Planes",
+    "Add Plan": "Añadir plan",
+    "New Plan": "Nuevo plan",
+    "Plan": "Plan",
+    "Schedule": "Calendario",
+    "Next Due": "Próxima fecha",
+    "1 checklist step": "1 paso de la lista",
+    "{count} checklist steps": "{count} pasos de la lista",
+    "Paused": "En pausa",
+    "No maintenance plans yet.": "Todavía no hay planes de mantenimiento.",
+    "Scheduled {date}": "Programada para el {date}",
+    "Checklist (1 step)": "Lista de comprobación (1 paso)",
+    "Checklist ({count} steps)": "Lista de comprobación ({count} pasos)",
+    "Plan name (used as the issue title)": "Nombre del plan (se usa como título de la incidencia)",
+    "e.g., Replace HVAC filters": "p. ej., Cambiar los filtros de climatización",
+    "Repeats": "Se repite",
+    "Every": "Cada",
+    "First due": "Primera fecha",
+    "Checklist (one step per line)": "Lista de comprobación (un paso por línea)",
+    "Active (paused plans generate no issues)": "Activo (los planes en pausa no generan incidencias)",
+    "Save Plan": "Guardar plan",
+    "Could not save this plan.": "No se pudo guardar este plan.",
+    "Previous month": "Mes anterior",
+    "Next month": "Mes siguiente",
+    "not generated": "no generada",
+
+    // Legacy data
+    "Legacy Data": "Datos antiguos",
+    "Copies issues logged by the old app (maintenance_issues) into the current list with today's status and department names. Copies get new FIR numbers; the old number is kept. The old documents are not changed.": "Copia las incidencias registradas por la aplicación antigua (maintenance_issues) en la lista actual con los nombres de estado y departamento de hoy. Las copias reciben números FIR nuevos; se conserva el número antiguo. Los documentos antiguos no se modifican.",
+    "Dry run: {toCopy} to copy, {already} already copied, {invalid} cannot be copied.": "Simulación: {toCopy} por copiar, {already} ya copiadas, {invalid} no se pueden copiar.",
+    "{copied} copied, {already} already copied, {invalid} cannot be copied, {failed} failed (run again to retry).": "{copied} copiadas, {already} ya copiadas, {invalid} no se pueden copiar, {failed} con error (vuelva a ejecutar para reintentar).",
+    "Could not read the legacy issues. Check your connection and permissions.": "No se pudieron leer las incidencias antiguas. Revise la conexión y los permisos.",
+    "Legacy document": "Documento antiguo",
+    "Result": "Resultado",
+    "Copied as is": "Copiada sin cambios",
+    "Checking...": "Comprobando...",
+    "Dry run": "Simulación",
+    "Copying...": "Copiando...",
+    "Copy 1 issue": "Copiar 1 incidencia",
+    "Copy {count} issues": "Copiar {count} incidencias",
+    "Every issue already has its sort keys.": "Todas las incidencias ya tienen sus claves de orden.",
+    "Sort keys added to 1 issue.": "Claves de orden añadidas a 1 incidencia.",
+    "Sort keys added to {count} issues.": "Claves de orden añadidas a {count} incidencias.",
+    "Could not update the issues. Check your connection and permissions.": "No se pudieron actualizar las incidencias. Revise la conexión y los permisos.",
+    "Issues saved before the list could be sorted by priority or status are left out of those orders until their sort keys are added. Safe to run more than once.": "Las incidencias guardadas antes de poder ordenar la lista por prioridad o estado quedan fuera de esos órdenes hasta que se añadan sus claves de orden. Se puede ejecutar más de una vez sin problema.",
+    "Updating...": "Actualizando...",
+    "Add missing sort keys": "Añadir las claves de orden que faltan",
+
+    // Guest reporting page
+    "Report a problem": "Reportar un problema",
+    "What is the problem?": "¿Cuál es el problema?",
+    "Kettle, minibar or appliance": "Hervidor, minibar u otro aparato",
+    "TV or remote": "TV o mando a distancia",
+    "Wi-Fi": "Wi-Fi",
+    "Air conditioning or heating": "Aire acondicionado o calefacción",
+    "Lights or power sockets": "Luces o enchufes",
+    "Water, shower or toilet": "Agua, ducha o inodoro",
+    "Door, lock or safe": "Puerta, cerradura o caja fuerte",
+    "Cleaning or housekeeping": "Limpieza o servicio de habitaciones",
+    "Something else": "Otra cosa",
+    "Anything we should know? (optional)": "¿Algo que debamos saber? (opcional)",
+    "Photo (optional)": "Foto (opcional)",
+    "Send report": "Enviar reporte",
+    "Thank you!": "¡Gracias!",
+    "Your report has been passed to the front desk. Your reference is {reference}.": "Su reporte se ha enviado a recepción. Su referencia es {reference}.",
+    "Report another problem": "Reportar otro problema",
+    "This code is missing its room. Please call the front desk.": "A este código le falta la habitación. Llame a recepción.",
+    "Choose what the problem is about.": "Elija de qué trata el problema.",
+    "You have sent several reports already. Please try again in {minutes} minutes or call the front desk.": "Ya ha enviado varios reportes. Vuelva a intentarlo dentro de {minutes} minutos o llame a recepción.",
+    "Reporting is not available right now. Please call the front desk.": "Ahora no se pueden enviar reportes. Llame a recepción.",
+    "Your report could not be sent. Please try again or call the front desk.": "No se pudo enviar su reporte. Vuelva a intentarlo o llame a recepción.",
+};
+
+export default es;
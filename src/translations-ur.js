@@ -0,0 +1,523 @@
+// Urdu UI texts, keyed by the English text (see ./i18n).
+
+const ur = {
+    // Shared
+    "Language": "زبان",
+    "Loading...": "لوڈ ہو رہا ہے...",
+    "Saving...": "محفوظ ہو رہا ہے...",
+    "Save": "محفوظ کریں",
+    "Cancel": "منسوخ کریں",
+    "Close": "بند کریں",
+    "Back": "واپس",
+    "Add": "شامل کریں",
+    "Edit": "ترمیم کریں",
+    "Remove": "ہٹائیں",
+    "Previous": "پچھلا",
+    "Next": "اگلا",
+    "Open": "کھلے",
+    "N/A": "دستیاب نہیں",
+    "ID": "آئی ڈی",
+    "Issue": "مسئلہ",
+    "Issues": "مسائل",
+    "Title": "عنوان",
+    "title": "عنوان",
+    "Description": "تفصیل",
+    "description": "تفصیل",
+    "Type": "قسم",
+    "Status": "حالت",
+    "Priority": "ترجیح",
+    "Department": "شعبہ",
+    "Assignee": "ذمہ دار",
+    "Assignment": "تفویض",
+    "Room/Location": "کمرہ/مقام",
+    "Photos": "تصاویر",
+    "Comments": "تبصرے",
+    "History": "تاریخچہ",
+    "Guest": "مہمان",
+    "From": "سے",
+    "To": "تک",
+    "to": "تا",
+    "by {name}": "از {name}",
+    "1 issue logged": "1 مسئلہ درج",
+    "{count} issues logged": "{count} مسائل درج",
+    "1 photo": "1 تصویر",
+    "{count} photos": "{count} تصاویر",
+    "1 time": "1 بار",
+    "{count} times": "{count} بار",
+
+    // Stored values (statuses, priorities, departments, ...) shown in the UI
+    "Submitted": "جمع شدہ",
+    "In Progress": "جاری",
+    "Completed": "مکمل",
+    "Canceled": "منسوخ",
+    "Low": "کم",
+    "Medium": "درمیانی",
+    "High": "زیادہ",
+    "Critical": "انتہائی اہم",
+    "Unassigned": "غیر تفویض شدہ",
+    "Plumbing": "پلمبنگ",
+    "Electrical": "بجلی",
+    "Housekeeping": "ہاؤس کیپنگ",
+    "HVAC": "ایچ وی اے سی",
+    "IT": "آئی ٹی",
+    "Reactive": "ردعملی",
+    "Preventive": "احتیاطی",
+    "Front Desk": "فرنٹ ڈیسک",
+    "Technician": "ٹیکنیشن",
+    "Manager": "مینیجر",
+    "Room": "کمرہ",
+    "Public area": "عوامی جگہ",
+    "Daily": "روزانہ",
+    "Weekly": "ہفتہ وار",
+    "Monthly": "ماہانہ",
+    "Quarterly": "سہ ماہی",
+    "Yearly": "سالانہ",
+    "Duplicate report": "دہرائی گئی رپورٹ",
+    "Could not reproduce": "مسئلہ دوبارہ ظاہر نہیں ہوا",
+    "Guest withdrew request": "مہمان نے درخواست واپس لے لی",
+    "Not a maintenance issue": "دیکھ بھال کا مسئلہ نہیں",
+    "Handled by outside vendor": "بیرونی وینڈر نے نمٹایا",
+    "Other (explain)": "دیگر (وضاحت کریں)",
+    "Resolution notes": "حل کے نوٹس",
+    "Cancel reason": "منسوخی کی وجہ",
+    "Cancel note": "منسوخی کا نوٹ",
+    "Reopen count": "دوبارہ کھولنے کی تعداد",
+    "Newest first": "نئے پہلے",
+    "Oldest first": "پرانے پہلے",
+    "Highest priority first": "زیادہ ترجیح پہلے",
+    "By status": "حالت کے لحاظ سے",
+    "CSV": "CSV",
+    "Excel": "ایکسل",
+    "PDF": "PDF",
+
+    // Sign-in and account
+    "Hotel FIR System": "ہوٹل FIR سسٹم",
+    "Sign in with your staff account.": "اپنے عملے کے اکاؤنٹ سے سائن ان کریں۔",
+    "Training mode.": "تربیتی موڈ۔",
+    "Data stays in this browser. Sign in with PIN {pin} as:": "ڈیٹا اسی براؤزر میں رہتا ہے۔ PIN {pin} کے ساتھ اس طور سائن ان کریں:",
+    "Email": "ای میل",
+    "Password or PIN": "پاس ورڈ یا PIN",
+    "Sign In": "سائن ان",
+    "Incorrect email or password/PIN.": "ای میل یا پاس ورڈ/PIN غلط ہے۔",
+    "Too many attempts. Please wait a moment and try again.": "بہت زیادہ کوششیں۔ براہ کرم تھوڑا انتظار کر کے دوبارہ کوشش کریں۔",
+    "No connection. Check the network and try again.": "کنکشن نہیں ہے۔ نیٹ ورک چیک کر کے دوبارہ کوشش کریں۔",
+    "Sign-in failed. Please contact a manager.": "سائن ان ناکام رہا۔ براہ کرم کسی مینیجر سے رابطہ کریں۔",
+    "No staff profile": "عملے کا پروفائل نہیں",
+    "This account is signed in but has no staff role yet. Ask a manager to set up your profile.": "یہ اکاؤنٹ سائن ان ہے لیکن ابھی اس کا کوئی عملے کا کردار نہیں۔ کسی مینیجر سے اپنا پروفائل بنوائیں۔",
+    "User ID:": "یوزر آئی ڈی:",
+    "Your User ID (for data access):": "آپ کی یوزر آئی ڈی (ڈیٹا تک رسائی کے لیے):",
+    "Sign out": "سائن آؤٹ",
+    "Loading profile...": "پروفائل لوڈ ہو رہا ہے...",
+    "Connecting...": "رابطہ ہو رہا ہے...",
+
+    // Navigation
+    "Data is kept in this browser only": "ڈیٹا صرف اسی براؤزر میں رکھا جاتا ہے",
+    "Training mode": "تربیتی موڈ",
+    "Dashboard": "ڈیش بورڈ",
+    "Submit Issue (Interface 1)": "مسئلہ جمع کریں (انٹرفیس 1)",
+    "Manage Issues (Interface 2)": "مسائل کا انتظام (انٹرفیس 2)",
+    "My Jobs": "میرے کام",
+    "Analytics": "تجزیات",
+    "Rooms & Locations": "کمرے اور مقامات",
+    "Preventive Maintenance": "احتیاطی دیکھ بھال",
+    "1 pending upload": "1 زیر التوا اپ لوڈ",
+    "{count} pending uploads": "{count} زیر التوا اپ لوڈ",
+    "Upload failed": "اپ لوڈ ناکام",
+    "Discard {id}": "{id} مسترد کریں",
+
+    // Submitting an issue
+    "New Maintenance Request": "دیکھ بھال کی نئی درخواست",
+    "Last logged: {id}": "آخری درج شدہ: {id}",
+    "ID assigned on submit": "آئی ڈی جمع کرنے پر دی جائے گی",
+    "Request Submitted!": "درخواست جمع ہو گئی!",
+    "Your maintenance issue has been logged successfully as {id}.": "آپ کا دیکھ بھال کا مسئلہ کامیابی سے {id} کے طور پر درج ہو گیا ہے۔",
+    "Added to Existing Issue": "موجودہ مسئلے میں شامل کر دیا گیا",
+    "Your report was added as a note on {id}.": "آپ کی رپورٹ {id} پر نوٹ کے طور پر شامل کر دی گئی۔",
+    "Connection Error": "کنکشن کی خرابی",
+    "Cannot submit form. Please ensure you are authenticated.": "فارم جمع نہیں ہو سکتا۔ براہ کرم یقینی بنائیں کہ آپ سائن ان ہیں۔",
+    "Saved Offline": "آف لائن محفوظ",
+    "No connection right now. Your request is saved as {id} and will upload automatically.": "ابھی کنکشن نہیں ہے۔ آپ کی درخواست {id} کے طور پر محفوظ ہے اور خود بخود اپ لوڈ ہو جائے گی۔",
+    "Submission Failed": "جمع کرانا ناکام رہا",
+    "e.g., Room 301 or Lobby A": "مثلاً کمرہ 301 یا لابی A",
+    "Pick a room or area from the registry.": "رجسٹری سے کوئی کمرہ یا جگہ منتخب کریں۔",
+    "Issue Title": "مسئلے کا عنوان",
+    "e.g., AC is making noise": "مثلاً اے سی شور کر رہا ہے",
+    "Detailed Description": "تفصیلی وضاحت",
+    "Describe the issue in detail...": "مسئلے کی تفصیل سے وضاحت کریں...",
+    "This may already be reported": "ہو سکتا ہے یہ پہلے ہی رپورٹ ہو چکا ہو",
+    "Reported again as": "دوبارہ رپورٹ بطور",
+    "Adding...": "شامل ہو رہا ہے...",
+    "Add my note to {id}": "میرا نوٹ {id} میں شامل کریں",
+    "Only the first photo is attached to the note.": "نوٹ کے ساتھ صرف پہلی تصویر منسلک ہوگی۔",
+    "Submitting anyway files a new ticket flagged as a possible duplicate of {id}.": "پھر بھی جمع کرانے پر ایک نیا ٹکٹ بنے گا جس پر {id} کا ممکنہ دہراؤ ہونے کا نشان ہوگا۔",
+    "Possible duplicate of {id}": "{id} کا ممکنہ دہراؤ",
+    "Suggested Priority": "تجویز کردہ ترجیح",
+    "Photos/Evidence (Optional, up to {count})": "تصاویر/ثبوت (اختیاری، زیادہ سے زیادہ {count})",
+    "Uploading {name}": "{name} اپ لوڈ ہو رہی ہے",
+    "Submitting...": "جمع ہو رہا ہے...",
+    "Submit Maintenance Request": "دیکھ بھال کی درخواست جمع کریں",
+    "Waiting for connection and authentication...": "کنکشن اور تصدیق کا انتظار ہے...",
+
+    // Toasts
+    "Undo": "واپس لیں",
+    "{id}: {field} changed to {value}.": "{id}: {field} کو {value} کر دیا گیا۔",
+    "{id}: {field} changed back to {value}.": "{id}: {field} دوبارہ {value} کر دیا گیا۔",
+    "Could not save the change": "تبدیلی محفوظ نہیں ہو سکی",
+    "Could not undo the change": "تبدیلی واپس نہیں لی جا سکی",
+    "Could not change the status": "حالت تبدیل نہیں ہو سکی",
+    "Could not assign the issue": "مسئلہ تفویض نہیں ہو سکا",
+    "Could not accept the job": "کام قبول نہیں ہو سکا",
+    "Export failed": "برآمد ناکام رہی",
+    "Hotel Maintenance Report": "ہوٹل مینٹیننس رپورٹ",
+    "Generated {date}": "{date} کو تیار کی گئی",
+    "Partial export: only the {count} issues loaded so far. Load more issues in the list to export the rest.": "جزوی برآمد: صرف اب تک لوڈ ہونے والے {count} مسائل۔ باقی برآمد کرنے کے لیے فہرست میں مزید مسائل لوڈ کریں۔",
+    "FIR ID": "ایف آئی آر آئی ڈی",
+    "Created": "بنایا گیا",
+    "Last Updated": "آخری تبدیلی",
+    "Reopens": "دوبارہ کھولے گئے",
+    "Search": "تلاش",
+    "Could not create the QR codes": "QR کوڈ نہیں بن سکے",
+    "You do not have permission to make this change.": "آپ کو یہ تبدیلی کرنے کی اجازت نہیں۔",
+    "Something went wrong.": "کچھ غلط ہو گیا۔",
+    "This job is not waiting for your acceptance.": "یہ کام آپ کی قبولیت کا منتظر نہیں۔",
+    "There are no active rooms in the registry.": "رجسٹری میں کوئی فعال کمرہ نہیں۔",
+
+    // Issue list and bulk updates
+    "Technician Dashboard": "ٹیکنیشن ڈیش بورڈ",
+    "Export the issues shown below": "نیچے دکھائے گئے مسائل برآمد کریں",
+    "Search loaded issues by ID, Room, or Title...": "لوڈ شدہ مسائل میں آئی ڈی، کمرے یا عنوان سے تلاش کریں...",
+    "All Priorities": "تمام ترجیحات",
+    "All Departments": "تمام شعبے",
+    "Issues to show": "دکھائے جانے والے مسائل",
+    "Open issues only": "صرف کھلے مسائل",
+    "All issues": "تمام مسائل",
+    "Created from": "تخلیق کی تاریخ سے",
+    "Created to": "تخلیق کی تاریخ تک",
+    "Sort issues": "مسائل کی ترتیب",
+    "{count} selected": "{count} منتخب",
+    "Set status": "حالت مقرر کریں",
+    "Status: no change": "حالت: کوئی تبدیلی نہیں",
+    "Resolution notes (required)": "حل کے نوٹس (لازمی)",
+    "Cancellation reason": "منسوخی کی وجہ",
+    "Reason (required)": "وجہ (لازمی)",
+    "Note (required)": "نوٹ (لازمی)",
+    "Cancellation note": "منسوخی کا نوٹ",
+    "Set priority": "ترجیح مقرر کریں",
+    "Priority: no change": "ترجیح: کوئی تبدیلی نہیں",
+    "Set department": "شعبہ مقرر کریں",
+    "Department: no change": "شعبہ: کوئی تبدیلی نہیں",
+    "Set assignee": "ذمہ دار مقرر کریں",
+    "Assignee: no change": "ذمہ دار: کوئی تبدیلی نہیں",
+    "Review & Apply": "جائزہ لیں اور لاگو کریں",
+    "Clear selection": "انتخاب صاف کریں",
+    "Syncing Real-Time Data...": "حقیقی وقت کا ڈیٹا ہم آہنگ ہو رہا ہے...",
+    "No maintenance issues found matching your criteria.": "آپ کے معیار کے مطابق دیکھ بھال کا کوئی مسئلہ نہیں ملا۔",
+    "Select all issues shown": "دکھائے گئے تمام مسائل منتخب کریں",
+    "ID / Room": "آئی ڈی / کمرہ",
+    "Issue Title & Details": "مسئلے کا عنوان اور تفصیلات",
+    "Select {id}": "{id} منتخب کریں",
+    "Hide history": "تاریخچہ چھپائیں",
+    "Hide comments": "تبصرے چھپائیں",
+    "Comments ({count})": "تبصرے ({count})",
+    "{count} unread comments": "{count} بغیر پڑھے تبصرے",
+    "Show all details": "تمام تفصیلات دکھائیں",
+    "Reported by a guest from the room's QR code": "مہمان نے کمرے کے QR کوڈ سے رپورٹ کیا",
+    "Assignee for {id}": "{id} کا ذمہ دار",
+    "Status for {id}": "{id} کی حالت",
+    "Priority for {id}": "{id} کی ترجیح",
+    "Department for {id}": "{id} کا شعبہ",
+    "Accept job": "کام قبول کریں",
+    "Awaiting acceptance": "قبولیت کا منتظر",
+    "Accepted": "قبول شدہ",
+    "Showing 1 issue": "1 مسئلہ دکھایا جا رہا ہے",
+    "Showing {count} issues": "{count} مسائل دکھائے جا رہے ہیں",
+    "(all loaded)": "(سب لوڈ ہو گئے)",
+    "Load {count} more": "مزید {count} لوڈ کریں",
+    "Bulk update finished": "اجتماعی تبدیلی مکمل",
+    "Confirm bulk update": "اجتماعی تبدیلی کی تصدیق کریں",
+    "Changes:": "تبدیلیاں:",
+    "Will be applied to 1 issue:": "1 مسئلے پر لاگو ہوگی:",
+    "Will be applied to {count} issues:": "{count} مسائل پر لاگو ہوگی:",
+    "{count} updated": "{count} تبدیل ہوئے",
+    "{count} already had these values": "{count} میں پہلے سے یہی اقدار تھیں",
+    "{count} failed": "{count} ناکام",
+    "Not updated:": "تبدیل نہیں ہوئے:",
+    "Will be skipped:": "چھوڑ دیے جائیں گے:",
+    "All issues are saved together: if one cannot be saved, none are.": "تمام مسائل ایک ساتھ محفوظ ہوتے ہیں: اگر ایک محفوظ نہ ہو سکے تو کوئی بھی محفوظ نہیں ہوتا۔",
+    "A bulk update can change at most {max} issues at once. Select fewer issues.": "ایک اجتماعی تبدیلی ایک وقت میں زیادہ سے زیادہ {max} مسائل بدل سکتی ہے۔ کم مسائل منتخب کریں۔",
+    "Applying...": "لاگو ہو رہا ہے...",
+    "Apply to 1 issue": "1 مسئلے پر لاگو کریں",
+    "Apply to {count} issues": "{count} مسائل پر لاگو کریں",
+    "Your role cannot change {field}.": "آپ کا کردار {field} تبدیل نہیں کر سکتا۔",
+    "You are not allowed to change {field} on this issue.": "آپ کو اس مسئلے پر {field} تبدیل کرنے کی اجازت نہیں۔",
+
+    // Edit conflicts
+    "This issue was changed by someone else in the meantime.": "اس دوران کسی اور نے یہ مسئلہ تبدیل کر دیا۔",
+    "{id} was changed in the meantime": "{id} اس دوران تبدیل ہو گیا",
+    "{name} changed this issue at {time}, after you had opened it.": "{name} نے آپ کے کھولنے کے بعد {time} پر یہ مسئلہ تبدیل کیا۔",
+    "Field": "خانہ",
+    "Current value": "موجودہ قدر",
+    "Your change": "آپ کی تبدیلی",
+    "Use their version": "ان کا ورژن رکھیں",
+    "Keep my change": "میری تبدیلی رکھیں",
+
+    // Technician jobs
+    "Room:": "کمرہ:",
+    "Priority:": "ترجیح:",
+    "Opened {duration} ago": "{duration} پہلے کھولا گیا",
+    "No open jobs assigned to you.": "آپ کو کوئی کھلا کام تفویض نہیں۔",
+
+    // Issue details, history, comments and photos
+    "Open page": "صفحہ کھولیں",
+    "Loading {id}...": "{id} لوڈ ہو رہا ہے...",
+    "{id} no longer exists.": "{id} اب موجود نہیں۔",
+    "There is no issue {id}. Check the link, or search the issue list.": "مسئلہ {id} موجود نہیں۔ لنک چیک کریں یا مسائل کی فہرست میں تلاش کریں۔",
+    "Display ID": "ظاہری آئی ڈی",
+    "Reported by": "رپورٹ کنندہ",
+    "Last updated": "آخری تبدیلی",
+    "Responded": "جواب دیا گیا",
+    "Resolved": "حل ہوا",
+    "Reopened": "دوبارہ کھولا گیا",
+    "Last comment": "آخری تبصرہ",
+    "Legacy ID": "پرانی آئی ڈی",
+    "Copied from old app": "پرانی ایپ سے نقل شدہ",
+    "Guest (room QR code)": "مہمان (کمرے کا QR کوڈ)",
+    "Edit {field}": "{field} میں ترمیم کریں",
+    "Edit room": "کمرے میں ترمیم کریں",
+    "Show every issue for this location": "اس مقام کے تمام مسائل دکھائیں",
+    "No description.": "کوئی تفصیل نہیں۔",
+    "No photos.": "کوئی تصویر نہیں۔",
+    "Remove {name} from {id}?": "{name} کو {id} سے ہٹا دیں؟",
+    "Remove {name}": "{name} ہٹائیں",
+    "Add photos ({count} more allowed)": "تصاویر شامل کریں (مزید {count} کی اجازت)",
+    "Uploading photos": "تصاویر اپ لوڈ ہو رہی ہیں",
+    "SLA": "SLA",
+    "Gallery": "گیلری",
+    "Open original": "اصل کھولیں",
+    "Show {name}": "{name} دکھائیں",
+    "View {name}": "{name} دیکھیں",
+    "View {count} attachment(s)": "{count} منسلکات دیکھیں",
+    "Loading history...": "تاریخچہ لوڈ ہو رہا ہے...",
+    "No history recorded for this issue yet.": "اس مسئلے کا ابھی کوئی تاریخچہ درج نہیں۔",
+    "created the issue ({field}: {value})": "نے مسئلہ بنایا ({field}: {value})",
+    "changed {field} from {from} to {to}": "نے {field} کو {from} سے {to} میں بدلا",
+    "Loading comments...": "تبصرے لوڈ ہو رہے ہیں...",
+    "No comments yet.": "ابھی کوئی تبصرہ نہیں۔",
+    "Guest-visible": "مہمان کو نظر آنے والا",
+    "Internal": "اندرونی",
+    "Add a comment": "تبصرہ شامل کریں",
+    "e.g., Waiting on replacement part": "مثلاً متبادل پرزے کا انتظار ہے",
+    "Attach a photo": "تصویر منسلک کریں",
+    "Comment visibility": "تبصرہ کس کو نظر آئے",
+    "Internal (staff only)": "اندرونی (صرف عملہ)",
+    "Posting...": "شائع ہو رہا ہے...",
+    "Post Comment": "تبصرہ شائع کریں",
+
+    // Status changes
+    "Reopen {id}": "{id} دوبارہ کھولیں",
+    "Complete {id}": "{id} مکمل کریں",
+    "Cancel {id}": "{id} منسوخ کریں",
+    "What was wrong and what was done": "کیا خرابی تھی اور کیا کیا گیا",
+    "\"After\" photos (optional)": "\"بعد\" کی تصاویر (اختیاری)",
+    "Reason": "وجہ",
+    "Choose a reason...": "وجہ منتخب کریں...",
+    "Note": "نوٹ",
+    "Note (optional)": "نوٹ (اختیاری)",
+    "The previous resolution stays in the history.": "پچھلا حل تاریخچے میں محفوظ رہے گا۔",
+    "The previous cancellation stays in the history.": "پچھلی منسوخی تاریخچے میں محفوظ رہے گی۔",
+    "This will be reopen #{count} for this issue.": "یہ اس مسئلے کا {count}واں دوبارہ کھولنا ہوگا۔",
+    "Reopen": "دوبارہ کھولیں",
+    "Mark {status}": "{status} قرار دیں",
+    "Reopened ×{count}": "دوبارہ کھولا گیا ×{count}",
+    "Resolution:": "حل:",
+    "{id} after": "{id} بعد میں",
+    "Canceled:": "منسوخ:",
+    "Resolution notes are required to complete an issue.": "مسئلہ مکمل کرنے کے لیے حل کے نوٹس لازمی ہیں۔",
+    "A cancellation reason is required.": "منسوخی کی وجہ لازمی ہے۔",
+    "Explain the cancellation when the reason is \"Other\".": "جب وجہ \"دیگر\" ہو تو منسوخی کی وضاحت کریں۔",
+
+    // Response and resolution targets (SLA)
+    "Response due {response} · Resolution due {resolution}": "جواب کی آخری حد {response} · حل کی آخری حد {resolution}",
+    "Response overdue {time}": "جواب میں {time} تاخیر",
+    "Respond in {time}": "{time} میں جواب دیں",
+    "Overdue {time}": "{time} تاخیر",
+    "Resolve in {time}": "{time} میں حل کریں",
+    "SLA breached": "SLA کی خلاف ورزی",
+    "SLA met": "SLA پورا ہوا",
+    "Response (min)": "جواب (منٹ)",
+    "Resolution (min)": "حل (منٹ)",
+    "{priority} response minutes": "{priority} جواب کے منٹ",
+    "{priority} resolution minutes": "{priority} حل کے منٹ",
+    "Save SLA Targets": "SLA اہداف محفوظ کریں",
+    "SLA Targets": "SLA اہداف",
+
+    // Alerts
+    "{priority} issue {id}": "{priority} مسئلہ {id}",
+    "Alert me about new issues": "نئے مسائل کی اطلاع دیں",
+    "Minimum priority": "کم از کم ترجیح",
+    "Any priority": "کوئی بھی ترجیح",
+    "{priority} and above": "{priority} اور اس سے زیادہ",
+    "Only {department} (and unrouted issues)": "صرف {department} (اور بغیر شعبے کے مسائل)",
+    "Only my department (and unrouted issues)": "صرف میرا شعبہ (اور بغیر شعبے کے مسائل)",
+    "Desktop popups": "ڈیسک ٹاپ پاپ اپ",
+    "Popups are blocked in this browser's site settings.": "اس براؤزر کی سائٹ سیٹنگز میں پاپ اپ بند ہیں۔",
+    "Play a chime": "گھنٹی بجائیں",
+    "Alerts": "اطلاعات",
+    "Mark all read": "سب کو پڑھا ہوا قرار دیں",
+    "Rules": "قواعد",
+    "Unread": "بغیر پڑھے",
+    "No alerts yet.": "ابھی کوئی اطلاع نہیں۔",
+
+    // Dashboard and analytics
+    "Hotel Maintenance Overview": "ہوٹل کی دیکھ بھال کا جائزہ",
+    "Total Issues": "کل مسائل",
+    "Pending (Submitted/In Progress)": "زیر التوا (جمع شدہ/جاری)",
+    "High/Critical Priority": "زیادہ/انتہائی اہم ترجیح",
+    "SLA Breached": "SLA کی خلاف ورزی",
+    "Top 5 Pending Issues": "سرفہرست 5 زیر التوا مسائل",
+    "No active pending issues.": "کوئی زیر التوا مسئلہ نہیں۔",
+    "Each report covers the issues opened within its own date range (last {count} days by default).": "ہر رپورٹ اپنی تاریخوں کی حد میں کھولے گئے مسائل کا احاطہ کرتی ہے (پہلے سے طے شدہ: پچھلے {count} دن)۔",
+    "{report} from": "{report} سے",
+    "{report} to": "{report} تک",
+    "Could not load issues for this report.": "اس رپورٹ کے مسائل لوڈ نہیں ہو سکے۔",
+    "Time to Resolve by Department": "شعبہ وار حل کا وقت",
+    "Mean and median time from submission until the issue was marked Completed.": "جمع کرانے سے مسئلہ مکمل قرار دیے جانے تک کا اوسط اور وسطانی وقت۔",
+    "No issues opened in this period have been completed yet.": "اس مدت میں کھولا گیا کوئی مسئلہ ابھی مکمل نہیں ہوا۔",
+    "Mean": "اوسط",
+    "Median": "وسطانیہ",
+    "Reopen Rate by Department": "شعبہ وار دوبارہ کھلنے کی شرح",
+    "Share of issues that had to be reopened after being completed or canceled.": "وہ مسائل جنہیں مکمل یا منسوخ ہونے کے بعد دوبارہ کھولنا پڑا، ان کا تناسب۔",
+    "No issues were opened in this period.": "اس مدت میں کوئی مسئلہ نہیں کھولا گیا۔",
+    "Total Reopens": "کل بار دوبارہ کھولا گیا",
+    "Reopen Rate": "دوبارہ کھلنے کی شرح",
+    "Opened vs. Closed per Week": "فی ہفتہ کھولے بمقابلہ بند",
+    "Issues opened each week, and issues completed or canceled each week.": "ہر ہفتے کھولے گئے مسائل، اور ہر ہفتے مکمل یا منسوخ ہونے والے مسائل۔",
+    "Opened vs. closed per week": "فی ہفتہ کھولے بمقابلہ بند",
+    "Opened": "کھولے گئے",
+    "Closed": "بند کیے گئے",
+    "Priority Mix over Time": "وقت کے ساتھ ترجیحات کی تقسیم",
+    "Issues opened each week, by priority.": "ہر ہفتے کھولے گئے مسائل، ترجیح کے لحاظ سے۔",
+    "Priority mix per week": "فی ہفتہ ترجیحات کی تقسیم",
+    "Week of {week} · {series}: {value}": "{week} کا ہفتہ · {series}: {value}",
+    "Hotspots": "زیادہ مسائل والی جگہیں",
+    "Rooms and locations with the most issues.": "سب سے زیادہ مسائل والے کمرے اور مقامات۔",
+    "No locations recorded in this period.": "اس مدت میں کوئی مقام درج نہیں۔",
+    "Most Affected": "سب سے زیادہ متاثر",
+
+    // Rooms and locations
+    "Printable sheet with one QR code per room for guests to report problems": "مہمانوں کے لیے مسائل رپورٹ کرنے کی خاطر ہر کمرے کا ایک QR کوڈ والی قابل پرنٹ شیٹ",
+    "Guest QR codes (PDF)": "مہمانوں کے QR کوڈ (PDF)",
+    "Filter locations": "مقامات فلٹر کریں",
+    "Search rooms and areas...": "کمرے اور جگہیں تلاش کریں...",
+    "The registry is empty.": "رجسٹری خالی ہے۔",
+    "No matching locations.": "کوئی ملتا جلتا مقام نہیں۔",
+    "Edit {name}": "{name} میں ترمیم کریں",
+    "Add Location": "مقام شامل کریں",
+    "Select a room or area to see every issue logged for it.": "کسی کمرے یا جگہ کے تمام درج شدہ مسائل دیکھنے کے لیے اسے منتخب کریں۔",
+    "Room number": "کمرہ نمبر",
+    "Area name": "جگہ کا نام",
+    "Building": "عمارت",
+    "Floor": "منزل",
+    "Other names (comma-separated)": "دیگر نام (کوما سے الگ)",
+    "e.g., Front Lobby, Reception": "مثلاً سامنے کی لابی، استقبالیہ",
+    "Active (archived locations are hidden from the submission form)": "فعال (محفوظ شدہ مقامات جمع کرانے کے فارم میں نہیں دکھتے)",
+    "Save Location": "مقام محفوظ کریں",
+    "Could not save this location.": "یہ مقام محفوظ نہیں ہو سکا۔",
+    "Archived": "محفوظ شدہ",
+    "Also known as {names}": "دوسرے نام: {names}",
+    "Loading issues...": "مسائل لوڈ ہو رہے ہیں...",
+    "{count} open": "{count} کھلے",
+    "No issues logged for this location.": "اس مقام کے لیے کوئی مسئلہ درج نہیں۔",
+    "Map Existing Room Values": "موجودہ کمرہ اقدار کو جوڑیں",
+    "Links issues logged before the registry existed to a registry entry. Unmapped values are left as they are.": "رجسٹری سے پہلے درج شدہ مسائل کو رجسٹری اندراج سے جوڑتا ہے۔ نہ جوڑی گئی اقدار جوں کی توں رہتی ہیں۔",
+    "Scanning...": "جانچ ہو رہی ہے...",
+    "Scan existing issues": "موجودہ مسائل جانچیں",
+    "Could not read the existing issues.": "موجودہ مسائل پڑھے نہیں جا سکے۔",
+    "Every issue is linked to the registry.": "ہر مسئلہ رجسٹری سے جڑا ہوا ہے۔",
+    "Entered as": "بطور درج",
+    "Registry location": "رجسٹری کا مقام",
+    "(blank)": "(خالی)",
+    "Registry location for {value}": "{value} کے لیے رجسٹری کا مقام",
+    "— Leave unmapped —": "— بغیر جوڑے چھوڑ دیں —",
+    "Linking...": "جوڑا جا رہا ہے...",
+    "Link 1 issue": "1 مسئلہ جوڑیں",
+    "Link {count} issues": "{count} مسائل جوڑیں",
+    "1 issue linked.": "1 مسئلہ جوڑ دیا گیا۔",
+    "{count} issues linked.": "{count} مسائل جوڑ دیے گئے۔",
+    "{count} failed (try again).": "{count} ناکام (دوبارہ کوشش کریں)۔",
+
+    // Preventive maintenance
+    "Plans": "منصوبے",
+    "Add Plan": "منصوبہ شامل کریں",
+    "New Plan": "نیا منصوبہ",
+    "Plan": "منصوبہ",
+    "Schedule": "شیڈول",
+    "Next Due": "اگلی مقررہ تاریخ",
+    "1 checklist step": "فہرست کا 1 مرحلہ",
+    "{count} checklist steps": "فہرست کے {count} مراحل",
+    "Paused": "موقوف",
+    "No maintenance plans yet.": "ابھی دیکھ بھال کا کوئی منصوبہ نہیں۔",
+    "Scheduled {date}": "{date} کے لیے طے شدہ",
+    "Checklist (1 step)": "فہرست (1 مرحلہ)",
+    "Checklist ({count} steps)": "فہرست ({count} مراحل)",
+    "Plan name (used as the issue title)": "منصوبے کا نام (مسئلے کے عنوان کے طور پر)",
+    "e.g., Replace HVAC filters": "مثلاً HVAC فلٹر تبدیل کریں",
+    "Repeats": "دہراؤ",
+    "Every": "ہر",
+    "First due": "پہلی مقررہ تاریخ",
+    "Checklist (one step per line)": "فہرست (ہر سطر میں ایک مرحلہ)",
+    "Active (paused plans generate no issues)": "فعال (موقوف منصوبے مسائل نہیں بناتے)",
+    "Save Plan": "منصوبہ محفوظ کریں",
+    "Could not save this plan.": "یہ منصوبہ محفوظ نہیں ہو سکا۔",
+    "Previous month": "پچھلا مہینہ",
+    "Next month": "اگلا مہینہ",
+    "not generated": "نہیں بنایا گیا",
+
+    // Legacy data
+    "Legacy Data": "پرانا ڈیٹا",
+    "Copies issues logged by the old app (maintenance_issues) into the current list with today's status and department names. Copies get new FIR numbers; the old number is kept. The old documents are not changed.": "پرانی ایپ (maintenance_issues) میں درج مسائل کو آج کی حالت اور شعبوں کے ناموں کے ساتھ موجودہ فہرست میں نقل کرتا ہے۔ نقول کو نئے FIR نمبر ملتے ہیں؛ پرانا نمبر محفوظ رہتا ہے۔ پرانی دستاویزات تبدیل نہیں ہوتیں۔",
+    "Dry run: {toCopy} to copy, {already} already copied, {invalid} cannot be copied.": "آزمائشی جانچ: {toCopy} نقل کے لیے، {already} پہلے سے نقل شدہ، {invalid} نقل نہیں ہو سکتے۔",
+    "{copied} copied, {already} already copied, {invalid} cannot be copied, {failed} failed (run again to retry).": "{copied} نقل ہوئے، {already} پہلے سے نقل شدہ، {invalid} نقل نہیں ہو سکتے، {failed} ناکام (دوبارہ کوشش کے لیے پھر چلائیں)۔",
+    "Could not read the legacy issues. Check your connection and permissions.": "پرانے مسائل پڑھے نہیں جا سکے۔ اپنا کنکشن اور اجازتیں چیک کریں۔",
+    "Legacy document": "پرانی دستاویز",
+    "Result": "نتیجہ",
+    "Copied as is": "جوں کا توں نقل",
+    "Checking...": "جانچ ہو رہی ہے...",
+    "Dry run": "آزمائشی جانچ",
+    "Copying...": "نقل ہو رہا ہے...",
+    "Copy 1 issue": "1 مسئلہ نقل کریں",
+    "Copy {count} issues": "{count} مسائل نقل کریں",
+    "Every issue already has its sort keys.": "ہر مسئلے کی ترتیب کی کلیدیں پہلے سے موجود ہیں۔",
+    "Sort keys added to 1 issue.": "1 مسئلے میں ترتیب کی کلیدیں شامل کی گئیں۔",
+    "Sort keys added to {count} issues.": "{count} مسائل میں ترتیب کی کلیدیں شامل کی گئیں۔",
+    "Could not update the issues. Check your connection and permissions.": "مسائل تبدیل نہیں ہو سکے۔ اپنا کنکشن اور اجازتیں چیک کریں۔",
+    "Issues saved before the list could be sorted by priority or status are left out of those orders until their sort keys are added. Safe to run more than once.": "جو مسائل فہرست کو ترجیح یا حالت کے لحاظ سے ترتیب دینے کی سہولت سے پہلے محفوظ ہوئے، وہ ترتیب کی کلیدیں شامل ہونے تک ان ترتیبوں سے باہر رہتے ہیں۔ اسے ایک سے زیادہ بار چلانا محفوظ ہے۔",
+    "Updating...": "تبدیل ہو رہا ہے...",
+    "Add missing sort keys": "غائب ترتیب کی کلیدیں شامل کریں",
+
+    // Guest reporting page
+    "Report a problem": "مسئلہ رپورٹ کریں",
+    "What is the problem?": "کیا مسئلہ ہے؟",
+    "Kettle, minibar or appliance": "کیتلی، منی بار یا کوئی آلہ",
+    "TV or remote": "ٹی وی یا ریموٹ",
+    "Wi-Fi": "وائی فائی",
+    "Air conditioning or heating": "ایئر کنڈیشنگ یا ہیٹنگ",
+    "Lights or power sockets": "بتیاں یا بجلی کے ساکٹ",
+    "Water, shower or toilet": "پانی، شاور یا ٹوائلٹ",
+    "Door, lock or safe": "دروازہ، تالا یا سیف",
+    "Cleaning or housekeeping": "صفائی یا ہاؤس کیپنگ",
+    "Something else": "کچھ اور",
+    "Anything we should know? (optional)": "کچھ اور جو ہمیں معلوم ہونا چاہیے؟ (اختیاری)",
+    "Photo (optional)": "تصویر (اختیاری)",
+    "Send report": "رپورٹ بھیجیں",
+    "Thank you!": "شکریہ!",
+    "Your report has been passed to the front desk. Your reference is {reference}.": "آپ کی رپورٹ فرنٹ ڈیسک کو بھیج دی گئی ہے۔ آپ کا حوالہ نمبر {reference} ہے۔",
+    "Report another problem": "کوئی اور مسئلہ رپورٹ کریں",
+    "This code is missing its room. Please call the front desk.": "اس کوڈ میں کمرہ درج نہیں۔ براہ کرم فرنٹ ڈیسک کو فون کریں۔",
+    "Choose what the problem is about.": "منتخب کریں کہ مسئلہ کس بارے میں ہے۔",
+    "You have sent several reports already. Please try again in {minutes} minutes or call the front desk.": "آپ پہلے ہی کئی رپورٹیں بھیج چکے ہیں۔ براہ کرم {minutes} منٹ بعد دوبارہ کوشش کریں یا فرنٹ ڈیسک کو فون کریں۔",
+    "Reporting is not available right now. Please call the front desk.": "ابھی رپورٹ کرنا ممکن نہیں۔ براہ کرم فرنٹ ڈیسک کو فون کریں۔",
+    "Your report could not be sent. Please try again or call the front desk.": "آپ کی رپورٹ نہیں بھیجی جا سکی۔ براہ کرم دوبارہ کوشش کریں یا فرنٹ ڈیسک کو فون کریں۔",
+};
+
+export default ur;